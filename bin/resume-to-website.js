@@ -0,0 +1,11 @@
+#!/usr/bin/env node
+/**
+ * Website Generator - CLI entry point (see lib/cli.js)
+ */
+
+import dotenv from "dotenv";
+dotenv.config();
+
+import { run } from "../lib/cli.js";
+
+process.exitCode = await run(process.argv.slice(2));
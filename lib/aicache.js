@@ -0,0 +1,90 @@
+/**
+ * Website Generator - AI Result Cache
+ *
+ * Content-addressed cache for LLM answers, so uploading the same resume again
+ * returns the earlier result instantly instead of paying for a new, possibly
+ * different, completion. The key is a SHA-256 hash of the prompt version, the
+ * provider and model, and the exact input sent to the model (resume text and
+ * parsed fields). Entries are kept in the aiCache collection of the local store
+ * (resumes.json):
+ *
+ *   { key, kind, provider, model, createdAt, expiresAt, output }
+ *
+ * kind is the pipeline step ("organize:<section>" or "repair"). In privacy mode the input
+ * and output are the redacted versions, so no personal details are cached.
+ */
+
+import crypto from "crypto";
+
+// Oldest entries beyond this many are dropped
+const MAX_ENTRIES = 500;
+
+const DEFAULT_TTL_HOURS = 30 * 24;
+
+/**
+ * Create the cache over an open database
+ *
+ * @param {Low} db - Database from openDatabase (lib/store.js)
+ * @param {Object} options
+ *   ttlHours - How long an answer is reused (default: 30 days); 0 turns the cache off
+ * @returns {Object} Cache with
+ *   keyOf(parts)                   - Hash of any JSON value, e.g. { version, kind, model, input }
+ *   get(key, { force })            - Cached output, or undefined; force skips the lookup (counted as a miss)
+ *   set(key, output, { kind, provider, model }) - Promise, stores an answer
+ *   stats()                        - { enabled, ttlHours, entries, hits, misses } since the process started
+ */
+function createAiCache(db, { ttlHours = DEFAULT_TTL_HOURS } = {}) {
+  db.data.aiCache ||= [];
+  const enabled = ttlHours > 0;
+  let hits = 0;
+  let misses = 0;
+
+  const isFresh = entry => Date.parse(entry.expiresAt) > Date.now();
+
+  return {
+    keyOf(parts) {
+      return crypto.createHash("sha256").update(JSON.stringify(parts)).digest("hex");
+    },
+
+    get(key, { force = false } = {}) {
+      if (!enabled) return undefined;
+      const entry = force ? undefined : db.data.aiCache.find(item => item.key === key && isFresh(item));
+      if (!entry) {
+        misses++;
+        return undefined;
+      }
+      hits++;
+      // Copied, so callers can't change what the next hit returns
+      return structuredClone(entry.output);
+    },
+
+    async set(key, output, { kind, provider, model } = {}) {
+      if (!enabled) return;
+      const now = new Date();
+      const entries = db.data.aiCache.filter(item => item.key !== key && isFresh(item));
+      entries.push({
+        key,
+        kind,
+        provider,
+        model,
+        createdAt: now.toISOString(),
+        expiresAt: new Date(now.getTime() + ttlHours * 60 * 60 * 1000).toISOString(),
+        output: structuredClone(output),
+      });
+      db.data.aiCache = entries.slice(-MAX_ENTRIES);
+      await db.write();
+    },
+
+    stats() {
+      return {
+        enabled,
+        ttlHours,
+        entries: enabled ? db.data.aiCache.filter(isFresh).length : 0,
+        hits,
+        misses,
+      };
+    },
+  };
+}
+
+export { createAiCache };
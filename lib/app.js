@@ -0,0 +1,535 @@
+/**
+ * Website Generator - API Application
+ *
+ * The Express app behind server.js: resume parsing, stored portfolios and
+ * groups, and static site export. createApp only wires up routes around the
+ * database and LLM provider it is given; it doesn't listen or open
+ * resumes.json, so tests can run it against a temporary database and a fake LLM.
+ */
+
+import fs from "fs";
+import express from "express";
+import { IncomingForm } from "formidable";
+import { buildStaticSite, buildGroupSite, writeSiteZip } from "./export.js";
+import {
+  createPortfolio, getPortfolio, updatePortfolio, deletePortfolio, listRevisions, getRevision,
+  createGroup, getGroup, updateGroup, deleteGroup,
+} from "./store.js";
+import { isJsonResume, fromJsonResume } from "../shared/jsonresume.js";
+import { createJob, getJob, streamJobEvents } from "./jobs.js";
+import { repairPortfolio } from "../shared/schema.js";
+import { pruneProvenance } from "../shared/provenance.js";
+import { diffPortfolios, diffSections, applyChanges } from "../shared/merge.js";
+import { validateGroup } from "../shared/group.js";
+import { loadSectionDictionary, parseAliasText } from "./sections.js";
+import { parseResume, ResumeParseError } from "./parse.js";
+import { createAiCache } from "./aicache.js";
+import { loadSecurityConfig, createMemoryRateLimitStore, createRateLimiter, createCors, requireApiKey } from "./security.js";
+
+// Helper: pass errors from an async route handler to the error middleware, which Express 4 doesn't do itself
+function asyncHandler(handler) {
+  return (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+}
+
+/**
+ * Create the API application
+ *
+ * @param {Object} options
+ *   db     - Database from openDatabase (lib/store.js)
+ *   llm    - LLM provider from lib/llm.js, or null for heuristics only
+ *   env    - Settings for section languages, privacy mode, the AI cache and limits (default: process.env)
+ *   logger - Where request and parser logs go (default: console)
+ * @returns {Object} Express app, not yet listening
+ */
+function createApp({ db, llm = null, env = process.env, logger = console }) {
+  const app = express();
+
+  // Section headings and parser vocabularies from the language packs in config/sections
+  const sectionDictionary = loadSectionDictionary(env);
+
+  // Privacy mode: replace personal details with placeholders before text is sent to the LLM (lib/redact.js)
+  const redactByDefault = env.REDACT_PII === "true";
+
+  // Identical resumes reuse the earlier LLM answer for AI_CACHE_TTL_HOURS (default 30 days, 0 = off; lib/aicache.js)
+  const aiCache = createAiCache(db, { ttlHours: env.AI_CACHE_TTL_HOURS ? Number(env.AI_CACHE_TTL_HOURS) : undefined });
+
+  // Upload limits, rate limits, allowed origins and access keys (see lib/security.js)
+  const security = loadSecurityConfig(env);
+  app.set("trust proxy", security.trustProxy);
+
+  // Enable CORS for the frontend's origins only
+  app.use(createCors(security.corsOrigins));
+
+  // Per-IP rate limits; parsing gets a much lower one since every parse may call the LLM
+  const rateLimitStore = createMemoryRateLimitStore();
+  app.use("/api", createRateLimiter({ name: "api", windowMs: security.rateLimit.windowMs, max: security.rateLimit.max, store: rateLimitStore, logger }));
+  const parseLimiter = createRateLimiter({
+    name: "parse",
+    windowMs: security.rateLimit.windowMs,
+    max: security.rateLimit.parseMax,
+    store: rateLimitStore,
+    message: "Too many resumes parsed from this address, please try again later",
+    logger,
+  });
+
+  // Access key for requests that change data, when API_KEYS is set
+  app.use("/api", requireApiKey(security.apiKeys));
+
+  // Helper: parse a resume upload form, returning the resume, optional .bib file, the
+  // section dictionary to use (extended with the optional "sectionAliases" field, one "Heading: section" per line)
+  // whether to hide personal details from the LLM ("redactPii" field, default from REDACT_PII)
+  // and whether to skip the AI cache ("forceReparse" field)
+  function parseUploadForm(req) {
+    const form = new IncomingForm({
+      maxFiles: 2,
+      maxFileSize: security.maxUploadBytes,
+      maxTotalFileSize: 2 * security.maxUploadBytes,
+      maxFields: 10,
+      maxFieldsSize: 64 * 1024,
+      // Only the resume and .bib fields are written to disk
+      filter: part => part.name === "resume" || part.name === "bibtex",
+    });
+    return new Promise((resolve, reject) => {
+      form.parse(req, (err, fields, files) => {
+        if (err) return reject(err);
+        const field = name => (Array.isArray(fields[name]) ? fields[name][0] : fields[name]);
+        const aliases = field("sectionAliases");
+        // Robust file extraction: support array or object
+        resolve({
+          resumeFile: Array.isArray(files.resume) ? files.resume[0] : files.resume,
+          bibFile: Array.isArray(files.bibtex) ? files.bibtex[0] : files.bibtex,
+          dictionary: aliases ? sectionDictionary.extend(parseAliasText(aliases)) : sectionDictionary,
+          redact: field("redactPii") === undefined ? redactByDefault : field("redactPii") === "true",
+          force: field("forceReparse") === "true",
+        });
+      });
+    });
+  }
+
+  // Helper: report a rejected upload form; formidable errors carry an HTTP status
+  function sendUploadError(res, err) {
+    if (err.httpCode === 413) {
+      return res.status(413).json({ error: `Uploads must be at most ${Math.round(security.maxUploadBytes / 1024 / 1024)} MB` });
+    }
+    if (err.httpCode === 400) {
+      return res.status(400).json({ error: "The upload is empty or not a valid form" });
+    }
+    logger.error("Form parsing error:", err);
+    res.status(500).json({ error: "Failed to parse form data" });
+  }
+
+  // Helper: delete an upload's temporary files once it has been parsed
+  function removeUploads(upload) {
+    for (const file of [upload.resumeFile, upload.bibFile]) {
+      if (file && file.filepath) fs.rm(file.filepath, { force: true }, () => {});
+    }
+  }
+
+  // Main API endpoint for resume parsing (blocks until the portfolio is ready)
+  app.post("/api/parse", parseLimiter, async (req, res) => {
+    logger.log("Received POST /api/parse");
+
+    let upload;
+    try {
+      upload = await parseUploadForm(req);
+    } catch (err) {
+      return sendUploadError(res, err);
+    }
+    if (!upload.resumeFile || !upload.resumeFile.filepath) {
+      removeUploads(upload);
+      return res.status(400).json({ error: "No resume file uploaded" });
+    }
+
+    try {
+      const { portfolio, warnings, provenance, cached } = await parseResume(upload.resumeFile, upload.bibFile, {
+        llm,
+        logger,
+        dictionary: upload.dictionary,
+        redact: upload.redact,
+        cache: aiCache,
+        force: upload.force,
+        maxPages: security.maxPdfPages,
+      });
+
+      // Store in database under a shareable ID
+      const record = await createPortfolio(db, portfolio, { provenance, parsed: portfolio });
+
+      res.status(200).json({ id: record.id, portfolio: record.portfolio, warnings, provenance, cached });
+
+    } catch (error) {
+      if (error instanceof ResumeParseError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error("Resume parsing error:", error);
+      res.status(500).json({ error: "Failed to parse resume. Please ensure it's a valid PDF, DOCX, TXT or Markdown file." });
+    } finally {
+      removeUploads(upload);
+    }
+  });
+
+  // Start a background parse job; progress is followed at /api/parse/jobs/:id/events
+  app.post("/api/parse/jobs", parseLimiter, async (req, res) => {
+    let upload;
+    try {
+      upload = await parseUploadForm(req);
+    } catch (err) {
+      return sendUploadError(res, err);
+    }
+    if (!upload.resumeFile || !upload.resumeFile.filepath) {
+      removeUploads(upload);
+      return res.status(400).json({ error: "No resume file uploaded" });
+    }
+
+    const job = createJob();
+    res.status(202).json({ jobId: job.id });
+
+    try {
+      const { portfolio, warnings, provenance, cached } = await parseResume(upload.resumeFile, upload.bibFile, {
+        llm,
+        logger,
+        signal: job.signal,
+        onProgress: job.emit,
+        dictionary: upload.dictionary,
+        redact: upload.redact,
+        cache: aiCache,
+        force: upload.force,
+        maxPages: security.maxPdfPages,
+      });
+      if (job.signal.aborted) return;
+      const record = await createPortfolio(db, portfolio, { provenance, parsed: portfolio });
+      job.emit("done", { id: record.id, portfolio: record.portfolio, warnings, provenance, cached });
+    } catch (error) {
+      if (job.signal.aborted) return;
+      if (error instanceof ResumeParseError) {
+        job.emit("failed", { status: error.status, error: error.message });
+      } else {
+        logger.error("Resume parsing error:", error);
+        job.emit("failed", { status: 500, error: "Failed to parse resume. Please ensure it's a valid PDF, DOCX, TXT or Markdown file." });
+      }
+    } finally {
+      removeUploads(upload);
+    }
+  });
+
+  // Follow a parse job's progress as Server-Sent Events
+  app.get("/api/parse/jobs/:id/events", (req, res) => {
+    const job = getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+    streamJobEvents(job, req, res);
+  });
+
+  // Cancel a running parse job
+  app.delete("/api/parse/jobs/:id", (req, res) => {
+    const job = getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+    if (!job.cancel()) {
+      return res.status(409).json({ error: `Job already ${job.status}` });
+    }
+    res.status(204).end();
+  });
+
+  // Import a portfolio from a JSON Resume document (or a previously downloaded portfolio JSON), no PDF or LLM step
+  app.post("/api/import", express.json({ limit: "2mb" }), asyncHandler(async (req, res) => {
+    const body = req.body;
+    let portfolio;
+    if (body && typeof body === "object" && body.profile) {
+      portfolio = body;
+    } else if (isJsonResume(body)) {
+      portfolio = fromJsonResume(body);
+    } else {
+      return res.status(400).json({ error: "Expected a JSON Resume document (basics, work, education, ...) or a portfolio JSON" });
+    }
+
+    // Hand-edited or older portfolio files get the same shape repairs as AI output,
+    // but what can't be repaired is reported instead of stored
+    const { portfolio: repaired, warnings, errors } = repairPortfolio(portfolio);
+    if (errors.length > 0) {
+      const issues = errors.slice(0, 3).map(issue => `${issue.path} ${issue.message}`).join("; ");
+      return res.status(400).json({ error: `Invalid portfolio: ${issues}${errors.length > 3 ? "; ..." : ""}`, errors, warnings });
+    }
+    const record = await createPortfolio(db, repaired, { source: "import" });
+    res.status(200).json({ id: record.id, portfolio: record.portfolio, warnings });
+  }));
+
+  // Fetch a stored portfolio by ID
+  app.get("/api/portfolios/:id", (req, res) => {
+    const record = getPortfolio(db, req.params.id);
+    if (!record) {
+      return res.status(404).json({ error: "Portfolio not found" });
+    }
+    res.json(record);
+  });
+
+  // Replace a stored portfolio's data
+  app.put("/api/portfolios/:id", express.json({ limit: "2mb" }), asyncHandler(async (req, res) => {
+    if (!req.body || typeof req.body !== "object" || Array.isArray(req.body)) {
+      return res.status(400).json({ error: "Request body must be a portfolio JSON object" });
+    }
+    // Same shape repairs as on import; this also drops links with unsafe schemes (javascript:, data:)
+    const { portfolio } = repairPortfolio(req.body);
+    const existing = getPortfolio(db, req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: "Portfolio not found" });
+    }
+    // Provenance only describes fields that still hold their parsed value
+    const provenance = pruneProvenance(existing.provenance, existing.portfolio, portfolio);
+    const record = await updatePortfolio(db, req.params.id, portfolio, { provenance });
+    res.json(record);
+  }));
+
+  // Parse a newer version of the resume and list how it differs from a stored portfolio.
+  // Nothing is saved; the accepted changes are sent to /merge.
+  app.post("/api/portfolios/:id/reparse", parseLimiter, async (req, res) => {
+    const existing = getPortfolio(db, req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: "Portfolio not found" });
+    }
+
+    let upload;
+    try {
+      upload = await parseUploadForm(req);
+    } catch (err) {
+      return sendUploadError(res, err);
+    }
+    if (!upload.resumeFile || !upload.resumeFile.filepath) {
+      removeUploads(upload);
+      return res.status(400).json({ error: "No resume file uploaded" });
+    }
+
+    try {
+      const { portfolio, warnings, provenance, cached } = await parseResume(upload.resumeFile, upload.bibFile, {
+        llm,
+        logger,
+        dictionary: upload.dictionary,
+        redact: upload.redact,
+        cache: aiCache,
+        force: upload.force,
+        maxPages: security.maxPdfPages,
+      });
+      const changes = diffPortfolios(existing.portfolio, portfolio, existing.parsed);
+      res.json({ changes, incoming: portfolio, warnings, provenance, cached });
+    } catch (error) {
+      if (error instanceof ResumeParseError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error("Resume parsing error:", error);
+      res.status(500).json({ error: "Failed to parse resume. Please ensure it's a valid PDF, DOCX, TXT or Markdown file." });
+    } finally {
+      removeUploads(upload);
+    }
+  });
+
+  // Apply the accepted changes from /reparse. Body: { incoming, accept: [change ids], provenance? }
+  // The changes are recomputed against the stored portfolio, and the new parse becomes the base for the next merge.
+  app.post("/api/portfolios/:id/merge", express.json({ limit: "5mb" }), asyncHandler(async (req, res) => {
+    const { accept, provenance } = req.body || {};
+    if (!req.body?.incoming || typeof req.body.incoming !== "object" || Array.isArray(req.body.incoming) || !Array.isArray(accept)) {
+      return res.status(400).json({ error: "Request body must be { incoming: portfolio, accept: [change ids] }" });
+    }
+    // The client sends the parse back, so it is checked like any other portfolio
+    const { portfolio: incoming } = repairPortfolio(req.body.incoming);
+    const existing = getPortfolio(db, req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: "Portfolio not found" });
+    }
+
+    const changes = diffPortfolios(existing.portfolio, incoming, existing.parsed);
+    const merged = applyChanges(existing.portfolio, changes.filter(change => accept.includes(change.id)));
+    // Provenance now describes the new resume, for the fields that hold its values
+    const mergedProvenance = provenance
+      ? pruneProvenance(provenance, incoming, merged)
+      : pruneProvenance(existing.provenance, existing.portfolio, merged);
+    const record = await updatePortfolio(db, req.params.id, merged, { provenance: mergedProvenance, parsed: incoming, source: "merge" });
+    res.json(record);
+  }));
+
+  // List a portfolio's saved versions, newest first
+  app.get("/api/portfolios/:id/revisions", (req, res) => {
+    if (!getPortfolio(db, req.params.id)) {
+      return res.status(404).json({ error: "Portfolio not found" });
+    }
+    res.json({ revisions: listRevisions(db, req.params.id) });
+  });
+
+  // Fetch one saved version, including its portfolio data
+  app.get("/api/portfolios/:id/revisions/:rev", (req, res) => {
+    const revision = getRevision(db, req.params.id, Number(req.params.rev));
+    if (!revision) {
+      return res.status(404).json({ error: "Revision not found" });
+    }
+    res.json(revision);
+  });
+
+  // Section-level differences between two versions: ?from=2&to=5 (to defaults to the latest)
+  app.get("/api/portfolios/:id/diff", (req, res) => {
+    const revisions = listRevisions(db, req.params.id);
+    if (revisions.length === 0) {
+      return res.status(404).json({ error: "Portfolio not found" });
+    }
+    const isRevisionId = value => typeof value === "string" && /^\d+$/.test(value);
+    if (!isRevisionId(req.query.from) || (req.query.to !== undefined && !isRevisionId(req.query.to))) {
+      return res.status(400).json({ error: "from and to must be revision numbers" });
+    }
+    const from = getRevision(db, req.params.id, Number(req.query.from));
+    const to = getRevision(db, req.params.id, req.query.to !== undefined ? Number(req.query.to) : revisions[0].id);
+    if (!from || !to) {
+      return res.status(404).json({ error: "Revision not found" });
+    }
+    res.json({ from: from.id, to: to.id, sections: diffSections(from.portfolio, to.portfolio) });
+  });
+
+  // Make an old version current again; this is saved as a new revision, so it can be undone too
+  app.post("/api/portfolios/:id/revisions/:rev/restore", asyncHandler(async (req, res) => {
+    const existing = getPortfolio(db, req.params.id);
+    const revision = getRevision(db, req.params.id, Number(req.params.rev));
+    if (!existing || !revision) {
+      return res.status(404).json({ error: "Revision not found" });
+    }
+    // Versions saved before links were checked may still hold unsafe ones
+    const { portfolio } = repairPortfolio(revision.portfolio);
+    const provenance = pruneProvenance(existing.provenance, existing.portfolio, portfolio);
+    const record = await updatePortfolio(db, req.params.id, portfolio, { provenance, source: "restore", restoredFrom: revision.id });
+    res.json(record);
+  }));
+
+  // Delete a stored portfolio
+  app.delete("/api/portfolios/:id", asyncHandler(async (req, res) => {
+    const removed = await deletePortfolio(db, req.params.id);
+    if (!removed) {
+      return res.status(404).json({ error: "Portfolio not found" });
+    }
+    res.status(204).end();
+  }));
+
+  // Helper: the stored portfolios of a group's members; members whose portfolio was deleted are listed as missing
+  function loadGroupMembers(group) {
+    const portfolios = {};
+    const missing = [];
+    for (const { portfolioId } of group.members) {
+      const record = getPortfolio(db, portfolioId);
+      if (record) portfolios[portfolioId] = record.portfolio;
+      else missing.push(portfolioId);
+    }
+    return { portfolios, missing };
+  }
+
+  // Create a group site from member portfolio IDs plus the group's own news and projects
+  app.post("/api/groups", express.json({ limit: "1mb" }), asyncHandler(async (req, res) => {
+    const { group, errors } = validateGroup(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: "Invalid group", errors });
+    }
+    const record = await createGroup(db, group);
+    res.status(200).json({ ...record, ...loadGroupMembers(group) });
+  }));
+
+  // Fetch a stored group with its members' portfolios: { id, group, portfolios: { id: portfolio }, missing: [ids] }
+  app.get("/api/groups/:id", (req, res) => {
+    const record = getGroup(db, req.params.id);
+    if (!record) {
+      return res.status(404).json({ error: "Group not found" });
+    }
+    res.json({ ...record, ...loadGroupMembers(record.group) });
+  });
+
+  // Replace a stored group's data
+  app.put("/api/groups/:id", express.json({ limit: "1mb" }), asyncHandler(async (req, res) => {
+    const { group, errors } = validateGroup(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: "Invalid group", errors });
+    }
+    const record = await updateGroup(db, req.params.id, group);
+    if (!record) {
+      return res.status(404).json({ error: "Group not found" });
+    }
+    res.json({ ...record, ...loadGroupMembers(group) });
+  }));
+
+  // Delete a stored group; the member portfolios are kept
+  app.delete("/api/groups/:id", asyncHandler(async (req, res) => {
+    const removed = await deleteGroup(db, req.params.id);
+    if (!removed) {
+      return res.status(404).json({ error: "Group not found" });
+    }
+    res.status(204).end();
+  }));
+
+  // Export a group as a deployable static website, with every member's portfolio under people/
+  app.get("/api/groups/:id/export", async (req, res) => {
+    const record = getGroup(db, req.params.id);
+    if (!record) {
+      return res.status(404).json({ error: "Group not found" });
+    }
+
+    try {
+      const files = await buildGroupSite(record.group, loadGroupMembers(record.group).portfolios);
+      res.status(200);
+      res.attachment("group-site.zip");
+      await writeSiteZip(files, res);
+    } catch (error) {
+      logger.error("Group export error:", error);
+      if (!res.headersSent) {
+        res.status(500).json({ error: "Failed to export website" });
+      } else {
+        res.end();
+      }
+    }
+  });
+
+  // Export a portfolio as a deployable static website (zip of index.html + CSS)
+  app.post("/api/export", express.json({ limit: "2mb" }), async (req, res) => {
+    const data = req.body;
+    if (!data || typeof data !== "object" || !data.profile) {
+      return res.status(400).json({ error: "Request body must be a portfolio JSON object" });
+    }
+
+    try {
+      const files = await buildStaticSite(data);
+      res.status(200);
+      res.attachment("portfolio-site.zip");
+      await writeSiteZip(files, res);
+    } catch (error) {
+      logger.error("Site export error:", error);
+      if (!res.headersSent) {
+        res.status(500).json({ error: "Failed to export website" });
+      } else {
+        res.end();
+      }
+    }
+  });
+
+  // Health check endpoint
+  app.get("/api/health", (req, res) => {
+    res.json({
+      status: "ok",
+      timestamp: new Date().toISOString(),
+      llm: llm ? { provider: llm.name, model: llm.model } : { provider: "heuristics" },
+      sectionLanguages: sectionDictionary.languages,
+      redactPii: redactByDefault,
+      aiCache: aiCache.stats(),
+      accessKeyRequired: security.apiKeys.length > 0,
+      limits: { maxUploadMB: security.maxUploadBytes / 1024 / 1024, maxPdfPages: security.maxPdfPages }
+    });
+  });
+
+  // Report malformed or oversized JSON bodies and unexpected failures (e.g. a database write) as JSON errors
+  app.use((err, req, res, next) => {
+    if (err.type === "entity.parse.failed") {
+      return res.status(400).json({ error: "Request body is not valid JSON" });
+    }
+    if (err.type === "entity.too.large") {
+      return res.status(413).json({ error: "Request body is too large" });
+    }
+    logger.error(`${req.method} ${req.originalUrl} failed:`, err);
+    if (res.headersSent) return next(err);
+    res.status(500).json({ error: "Internal server error" });
+  });
+
+  return app;
+}
+
+export { createApp };
@@ -0,0 +1,222 @@
+/**
+ * Website Generator - Command-Line Interface
+ *
+ * Batch conversion of resumes into portfolio JSON and static sites, using the
+ * same pipeline as the server (lib/parse.js) and the same site export
+ * (lib/export.js):
+ *
+ *   resume-to-website build <file|dir>... [--out site/] [--theme classic] [--format html|json|latex] [--cv full|short] [--no-ai] [--redact]
+ *
+ * Every resume gets its own directory under --out, named after the file.
+ * The LLM provider is configured from the environment as for the server (lib/llm.js).
+ */
+
+import fs from "fs";
+import path from "path";
+import { parseResume } from "./parse.js";
+import { buildStaticSite } from "./export.js";
+import { createLLMProvider } from "./llm.js";
+import { loadSectionDictionary } from "./sections.js";
+import { THEMES } from "../shared/themes.js";
+import { CV_LENGTHS } from "../shared/cv.js";
+import { toLatexCv } from "../shared/latex.js";
+
+const RESUME_EXTENSIONS = new Set([".pdf", ".docx", ".txt", ".md", ".markdown"]);
+const FORMATS = ["html", "json", "latex"];
+
+const USAGE = `Usage: resume-to-website build <file|dir>... [options]
+
+Parse resumes (PDF, DOCX, TXT, Markdown) and write a portfolio site for each one.
+Directories are searched for resume files (not recursively).
+
+Options:
+  --out <dir>       Output directory (default: site)
+  --theme <id>      Site theme: ${Object.keys(THEMES).join(", ")} (default: the portfolio's own)
+  --format <f>      html: static site and portfolio.json (default); json: portfolio.json only;
+                    latex: portfolio.json and cv.tex (moderncv)
+  --cv <length>     CV length for --format latex: ${Object.keys(CV_LENGTHS).join(", ")} (default: full)
+  --no-ai           Use the rule-based parsers only, even if an LLM is configured
+  --redact          Replace names, emails, phone numbers, addresses and links with placeholders
+                    before sending text to the LLM (default: on if REDACT_PII=true)
+  --verbose         Show the parser's debug output
+  -h, --help        Show this help
+`;
+
+/**
+ * Error in the command line; the message is shown with the usage text
+ */
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UsageError";
+  }
+}
+
+/**
+ * Parse the arguments after the program name
+ *
+ * @param {string[]} args - e.g. ["build", "cvs/", "--out", "site"]
+ * @returns {Object} { command, inputs, out, theme, format, cv, ai, redact, verbose, help }
+ */
+function parseArgs(args) {
+  const options = { command: null, inputs: [], out: "site", theme: null, format: "html", cv: null, ai: true, redact: null, verbose: false, help: false };
+  const valueOf = (flag, i) => {
+    if (i + 1 >= args.length || args[i + 1].startsWith("--")) throw new UsageError(`${flag} needs a value`);
+    return args[i + 1];
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    // --name=value is the same as --name value
+    const [flag, inline] = arg.startsWith("--") && arg.includes("=") ? [arg.slice(0, arg.indexOf("=")), arg.slice(arg.indexOf("=") + 1)] : [arg, null];
+    const take = () => (inline !== null ? inline : valueOf(flag, i++));
+    switch (flag) {
+      case "-h":
+      case "--help": options.help = true; break;
+      case "--out": options.out = take(); break;
+      case "--theme": options.theme = take(); break;
+      case "--format": options.format = take(); break;
+      case "--cv": options.cv = take(); break;
+      case "--no-ai": options.ai = false; break;
+      case "--redact": options.redact = true; break;
+      case "--verbose": options.verbose = true; break;
+      default:
+        if (flag.startsWith("-")) throw new UsageError(`Unknown option: ${flag}`);
+        if (!options.command) options.command = arg;
+        else options.inputs.push(arg);
+    }
+  }
+
+  if (options.help) return options;
+  if (options.command !== "build") throw new UsageError(options.command ? `Unknown command: ${options.command}` : "Missing command");
+  if (options.inputs.length === 0) throw new UsageError("No resume files or directories given");
+  if (!FORMATS.includes(options.format)) throw new UsageError(`--format must be one of: ${FORMATS.join(", ")}`);
+  if (options.cv && !CV_LENGTHS[options.cv]) throw new UsageError(`--cv must be one of: ${Object.keys(CV_LENGTHS).join(", ")}`);
+  if (options.theme && !THEMES[options.theme]) throw new UsageError(`Unknown theme: ${options.theme} (available: ${Object.keys(THEMES).join(", ")})`);
+  return options;
+}
+
+/**
+ * Expand the inputs into resume files; directories contribute the resume files they contain
+ *
+ * @param {string[]} inputs - Files and directories
+ * @returns {Object} { files, missing } - missing inputs are reported as failures
+ */
+function collectResumes(inputs) {
+  const files = [];
+  const missing = [];
+  for (const input of inputs) {
+    if (!fs.existsSync(input)) {
+      missing.push(input);
+    } else if (fs.statSync(input).isDirectory()) {
+      files.push(...fs.readdirSync(input)
+        .filter(name => RESUME_EXTENSIONS.has(path.extname(name).toLowerCase()))
+        .sort()
+        .map(name => path.join(input, name)));
+    } else {
+      files.push(input);
+    }
+  }
+  return { files, missing };
+}
+
+// Helper: output directory name for a resume, unique within the run ("Jane Doe CV.pdf" -> "jane-doe-cv")
+function siteName(file, used) {
+  const base = path.basename(file, path.extname(file))
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "") || "resume";
+  let name = base;
+  for (let n = 2; used.has(name); n++) name = `${base}-${n}`;
+  used.add(name);
+  return name;
+}
+
+/**
+ * Parse one resume and write its output directory
+ *
+ * @param {string} file - Resume path
+ * @param {string} dir - Output directory for this resume
+ * @param {Object} options - { theme, format, cv, llm, dictionary, redact, logger }
+ * @returns {Promise<Object>} { warnings } from the parse
+ */
+async function buildOne(file, dir, { theme, format, cv, llm, dictionary, redact, logger }) {
+  const { portfolio, warnings } = await parseResume({ filepath: file, originalFilename: path.basename(file) }, null, { llm, dictionary, redact, logger });
+  if (theme) portfolio.theme = theme;
+  if (cv) portfolio.cv = { length: cv };
+
+  const json = { "portfolio.json": JSON.stringify(portfolio, null, 2) };
+  const files = format === "json" ? json
+    : format === "latex" ? { ...json, "cv.tex": toLatexCv(portfolio) }
+    : await buildStaticSite(portfolio);
+  for (const [name, contents] of Object.entries(files)) {
+    const target = path.join(dir, name);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, contents);
+  }
+  return { warnings };
+}
+
+/**
+ * Run the CLI
+ *
+ * @param {string[]} args - Arguments after the program name
+ * @param {Object} [io] - { env, stdout, stderr } (default: the process's)
+ * @returns {Promise<number>} Exit code: 0 if every resume was built, 1 if any failed, 2 for usage or configuration errors
+ */
+async function run(args, { env = process.env, stdout = process.stdout, stderr = process.stderr } = {}) {
+  let options;
+  try {
+    options = parseArgs(args);
+  } catch (e) {
+    if (!(e instanceof UsageError)) throw e;
+    stderr.write(`${e.message}\n\n${USAGE}`);
+    return 2;
+  }
+  if (options.help) {
+    stdout.write(USAGE);
+    return 0;
+  }
+
+  // A bad LLM_PROVIDER or section language setting is reported like a usage error, not as a stack trace
+  let llm, dictionary;
+  try {
+    llm = options.ai ? createLLMProvider(env) : null;
+    dictionary = loadSectionDictionary(env);
+  } catch (e) {
+    stderr.write(`${e.message}\n`);
+    return 2;
+  }
+  const redact = options.redact ?? env.REDACT_PII === "true";
+  const quiet = { log() {}, error() {} };
+  const logger = options.verbose ? console : quiet;
+  const { files, missing } = collectResumes(options.inputs);
+  const failures = missing.map(input => ({ file: input, error: "File or directory not found" }));
+
+  stdout.write(`Building ${files.length} resume${files.length === 1 ? "" : "s"} into ${options.out}/ (${llm ? `${llm.name}, ${llm.model}${redact ? ", personal details hidden" : ""}` : "rule-based parsing only"})\n`);
+
+  const used = new Set();
+  let built = 0;
+  for (const file of files) {
+    const dir = path.join(options.out, siteName(file, used));
+    try {
+      const { warnings } = await buildOne(file, dir, { ...options, llm, dictionary, redact, logger });
+      built++;
+      stdout.write(`  ok      ${file} -> ${dir}${warnings.length > 0 ? ` (${warnings.length} warning${warnings.length === 1 ? "" : "s"})` : ""}\n`);
+    } catch (e) {
+      failures.push({ file, error: e.message });
+      stdout.write(`  FAILED  ${file}: ${e.message}\n`);
+    }
+  }
+
+  stdout.write(`\nBuilt ${built} of ${files.length + missing.length}.\n`);
+  if (failures.length > 0) {
+    stderr.write(`${failures.length} failed:\n${failures.map(failure => `  ${failure.file}: ${failure.error}\n`).join("")}`);
+    return 1;
+  }
+  return 0;
+}
+
+export { run, parseArgs, collectResumes, UsageError };
@@ -0,0 +1,503 @@
+/**
+ * Website Generator - Static Site Export
+ *
+ * Renders an academic portfolio JSON into a self-contained static website
+ * (index.html + compiled Tailwind CSS) that can be published on GitHub Pages
+ * or any plain web host. The markup mirrors src/PortfolioView.jsx, using the
+ * portfolio's theme from shared/themes.js.
+ *
+ * Group sites (shared/group.js) get a home page with news and projects, a
+ * people page, a merged publication list and every member's portfolio under
+ * people/<name>/, mirroring src/GroupView.jsx.
+ *
+ * Every page carries search engine metadata from shared/seo.js, and sites get
+ * a robots.txt, plus a sitemap.xml once the site's address (site_url) is set.
+ */
+
+import fs from "fs";
+import { createRequire } from "module";
+import path from "path";
+import { fileURLToPath } from "url";
+import archiver from "archiver";
+import autoprefixer from "autoprefixer";
+import postcss from "postcss";
+import tailwindcss from "tailwindcss";
+import { formatCitation, citationLinks } from "../shared/citations.js";
+import { toBibtex } from "../shared/bibtex.js";
+import { getDisplayData, publicPortfolio } from "../shared/portfolio.js";
+import { getTheme } from "../shared/themes.js";
+import { GROUP_PAGES, getGroupDisplayData } from "../shared/group.js";
+import { normalizeSiteUrl, getPortfolioMetadata, getGroupMetadata, metaTags, jsonLdText, buildSitemap, buildRobotsTxt } from "../shared/seo.js";
+
+const require = createRequire(import.meta.url);
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const tailwindConfig = require(path.join(ROOT_DIR, "tailwind.config.cjs"));
+
+/**
+ * Escape a value for safe inclusion in HTML text or attribute content
+ *
+ * @param {*} value - Value to escape (non-strings are stringified)
+ * @returns {string} Escaped string
+ */
+function escapeHtml(value) {
+  if (value == null) return "";
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// Helper: join non-empty class names
+function cx(...names) {
+  return names.filter(Boolean).join(" ");
+}
+
+// Helper: render a titled section, matching the Section component in PortfolioView.jsx
+function section(title, body, t) {
+  return `
+      <section class="${t.section}">
+        <h2 class="${t.sectionTitle}">${escapeHtml(title)}</h2>
+        ${body}
+      </section>`;
+}
+
+// Helper: render a dated entry card, matching the Entry component in PortfolioView.jsx
+function entry({ title, subtitle, location, dates }, body, t) {
+  return `
+        <div class="${t.card}">
+          <div class="flex flex-col sm:flex-row sm:justify-between sm:items-start mb-2 gap-1">
+            <div>
+              <h3 class="${t.entryTitle}">${escapeHtml(title)}</h3>
+              ${subtitle ? `<p class="${t.entrySubtitle}">${escapeHtml(subtitle)}</p>` : ""}
+              ${location ? `<p class="${t.meta}">${escapeHtml(location)}</p>` : ""}
+            </div>
+            ${dates ? `<span class="${cx(t.meta, "sm:text-right")}">${escapeHtml(dates)}</span>` : ""}
+          </div>
+          ${body}
+        </div>`;
+}
+
+function renderInterests(view, t) {
+  if (!view.researchInterests) return "";
+  return section("Research Interests", `<div class="${t.callout}">
+          <p class="${cx(t.text, "leading-relaxed break-words whitespace-pre-line")}">${escapeHtml(view.researchInterests)}</p>
+        </div>`, t);
+}
+
+function renderPositions(view, t) {
+  if (view.positions.length === 0) return "";
+  return section("Positions / Appointments", `<div class="${t.list}">${view.positions.map(position => entry({ ...position, subtitle: position.organization }, `
+          ${position.summary ? `<p class="${cx(t.text, "mb-3 break-words whitespace-pre-line")}">${escapeHtml(position.summary)}</p>` : ""}
+          ${Array.isArray(position.highlights) && position.highlights.length > 0 ? `
+          <ul class="${cx("list-disc list-inside", t.text, "space-y-1")}">
+            ${position.highlights.map(h => `<li class="break-words">${escapeHtml(h)}</li>`).join("\n            ")}
+          </ul>` : ""}`, t)).join("")}
+        </div>`, t);
+}
+
+function renderProjects(view, t) {
+  if (view.projects.length === 0) return "";
+  return section("Projects", `<div class="${t.list}">${view.projects.map(project => entry(project, `
+          ${project.description ? `<p class="${cx(t.text, "break-words whitespace-pre-line")}">${escapeHtml(project.description)}</p>` : ""}
+          ${project.url ? `<a href="${escapeHtml(project.url)}" class="${cx(t.link, "text-sm break-all")}">${escapeHtml(project.url)}</a>` : ""}`, t)).join("")}
+        </div>`, t);
+}
+
+// Helper: render citation segments from shared/citations.js as HTML
+function renderCitation(pub, style, ownerName) {
+  return formatCitation(pub, style, ownerName).map(segment => {
+    if (segment.highlight) return `<span class="font-semibold underline decoration-gray-400">${escapeHtml(segment.text)}</span>`;
+    if (segment.emphasis === "italic") return `<em>${escapeHtml(segment.text)}</em>`;
+    return escapeHtml(segment.text);
+  }).join("");
+}
+
+function renderPublications(view, t, data) {
+  if (view.publications.length === 0) return "";
+  return section("Publications", `<div class="${t.list}">${view.publications.map(pub => `
+        <div class="${t.card}">
+          <p class="${cx(t.text, "leading-relaxed break-words")}">${renderCitation(pub, data.citation_style, view.profile.name)}</p>
+          ${citationLinks(pub).length > 0 ? `<div class="flex flex-wrap gap-2 mt-3 text-xs">
+            ${citationLinks(pub).map(link => `<a href="${escapeHtml(link.url)}" class="${t.badge}">${escapeHtml(link.label)}</a>`).join("\n            ")}
+          </div>` : ""}
+          <details class="${cx("mt-2 text-xs", t.meta)}">
+            <summary class="cursor-pointer">BibTeX</summary>
+            <pre class="${cx("mt-2 p-3 rounded overflow-x-auto", t.code)}">${escapeHtml(toBibtex(pub))}</pre>
+          </details>
+        </div>`).join("")}
+        </div>`, t);
+}
+
+function renderTalks(view, t) {
+  if (view.talks.length === 0) return "";
+  return section("Talks", `<div class="${t.list}">${view.talks.map(talk => entry({ title: talk.title, subtitle: talk.event, location: talk.location, dates: talk.date }, "", t)).join("")}
+        </div>`, t);
+}
+
+function renderTeaching(view, t) {
+  if (view.teaching.length === 0) return "";
+  return section("Teaching", `<div class="${t.list}">${view.teaching.map(item => entry({ title: item.course || item.role, subtitle: item.course ? item.role : "", location: item.institution, dates: item.dates }, "", t)).join("")}
+        </div>`, t);
+}
+
+function renderEducation(view, t) {
+  if (view.education.length === 0) return "";
+  return section("Education", `<div class="${t.list}">${view.education.map(edu => entry({ title: edu.degree, subtitle: edu.institution, location: edu.location, dates: edu.dates }, `
+          ${edu.honors ? `<p class="${cx(t.text, "text-sm italic")}">${escapeHtml(edu.honors)}</p>` : ""}`, t)).join("")}
+        </div>`, t);
+}
+
+function renderAwards(view, t) {
+  if (view.awards.length === 0) return "";
+  return section("Honors & Awards", `<div class="${t.list}">${view.awards.map(award => `
+        <div class="${t.compactCard}">
+          <h3 class="${cx(t.entryTitle, "text-sm")}">${escapeHtml(award.title)}</h3>
+          ${award.organization ? `<p class="${cx(t.text, "text-sm")}">${escapeHtml(award.organization)}</p>` : ""}
+          ${award.year ? `<p class="${t.meta}">${escapeHtml(award.year)}</p>` : ""}
+        </div>`).join("")}
+        </div>`, t);
+}
+
+function renderService(view, t) {
+  if (view.service.length === 0) return "";
+  return section("Service", `<div class="${t.list}">${view.service.map(item => `
+        <div class="${t.compactCard}">
+          <h3 class="${cx(t.entryTitle, "text-sm")}">${escapeHtml(item.role)}</h3>
+          ${item.organization ? `<p class="${cx(t.text, "text-sm")}">${escapeHtml(item.organization)}</p>` : ""}
+          ${item.dates ? `<p class="${t.meta}">${escapeHtml(item.dates)}</p>` : ""}
+        </div>`).join("")}
+        </div>`, t);
+}
+
+function renderSkills(view, t) {
+  const categories = Object.entries(view.skillsByCategory);
+  if (categories.length === 0) return "";
+  return section("Skills", `<div class="${t.list}">${categories.map(([category, skillList]) => `
+        <div class="${t.compactCard}">
+          <h3 class="${cx(t.entryTitle, "text-sm mb-2")}">${escapeHtml(category)}</h3>
+          <div class="flex flex-wrap gap-2">
+            ${skillList.map(skill => `<span class="${t.chip}">${escapeHtml(skill)}</span>`).join("\n            ")}
+          </div>
+        </div>`).join("")}
+        </div>`, t);
+}
+
+function renderContact(view, t) {
+  const { profile } = view;
+  if (!profile.email && !profile.phone && !profile.location) return "";
+  return section("Contact", `<div class="${t.card}">
+          <div class="${cx("space-y-2 text-sm", t.text)}">
+            ${profile.email ? `<p><span class="font-medium">Email:</span> <a href="mailto:${escapeHtml(profile.email)}" class="${t.link}">${escapeHtml(profile.email)}</a></p>` : ""}
+            ${profile.phone ? `<p><span class="font-medium">Phone:</span> ${escapeHtml(profile.phone)}</p>` : ""}
+            ${profile.location ? `<p><span class="font-medium">Location:</span> ${escapeHtml(profile.location)}</p>` : ""}
+          </div>
+        </div>`, t);
+}
+
+// Section renderers keyed by the section IDs used in shared/themes.js
+const SECTION_RENDERERS = {
+  interests: renderInterests,
+  positions: renderPositions,
+  projects: renderProjects,
+  publications: renderPublications,
+  talks: renderTalks,
+  teaching: renderTeaching,
+  education: renderEducation,
+  awards: renderAwards,
+  service: renderService,
+  skills: renderSkills,
+  contact: renderContact,
+};
+
+function renderSections(keys, view, t, data) {
+  return (keys || [])
+    .map(key => SECTION_RENDERERS[key]?.(view, t, data))
+    .filter(Boolean)
+    .join("\n");
+}
+
+function renderHeader(view, t, separator) {
+  const { profile, socialLinks } = view;
+  const prefix = separator ? "• " : "";
+  return `
+      <header class="${t.header}">
+        <h1 class="${t.name}">${escapeHtml(profile.name || "Academic Portfolio")}</h1>
+        ${profile.location ? `<p class="${t.location}">${escapeHtml(profile.location)}</p>` : ""}
+        ${profile.summary ? `<p class="${t.summary}">${escapeHtml(profile.summary)}</p>` : ""}
+        <div class="${t.contactRow}">
+          ${profile.email ? `<span>${escapeHtml(profile.email)}</span>` : ""}
+          ${profile.phone ? `<span>${prefix}${escapeHtml(profile.phone)}</span>` : ""}
+          ${socialLinks.map(link => `<span>${prefix}<a href="${escapeHtml(link.url)}" class="${t.link}">${escapeHtml(link.platform)}</a></span>`).join("\n          ")}
+        </div>
+      </header>`;
+}
+
+/**
+ * Render the portfolio body markup (everything inside <body>)
+ *
+ * @param {Object} data - Academic portfolio JSON as returned by /api/parse
+ * @returns {string} HTML markup
+ */
+function renderPortfolioBody(data) {
+  const theme = getTheme(data.theme);
+  const t = theme.classes;
+  const view = getDisplayData(data);
+  const main = renderSections(theme.sections.main, view, t, data);
+  const side = renderSections(theme.sections.side, view, t, data);
+
+  if (theme.layout === "sidebar") {
+    return `
+  <div class="${t.page}">
+    <div class="${t.container}">
+      <aside class="${t.aside}">${renderHeader(view, t)}
+        <div class="${t.side}">${side}
+        </div>
+      </aside>
+      <main class="${t.main}">${main}
+      </main>
+    </div>
+  </div>`;
+  }
+
+  if (theme.layout === "single") {
+    return `
+  <div class="${t.page}">
+    <div class="${t.container}">${renderHeader(view, t)}
+      <main class="${t.main}">${main}
+      </main>
+    </div>
+  </div>`;
+  }
+
+  return `
+  <div class="${t.page}">
+    <div class="${t.container}">${renderHeader(view, t, theme.id === "classic")}
+      <div class="${t.columns}">
+        <div class="${t.main}">${main}
+        </div>
+        <div class="${t.side}">${side}
+        </div>
+      </div>
+    </div>
+  </div>`;
+}
+
+// Helper: <head> elements for a page's metadata (shared/seo.js): title, meta tags, canonical link and JSON-LD
+function renderHeadMetadata(meta) {
+  return [
+    `<title>${escapeHtml(meta.title)}</title>`,
+    ...metaTags(meta).map(tag => `<meta ${tag.attribute}="${escapeHtml(tag.key)}" content="${escapeHtml(tag.content)}" />`),
+    meta.url ? `<link rel="canonical" href="${escapeHtml(meta.url)}" />` : "",
+    `<script type="application/ld+json">${jsonLdText(meta.jsonLd)}</script>`,
+  ].filter(Boolean).join("\n  ");
+}
+
+/**
+ * Render a complete index.html document for the portfolio
+ *
+ * @param {Object} data - Academic portfolio JSON
+ * @param {Object} options - { stylesheet: href of the CSS file,
+ *   url: address the page is published at (default: the portfolio's site_url) }
+ * @returns {string} HTML document
+ */
+function renderPortfolioHtml(data, { stylesheet = "assets/styles.css", url } = {}) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+  ${renderHeadMetadata(getPortfolioMetadata(data, { url }))}
+  <link rel="stylesheet" href="${escapeHtml(stylesheet)}" />
+</head>
+<body>${renderPortfolioBody(data)}
+</body>
+</html>
+`;
+}
+
+/**
+ * Compile Tailwind CSS containing only the utilities used by the given markup
+ *
+ * @param {string} html - Markup to scan for class names
+ * @returns {Promise<string>} Compiled CSS
+ */
+async function buildSiteCss(html) {
+  const input = fs.readFileSync(path.join(ROOT_DIR, "src", "index.css"), "utf8");
+  const result = await postcss([
+    tailwindcss({ ...tailwindConfig, content: [{ raw: html, extension: "html" }] }),
+    autoprefixer,
+  ]).process(input, { from: undefined });
+  return result.css;
+}
+
+/**
+ * Build all files of the static site
+ *
+ * @param {Object} data - Academic portfolio JSON
+ * @returns {Promise<Object>} Map of relative file path to file contents
+ */
+async function buildStaticSite(data) {
+  const html = renderPortfolioHtml(data);
+  const css = await buildSiteCss(html);
+  const siteUrl = normalizeSiteUrl(data.site_url);
+  return {
+    "index.html": html,
+    "assets/styles.css": css,
+    "portfolio.json": JSON.stringify(publicPortfolio(data), null, 2),
+    "robots.txt": buildRobotsTxt(siteUrl),
+    ...(siteUrl && { "sitemap.xml": buildSitemap([siteUrl]) }),
+  };
+}
+
+// Helper: page container for group pages; one column in every theme
+const GROUP_CONTAINER = "max-w-5xl mx-auto px-6 py-16";
+
+function renderGroupHeader(view, t, page, root) {
+  return `
+      <header class="${t.header}">
+        <h1 class="${t.name}">${escapeHtml(view.name)}</h1>
+        ${view.description ? `<p class="${cx(t.summary, "whitespace-pre-line")}">${escapeHtml(view.description)}</p>` : ""}
+        <nav class="text-sm space-x-4">
+          ${GROUP_PAGES.map(p => `<a href="${root}${p.path}index.html" class="${cx(t.link, p.id === page && "font-semibold")}">${p.title}</a>`).join("\n          ")}
+        </nav>
+      </header>`;
+}
+
+function renderGroupHome(view, t) {
+  const news = view.news.length === 0 ? "" : section("News", `<div class="${t.list}">${view.news.map(item => `
+        <div class="${t.compactCard}">
+          ${item.date ? `<p class="${t.meta}">${escapeHtml(item.date)}</p>` : ""}
+          ${item.title ? `<h3 class="${t.entryTitle}">${item.url ? `<a href="${escapeHtml(item.url)}" class="${t.link}">${escapeHtml(item.title)}</a>` : escapeHtml(item.title)}</h3>` : ""}
+          ${item.text ? `<p class="${cx(t.text, "break-words whitespace-pre-line")}">${escapeHtml(item.text)}</p>` : ""}
+        </div>`).join("")}
+        </div>`, t);
+  const projects = view.projects.length === 0 ? "" : section("Projects", `<div class="${t.list}">${view.projects.map(project => `
+        <div class="${t.card}">
+          <h3 class="${cx(t.entryTitle, "mb-2")}">${escapeHtml(project.title)}</h3>
+          ${project.description ? `<p class="${cx(t.text, "break-words whitespace-pre-line")}">${escapeHtml(project.description)}</p>` : ""}
+          ${project.url ? `<a href="${escapeHtml(project.url)}" class="${cx(t.link, "text-sm")}">${escapeHtml(project.url)}</a>` : ""}
+        </div>`).join("")}
+        </div>`, t);
+  return news + projects;
+}
+
+function renderGroupPeople(view, t, root) {
+  if (view.people.length === 0) return "";
+  return section("People", `<div class="grid grid-cols-1 sm:grid-cols-2 gap-6">${view.people.map(person => `
+        <div class="${t.card}">
+          <h3 class="${t.entryTitle}"><a href="${root}people/${person.slug}/index.html" class="${t.link}">${escapeHtml(person.name)}</a></h3>
+          ${person.role || person.title ? `<p class="${t.entrySubtitle}">${escapeHtml(person.role || person.title)}</p>` : ""}
+          ${person.organization ? `<p class="${t.meta}">${escapeHtml(person.organization)}</p>` : ""}
+          ${person.summary ? `<p class="${cx(t.text, "text-sm mt-2 line-clamp-3")}">${escapeHtml(person.summary)}</p>` : ""}
+          ${person.email ? `<p class="${cx(t.meta, "mt-2")}"><a href="mailto:${escapeHtml(person.email)}" class="${t.link}">${escapeHtml(person.email)}</a></p>` : ""}
+        </div>`).join("")}
+        </div>`, t);
+}
+
+function renderGroupPublications(view, t, group) {
+  if (view.publications.length === 0) return "";
+  const names = Object.fromEntries(view.people.map(person => [person.id, person.name]));
+  return section("Publications", `<div class="${t.list}">${view.publications.map(pub => `
+        <div class="${t.card}">
+          <p class="${cx(t.text, "leading-relaxed break-words")}">${renderCitation(pub, group.citation_style, view.memberNames)}</p>
+          <p class="${cx(t.meta, "mt-2")}">Listed by ${escapeHtml(pub.memberIds.map(id => names[id]).join(", "))}</p>
+          ${citationLinks(pub).length > 0 ? `<div class="flex flex-wrap gap-2 mt-3 text-xs">
+            ${citationLinks(pub).map(link => `<a href="${escapeHtml(link.url)}" class="${t.badge}">${escapeHtml(link.label)}</a>`).join("\n            ")}
+          </div>` : ""}
+          <details class="${cx("mt-2 text-xs", t.meta)}">
+            <summary class="cursor-pointer">BibTeX</summary>
+            <pre class="${cx("mt-2 p-3 rounded overflow-x-auto", t.code)}">${escapeHtml(toBibtex(pub))}</pre>
+          </details>
+        </div>`).join("")}
+        </div>`, t);
+}
+
+/**
+ * Render one page of a group site as a complete HTML document
+ *
+ * @param {Object} group - Group object (shared/group.js)
+ * @param {Object} portfolios - Map from portfolio ID to the member's portfolio JSON
+ * @param {string} page - "home", "people" or "publications"
+ * @returns {string} HTML document
+ */
+function renderGroupPageHtml(group, portfolios, page) {
+  const t = getTheme(group.theme).classes;
+  const view = getGroupDisplayData(group, portfolios);
+  const root = GROUP_PAGES.find(p => p.id === page).path ? "../" : "";
+  const body = page === "people" ? renderGroupPeople(view, t, root)
+    : page === "publications" ? renderGroupPublications(view, t, group)
+    : renderGroupHome(view, t);
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+  ${renderHeadMetadata(getGroupMetadata(group, portfolios, page))}
+  <link rel="stylesheet" href="${root}assets/styles.css" />
+</head>
+<body>
+  <div class="${t.page}">
+    <div class="${GROUP_CONTAINER}">${renderGroupHeader(view, t, page, root)}
+      <main class="space-y-12">${body}
+      </main>
+    </div>
+  </div>
+</body>
+</html>
+`;
+}
+
+/**
+ * Build all files of a group site: the group pages, every member's portfolio and one stylesheet
+ *
+ * @param {Object} group - Group object (shared/group.js)
+ * @param {Object} portfolios - Map from portfolio ID to the member's portfolio JSON
+ * @returns {Promise<Object>} Map of relative file path to file contents
+ */
+async function buildGroupSite(group, portfolios) {
+  const files = {};
+  const siteUrl = normalizeSiteUrl(group.site_url);
+  const pages = GROUP_PAGES.map(page => page.path);
+  for (const page of GROUP_PAGES) {
+    files[`${page.path}index.html`] = renderGroupPageHtml(group, portfolios, page.id);
+  }
+  for (const person of getGroupDisplayData(group, portfolios).people) {
+    const dir = `people/${person.slug}/`;
+    pages.push(dir);
+    // A member's own site stays the canonical address of their portfolio
+    const url = person.portfolio.site_url || (siteUrl && `${siteUrl}${dir}`);
+    files[`${dir}index.html`] = renderPortfolioHtml(person.portfolio, { stylesheet: "../../assets/styles.css", url });
+  }
+  files["assets/styles.css"] = await buildSiteCss(Object.values(files).join("\n"));
+  const published = Object.fromEntries(Object.entries(portfolios).map(([id, portfolio]) => [id, publicPortfolio(portfolio)]));
+  files["group.json"] = JSON.stringify({ group, portfolios: published }, null, 2);
+  files["robots.txt"] = buildRobotsTxt(siteUrl);
+  if (siteUrl) files["sitemap.xml"] = buildSitemap(pages.map(page => `${siteUrl}${page}`));
+  return files;
+}
+
+/**
+ * Stream a zip archive of the site files to a writable stream
+ *
+ * @param {Object} files - Map of relative file path to contents (from buildStaticSite)
+ * @param {stream.Writable} output - Destination stream (e.g. an Express response)
+ * @returns {Promise<void>} Resolves once the archive has been finalized
+ */
+function writeSiteZip(files, output) {
+  const archive = archiver("zip", { zlib: { level: 9 } });
+  const done = new Promise((resolve, reject) => {
+    output.on("close", resolve);
+    output.on("finish", resolve);
+    archive.on("error", reject);
+  });
+  archive.pipe(output);
+  for (const [name, contents] of Object.entries(files)) {
+    archive.append(contents, { name });
+  }
+  archive.finalize();
+  return done;
+}
+
+export { escapeHtml, renderPortfolioHtml, buildSiteCss, buildStaticSite, renderGroupPageHtml, buildGroupSite, writeSiteZip };
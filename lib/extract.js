@@ -0,0 +1,194 @@
+/**
+ * Website Generator - Resume Text Extraction
+ *
+ * Detects the type of an uploaded resume (PDF, DOCX, Markdown or plain text)
+ * and extracts its text, plus any profile links, so every format feeds the same
+ * section parsing pipeline. PDFs go through the layout-aware extractor in
+ * lib/pdflayout.js.
+ */
+
+import fs from "fs";
+import path from "path";
+import mammoth from "mammoth";
+import { extractPdfLayout } from "./pdflayout.js";
+
+const SUPPORTED_FORMATS = "PDF, DOCX, TXT or Markdown";
+
+const MARKDOWN_EXTENSIONS = [".md", ".markdown"];
+const TEXT_EXTENSIONS = [".txt", ".text"];
+
+// Profile links recognized by host, in the order they are listed in profile.social
+const SOCIAL_PLATFORMS = [
+  { platform: "LinkedIn", pattern: /(^|\.)linkedin\.com$/ },
+  { platform: "GitHub", pattern: /(^|\.)github\.com$/ },
+  { platform: "Google Scholar", pattern: /^scholar\.google\./ },
+  { platform: "ORCID", pattern: /(^|\.)orcid\.org$/ },
+  { platform: "ResearchGate", pattern: /(^|\.)researchgate\.net$/ },
+  { platform: "Twitter", pattern: /(^|\.)(twitter|x)\.com$/ },
+  { platform: "GitLab", pattern: /(^|\.)gitlab\.com$/ },
+];
+
+/**
+ * Error raised when an upload is not one of the supported resume formats
+ */
+class UnsupportedFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UnsupportedFormatError";
+  }
+}
+
+/**
+ * Error raised when an upload is over a configured limit, e.g. a PDF with too many pages
+ */
+class UploadLimitError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UploadLimitError";
+  }
+}
+
+// Helper: whether a buffer looks like text rather than binary data (no control characters or invalid UTF-8)
+function looksLikeText(buffer) {
+  return !/[\u0000-\u0008\u000E-\u001F\uFFFD]/.test(buffer.subarray(0, 4096).toString("utf8"));
+}
+
+/**
+ * Detect the resume format from magic bytes, file extension and MIME type
+ * The contents decide: a file named .pdf or .docx must start with that format's magic bytes,
+ * and text and Markdown files must not contain binary data.
+ *
+ * @param {Buffer} buffer - File contents
+ * @param {Object} fileInfo - { mimetype, originalFilename } as provided by formidable
+ * @returns {string} One of "pdf", "docx", "markdown", "text"
+ */
+function detectFormat(buffer, { mimetype = "", originalFilename = "" } = {}) {
+  const ext = path.extname(originalFilename || "").toLowerCase();
+
+  if (buffer.subarray(0, 5).toString("latin1") === "%PDF-") return "pdf";
+  // DOCX files are zip archives ("PK\x03\x04")
+  if (buffer.subarray(0, 4).toString("latin1") === "PK\x03\x04") {
+    if (ext === ".docx" || mimetype.includes("wordprocessingml")) return "docx";
+    throw new UnsupportedFormatError(`Unsupported archive upload. Please upload a ${SUPPORTED_FORMATS} file.`);
+  }
+  if (ext === ".pdf" || mimetype === "application/pdf") {
+    throw new UnsupportedFormatError("The file is named as a PDF but is not a valid PDF document.");
+  }
+  if (ext === ".docx" || mimetype.includes("wordprocessingml")) {
+    throw new UnsupportedFormatError("The file is named as a Word document but is not a valid DOCX file.");
+  }
+
+  // Everything else must be text, whatever its name or MIME type says
+  if (!looksLikeText(buffer)) {
+    throw new UnsupportedFormatError(`Unsupported file type. Please upload a ${SUPPORTED_FORMATS} file.`);
+  }
+  if (MARKDOWN_EXTENSIONS.includes(ext) || mimetype === "text/markdown") return "markdown";
+  return "text";
+}
+
+/**
+ * Remove Markdown syntax, leaving the readable text (headings keep their own line)
+ *
+ * @param {string} markdown - Markdown source
+ * @returns {string} Plain text
+ */
+function stripMarkdown(markdown) {
+  return markdown
+    .split("\n")
+    .filter(line => !/^\s*(=+|-{3,}|\*{3,}|_{3,})\s*$/.test(line))
+    .map(line => line
+      .replace(/^\s{0,3}#{1,6}\s+/, "")
+      .replace(/\s+#+\s*$/, "")
+      .replace(/^\s*>\s?/, "")
+      .replace(/!\[([^\]]*)\]\([^)]*\)/g, "$1")
+      .replace(/\[([^\]]+)\]\(([^)]+)\)/g, "$1 ($2)")
+      .replace(/(\*\*|__)(.+?)\1/g, "$2")
+      .replace(/(^|[^\w*])[*_]([^*_\s][^*_]*?)[*_](?=[^\w*]|$)/g, "$1$2")
+      .replace(/`([^`]+)`/g, "$1"))
+    .join("\n");
+}
+
+/**
+ * Find URLs written out in resume text, e.g. "github.com/jdoe" or "https://jdoe.dev"
+ *
+ * @param {string} text - Resume text
+ * @returns {string[]} Absolute URLs
+ */
+function findUrls(text) {
+  const matches = text.match(/\b(?:https?:\/\/|www\.)[^\s<>()|,]+|\b(?:linkedin\.com|github\.com|gitlab\.com|orcid\.org|scholar\.google\.com)\/[^\s<>()|,]+/gi) || [];
+  return matches
+    .map(url => url.replace(/[.;:!?'"\]]+$/, ""))
+    .map(url => (/^https?:\/\//i.test(url) ? url : `https://${url}`));
+}
+
+/**
+ * Turn profile URLs into profile.social links, naming well-known platforms
+ * Other web links count as a personal website; mailto: and duplicates are dropped.
+ *
+ * @param {string[]} urls - URLs from findUrls or PDF link annotations
+ * @returns {Array} [{ platform, url }]
+ */
+function toSocialLinks(urls) {
+  const seen = new Set();
+  const links = [];
+  for (const url of urls) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (e) {
+      continue;
+    }
+    if (!/^https?:$/.test(parsed.protocol)) continue;
+    const key = `${parsed.hostname.replace(/^www\./, "")}${parsed.pathname.replace(/\/$/, "")}${parsed.search}`.toLowerCase();
+    if (seen.has(key)) continue;
+    seen.add(key);
+    const host = parsed.hostname.toLowerCase().replace(/^www\./, "");
+    const known = SOCIAL_PLATFORMS.find(({ pattern }) => pattern.test(host));
+    // The parsed form is stored: it is percent-encoded and its scheme has been checked
+    links.push({ platform: known ? known.platform : "Website", url: parsed.href });
+  }
+  return links;
+}
+
+/**
+ * Extract text from an uploaded resume file
+ *
+ * @param {string} filepath - Path of the uploaded file
+ * @param {Object} fileInfo - { mimetype, originalFilename } as provided by formidable
+ * @param {Object} [limits] - { maxPages }: longest PDF accepted (default: no limit)
+ * @returns {Promise<Object>} { format, text, markdown, links }
+ *   markdown - Markdown source, or for PDFs the text with detected headings marked up (absent otherwise)
+ *   links    - URLs from PDF hyperlinks and URLs written in the text
+ */
+async function extractResumeText(filepath, fileInfo = {}, { maxPages = Infinity } = {}) {
+  const buffer = fs.readFileSync(filepath);
+  const format = detectFormat(buffer, fileInfo);
+
+  switch (format) {
+    case "pdf": {
+      // Copy into a dedicated ArrayBuffer: pdf.js reads buffer.buffer, which for small
+      // files is Node's shared allocation pool rather than the file contents
+      const layout = await extractPdfLayout(new Uint8Array(buffer), { maxPages });
+      if (layout.pageCount > maxPages) {
+        throw new UploadLimitError(`The PDF has ${layout.pageCount} pages; at most ${maxPages} are accepted.`);
+      }
+      const links = [...layout.links.map(link => link.url), ...findUrls(layout.text)];
+      return { format, text: layout.text, ...(layout.markdown && { markdown: layout.markdown }), links };
+    }
+    case "docx": {
+      const result = await mammoth.extractRawText({ buffer });
+      return { format, text: result.value, links: findUrls(result.value) };
+    }
+    case "markdown": {
+      const markdown = buffer.toString("utf8").replace(/\r\n?/g, "\n");
+      const text = stripMarkdown(markdown);
+      return { format, text, markdown, links: findUrls(text) };
+    }
+    default: {
+      const text = buffer.toString("utf8").replace(/\r\n?/g, "\n");
+      return { format, text, links: findUrls(text) };
+    }
+  }
+}
+
+export { extractResumeText, detectFormat, looksLikeText, stripMarkdown, findUrls, toSocialLinks, UnsupportedFormatError, UploadLimitError };
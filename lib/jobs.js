@@ -0,0 +1,102 @@
+/**
+ * Website Generator - Background Jobs
+ *
+ * In-memory registry for long-running work (resume parsing). A job records
+ * every event it emits so a client that connects late, or reconnects, can
+ * replay the progress so far and then follow new events over Server-Sent Events.
+ *
+ * Events are { event, data } pairs. A job ends with exactly one of the
+ * terminal events "done", "failed" or "cancelled".
+ */
+
+import { nanoid } from "nanoid";
+
+const TERMINAL_EVENTS = new Set(["done", "failed", "cancelled"]);
+
+// Finished jobs are kept around briefly so clients can still read the result
+const JOB_TTL_MS = 10 * 60 * 1000;
+
+const jobs = new Map();
+
+/**
+ * Create a new running job
+ *
+ * @returns {Object} Job with id, status, events, signal and emit(event, data)
+ */
+function createJob() {
+  const controller = new AbortController();
+  const listeners = new Set();
+  const job = {
+    id: nanoid(10),
+    status: "running",
+    createdAt: new Date().toISOString(),
+    events: [],
+    signal: controller.signal,
+
+    emit(event, data = {}) {
+      if (job.status !== "running") return;
+      const entry = { event, data };
+      job.events.push(entry);
+      if (TERMINAL_EVENTS.has(event)) {
+        job.status = event;
+        setTimeout(() => jobs.delete(job.id), JOB_TTL_MS).unref();
+      }
+      listeners.forEach(listener => listener(entry));
+    },
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    cancel() {
+      if (job.status !== "running") return false;
+      controller.abort();
+      job.emit("cancelled", { message: "Parsing was cancelled" });
+      return true;
+    },
+  };
+  jobs.set(job.id, job);
+  return job;
+}
+
+/**
+ * Look up a job by ID
+ *
+ * @param {string} id - Job ID
+ * @returns {Object|undefined} Job, if it exists and has not expired
+ */
+function getJob(id) {
+  return jobs.get(id);
+}
+
+/**
+ * Stream a job's events to an Express response as Server-Sent Events
+ * Past events are replayed first; the stream ends after the terminal event.
+ *
+ * @param {Object} job - Job from createJob
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+function streamJobEvents(job, req, res) {
+  res.status(200);
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.flushHeaders();
+
+  const send = ({ event, data }) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    if (TERMINAL_EVENTS.has(event)) res.end();
+  };
+
+  job.events.forEach(send);
+  if (job.status !== "running") return;
+
+  const unsubscribe = job.subscribe(send);
+  req.on("close", unsubscribe);
+}
+
+export { createJob, getJob, streamJobEvents };
@@ -0,0 +1,93 @@
+/**
+ * Website Generator - LLM Providers
+ *
+ * Small abstraction over the language model used to organize resumes.
+ * A provider is selected from environment variables:
+ *
+ *   LLM_PROVIDER     openai | local | heuristics (default: openai if OPENAI_API_KEY is set, else heuristics)
+ *   LLM_MODEL        model name (default: gpt-4 for openai, llama3 for local)
+ *   LLM_BASE_URL     base URL of an OpenAI-compatible server, e.g. Ollama or llama.cpp (local only)
+ *   LLM_API_KEY      API key for the local server, if it requires one
+ *   LLM_CONCURRENCY  requests sent at once when a resume is organized section by section (default: 4)
+ *
+ * The "heuristics" provider is null: no text is sent anywhere and the
+ * rule-based parser output is used as-is.
+ */
+
+import OpenAI from "openai";
+
+/**
+ * Create a provider backed by any OpenAI-compatible chat completions API
+ *
+ * @param {string} name - Provider name reported in /api/health
+ * @param {Object} options - { apiKey, baseURL, model, concurrency, client }
+ *   concurrency is how many requests the pipeline may have in progress at once (default: 4)
+ *   client is an OpenAI SDK client to use instead of a new one (the tests pass a fake here)
+ * @returns {Object} Provider with name, model, concurrency and complete(prompt, options)
+ *   options: { temperature, maxTokens, signal } - signal is an AbortSignal that cancels the request
+ */
+function createOpenAICompatibleProvider(name, { apiKey, baseURL, model, concurrency = 4, client = new OpenAI({ apiKey, baseURL }) }) {
+  return {
+    name,
+    model,
+    concurrency,
+    async complete(prompt, { temperature = 0.2, maxTokens = 1800, signal } = {}) {
+      const completion = await client.chat.completions.create({
+        model,
+        messages: [{ role: "user", content: prompt }],
+        temperature,
+        max_tokens: maxTokens
+      }, { signal });
+      return completion.choices[0].message.content || "";
+    }
+  };
+}
+
+// Provider factories keyed by LLM_PROVIDER value. Each receives the config object.
+const providerFactories = {
+  openai: config => {
+    if (!config.OPENAI_API_KEY) {
+      throw new Error("OPENAI_API_KEY is required for LLM_PROVIDER=openai (use LLM_PROVIDER=heuristics to run without an LLM)");
+    }
+    return createOpenAICompatibleProvider("openai", {
+      apiKey: config.OPENAI_API_KEY,
+      model: config.LLM_MODEL || "gpt-4",
+      concurrency: Number(config.LLM_CONCURRENCY) || undefined
+    });
+  },
+  local: config => createOpenAICompatibleProvider("local", {
+    // OpenAI-compatible local servers usually ignore the key, but the SDK requires one
+    apiKey: config.LLM_API_KEY || "not-needed",
+    baseURL: config.LLM_BASE_URL || "http://localhost:11434/v1",
+    model: config.LLM_MODEL || "llama3",
+    concurrency: Number(config.LLM_CONCURRENCY) || undefined
+  }),
+  heuristics: () => null
+};
+
+/**
+ * Register an additional provider factory
+ *
+ * @param {string} name - Value of LLM_PROVIDER that selects this provider
+ * @param {Function} factory - (config) => provider or null
+ */
+function registerLLMProvider(name, factory) {
+  providerFactories[name] = factory;
+}
+
+/**
+ * Create the provider selected by the given configuration
+ *
+ * @param {Object} config - Usually process.env
+ * @returns {Object|null} Provider, or null for heuristics-only mode
+ */
+function createLLMProvider(config = process.env) {
+  const name = (config.LLM_PROVIDER || (config.OPENAI_API_KEY ? "openai" : "heuristics")).toLowerCase();
+  const factory = providerFactories[name];
+  if (!factory) {
+    throw new Error(`Unknown LLM_PROVIDER "${name}". Expected one of: ${Object.keys(providerFactories).join(", ")}`);
+  }
+  return factory(config);
+}
+
+export { createLLMProvider, registerLLMProvider, createOpenAICompatibleProvider };
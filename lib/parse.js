@@ -0,0 +1,1276 @@
+/**
+ * Website Generator - Resume Parsing Pipeline
+ *
+ * Turns a resume file into a portfolio: text extraction (lib/extract.js), section
+ * detection with the section dictionary (lib/sections.js), rule-based parsing of
+ * every section, optional LLM organization (lib/llm.js), schema repair and
+ * provenance. Used by the Express server and the command-line interface.
+ */
+
+import fs from "fs";
+import { extractResumeText, looksLikeText, stripMarkdown, toSocialLinks, UnsupportedFormatError, UploadLimitError } from "./extract.js";
+import { parseBibtex, bibtexToPublication } from "../shared/bibtex.js";
+import { PORTFOLIO_SCHEMA, validatePortfolio, repairPortfolio, formatIssues } from "../shared/schema.js";
+import { buildProvenance } from "../shared/provenance.js";
+import { dedupeEntries } from "../shared/merge.js";
+import { createRedactor } from "./redact.js";
+import { SECTION_KEYS, normalizeHeader, loadSectionDictionary } from "./sections.js";
+
+/**
+ * Line-based section extraction for robust parsing
+ * Every line that matches a known section heading (in any loaded language) starts
+ * a section, which runs until the next heading. Repeated headings for the same
+ * section (e.g. "Research Experience" and "Industry Experience") are concatenated.
+ * 
+ * @param {string} text - The full resume text
+ * @param {Object} dictionary - Section dictionary from lib/sections.js
+ * @returns {Object} Object with canonical section keys ("experience", "education", ...) and content as values
+ */
+function extractSectionsByLines(text, dictionary) {
+  const lines = text.split('\n').map(l => l.trim());
+  const headings = [];
+  lines.forEach((line, idx) => {
+    const key = dictionary.matchHeading(line);
+    // A line that only partly matches the current section ("Teaching Assistant" under "Teaching") is content
+    const current = headings[headings.length - 1];
+    if (key && (key !== current?.key || dictionary.matchHeading(line, { exact: true }))) headings.push({ idx, key });
+  });
+
+  const result = Object.fromEntries(SECTION_KEYS.map(key => [key, '']));
+  headings.forEach(({ idx, key }, i) => {
+    const endIdx = i + 1 < headings.length ? headings[i + 1].idx : lines.length;
+    const content = lines.slice(idx + 1, endIdx).join('\n').trim();
+    if (content) result[key] = result[key] ? `${result[key]}\n\n${content}` : content;
+  });
+
+  return result;
+}
+
+/**
+ * Markdown section extraction: headings are used directly as section boundaries
+ * Headings that match a known section are keyed by its canonical name (as in
+ * extractSectionsByLines); any other heading is kept under its own normalized text.
+ * 
+ * @param {string} markdown - The full resume Markdown source
+ * @param {Object} dictionary - Section dictionary from lib/sections.js
+ * @returns {Object} Object with section names as keys and content as values
+ */
+function extractSectionsFromMarkdown(markdown, dictionary) {
+  const result = Object.fromEntries(SECTION_KEYS.map(key => [key, '']));
+  const lines = markdown.split('\n');
+
+  let currentKey = null;
+  let buffer = [];
+  const flush = () => {
+    const content = stripMarkdown(buffer.join('\n')).trim();
+    if (currentKey && content) {
+      result[currentKey] = result[currentKey] ? `${result[currentKey]}\n\n${content}` : content;
+    }
+    buffer = [];
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const atx = line.match(/^\s{0,3}#{1,6}\s+(.*?)\s*#*\s*$/);
+    // Setext headings: a text line underlined with === or ---
+    const setext = !atx && line.trim() && !/^\s*[-*+]\s/.test(line) && /^\s*(=+|-+)\s*$/.test(lines[i + 1] || '');
+    if (atx || setext) {
+      flush();
+      const heading = stripMarkdown(atx ? atx[1] : line);
+      currentKey = dictionary.matchHeading(heading) || normalizeHeader(heading) || null;
+      if (setext) i++;
+    } else if (currentKey) {
+      buffer.push(line);
+    }
+  }
+  flush();
+
+  return result;
+}
+
+/**
+ * Clean array by removing empty, duplicate, or whitespace-only entries
+ * 
+ * @param {Array} arr - Array to clean
+ * @returns {Array} Cleaned array
+ */
+function cleanArray(arr) {
+  if (!Array.isArray(arr)) return [];
+  return Array.from(new Set(arr.map(x => (typeof x === 'string' ? x.trim() : x)).filter(Boolean)));
+}
+
+/**
+ * Parse work experience from resume text
+ * Extracts position, company, location, dates, summary, and highlights
+ * 
+ * @param {string} text - Work experience section text
+ * @param {Object} dictionary - Section dictionary (job title and date vocabularies)
+ * @returns {Array} Array of work experience objects
+ */
+function parseWorkExperience(text, dictionary) {
+  if (!text) return [];
+  
+  const lines = text.split('\n').filter(line => line.trim());
+  const experiences = [];
+  let currentExp = {};
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    
+    // Look for job title patterns (usually starts with capital letters)
+    if (dictionary.isJobTitle(line)) {
+      if (Object.keys(currentExp).length > 0) {
+        experiences.push(currentExp);
+      }
+      currentExp = { title: line };
+    }
+    // Look for company names (often in parentheses or after "at")
+    else if (line.includes('(') && line.includes(')')) {
+      const companyMatch = line.match(/\(([^)]+)\)/);
+      if (companyMatch) {
+        currentExp.organization = companyMatch[1];
+      }
+    }
+    // Look for dates
+    else if (dictionary.isDateRange(line)) {
+      currentExp.dates = line;
+    }
+    // Look for location
+    else if (line.includes(',') && /[A-Z]{2}$/.test(line)) {
+      currentExp.location = line;
+    }
+    // Look for bullet points or descriptions
+    else if (line.startsWith('•') || line.startsWith('-') || line.startsWith('*')) {
+      if (!currentExp.highlights) currentExp.highlights = [];
+      currentExp.highlights.push(line.substring(1).trim());
+    }
+    // Look for summary text
+    else if (line.length > 20 && !currentExp.summary) {
+      currentExp.summary = line;
+    }
+  }
+
+  if (Object.keys(currentExp).length > 0) {
+    experiences.push(currentExp);
+  }
+
+  return experiences.map(exp => ({
+    ...exp,
+    highlights: cleanArray(exp.highlights || [])
+  }));
+}
+
+/**
+ * Parse education from resume text
+ * Extracts institution, degree, location, dates, and honors
+ * 
+ * @param {string} text - Education section text
+ * @param {Object} dictionary - Section dictionary (degree, institution and honors vocabularies)
+ * @returns {Array} Array of education objects
+ */
+function parseEducation(text, dictionary) {
+  if (!text) return [];
+  
+  const lines = text.split('\n').filter(line => line.trim());
+  const education = [];
+  let currentEdu = {};
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    
+    // Look for degree patterns
+    if (dictionary.isDegree(line)) {
+      if (Object.keys(currentEdu).length > 0) {
+        education.push(currentEdu);
+      }
+      currentEdu = { degree: line };
+    }
+    // Look for university names
+    else if (dictionary.isInstitution(line) && !currentEdu.institution) {
+      currentEdu.institution = line;
+    }
+    // Look for dates
+    else if (/\d{4}/.test(line)) {
+      currentEdu.dates = line;
+    }
+    // Look for location
+    else if (line.includes(',') && /[A-Z]{2}$/.test(line)) {
+      currentEdu.location = line;
+    }
+    // Look for honors/GPA
+    else if (dictionary.isHonors(line)) {
+      currentEdu.honors = line;
+    }
+  }
+
+  if (Object.keys(currentEdu).length > 0) {
+    education.push(currentEdu);
+  }
+
+  return education;
+}
+
+/**
+ * Parse skills from resume text
+ * Groups skills by category if category headers are present
+ * 
+ * @param {string} text - Skills section text
+ * @returns {Object} Object with skill categories as keys and skill arrays as values
+ */
+function parseSkills(text) {
+  if (!text) return {};
+  
+  const lines = text.split('\n').filter(line => line.trim());
+  const skills = {};
+  let currentCategory = 'Other';
+
+  for (const line of lines) {
+    const trimmed = line.trim();
+    
+    // Look for category headers
+    if (/^[A-Z][a-zA-Z\s]+:$/.test(trimmed)) {
+      currentCategory = trimmed.replace(':', '');
+      skills[currentCategory] = [];
+    }
+    // Look for skill lists (comma-separated or bullet points)
+    else if (trimmed.includes(',') || trimmed.startsWith('•') || trimmed.startsWith('-')) {
+      const skillList = trimmed
+        .replace(/^[•\-]\s*/, '')
+        .split(',')
+        .map(s => s.trim())
+        .filter(s => s.length > 0);
+      
+      if (!skills[currentCategory]) skills[currentCategory] = [];
+      skills[currentCategory].push(...skillList);
+    }
+    // Single skills
+    else if (trimmed.length > 0 && trimmed.length < 50) {
+      if (!skills[currentCategory]) skills[currentCategory] = [];
+      skills[currentCategory].push(trimmed);
+    }
+  }
+
+  // Clean up skills
+  Object.keys(skills).forEach(category => {
+    skills[category] = cleanArray(skills[category]);
+  });
+
+  return skills;
+}
+
+// Bullets and numbering that start a list item: "•", "-", "[3]", "12."
+const LIST_MARKER = /^(?:[•▪◦*\-–]|\[\d+\]|\d{1,3}[.)])\s+/;
+
+/**
+ * Split a list-like section (publications, awards, talks, service) into entries
+ * With bullets or numbering, each marked item is an entry and unmarked lines
+ * continue it; otherwise blank lines separate entries, or else every line is one.
+ * A bare year or a "Heading:" line (e.g. "2021", "Reviewer:") is not an entry
+ * but the group of the entries below it.
+ *
+ * @param {string} text - Section text
+ * @param {Object} options - { joinWrapped: join lines that continue a sentence (unmarked lists only) }
+ * @returns {Array} Array of { text, group }
+ */
+function splitEntries(text, { joinWrapped = false } = {}) {
+  if (!text) return [];
+  const lines = text.split('\n').map(l => l.trim());
+  const marked = lines.some(line => LIST_MARKER.test(line));
+  const paragraphs = !marked && lines.some((line, i) => !line && i > 0 && lines[i - 1]);
+  const entries = [];
+  let group = '';
+  let open = false;
+
+  lines.forEach((line, i) => {
+    if (!line) {
+      open = false;
+      return;
+    }
+    const last = entries[entries.length - 1];
+    const isMarked = LIST_MARKER.test(line);
+    // Wrapped lines start in lowercase or follow a line that stops mid-sentence
+    const continues = open && last && !isMarked && (
+      paragraphs ||
+      /^\p{Ll}/u.test(line) ||
+      (marked ? !/[.!?)\]\d"”]$/.test(last.text) : joinWrapped && /(?:[,;:&-]|\band)$/.test(last.text))
+    );
+    const isGroup = !continues && (/^(?:19|20)\d{2}$/.test(line) || (line.endsWith(':') && line.length <= 60) ||
+      (marked && !isMarked && LIST_MARKER.test(lines[i + 1] || '')));
+    if (isGroup) {
+      group = line.replace(/:$/, '');
+      open = false;
+      return;
+    }
+    if (continues) {
+      last.text = `${last.text} ${line}`;
+    } else {
+      // An unmarked entry in a bulleted list stands on its own, outside the group above it
+      if (marked && !isMarked) group = '';
+      entries.push({ text: line.replace(LIST_MARKER, ''), group });
+    }
+    open = true;
+  });
+
+  return entries.filter(entry => entry.text);
+}
+
+// Helper: split an entry into comma, semicolon, pipe or dash separated parts
+function splitParts(text) {
+  return text
+    .split(/\s*[;|]\s*|,\s+(?![^(]*\))|\s+[–—-]\s+/)
+    .map(part => part.replace(/^[\s,.]+|[\s,]+$/g, ''))
+    .filter(Boolean);
+}
+
+// Helper: take the dates ("2019", "2019 - 2021", "Fall 2020", "(March 2022)") out of an entry
+function takeDates(text, dictionary) {
+  const parenthesized = text.match(/\(([^()]*\b(?:19|20)\d{2}\b[^()]*)\)/);
+  const dates = parenthesized ? parenthesized[1].trim() : dictionary.findDates(text);
+  if (!dates) return { dates: '', rest: text };
+  const rest = text
+    .replace(parenthesized ? parenthesized[0] : dates, ' ')
+    .replace(/\s*(?:[,;|]\s*){2,}/g, ', ')
+    .replace(/^[\s,;|.–—-]+|[\s,;|–—-]+$/g, '')
+    .replace(/\s+/g, ' ');
+  return { dates, rest };
+}
+
+// Helper: split citation text into sentences, keeping initials ("J. Doe") in their sentence
+function splitSentences(text) {
+  const sentences = [];
+  for (const piece of text.split(/(?<=[.?!])\s+/)) {
+    const last = sentences[sentences.length - 1];
+    if (last && /(?:^|[\s,.-])\p{Lu}\.$/u.test(last)) {
+      sentences[sentences.length - 1] = `${last} ${piece}`;
+    } else {
+      sentences.push(piece);
+    }
+  }
+  return sentences;
+}
+
+// Helper: does a citation fragment look like an author list?
+function looksLikeAuthors(text) {
+  const words = text.replace(/\b(?:and|et al)\b|[,.&*]/g, ' ').split(/\s+/).filter(Boolean);
+  return words.length > 0 && words.length <= 40 && words.every(word => /^\p{Lu}/u.test(word) || word.length <= 2) &&
+    (/,|\band\b|&/.test(text) || words.length <= 3);
+}
+
+// Helper: trim citation punctuation and "In" from a venue
+function cleanVenue(text) {
+  return text
+    .replace(/\b(?:pp?\.|pages)\s*\d+\s*[-–]+\s*\d+/gi, '')
+    .replace(/\(?\b(?:19|20)\d{2}[a-z]?\)?/g, '')
+    .replace(/^\s*In:?\s+/i, '')
+    .replace(/\s+,/g, ',')
+    .replace(/^[\s,.:;]+|[\s,.:;]+$/g, '')
+    .replace(/\s+/g, ' ');
+}
+
+/**
+ * Parse one publication citation (APA, IEEE/ACM with a quoted title, or "Authors. Title. Venue, Year.")
+ *
+ * @param {string} citation - Citation text
+ * @returns {Object} Publication { title, authors, venue, year, type, doi, arxiv, url }
+ */
+function parseCitation(citation) {
+  const pub = {};
+  let rest = citation;
+
+  const doi = rest.match(/(?:https?:\/\/(?:dx\.)?doi\.org\/|\bdoi:\s*)?\b(10\.\d{4,9}\/\S+?)(?=[.,;]?(?:\s|$))/i);
+  if (doi) {
+    pub.doi = doi[1];
+    rest = rest.replace(doi[0], ' ');
+  }
+  const arxiv = rest.match(/(?:https?:\/\/arxiv\.org\/abs\/|\barXiv:\s*)(\d{4}\.\d{4,5}(?:v\d+)?)/i);
+  if (arxiv) {
+    pub.arxiv = arxiv[1];
+    rest = rest.replace(arxiv[0], ' ');
+  }
+  const url = rest.match(/https?:\/\/[^\s,;]+[^\s,;.]/);
+  if (url) {
+    pub.url = url[0];
+    rest = rest.replace(url[0], ' ');
+  }
+  rest = rest.replace(/\s+/g, ' ').replace(/\s+([.,;])/g, '$1').trim();
+
+  // APA puts the year in parentheses right after the authors; otherwise the last year is the publication year
+  const apaYear = rest.match(/\(((?:19|20)\d{2})[a-z]?(?:,[^)]*)?\)/);
+  const years = rest.match(/\b(?:19|20)\d{2}\b/g);
+  if (apaYear || years) pub.year = apaYear ? apaYear[1] : years[years.length - 1];
+
+  let authors = '';
+  let venue = '';
+  const quoted = rest.match(/["“]([^"”]+?)[,.]?["”]/);
+  if (quoted) {
+    pub.title = quoted[1].trim();
+    authors = rest.slice(0, quoted.index);
+    venue = rest.slice(quoted.index + quoted[0].length);
+  } else if (apaYear && looksLikeAuthors(rest.slice(0, apaYear.index))) {
+    authors = rest.slice(0, apaYear.index);
+    const [title, ...venueParts] = splitSentences(rest.slice(apaYear.index + apaYear[0].length).replace(/^[\s.]+/, ''));
+    pub.title = title;
+    venue = venueParts.join(' ');
+  } else {
+    const sentences = splitSentences(rest);
+    if (sentences.length > 1 && looksLikeAuthors(sentences[0])) authors = sentences.shift();
+    pub.title = sentences.shift();
+    venue = sentences.join(' ');
+  }
+
+  pub.title = (pub.title || '').replace(/[.,;\s]+$/, '');
+  authors = authors.replace(/\*/g, '').replace(/^[\s,.]+|[\s,]+$/g, '').replace(/(\p{Ll}{2})\.$/u, '$1');
+  if (authors) pub.authors = authors;
+  venue = cleanVenue(venue);
+  if (venue) pub.venue = venue;
+
+  if (/proceedings|conference|workshop|symposium|\bconf\b|tagung|konferenz|congreso|conférence|会议/i.test(venue)) {
+    pub.type = 'inproceedings';
+  } else if (/arxiv|preprint|biorxiv|medrxiv|ssrn/i.test(`${venue} ${citation}`)) {
+    pub.type = 'misc';
+  } else if (/journal|transactions|letters|review|magazine|revista|zeitschrift|revue|学报|期刊/i.test(venue)) {
+    pub.type = 'article';
+  }
+  return pub;
+}
+
+/**
+ * Parse publications from resume text
+ * Each numbered, bulleted or separate citation becomes one publication
+ * 
+ * @param {string} text - Publications section text
+ * @returns {Array} Array of publication objects
+ */
+function parsePublications(text) {
+  return splitEntries(text, { joinWrapped: true })
+    .map(entry => {
+      const pub = parseCitation(entry.text);
+      if (!pub.year && /^(?:19|20)\d{2}$/.test(entry.group)) pub.year = entry.group;
+      return pub;
+    })
+    .filter(pub => pub.title);
+}
+
+/**
+ * Parse projects from resume text
+ * A project starts at an unbulleted title line ("Title", "Title: description"
+ * or "Title - description"); the lines below are its description, dates and link
+ * 
+ * @param {string} text - Projects section text
+ * @param {Object} dictionary - Section dictionary (date vocabulary)
+ * @returns {Array} Array of project objects
+ */
+function parseProjects(text, dictionary) {
+  if (!text) return [];
+
+  const projects = [];
+  let current = null;
+  const addDescription = line => {
+    current.description = current.description ? `${current.description}\n${line}` : line;
+  };
+
+  for (const rawLine of text.split('\n')) {
+    const line = rawLine.trim();
+    if (!line) continue;
+    const bullet = LIST_MARKER.test(line);
+    const content = line.replace(LIST_MARKER, '');
+    const url = content.match(/^(?:https?:\/\/|www\.|github\.com\/)\S+$/i);
+
+    if (current && url) {
+      current.url = /^https?:/i.test(url[0]) ? url[0] : `https://${url[0]}`;
+    } else if (current && !current.dates && dictionary.findDates(content) === content) {
+      current.dates = content;
+    } else if (current && (bullet || content.length > 80 || /^\p{Ll}/u.test(content) || (!current.description && /[.!]$/.test(content)))) {
+      addDescription(content);
+    } else {
+      current = {};
+      projects.push(current);
+      const { dates, rest } = takeDates(content, dictionary);
+      if (dates) current.dates = dates;
+      const titled = rest.match(/^(.{2,80}?)(?::\s+|\s+[–—-]\s+)(.+)$/);
+      current.title = titled ? titled[1] : rest;
+      if (titled) addDescription(titled[2]);
+    }
+  }
+
+  return projects
+    .map(project => {
+      const link = project.url || (project.description || '').match(/https?:\/\/[^\s,;)]+[^\s,;.)]/)?.[0];
+      return link ? { ...project, url: link } : project;
+    })
+    .filter(project => project.title);
+}
+
+/**
+ * Parse awards and honors from resume text
+ * "Best Paper Award, ACL, 2021" -> { title, organization, year }
+ * 
+ * @param {string} text - Awards section text
+ * @param {Object} dictionary - Section dictionary (date vocabulary)
+ * @returns {Array} Array of award objects
+ */
+function parseAwards(text, dictionary) {
+  return splitEntries(text)
+    .map(entry => {
+      const { dates, rest } = takeDates(entry.text, dictionary);
+      const [title, ...organization] = splitParts(rest);
+      const award = { title };
+      if (organization.length > 0) award.organization = organization.join(', ');
+      const year = dates || (/^(?:19|20)\d{2}$/.test(entry.group) ? entry.group : '');
+      if (year) award.year = year;
+      return award;
+    })
+    .filter(award => award.title);
+}
+
+/**
+ * Parse talks and presentations from resume text
+ * '"Title", Event, Location, Month Year' (quoted title) or 'Title. Event, Location, Year'
+ * 
+ * @param {string} text - Talks section text
+ * @param {Object} dictionary - Section dictionary (date vocabulary)
+ * @returns {Array} Array of talk objects
+ */
+function parseTalks(text, dictionary) {
+  return splitEntries(text, { joinWrapped: true })
+    .map(entry => {
+      const { dates, rest } = takeDates(entry.text, dictionary);
+      const talk = {};
+      let where = '';
+      const quoted = rest.match(/["“]([^"”]+?)[,.]?["”]/);
+      if (quoted) {
+        talk.title = quoted[1].trim();
+        where = `${rest.slice(0, quoted.index)} ${rest.slice(quoted.index + quoted[0].length)}`;
+      } else {
+        const sentences = splitSentences(rest);
+        if (sentences.length > 1) {
+          talk.title = sentences.shift();
+          where = sentences.join(' ');
+        } else {
+          const [title, ...others] = splitParts(rest);
+          talk.title = title;
+          where = others.join(', ');
+        }
+      }
+      talk.title = (talk.title || '').replace(/[.,;\s]+$/, '');
+      const [event, ...location] = splitParts(where.replace(/^[\s,.:;]+|[\s,.:;]+$/g, '').replace(/^(?:at|in)\s+/i, ''));
+      if (event) talk.event = event;
+      if (location.length > 0) talk.location = location.join(', ');
+      const date = dates || (/^(?:19|20)\d{2}$/.test(entry.group) ? entry.group : '');
+      if (date) talk.date = date;
+      return talk;
+    })
+    .filter(talk => talk.title);
+}
+
+// Helper: role, institution, dates and course of one teaching line
+function parseTeachingLine(text, dictionary) {
+  const { dates, rest } = takeDates(text, dictionary);
+  const result = {};
+  if (dates) result.dates = dates;
+  const course = [];
+  for (const part of splitParts(rest.replace(/\(([^()]+)\)/g, ', $1'))) {
+    const role = dictionary.findTeachingRole(part);
+    if (role && !result.role) {
+      // "Teaching Assistant for CS 101" -> role and course
+      const [roleText, courseText] = part.split(/\s+(?:for|in|of|für|de|en|pour)\s+/i);
+      result.role = courseText && roleText.includes(role) ? roleText : part;
+      if (courseText && roleText.includes(role)) course.push(courseText);
+    } else if (dictionary.isInstitution(part) && !result.institution) {
+      result.institution = part;
+    } else {
+      course.push(part);
+    }
+  }
+  if (course.length > 0) result.course = course.join(', ');
+  return result;
+}
+
+/**
+ * Parse teaching experience from resume text
+ * Each line is "Role, Course, Institution, Term"; an unbulleted line followed by
+ * bullets (e.g. "Teaching Assistant, MIT" over a list of courses) applies to every bullet
+ * 
+ * @param {string} text - Teaching section text
+ * @param {Object} dictionary - Section dictionary (date and, for teaching, role vocabularies)
+ * @returns {Array} Array of teaching objects
+ */
+function parseTeaching(text, dictionary) {
+  const teaching = [];
+  let group = null;
+  const groups = new Map();
+  for (const entry of splitEntries(text)) {
+    if (entry.group !== group) {
+      group = entry.group;
+      if (group && !groups.has(group)) groups.set(group, parseTeachingLine(group, dictionary));
+    }
+    const context = group ? groups.get(group) : {};
+    const fields = parseTeachingLine(entry.text, dictionary);
+    // A heading that is only a course name ("CS 101: Algorithms") is the course of its bullets
+    const inherited = context.role || context.institution ? context : { ...context, course: undefined };
+    teaching.push(Object.fromEntries(Object.entries({ ...inherited, ...fields }).filter(([, value]) => value)));
+  }
+  return teaching.filter(item => item.course || item.role);
+}
+
+/**
+ * Parse academic and professional service from resume text
+ * "Reviewer: NeurIPS, ICML (2020-2022)" or "Program Committee, AAAI 2022";
+ * under a "Reviewer:" heading, each item is an organization
+ * 
+ * @param {string} text - Service section text
+ * @param {Object} dictionary - Section dictionary (date vocabulary)
+ * @returns {Array} Array of service objects
+ */
+function parseService(text, dictionary) {
+  return splitEntries(text)
+    .map(entry => {
+      const { dates, rest } = takeDates(entry.text, dictionary);
+      const groupIsYear = /^(?:19|20)\d{2}$/.test(entry.group);
+      const service = {};
+      const labelled = rest.match(/^([^:]{2,60}):\s+(.+)$/);
+      if (labelled) {
+        service.role = labelled[1];
+        service.organization = labelled[2];
+      } else if (entry.group && !groupIsYear) {
+        service.role = entry.group;
+        service.organization = rest;
+      } else {
+        const [role, ...organization] = splitParts(rest);
+        service.role = role;
+        if (organization.length > 0) service.organization = organization.join(', ');
+      }
+      const when = dates || (groupIsYear ? entry.group : '');
+      if (when) service.dates = when;
+      return service;
+    })
+    .filter(service => service.role);
+}
+
+// Portfolio sections the LLM organizes one at a time: the resume sections each is read from,
+// the rule-based parser whose entries are passed along as hints, and the JSON to answer with
+const AI_SECTIONS = [
+  {
+    key: "profile",
+    from: ["summary", "interests"],
+    shape: `"profile": { "name", "email", "phone", "location", "summary" } and "research_interests" (a string). Take the contact details from the top of the resume.`,
+  },
+  {
+    key: "positions",
+    from: ["experience"],
+    parse: parseWorkExperience,
+    shape: `"positions": [{ "title", "organization", "location", "dates", "summary", "highlights": [strings] }] - jobs, research and academic appointments`,
+  },
+  {
+    key: "education",
+    from: ["education"],
+    parse: parseEducation,
+    shape: `"education": [{ "degree", "institution", "location", "dates", "honors" }]`,
+  },
+  {
+    key: "publications",
+    from: ["publications"],
+    parse: parsePublications,
+    shape: `"publications": [{ "title", "authors", "venue", "year", "type", "doi", "arxiv", "url" }]`,
+  },
+  {
+    key: "projects",
+    from: ["projects"],
+    parse: parseProjects,
+    shape: `"projects": [{ "title", "description", "dates", "url" }]`,
+  },
+  {
+    key: "skills",
+    from: ["skills"],
+    parse: parseSkills,
+    shape: `"skills": { "<category>": [strings] } - skills grouped by category`,
+  },
+  {
+    key: "awards",
+    from: ["awards", "grants"],
+    parse: parseAwards,
+    shape: `"awards": [{ "title", "organization", "year" }] - honors, awards, fellowships and grants`,
+  },
+  {
+    key: "teaching",
+    from: ["teaching"],
+    parse: parseTeaching,
+    shape: `"teaching": [{ "course", "role", "institution", "dates" }]`,
+  },
+  {
+    key: "talks",
+    from: ["talks"],
+    parse: parseTalks,
+    shape: `"talks": [{ "title", "event", "location", "date" }]`,
+  },
+  {
+    key: "service",
+    from: ["service"],
+    parse: parseService,
+    shape: `"service": [{ "role", "organization", "dates" }]`,
+  },
+];
+
+// Longest resume text sent in one LLM request; longer sections are split into several requests
+const MAX_CHUNK_LENGTH = 3500;
+
+// Lines at the top of the resume, before the first section, passed to the profile request
+const MAX_HEADER_LINES = 12;
+
+/**
+ * Split a section's text into chunks of at most MAX_CHUNK_LENGTH characters
+ * Chunks end where an entry ends: at a blank line; in a numbered or bulleted list,
+ * before the next item; where bullets are the highlights of entries, after the last
+ * bullet; in unmarked text, after a line that finishes a sentence. A run of text
+ * without any such place is cut at a line break once it reaches 1.5 times the limit.
+ *
+ * @param {string} text - Section text
+ * @param {number} maxLength - Chunk size
+ * @returns {string[]} Chunks, in order; together they hold every line
+ */
+function chunkSectionText(text, maxLength = MAX_CHUNK_LENGTH) {
+  if (!text || !text.trim()) return [];
+  if (text.length <= maxLength) return [text.trim()];
+
+  const nonEmpty = text.split("\n").filter(line => line.trim());
+  const markedShare = nonEmpty.filter(line => LIST_MARKER.test(line.trim())).length / nonEmpty.length;
+  const startsEntry = (line, previous) => !line || !previous || (
+    markedShare >= 0.5 ? LIST_MARKER.test(line)
+      : markedShare > 0 ? LIST_MARKER.test(previous) && !LIST_MARKER.test(line)
+      : /[.!?)\]"”]$/.test(previous));
+
+  const chunks = [];
+  let lines = [];
+  let length = 0;
+  const flush = () => {
+    const chunk = lines.join("\n").trim();
+    if (chunk) chunks.push(chunk);
+    lines = [];
+    length = 0;
+  };
+
+  for (const line of text.split("\n")) {
+    const previous = lines[lines.length - 1];
+    const atBoundary = previous !== undefined && startsEntry(line.trim(), previous.trim());
+    if (length + line.length > maxLength && (atBoundary || length > maxLength * 1.5)) flush();
+    lines.push(line);
+    length += line.length + 1;
+  }
+  flush();
+  return chunks;
+}
+
+// Helper: the lines at the top of the resume, up to the first section heading
+function resumeHeader(text, dictionary) {
+  const header = [];
+  for (const line of text.split("\n")) {
+    if (header.length >= MAX_HEADER_LINES || dictionary.matchHeading(line.trim())) break;
+    if (line.trim()) header.push(line.trim());
+  }
+  return header.join("\n");
+}
+
+/**
+ * Break a resume into the requests of the multi-pass LLM step: one per portfolio
+ * section, and one per chunk when a section is longer than MAX_CHUNK_LENGTH
+ *
+ * @param {Object} sections - Section texts by section key
+ * @param {string} header - Lines at the top of the resume (name and contact details)
+ * @param {Object} contactInfo - Contact details from extractContactInfo
+ * @param {Object} dictionary - Section dictionary from lib/sections.js
+ * @returns {Array} Requests as { key, shape, part, parts, text, hints }
+ */
+function planSectionRequests(sections, header, contactInfo, dictionary) {
+  const requests = [];
+  for (const section of AI_SECTIONS) {
+    const sectionText = section.from
+      .filter(from => sections[from] && sections[from].trim())
+      .map(from => (section.from.length > 1 ? `${from}:\n${sections[from].trim()}` : sections[from].trim()))
+      .join("\n\n");
+
+    if (section.key === "profile") {
+      // Contact details are always checked, so a name the rule-based parser missed can still be found
+      const text = [header, sectionText].filter(Boolean).join("\n\n");
+      requests.push({ key: section.key, shape: section.shape, part: 1, parts: 1, text, hints: contactInfo });
+      continue;
+    }
+
+    const chunks = chunkSectionText(sectionText);
+    chunks.forEach((chunk, i) => {
+      requests.push({
+        key: section.key,
+        shape: section.shape,
+        part: i + 1,
+        parts: chunks.length,
+        text: chunk,
+        hints: section.parse(chunk, dictionary),
+      });
+    });
+  }
+  return requests;
+}
+
+// Part of every AI cache key (lib/aicache.js); bump it when a prompt below changes so old answers aren't reused
+const PROMPT_VERSION = 2;
+
+/**
+ * Use the configured LLM to organize one section (or one part of a long section) of a resume
+ *
+ * @param {Object} provider - LLM provider from createLLMProvider
+ * @param {Object} request - { key, shape, part, parts, text, hints } from planSectionRequests
+ * @param {AbortSignal} [signal] - Cancels the LLM request
+ * @returns {Object} JSON object holding the organized section under its key
+ */
+async function gptOrganizeSection(provider, { key, shape, part, parts, text, hints }, signal) {
+  const prompt = `
+You are an expert academic CV parser. Portfolio section: ${key}${parts > 1 ? ` (part ${part} of ${parts}; the other parts are organized separately)` : ""}.
+
+Given the following text from a resume and the fields a rule-based parser found in it, output a JSON object with ${shape}.
+
+Include EVERY entry in the text, in the order it appears, even if there are many; do not summarize, shorten or skip entries, and do not invent information. The text may not have been split correctly by the parser: use the parsed fields as hints, but always read the entries from the text itself, and merge any more structured information from the parsed fields into them.
+
+Text in square brackets such as [NAME_1] or [EMAIL_1] is a placeholder for a personal detail; copy it unchanged into the field where it belongs.
+
+Output ONLY valid JSON, inside triple backticks, and nothing else.
+
+Resume text:
+${text}
+
+Parsed fields:
+${JSON.stringify(hints)}
+
+Output:
+\`\`\`json
+{ ... }
+\`\`\`
+`;
+
+  const content = await provider.complete(prompt, { temperature: 0.2, maxTokens: 4000, signal });
+  return parseJsonCompletion(content);
+}
+
+// Helper: run fn over items with at most `limit` calls in progress, keeping the result order
+async function mapConcurrent(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        results[index] = await fn(items[index], index);
+      } catch (e) {
+        // Don't start more calls once one has failed
+        next = items.length;
+        throw e;
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Combine the answers of the per-section requests into one portfolio
+ * Parts of a long section are concatenated in order; entries that appear more than
+ * once (the same identifying fields, e.g. a paper under two headings) are merged
+ * into the first, and skills are merged by category.
+ *
+ * @param {Array} requests - Requests from planSectionRequests
+ * @param {Array} outputs - The LLM's answer for each request
+ * @returns {Object} Portfolio JSON, before schema repair
+ */
+function mergeSectionOutputs(requests, outputs) {
+  const portfolio = {};
+  requests.forEach(({ key }, i) => {
+    const output = outputs[i] || {};
+    if (key === "profile") {
+      portfolio.profile = { ...portfolio.profile, ...(output.profile || {}) };
+      if (output.research_interests) portfolio.research_interests = output.research_interests;
+    } else if (key === "skills") {
+      const skills = output.skills && typeof output.skills === "object" && !Array.isArray(output.skills) ? output.skills : {};
+      portfolio.skills ||= {};
+      for (const [category, list] of Object.entries(skills)) {
+        const merged = [...(portfolio.skills[category] || []), ...(Array.isArray(list) ? list : [list])];
+        portfolio.skills[category] = merged.filter((skill, j) =>
+          merged.findIndex(other => String(other).toLowerCase() === String(skill).toLowerCase()) === j);
+      }
+    } else {
+      const entries = output[key];
+      portfolio[key] = [...(portfolio[key] || []), ...(Array.isArray(entries) ? entries : entries ? [entries] : [])];
+    }
+  });
+  for (const key of Object.keys(portfolio)) {
+    if (Array.isArray(portfolio[key])) portfolio[key] = dedupeEntries(key, portfolio[key]);
+  }
+  return portfolio;
+}
+
+// Helper: parse the JSON object out of an LLM completion
+function parseJsonCompletion(content) {
+  // Extract JSON between triple backticks; local models often omit them, so fall back to the outermost braces
+  const match = content.match(/```(?:json)?\s*([\s\S]*?)\s*```/i);
+  const jsonText = match ? match[1] : content.slice(content.indexOf("{"), content.lastIndexOf("}") + 1);
+  if (jsonText) {
+    try {
+      return JSON.parse(jsonText);
+    } catch (e) {
+      throw new Error("LLM output was not valid JSON: " + e.message);
+    }
+  }
+  throw new Error("Failed to extract JSON from LLM output");
+}
+
+/**
+ * Ask the LLM to fix the sections of a portfolio that failed schema validation
+ *
+ * @param {Object} provider - LLM provider from createLLMProvider
+ * @param {Object} sections - The failing top-level sections of the portfolio, after automatic repair
+ * @param {Array} errors - Validation errors from validatePortfolio
+ * @param {AbortSignal} [signal] - Cancels the LLM request
+ * @returns {Object} Corrected sections, under the same keys
+ */
+async function gptRepairResume(provider, sections, errors, signal) {
+  const prompt = `
+The following sections of an academic portfolio JSON do not match its schema. Fix ONLY the listed errors without inventing information: fill a missing field from the entry's other fields when possible, otherwise remove the entry.
+
+Validation errors:
+${formatIssues(errors).map(line => `- ${line}`).join("\n")}
+
+JSON Schema:
+${JSON.stringify(PORTFOLIO_SCHEMA)}
+
+Portfolio sections:
+${JSON.stringify(sections, null, 2)}
+
+Keep placeholders in square brackets such as [NAME_1] unchanged.
+Output ONLY the corrected sections as one JSON object with the same keys, inside triple backticks, and nothing else.
+`;
+
+  const content = await provider.complete(prompt, { temperature: 0, maxTokens: 4000, signal });
+  return parseJsonCompletion(content);
+}
+
+/**
+ * Extract basic contact information from resume text
+ * Looks for name, email, phone, and location patterns
+ * 
+ * @param {string} text - Full resume text
+ * @returns {Object} Object with contact information
+ */
+function extractContactInfo(text) {
+  const nameMatch = text.match(/^([A-Z][a-z]+ [A-Z][a-z]+)/m);
+  const emailMatch = text.match(/\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,}\b/);
+  const phoneMatch = text.match(/(\+\d{1,3}[-.\s]?)?\(?\d{3}\)?[-.\s]?\d{3}[-.\s]?\d{4}/);
+  const locationMatch = text.match(/([A-Z][a-z]+(?:[, \t]+[A-Z][a-z]+)*,[ \t]*[A-Z]{2})/);
+
+  return {
+    name: nameMatch ? nameMatch[1] : "",
+    email: emailMatch ? emailMatch[0] : "",
+    phone: phoneMatch ? phoneMatch[0] : "",
+    location: locationMatch ? locationMatch[1] : ""
+  };
+}
+
+/**
+ * Error raised by the parse pipeline with the HTTP status to report
+ */
+class ResumeParseError extends Error {
+  constructor(message, status = 500) {
+    super(message);
+    this.name = "ResumeParseError";
+    this.status = status;
+  }
+}
+
+// Helper: stop the pipeline between stages once a job has been cancelled
+function checkCancelled(signal) {
+  if (signal?.aborted) throw new ResumeParseError("Parsing was cancelled", 499);
+}
+
+// Helper: run an LLM step through the AI cache, keyed on the prompt version, model and exact input.
+// Returns { output, cached }.
+async function withAiCache(cache, { kind, llm, input, force }, run) {
+  if (!cache) return { output: await run(), cached: false };
+  const key = cache.keyOf({ version: PROMPT_VERSION, kind, provider: llm.name, model: llm.model, input });
+  const hit = cache.get(key, { force });
+  if (hit !== undefined) return { output: hit, cached: true };
+  const output = await run();
+  await cache.set(key, output, { kind, provider: llm.name, model: llm.model });
+  return { output, cached: false };
+}
+
+// Helper: add links not already present (compared by URL) to a profile.social list
+function mergeSocialLinks(existing = [], found = []) {
+  const key = url => String(url || "").toLowerCase().replace(/^https?:\/\/(www\.)?/, "").replace(/\/$/, "");
+  const seen = new Set(existing.map(link => key(link.url)));
+  return [...existing, ...found.filter(link => !seen.has(key(link.url)))];
+}
+
+/**
+ * Fill sections the AI output is missing or left empty from the rule-based parse
+ *
+ * @param {Object} portfolio - Repaired AI output
+ * @param {Object} fallback - Portfolio built from the rule-based parsers
+ * @returns {Object} Portfolio with every required section present
+ */
+function fillMissingSections(portfolio, fallback) {
+  // If AI output is empty, use the fallback
+  if (!portfolio || Object.keys(portfolio).length === 0) {
+    return { ...fallback };
+  }
+  const result = { ...portfolio };
+  // Optional sections (talks, teaching, service) are filled too when the rule-based parse found them
+  const optional = Object.keys(fallback).filter(key => Array.isArray(fallback[key]) && fallback[key].length > 0);
+  for (const key of new Set([...PORTFOLIO_SCHEMA.required, ...optional])) {
+    const value = result[key];
+    if (value == null || (Array.isArray(value) && value.length === 0) || (typeof value === 'object' && Object.keys(value).length === 0)) {
+      result[key] = fallback[key];
+    }
+  }
+  return result;
+}
+
+/**
+ * Run the full resume parsing pipeline: text extraction, section detection,
+ * rule-based parsing, LLM organization and schema validation of the result
+ *
+ * Progress is reported through onProgress(event, data):
+ *   stage    { stage: "extracting" | "sections" | "organizing" | "validating", message }
+ *   sections { found: [section names], partial: heuristic portfolio built from the sections }
+ *
+ * @param {Object} resumeFile - Resume as { filepath, originalFilename?, mimetype? } (e.g. a formidable file)
+ * @param {Object} [bibFile] - Optional .bib file, same shape
+ * @param {Object} options
+ *   llm        - LLM provider from lib/llm.js, or null for heuristics only
+ *   dictionary - Section dictionary from lib/sections.js (default: loaded from process.env)
+ *   redact     - Privacy mode: replace personal details with placeholders before anything is sent
+ *                to the LLM, and restore them in its answer (see lib/redact.js)
+ *   maxPages   - Longest PDF accepted; longer ones fail with status 413 (default: no limit)
+ *   cache      - AI cache from lib/aicache.js; identical inputs reuse the earlier LLM answer (default: none)
+ *   force      - Ask the LLM again even if the cache has an answer, and replace it
+ *   signal     - AbortSignal to cancel between stages
+ *   onProgress - (event, data) => void
+ *   logger     - Where debug output goes (default: console)
+ * @returns {Promise<Object>} { portfolio, warnings, provenance, cached }
+ *   warnings   - [{ path, message }] for schema repairs and remaining errors
+ *   provenance - source, text lines and confidence of every field (see shared/provenance.js)
+ *   cached     - Whether the LLM organization came from the cache
+ */
+async function parseResume(resumeFile, bibFile, {
+  llm = null,
+  dictionary = loadSectionDictionary(process.env),
+  redact = false,
+  maxPages = Infinity,
+  cache = null,
+  force = false,
+  signal,
+  onProgress = () => {},
+  logger = console,
+} = {}) {
+  // Detect the file type (PDF, DOCX, Markdown, plain text) and extract its text
+  onProgress("stage", { stage: "extracting", message: "Extracting text" });
+  let text;
+  try {
+    text = await extractResumeText(resumeFile.filepath, resumeFile, { maxPages });
+  } catch (e) {
+    if (e instanceof UnsupportedFormatError) {
+      throw new ResumeParseError(e.message, 415);
+    }
+    if (e instanceof UploadLimitError) {
+      throw new ResumeParseError(e.message, 413);
+    }
+    throw e;
+  }
+  // Check the .bib file before any AI call is made
+  const bibBuffer = bibFile && bibFile.filepath ? fs.readFileSync(bibFile.filepath) : null;
+  if (bibBuffer && !looksLikeText(bibBuffer)) {
+    throw new ResumeParseError("The publications file is not a BibTeX text file.", 415);
+  }
+  checkCancelled(signal);
+
+  // Only the size is logged; the text itself holds the applicant's personal details
+  logger.log(`Extracted ${text.text.length} characters of ${text.format.toUpperCase()} text`);
+
+  // Extract sections: Markdown headings (including headings detected from PDF font styles)
+  // are used directly, everything else uses line-based parsing
+  const sections = text.markdown
+    ? extractSectionsFromMarkdown(text.markdown, dictionary)
+    : extractSectionsByLines(text.text, dictionary);
+
+  logger.log("--- EXTRACTED SECTIONS ---");
+  SECTION_KEYS.forEach(key => {
+    logger.log(`${key}:`, sections[key] ? "Found" : "Not found");
+  });
+  
+  // Always extract contact info and ensure variables are defined
+  const contactInfo = extractContactInfo(text.text) || {};
+  const name = contactInfo.name || "";
+  const email = contactInfo.email || "";
+  const phone = contactInfo.phone || "";
+  const location = contactInfo.location || "";
+  
+  // Parse sections using the canonical section keys
+  const work_experience = parseWorkExperience(sections.experience, dictionary);
+  const education = parseEducation(sections.education, dictionary);
+  const skills = parseSkills(sections.skills || sections.interests);
+  const publications = parsePublications(sections.publications);
+  const projects = parseProjects(sections.projects, dictionary);
+  const awards = parseAwards(sections.awards, dictionary);
+  const talks = parseTalks(sections.talks, dictionary);
+  const teaching = parseTeaching(sections.teaching, dictionary);
+  const service = parseService(sections.service, dictionary);
+  
+  // Profile links from PDF hyperlinks and URLs in the text
+  const social = toSocialLinks(text.links || []);
+
+  // Combine parsed data
+  const parsed = { name, email, phone, location, social, work_experience, education, skills, publications, projects, awards, talks, teaching, service };
+
+  // Helper: get fallback from parsed data
+  const parsedFallback = {
+    profile: {
+      name: parsed.name || '',
+      email: parsed.email || '',
+      phone: parsed.phone || '',
+      location: parsed.location || '',
+      summary: '',
+      social,
+    },
+    education: parsed.education || [],
+    positions: parsed.work_experience || [],
+    publications: parsed.publications,
+    projects: parsed.projects,
+    skills: parsed.skills || {},
+    awards: parsed.awards,
+    talks: parsed.talks,
+    teaching: parsed.teaching,
+    service: parsed.service,
+  };
+
+  // Let the client show what was detected while the LLM is still working
+  const found = Object.keys(sections).filter(key => sections[key] && sections[key].trim());
+  onProgress("stage", { stage: "sections", message: `Found ${found.length} section${found.length === 1 ? "" : "s"}` });
+  onProgress("sections", { found, partial: parsedFallback });
+
+  // Use the LLM to organize each section, in as many requests as it takes to send all of it.
+  // In heuristics-only mode the parsed fields are used directly (see fillMissingSections).
+  let aiOutput = {};
+  let cached = false;
+  // In privacy mode the LLM only sees placeholders; the originals stay in the redactor.
+  // The cache is keyed on (and stores) what the LLM sees, so it never holds the originals either.
+  const redactor = llm && redact ? createRedactor(contactInfo) : null;
+  const hide = value => (redactor ? redactor.redactJson(value) : value);
+  const reveal = value => (redactor ? redactor.restore(value) : value);
+  if (llm) {
+    // Placeholders are numbered in the order text is redacted, so every request is prepared before any is sent
+    const requests = planSectionRequests(sections, resumeHeader(text.text, dictionary), contactInfo, dictionary)
+      .map(request => ({ ...request, text: hide(request.text), hints: hide(request.hints) }));
+    onProgress("stage", {
+      stage: "organizing",
+      message: `Organizing ${requests.length} part${requests.length === 1 ? "" : "s"} with ${llm.name} (${llm.model})${redactor ? ", personal details hidden" : ""}`,
+    });
+    try {
+      let done = 0;
+      const organized = await mapConcurrent(requests, llm.concurrency || 4, async request => {
+        const answer = await withAiCache(cache, { kind: `organize:${request.key}`, llm, input: request, force }, () =>
+          gptOrganizeSection(llm, request, signal));
+        done++;
+        onProgress("stage", { stage: "organizing", message: `Organized ${done} of ${requests.length} parts with ${llm.name} (${llm.model})` });
+        return answer;
+      });
+      aiOutput = reveal(mergeSectionOutputs(requests, organized.map(answer => answer.output)));
+      cached = organized.every(answer => answer.cached);
+      if (cached) onProgress("stage", { stage: "organizing", message: `Reusing the cached answers from ${llm.name} (${llm.model})` });
+    } catch (e) {
+      checkCancelled(signal);
+      logger.error("LLM organization failed", e);
+      throw new ResumeParseError("Failed to organize resume with AI. Please try again or simplify your resume.");
+    }
+    checkCancelled(signal);
+  }
+
+  onProgress("stage", { stage: "validating", message: "Validating portfolio" });
+
+  // Coerce the output into the portfolio schema, then fill sections it left empty
+  let result = repairPortfolio(aiOutput);
+  result.portfolio = fillMissingSections(result.portfolio, parsedFallback);
+  result.errors = validatePortfolio(result.portfolio);
+
+  // Give the model one chance to fix what couldn't be repaired automatically
+  if (llm && result.errors.length > 0) {
+    onProgress("stage", { stage: "validating", message: `Asking ${llm.name} to fix ${result.errors.length} schema error${result.errors.length === 1 ? "" : "s"}` });
+    try {
+      // Only the sections with errors are sent back, not the whole portfolio
+      const failing = [...new Set(result.errors.map(error => error.path.split(/[.[]/)[0]))].filter(key => key in result.portfolio);
+      const hiddenSections = hide(Object.fromEntries(failing.map(key => [key, result.portfolio[key]])));
+      const repaired = reveal((await withAiCache(cache, { kind: "repair", llm, input: [hiddenSections, result.errors], force }, () =>
+        gptRepairResume(llm, hiddenSections, result.errors, signal))).output);
+      const retry = repairPortfolio({
+        ...result.portfolio,
+        ...Object.fromEntries(failing.filter(key => repaired[key] != null).map(key => [key, repaired[key]])),
+      });
+      retry.portfolio = fillMissingSections(retry.portfolio, parsedFallback);
+      retry.errors = validatePortfolio(retry.portfolio);
+      if (retry.errors.length < result.errors.length) result = retry;
+    } catch (e) {
+      checkCancelled(signal);
+      logger.error("LLM schema repair failed", e);
+    }
+    checkCancelled(signal);
+  }
+
+  const academicJson = result.portfolio;
+  const warnings = [...result.warnings, ...result.errors];
+
+  // Where each section came from: sections still holding the rule-based value were patched in
+  const sources = Object.fromEntries(Object.keys(academicJson).map(key => [
+    key,
+    !llm ? "heuristic" : academicJson[key] === parsedFallback[key] ? "fallback" : "ai",
+  ]));
+
+  // Keep every profile link found in the file, even ones the AI left out
+  const aiLinkCount = (academicJson.profile?.social || []).length;
+  academicJson.profile = { ...academicJson.profile, social: mergeSocialLinks(academicJson.profile?.social, social) };
+  academicJson.profile.social.slice(aiLinkCount).forEach((link, i) => {
+    sources[`profile.social[${aiLinkCount + i}]`] = "heuristic";
+  });
+
+  // An uploaded .bib file is the authoritative publication list
+  if (bibBuffer) {
+    const bibEntries = parseBibtex(bibBuffer.toString("utf8"));
+    if (bibEntries.length > 0) {
+      // Checked like the rest of the portfolio, so unsafe url and pdf links are dropped
+      const checked = repairPortfolio({ publications: bibEntries.map(bibtexToPublication) });
+      academicJson.publications = checked.portfolio.publications || [];
+      warnings.push(...checked.warnings);
+      sources.publications = "bibtex";
+    }
+  }
+
+  const provenance = buildProvenance(academicJson, {
+    text: text.text,
+    sources,
+    heuristic: parsedFallback,
+    repairs: result.warnings,
+  });
+
+  return { portfolio: academicJson, warnings, provenance, cached };
+}
+
+export {
+  parseResume,
+  ResumeParseError,
+  extractSectionsByLines,
+  extractSectionsFromMarkdown,
+  extractContactInfo,
+  parseWorkExperience,
+  parseEducation,
+  parseSkills,
+  parsePublications,
+  parseProjects,
+  parseAwards,
+  parseTalks,
+  parseTeaching,
+  parseService,
+  chunkSectionText,
+};
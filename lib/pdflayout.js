@@ -0,0 +1,259 @@
+/**
+ * Website Generator - Layout-Aware PDF Extraction
+ *
+ * pdf-parse on its own returns one flat text stream, which interleaves the
+ * columns of two-column resumes and loses all styling. This module uses the
+ * pdf.js text items behind pdf-parse (position, font size and font name of
+ * every run of glyphs) to:
+ *
+ *   - rebuild reading order, splitting pages at a column gutter when one exists
+ *   - detect headings by font size or weight and emit them as Markdown headings,
+ *     so the Markdown section extractor can use them directly
+ *   - collect the hyperlinks embedded in the PDF (link annotations)
+ */
+
+import pdf from "pdf-parse";
+
+// A line is a heading candidate when its font is this much larger than body text
+const HEADING_SIZE_RATIO = 1.15;
+const MAX_HEADING_LENGTH = 50;
+const MAX_HEADING_WORDS = 6;
+
+// Helper: does the font behind a text item look bold?
+function isBoldFont(page, fontName) {
+  let font = null;
+  try {
+    // Embedded fonts are registered under their loaded name once the page's operator list is built
+    font = page.commonObjs.getData ? page.commonObjs.getData(fontName) : page.commonObjs.get(fontName);
+  } catch (e) {
+    font = null;
+  }
+  const name = (font && font.name) || fontName || "";
+  return Boolean(font && font.bold) || /bold|black|heavy|semibold|demi/i.test(name);
+}
+
+// Helper: convert pdf.js text content items into positioned runs
+function toRuns(page, items) {
+  const boldFonts = new Map();
+  return items
+    .filter(item => item.str && item.str.trim())
+    .map(item => {
+      const [a, b, c, d, x, y] = item.transform;
+      if (!boldFonts.has(item.fontName)) boldFonts.set(item.fontName, isBoldFont(page, item.fontName));
+      return {
+        text: item.str,
+        x,
+        y,
+        width: item.width,
+        size: Math.round((Math.hypot(c, d) || Math.hypot(a, b) || item.height) * 10) / 10,
+        bold: boldFonts.get(item.fontName),
+      };
+    });
+}
+
+// Helper: most common value (by weight) of a list of [value, weight] pairs
+function weightedMode(pairs) {
+  const totals = new Map();
+  for (const [value, weight] of pairs) totals.set(value, (totals.get(value) || 0) + weight);
+  let best = null;
+  for (const [value, total] of totals) {
+    if (best === null || total > totals.get(best)) best = value;
+  }
+  return best;
+}
+
+// Helper: share of values within `tolerance` of their most common (rounded) value
+function alignment(values, tolerance = 3) {
+  if (values.length === 0) return 0;
+  const mode = weightedMode(values.map(v => [Math.round(v / tolerance), 1])) * tolerance;
+  return values.filter(v => Math.abs(v - mode) <= tolerance).length / values.length;
+}
+
+/**
+ * Find the x position of a vertical gutter separating two text columns
+ *
+ * A gutter is a band in the middle of the page that (almost) no run crosses,
+ * with a substantial, left-aligned block of text on each side. Rows of
+ * right-aligned dates next to job titles are not treated as a second column.
+ *
+ * @param {Array} runs - Positioned runs of one page
+ * @param {number} pageWidth - Page width in PDF units
+ * @returns {number|null} Gutter x position, or null for single-column pages
+ */
+function findColumnGutter(runs, pageWidth) {
+  if (runs.length < 8) return null;
+  let best = null;
+  for (let g = Math.round(pageWidth * 0.25); g <= pageWidth * 0.75; g += 2) {
+    const crossing = runs.filter(run => run.x < g && run.x + run.width > g).length;
+    if (best === null || crossing < best.crossing) best = { g, crossing };
+  }
+  if (!best || best.crossing > runs.length * 0.1) return null;
+
+  const left = runs.filter(run => run.x + run.width <= best.g);
+  const right = runs.filter(run => run.x >= best.g);
+  const chars = list => list.reduce((sum, run) => sum + run.text.length, 0);
+  const total = chars(runs);
+  if (left.length < 3 || right.length < 3 || chars(left) < total * 0.15 || chars(right) < total * 0.15) return null;
+
+  // Right-aligned dates: right edges line up but left edges don't
+  const rightStarts = alignment(right.map(run => run.x));
+  const rightEnds = alignment(right.map(run => run.x + run.width));
+  if (rightEnds > rightStarts && rightEnds >= 0.6) return null;
+  if (rightStarts < 0.5) return null;
+  // Fixed-width dates align on both edges, but each one sits on the baseline of a left-hand line
+  const sameRow = right.filter(run => left.some(other => Math.abs(other.y - run.y) <= 1)).length;
+  if (sameRow >= right.length * 0.8) return null;
+
+  return best.g;
+}
+
+// Helper: group runs into lines (top to bottom), joining runs on the same baseline
+function toLines(runs, page) {
+  const sorted = [...runs].sort((r1, r2) => r2.y - r1.y || r1.x - r2.x);
+  const lines = [];
+  for (const run of sorted) {
+    const line = lines[lines.length - 1];
+    if (line && Math.abs(line.y - run.y) <= Math.min(line.size, run.size) * 0.5) {
+      line.runs.push(run);
+    } else {
+      lines.push({ y: run.y, size: run.size, page, runs: [run] });
+    }
+  }
+
+  return lines.map(line => {
+    const runsInOrder = line.runs.sort((r1, r2) => r1.x - r2.x);
+    let text = "";
+    let end = null;
+    for (const run of runsInOrder) {
+      const gap = end === null ? 0 : run.x - end;
+      if (text && gap > run.size * 0.2 && !/\s$/.test(text) && !/^\s/.test(run.text)) text += " ";
+      text += run.text;
+      end = run.x + run.width;
+    }
+    return {
+      text: text.replace(/\s+/g, " ").trim(),
+      y: line.y,
+      page: line.page,
+      size: Math.max(...runsInOrder.map(run => run.size)),
+      bold: runsInOrder.every(run => run.bold),
+      runs: runsInOrder,
+    };
+  });
+}
+
+/**
+ * Put a page's runs into reading order: full-width header, then the left and right columns
+ *
+ * The columns begin at the first run aligned with either column's left margin;
+ * anything above that (name, contact row, profile links) is the header. Below
+ * it, runs crossing the gutter are read with the left column.
+ *
+ * @param {Array} runs - Positioned runs of one page
+ * @param {number} pageWidth - Page width in PDF units
+ * @param {number} pageNumber - 1-based page number
+ * @returns {Array} Lines in reading order
+ */
+function orderPage(runs, pageWidth, pageNumber) {
+  const gutter = findColumnGutter(runs, pageWidth);
+  if (gutter === null) return toLines(runs, pageNumber);
+
+  const columnTop = side => {
+    const margin = weightedMode(side.map(run => [Math.round(run.x), 1]));
+    return Math.max(...side.filter(run => Math.abs(run.x - margin) <= 3).map(run => run.y));
+  };
+  const left = runs.filter(run => run.x < gutter);
+  const right = runs.filter(run => run.x >= gutter);
+  const tolerance = Math.max(...runs.map(run => run.size)) * 0.5;
+  const top = Math.max(columnTop(left), columnTop(right)) + tolerance;
+
+  return [
+    ...toLines(runs.filter(run => run.y > top), pageNumber),
+    ...toLines(left.filter(run => run.y <= top), pageNumber),
+    ...toLines(right.filter(run => run.y <= top), pageNumber),
+  ];
+}
+
+// Helper: mark heading lines by font size, or by weight when body text isn't bold
+function markHeadings(lines) {
+  const bodySize = weightedMode(lines.map(line => [line.size, line.text.length]));
+  const boldShare = lines.filter(line => line.bold).reduce((sum, line) => sum + line.text.length, 0) /
+    Math.max(1, lines.reduce((sum, line) => sum + line.text.length, 0));
+
+  return lines.map(line => {
+    const styled = line.size >= bodySize * HEADING_SIZE_RATIO || (line.bold && boldShare < 0.5);
+    const shaped = line.text.length <= MAX_HEADING_LENGTH &&
+      line.text.split(/\s+/).length <= MAX_HEADING_WORDS &&
+      /[A-Za-z]/.test(line.text) &&
+      !/[.,;@]$/.test(line.text) &&
+      !/@|https?:\/\//.test(line.text);
+    return { ...line, heading: styled && shaped };
+  });
+}
+
+// Helper: text of the runs inside a link annotation's rectangle
+function linkText(rect, runs) {
+  const [x1, y1, x2, y2] = rect;
+  return runs
+    .filter(run => run.y >= Math.min(y1, y2) - 2 && run.y <= Math.max(y1, y2) + 2 && run.x < Math.max(x1, x2) && run.x + run.width > Math.min(x1, x2))
+    .map(run => run.text)
+    .join(" ")
+    .trim();
+}
+
+/**
+ * Extract text, headings and hyperlinks from a PDF, following its visual layout
+ *
+ * @param {Uint8Array} data - PDF file contents
+ * @param {Object} [options] - { maxPages }: only the first maxPages pages are read (default: all)
+ * @returns {Promise<Object>} { text, markdown, lines, links, pageCount }
+ *   text     - plain text in reading order
+ *   markdown - the same text with detected headings as "##" headings (null if none were found)
+ *   lines    - [{ text, page, size, bold, heading }]
+ *   links    - [{ url, text }] from link annotations
+ *   pageCount - number of pages in the document, including any not read
+ */
+async function extractPdfLayout(data, { maxPages = Infinity } = {}) {
+  const pageLines = [];
+  const links = [];
+
+  const result = await pdf(data, {
+    // pdf-parse reads every page for max <= 0
+    max: Number.isFinite(maxPages) ? maxPages : 0,
+    pagerender: async page => {
+      // Building the operator list loads the page's fonts, so their names (e.g. "Calibri-Bold") are known
+      await page.getOperatorList();
+      const content = await page.getTextContent();
+      const [x0, , x1] = page.view;
+      const runs = toRuns(page, content.items);
+      const lines = orderPage(runs, x1 - x0, page.pageNumber || pageLines.length + 1);
+      pageLines.push(lines);
+
+      const annotations = await page.getAnnotations();
+      for (const annotation of annotations) {
+        const url = annotation.url || annotation.unsafeUrl;
+        if (annotation.subtype === "Link" && url) links.push({ url, text: linkText(annotation.rect, runs) });
+      }
+      return lines.map(line => line.text).join("\n");
+    },
+  });
+
+  const lines = markHeadings(pageLines.flat().filter(line => line.text));
+  const text = lines.map(line => line.text).join("\n");
+
+  // The first, largest line is the name rather than a section heading
+  const nameLine = lines.length > 0 && lines[0].heading && lines.every(line => line.size <= lines[0].size) ? lines[0] : null;
+  const hasSections = lines.some(line => line.heading && line !== nameLine);
+  const markdown = hasSections
+    ? lines.map(line => (line === nameLine ? `# ${line.text}` : line.heading ? `\n## ${line.text}\n` : line.text)).join("\n")
+    : null;
+
+  return {
+    text,
+    markdown,
+    lines: lines.map(({ text, page, size, bold, heading }) => ({ text, page, size, bold, heading })),
+    links,
+    pageCount: result.numpages,
+  };
+}
+
+export { extractPdfLayout, findColumnGutter };
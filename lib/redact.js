@@ -0,0 +1,95 @@
+/**
+ * Website Generator - PII Redaction
+ *
+ * Privacy mode for the LLM step. Personal identifiers (name, email addresses,
+ * phone numbers, street addresses, the contact location and links) are
+ * replaced with placeholder tokens such as [EMAIL_1] before any text is sent
+ * to the model, and the tokens in its answer are replaced with the original
+ * values locally. The mapping never leaves the process.
+ */
+
+// Detected in any text sent to the model, in addition to the identifiers passed to createRedactor
+const PII_PATTERNS = [
+  ["EMAIL", /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g],
+  ["URL", /\b(?:https?:\/\/|www\.)[^\s<>()|,"]+|\b(?:linkedin\.com|github\.com|gitlab\.com|orcid\.org|scholar\.google\.com|researchgate\.net|twitter\.com|x\.com)\/[^\s<>()|,"]+/gi],
+  // "+1 (555) 123-4567", "555.123.4567", "+49 30 1234 5678"; not page ranges, years or DOIs
+  ["PHONE", /(?<![\w./-])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)\s?\d{3,4}[\s.-]\d{3,5}|\d{2,4}[\s.-]\d{3,4}[\s.-]?\d{3,5})(?![\w/-])/g],
+  // "221B Baker Street", "12 Main St., Apt 4", "Hauptstraße 5"
+  ["ADDRESS", /\b\d{1,5}[A-Za-z]?\s+(?:[A-Z][\w.'-]*\s+){1,4}(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl|Terrace|Square|Sq)\b\.?(?:,?\s*(?:Apt|Suite|Unit|#)\.?\s*[\w-]+)?|\b[A-ZÄÖÜ][\wäöüß-]*(?:straße|strasse|weg|platz|allee|gasse)\s+\d+[a-z]?\b/g],
+];
+
+const TOKEN_PATTERN = /\[([A-Z]+_\d+)\]/g;
+
+// Helper: escape a string for use in a regular expression
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Helper: apply fn to every string in a JSON value
+function mapStrings(value, fn) {
+  if (typeof value === "string") return fn(value);
+  if (Array.isArray(value)) return value.map(item => mapStrings(item, fn));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, mapStrings(item, fn)]));
+  }
+  return value;
+}
+
+/**
+ * Create a redactor for one resume
+ *
+ * @param {Object} identifiers - Known values to hide, e.g. { name, email, phone, location } from the contact parser
+ * @returns {Object} Redactor with
+ *   redact(text)        - text with every known or detected identifier replaced by its token
+ *   redactJson(value)   - the same for every string in a JSON value
+ *   restore(value)      - JSON value (or string) with the tokens replaced by the original values
+ *   count               - number of distinct values replaced so far
+ */
+function createRedactor({ name, email, phone, location } = {}) {
+  const tokens = new Map(); // token -> original value
+  const byValue = new Map(); // lowercased value -> token
+  const counters = {};
+
+  const add = (kind, value) => {
+    const original = String(value || "").trim();
+    if (original.length < 3 || byValue.has(original.toLowerCase())) return;
+    counters[kind] = (counters[kind] || 0) + 1;
+    const token = `[${kind}_${counters[kind]}]`;
+    tokens.set(token.slice(1, -1), original);
+    byValue.set(original.toLowerCase(), token);
+  };
+
+  add("NAME", name);
+  // "Doe, Jane" and "J. Doe" as written in author lists
+  const parts = String(name || "").trim().split(/\s+/);
+  if (parts.length > 1) {
+    const family = parts[parts.length - 1];
+    add("NAME", `${family}, ${parts.slice(0, -1).join(" ")}`);
+    add("NAME", `${parts[0][0]}. ${family}`);
+  }
+  add("EMAIL", email);
+  add("PHONE", phone);
+  add("LOCATION", location);
+
+  const redact = text => {
+    if (!text) return text;
+    for (const [kind, pattern] of PII_PATTERNS) {
+      for (const match of text.matchAll(pattern)) add(kind, match[0].replace(/[.;:!?'\]]+$/, ""));
+    }
+    if (byValue.size === 0) return text;
+    // One pass over all values, longest first, so an email isn't cut up by a name inside it
+    const values = [...byValue.keys()].sort((a, b) => b.length - a.length).map(escapeRegExp);
+    return text.replace(new RegExp(values.join("|"), "gi"), match => byValue.get(match.toLowerCase()) || match);
+  };
+
+  return {
+    redact,
+    redactJson: value => mapStrings(value, redact),
+    restore: value => mapStrings(value, text => text.replace(TOKEN_PATTERN, (token, key) => tokens.get(key) ?? token)),
+    get count() {
+      return tokens.size;
+    },
+  };
+}
+
+export { createRedactor };
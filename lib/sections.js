@@ -0,0 +1,268 @@
+/**
+ * Website Generator - Section Dictionary
+ *
+ * Section header synonyms and the vocabularies used by the rule-based parsers
+ * (job titles, degree words, ...) live in language packs under config/sections/.
+ * Every pack has the same shape:
+ *
+ *   {
+ *     "language": "de",
+ *     "sections": { "experience": ["Berufserfahrung", ...], "education": [...], ... },
+ *     "vocabularies": { "jobTitles": [...], "degrees": [...], "institutions": [...],
+ *                       "honors": [...], "teachingRoles": [...], "present": [...], "dateRange": [...] }
+ *   }
+ *
+ * Users can add their own header aliases (and vocabulary words) in a file of the
+ * same shape, loaded after the packs:
+ *
+ *   SECTION_LANGUAGES  comma-separated packs to load (default: all packs)
+ *   SECTION_ALIASES    path of the user alias file (default: section-aliases.json, if present)
+ *
+ * Aliases can also be sent with a single upload (see parseAliasText).
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const PACKS_DIR = path.join(ROOT_DIR, "config", "sections");
+const DEFAULT_ALIASES_FILE = "section-aliases.json";
+
+// Canonical section keys, in the order the parsers and LLM prompt use them
+const SECTION_KEYS = [
+  "summary", "interests", "experience", "education", "publications", "projects",
+  "teaching", "grants", "awards", "talks", "service", "skills",
+];
+
+const VOCABULARY_KEYS = ["jobTitles", "degrees", "institutions", "honors", "teachingRoles", "present", "dateRange"];
+
+// Headings longer than this are body text, even when they contain a section word
+const MAX_HEADING_WORDS = 6;
+
+/**
+ * Normalize a section header for comparison: lowercase, accents and punctuation removed
+ * Letters of every script are kept, so "Formación" -> "formacion" and "教育背景" is unchanged.
+ *
+ * @param {string} str - Header text
+ * @returns {string} Normalized header
+ */
+function normalizeHeader(str) {
+  return String(str || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/&/g, "and")
+    .replace(/[^\p{L}\p{N} ]/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+const hasHan = str => /\p{Script=Han}/u.test(str);
+
+/**
+ * List the language packs available in config/sections
+ *
+ * @returns {string[]} Language codes, e.g. ["de", "en", "es", "fr", "zh"]
+ */
+function availableLanguages() {
+  return fs.readdirSync(PACKS_DIR)
+    .filter(file => file.endsWith(".json"))
+    .map(file => path.basename(file, ".json"))
+    .sort();
+}
+
+function readJsonFile(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    throw new Error(`Invalid section dictionary file ${file}: ${e.message}`);
+  }
+}
+
+/**
+ * Build a dictionary from language packs and alias files
+ *
+ * @param {Object[]} packs - Objects of the pack shape; later packs add to earlier ones
+ * @returns {Object} Dictionary with sections, vocabularies and the matchers below
+ */
+function createSectionDictionary(packs) {
+  const sections = Object.fromEntries(SECTION_KEYS.map(key => [key, []]));
+  const vocabularies = Object.fromEntries(VOCABULARY_KEYS.map(key => [key, []]));
+  const languages = [];
+
+  for (const pack of packs) {
+    if (pack.language) languages.push(pack.language);
+    for (const [key, aliases] of Object.entries(pack.sections || {})) {
+      sections[key] = [...new Set([...(sections[key] || []), ...aliases])];
+    }
+    for (const [key, words] of Object.entries(pack.vocabularies || {})) {
+      vocabularies[key] = [...new Set([...(vocabularies[key] || []), ...words])];
+    }
+  }
+
+  // Normalized alias -> section key; longer aliases win when several are contained in a heading
+  const aliases = new Map();
+  for (const [key, list] of Object.entries(sections)) {
+    for (const alias of list) {
+      const normalized = normalizeHeader(alias);
+      if (normalized && !aliases.has(normalized)) aliases.set(normalized, key);
+    }
+  }
+  const aliasesByLength = [...aliases.keys()].sort((a, b) => b.length - a.length);
+
+  // Vocabulary regexes. Job titles must end a word ("Softwareentwickler" ends with
+  // "entwickler") unless written in Han characters, which have no word breaks.
+  const anyOf = words => new RegExp(words.map(escapeRegExp).join("|") || "(?!)", "iu");
+  const titleWords = vocabularies.jobTitles.map(word => (hasHan(word) ? escapeRegExp(word) : `${escapeRegExp(word)}(?!\\p{L})`));
+  const titlePattern = new RegExp(`^[\\p{L}\\s&'.-]*?(?:${titleWords.join("|") || "(?!)"})`, "iu");
+  const degree = anyOf(vocabularies.degrees);
+  const institution = anyOf(vocabularies.institutions);
+  const honors = anyOf(vocabularies.honors);
+  const present = anyOf(vocabularies.present);
+  // Longest first, so "Teaching Assistant" is found rather than "TA"
+  const teachingRole = new RegExp([...vocabularies.teachingRoles]
+    .sort((a, b) => b.length - a.length)
+    .map(word => (hasHan(word) ? escapeRegExp(word) : `(?<!\\p{L})${escapeRegExp(word)}(?!\\p{L})`))
+    .join("|") || "(?!)", "iu");
+  // Dates inside an entry: "2021", "Fall 2019", "March 2020 - Present", "2018 bis 2021", "2020年至今".
+  // Month and term names are any capitalized word before the year (not acronyms like "AAAI").
+  const variants = word => [word, word.toLowerCase(), word[0].toUpperCase() + word.slice(1).toLowerCase()];
+  const presentWords = [...new Set(vocabularies.present.flatMap(variants))].map(escapeRegExp).join("|") || "(?!)";
+  const rangeSeparators = [...new Set(vocabularies.dateRange.flatMap(variants))].map(escapeRegExp).join("|") || "(?!)";
+  const when = "(?:\\p{Lu}\\p{Ll}+\\.?\\s+)?";
+  const year = "(?<!\\d)(?:19|20)\\d{2}(?:年(?:\\d{1,2}月)?)?";
+  const datePattern = new RegExp(
+    `${when}${year}(?:\\s*(?:[-–—/]|${rangeSeparators})\\s*(?:${when}${year}|\\d{2}(?!\\d)|${presentWords})|\\s*(?:[-–—]\\s*)?(?:${presentWords}))?`,
+    "u"
+  );
+  const rangeWords = vocabularies.dateRange.map(word => (hasHan(word) ? escapeRegExp(word) : `(?<!\\p{L})${escapeRegExp(word)}(?!\\p{L})`));
+  const dateRange = new RegExp(`[-–—]|${rangeWords.join("|") || "(?!)"}`, "iu");
+
+  return {
+    languages,
+    sections,
+    vocabularies,
+
+    /**
+     * Find the section a header line introduces
+     *
+     * @param {string} line - Candidate header line
+     * @param {Object} options - { exact: only accept a line that is exactly a known heading }
+     * @returns {string|null} Section key, or null if the line isn't a known header
+     */
+    matchHeading(line, { exact = false } = {}) {
+      const normalized = normalizeHeader(line);
+      if (!normalized) return null;
+      if (aliases.has(normalized)) return aliases.get(normalized);
+      if (exact) return null;
+      // Partial matches only for short, heading-like lines: "Selected Publications (2020-)" is
+      // still a heading, "Five years of experience.", "- Published 5 papers" and "Teaching Assistant, MIT" are not
+      const bare = line.replace(/\([^)]*\)/g, "").trim();
+      if (normalized.split(" ").length > MAX_HEADING_WORDS || /[.;]$|,|\d|^[•▪◦*\-–]/.test(bare)) return null;
+      // "Teaching Assistant" and "Research Fellow" are job titles, not headings
+      if (this.isJobTitle(line) || this.findTeachingRole(line)) return null;
+      const padded = ` ${normalized} `;
+      const contained = aliasesByLength.find(alias => (hasHan(alias) ? normalized.includes(alias) : padded.includes(` ${alias} `)));
+      return contained ? aliases.get(contained) : null;
+    },
+
+    // Titles start with a capital (or a letter of a caseless script such as Chinese)
+    isJobTitle(line) {
+      if (!/^[\p{Lu}\p{Lo}]/u.test(line)) return false;
+      const match = line.match(titlePattern);
+      return Boolean(match) && match[0].split(/\s+/).length <= MAX_HEADING_WORDS;
+    },
+    isDegree: line => degree.test(line),
+    isInstitution: line => institution.test(line),
+    isHonors: line => honors.test(line),
+    isDateRange: line => /\d{4}/.test(line) && (present.test(line) || dateRange.test(line)),
+
+    /**
+     * Find the first date or date range in a line
+     *
+     * @param {string} line - Text to search
+     * @returns {string|null} The dates as written in the line
+     */
+    findDates(line) {
+      const match = line.match(datePattern);
+      return match ? match[0].trim() : null;
+    },
+
+    /**
+     * Find a teaching role ("Teaching Assistant", "Dozent", ...) in a line
+     *
+     * @param {string} line - Text to search
+     * @returns {string|null} The role as written in the line
+     */
+    findTeachingRole(line) {
+      const match = line.match(teachingRole);
+      return match ? match[0] : null;
+    },
+
+    /**
+     * Add aliases on top of this dictionary, e.g. the ones sent with an upload
+     *
+     * @param {Object} pack - Pack-shaped object
+     * @returns {Object} New dictionary; this one is unchanged
+     */
+    extend: pack => createSectionDictionary([...packs, pack]),
+  };
+}
+
+/**
+ * Load the section dictionary selected by the configuration
+ *
+ * @param {Object} config - Usually process.env (SECTION_LANGUAGES, SECTION_ALIASES)
+ * @returns {Object} Section dictionary
+ */
+function loadSectionDictionary(config = process.env) {
+  const available = availableLanguages();
+  const languages = config.SECTION_LANGUAGES
+    ? config.SECTION_LANGUAGES.split(",").map(lang => lang.trim().toLowerCase()).filter(Boolean)
+    : available;
+  const unknown = languages.filter(lang => !available.includes(lang));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown section language pack(s): ${unknown.join(", ")} (available: ${available.join(", ")})`);
+  }
+
+  const packs = languages.map(lang => readJsonFile(path.join(PACKS_DIR, `${lang}.json`)));
+  const aliasesFile = config.SECTION_ALIASES || DEFAULT_ALIASES_FILE;
+  if (fs.existsSync(aliasesFile)) {
+    packs.push(readJsonFile(aliasesFile));
+  } else if (config.SECTION_ALIASES) {
+    throw new Error(`SECTION_ALIASES file not found: ${aliasesFile}`);
+  }
+  return createSectionDictionary(packs);
+}
+
+/**
+ * Parse aliases sent with an upload, one per line: "Heading: section"
+ * e.g. "Industrieerfahrung: experience". Lines with an unknown section are skipped.
+ *
+ * @param {string} text - Alias lines
+ * @returns {Object} Pack-shaped object ({ sections }) to add to a dictionary
+ */
+function parseAliasText(text) {
+  const sections = {};
+  for (const line of String(text || "").split("\n")) {
+    const match = line.match(/^\s*(.+?)\s*[:=]\s*([A-Za-z]+)\s*$/);
+    if (!match || !SECTION_KEYS.includes(match[2].toLowerCase())) continue;
+    const key = match[2].toLowerCase();
+    (sections[key] ||= []).push(match[1]);
+  }
+  return { sections };
+}
+
+export {
+  SECTION_KEYS,
+  normalizeHeader,
+  availableLanguages,
+  createSectionDictionary,
+  loadSectionDictionary,
+  parseAliasText,
+};
@@ -0,0 +1,187 @@
+/**
+ * Website Generator - API Protection
+ *
+ * Limits for hosting the server for other people: per-IP rate limits, upload
+ * size and page limits, an allow-list of browser origins, and an optional
+ * access key. Everything is configured from environment variables:
+ *
+ *   MAX_UPLOAD_MB           largest accepted resume or .bib file (default: 10)
+ *   MAX_PDF_PAGES           longest accepted PDF (default: 20)
+ *   RATE_LIMIT_WINDOW_MIN   length of a rate limit window in minutes (default: 15)
+ *   RATE_LIMIT_MAX          API requests per IP and window (default: 300)
+ *   RATE_LIMIT_PARSE_MAX    resume parses per IP and window; these may call the LLM (default: 10)
+ *   CORS_ORIGINS            comma-separated origins the frontend is served from, or * (default: http://localhost:5173)
+ *   API_KEYS                comma-separated access keys; when set, requests that change data or parse
+ *                           resumes need one in an "Authorization: Bearer" or "X-API-Key" header
+ *   TRUST_PROXY             Express "trust proxy" setting, for rate limiting by client IP behind a proxy
+ */
+
+import crypto from "crypto";
+
+// Helper: comma-separated list from an environment variable
+function listOf(value) {
+  return String(value || "").split(",").map(item => item.trim()).filter(Boolean);
+}
+
+// Helper: positive number from an environment variable, or the default
+function numberOf(value, fallback) {
+  const number = Number(value);
+  return value !== undefined && value !== "" && number > 0 ? number : fallback;
+}
+
+/**
+ * Read the protection settings from the environment
+ *
+ * @param {Object} env - Environment variables (default: process.env)
+ * @returns {Object} { maxUploadBytes, maxPdfPages, rateLimit: { windowMs, max, parseMax }, corsOrigins, apiKeys, trustProxy }
+ */
+function loadSecurityConfig(env = process.env) {
+  return {
+    maxUploadBytes: numberOf(env.MAX_UPLOAD_MB, 10) * 1024 * 1024,
+    maxPdfPages: numberOf(env.MAX_PDF_PAGES, 20),
+    rateLimit: {
+      windowMs: numberOf(env.RATE_LIMIT_WINDOW_MIN, 15) * 60 * 1000,
+      max: numberOf(env.RATE_LIMIT_MAX, 300),
+      parseMax: numberOf(env.RATE_LIMIT_PARSE_MAX, 10),
+    },
+    corsOrigins: env.CORS_ORIGINS === undefined ? ["http://localhost:5173"] : listOf(env.CORS_ORIGINS),
+    apiKeys: listOf(env.API_KEYS),
+    trustProxy: env.TRUST_PROXY || false,
+  };
+}
+
+/**
+ * Rate limit counters kept in memory, for a single server process
+ * Any object with the same increment/reset methods can be passed to createRateLimiter,
+ * e.g. one backed by Redis when running several processes.
+ *
+ * @returns {Object} Store with
+ *   increment(key, windowMs) - Promise of { count, resetAt } for the current window of key
+ *   reset(key)               - Promise, forgets key
+ */
+function createMemoryRateLimitStore() {
+  const windows = new Map(); // key -> { count, resetAt }
+
+  // Drop expired windows now and then so the map doesn't grow with every client ever seen
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of windows) {
+      if (entry.resetAt <= now) windows.delete(key);
+    }
+  }, 60 * 1000);
+  sweep.unref();
+
+  return {
+    async increment(key, windowMs) {
+      const now = Date.now();
+      let entry = windows.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        windows.set(key, entry);
+      }
+      entry.count++;
+      return { count: entry.count, resetAt: entry.resetAt };
+    },
+    async reset(key) {
+      windows.delete(key);
+    },
+  };
+}
+
+/**
+ * Express middleware allowing at most `max` requests per client and window
+ * Responses carry RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset headers;
+ * requests over the limit get 429 with a Retry-After header.
+ *
+ * @param {Object} options
+ *   name      - Counter name, so several limiters can share a store
+ *   windowMs  - Window length in milliseconds
+ *   max       - Requests allowed per window
+ *   store     - Counter store (default: createMemoryRateLimitStore())
+ *   keyOf     - (req) => client key (default: req.ip)
+ *   message   - Error message for limited requests
+ *   logger    - Where store errors are reported (default: console)
+ * @returns {Function} Middleware
+ */
+function createRateLimiter({
+  name = "api",
+  windowMs,
+  max,
+  store = createMemoryRateLimitStore(),
+  keyOf = req => req.ip,
+  message = "Too many requests, please try again later",
+  logger = console,
+}) {
+  return async (req, res, next) => {
+    if (req.method === "OPTIONS") return next();
+    let result;
+    try {
+      result = await store.increment(`${name}:${keyOf(req)}`, windowMs);
+    } catch (err) {
+      // A broken store shouldn't take the API down with it
+      logger.error("Rate limit store error:", err);
+      return next();
+    }
+    const resetSeconds = Math.max(0, Math.ceil((result.resetAt - Date.now()) / 1000));
+    res.setHeader("RateLimit-Limit", max);
+    res.setHeader("RateLimit-Remaining", Math.max(0, max - result.count));
+    res.setHeader("RateLimit-Reset", resetSeconds);
+    if (result.count > max) {
+      res.setHeader("Retry-After", resetSeconds);
+      return res.status(429).json({ error: message });
+    }
+    next();
+  };
+}
+
+/**
+ * Express middleware for CORS: only the listed origins may call the API from a browser
+ *
+ * @param {string[]} origins - Allowed origins, e.g. ["https://cv.example.edu"]; "*" allows any
+ * @returns {Function} Middleware
+ */
+function createCors(origins) {
+  const allowAny = origins.includes("*");
+  return (req, res, next) => {
+    const origin = req.headers.origin;
+    if (origin && (allowAny || origins.includes(origin))) {
+      res.header("Access-Control-Allow-Origin", allowAny ? "*" : origin);
+      res.header("Access-Control-Allow-Headers", "Origin, X-Requested-With, Content-Type, Accept, Authorization, X-API-Key");
+      res.header("Access-Control-Allow-Methods", "GET, POST, PUT, DELETE, OPTIONS");
+    }
+    res.vary("Origin");
+    if (req.method === "OPTIONS") return res.status(204).end();
+    next();
+  };
+}
+
+// Helper: compare a presented key with the configured ones in constant time
+function isValidKey(key, apiKeys) {
+  const presented = crypto.createHash("sha256").update(String(key)).digest();
+  return apiKeys.some(apiKey => crypto.timingSafeEqual(presented, crypto.createHash("sha256").update(apiKey).digest()));
+}
+
+/**
+ * Express middleware requiring an access key for requests that change data or parse resumes
+ * Reads (GET) stay open, so shared portfolio and group links keep working for visitors.
+ * With no keys configured every request is let through.
+ *
+ * @param {string[]} apiKeys - Accepted keys
+ * @returns {Function} Middleware
+ */
+function requireApiKey(apiKeys) {
+  return (req, res, next) => {
+    if (apiKeys.length === 0 || req.method === "GET" || req.method === "HEAD" || req.method === "OPTIONS") return next();
+    const header = req.headers.authorization || "";
+    const key = header.startsWith("Bearer ") ? header.slice(7).trim() : req.headers["x-api-key"];
+    if (!key) {
+      return res.status(401).json({ error: "An access key is required" });
+    }
+    if (!isValidKey(key, apiKeys)) {
+      return res.status(401).json({ error: "Invalid access key" });
+    }
+    next();
+  };
+}
+
+export { loadSecurityConfig, createMemoryRateLimitStore, createRateLimiter, createCors, requireApiKey };
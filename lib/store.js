@@ -0,0 +1,244 @@
+/**
+ * Website Generator - Portfolio Store
+ *
+ * Thin helpers around the lowdb database. Every parsed resume is stored as a
+ * record with a nanoid so it can be reloaded, edited and shared by URL:
+ *
+ *   { id, createdAt, updatedAt, portfolio, provenance?, parsed? }
+ *
+ * Parsed resumes also keep the provenance of their fields (shared/provenance.js)
+ * and the portfolio as parsed, before hand edits, which newer uploads of the
+ * resume are merged against (shared/merge.js).
+ *
+ * Every saved version of a portfolio is also kept as a revision, so an edit or
+ * a bad re-upload can be undone:
+ *
+ *   { portfolioId, id, createdAt, source, restoredFrom?, portfolio }
+ *
+ * id counts up from 1 per portfolio; source is what produced the version
+ * ("upload", "import", "edit", "merge" or "restore").
+ *
+ * Groups (lab sites, shared/group.js) reference member portfolios by ID:
+ *
+ *   { id, createdAt, updatedAt, group }
+ *
+ * LLM answers cached by lib/aicache.js are kept next to them, in aiCache.
+ */
+
+import { Low } from "lowdb";
+import { JSONFile } from "lowdb/node";
+import { nanoid } from "nanoid";
+
+// Oldest revisions beyond this many per portfolio are dropped
+const MAX_REVISIONS = 50;
+
+/**
+ * Open (or create) the JSON database file
+ * Older databases stored bare portfolio objects; those are wrapped into records.
+ *
+ * @param {string} file - Path to the JSON file
+ * @returns {Promise<Low>} Initialized lowdb instance
+ */
+async function openDatabase(file) {
+  const db = new Low(new JSONFile(file), { resumes: [], revisions: [], groups: [], aiCache: [] });
+  await db.read();
+  db.data ||= { resumes: [], revisions: [], groups: [], aiCache: [] };
+  db.data.resumes ||= [];
+  db.data.groups ||= [];
+  db.data.aiCache ||= [];
+
+  let migrated = false;
+  db.data.resumes = db.data.resumes.map(entry => {
+    if (entry && entry.id && entry.portfolio) return entry;
+    migrated = true;
+    const now = new Date().toISOString();
+    return { id: nanoid(10), createdAt: now, updatedAt: now, portfolio: entry };
+  });
+
+  // Portfolios saved before revisions existed start their history with their current version
+  if (!db.data.revisions) {
+    db.data.revisions = db.data.resumes.map(record => ({
+      portfolioId: record.id, id: 1, createdAt: record.updatedAt, source: "upload", portfolio: record.portfolio,
+    }));
+    migrated = true;
+  }
+  if (migrated) await db.write();
+
+  return db;
+}
+
+// Helper: record a version of a portfolio, dropping the oldest beyond MAX_REVISIONS
+function addRevision(db, record, source, extra = {}) {
+  const revisions = db.data.revisions.filter(revision => revision.portfolioId === record.id);
+  const id = revisions.length > 0 ? revisions[revisions.length - 1].id + 1 : 1;
+  db.data.revisions.push({ portfolioId: record.id, id, createdAt: record.updatedAt, source, ...extra, portfolio: record.portfolio });
+  if (revisions.length + 1 > MAX_REVISIONS) {
+    const dropped = new Set(revisions.slice(0, revisions.length + 1 - MAX_REVISIONS));
+    db.data.revisions = db.data.revisions.filter(revision => !dropped.has(revision));
+  }
+}
+
+/**
+ * Store a new portfolio under a fresh ID
+ *
+ * @param {Low} db - Database from openDatabase
+ * @param {Object} portfolio - Academic portfolio JSON
+ * @param {Object} [extra] - { provenance, parsed } to keep with the portfolio, and the
+ *   revision source ("upload" by default)
+ * @returns {Promise<Object>} The stored record
+ */
+async function createPortfolio(db, portfolio, { provenance, parsed, source = "upload" } = {}) {
+  const now = new Date().toISOString();
+  const record = { id: nanoid(10), createdAt: now, updatedAt: now, portfolio, ...(provenance && { provenance }), ...(parsed && { parsed }) };
+  db.data.resumes.push(record);
+  addRevision(db, record, source);
+  await db.write();
+  return record;
+}
+
+/**
+ * Look up a stored portfolio record
+ *
+ * @param {Low} db - Database from openDatabase
+ * @param {string} id - Portfolio ID
+ * @returns {Object|undefined} The record, if found
+ */
+function getPortfolio(db, id) {
+  return db.data.resumes.find(record => record.id === id);
+}
+
+/**
+ * Replace the portfolio JSON of an existing record
+ *
+ * @param {Low} db - Database from openDatabase
+ * @param {string} id - Portfolio ID
+ * @param {Object} portfolio - New academic portfolio JSON
+ * @param {Object} [extra] - { provenance, parsed } to replace the stored ones with, the
+ *   revision source ("edit" by default) and, for restores, the restoredFrom revision ID
+ * @returns {Promise<Object|undefined>} The updated record, or undefined if not found
+ */
+async function updatePortfolio(db, id, portfolio, { provenance, parsed, source = "edit", restoredFrom } = {}) {
+  const record = getPortfolio(db, id);
+  if (!record) return undefined;
+  record.portfolio = portfolio;
+  if (provenance) record.provenance = provenance;
+  if (parsed) record.parsed = parsed;
+  record.updatedAt = new Date().toISOString();
+  addRevision(db, record, source, restoredFrom ? { restoredFrom } : {});
+  await db.write();
+  return record;
+}
+
+/**
+ * Remove a stored portfolio
+ *
+ * @param {Low} db - Database from openDatabase
+ * @param {string} id - Portfolio ID
+ * @returns {Promise<boolean>} Whether a record was removed
+ */
+async function deletePortfolio(db, id) {
+  const index = db.data.resumes.findIndex(record => record.id === id);
+  if (index === -1) return false;
+  db.data.resumes.splice(index, 1);
+  db.data.revisions = db.data.revisions.filter(revision => revision.portfolioId !== id);
+  await db.write();
+  return true;
+}
+
+/**
+ * List a portfolio's revisions, newest first, without their portfolio data
+ *
+ * @param {Low} db - Database from openDatabase
+ * @param {string} id - Portfolio ID
+ * @returns {Object[]} { id, createdAt, source, restoredFrom? } per revision
+ */
+function listRevisions(db, id) {
+  return db.data.revisions
+    .filter(revision => revision.portfolioId === id)
+    .map(({ portfolioId, portfolio, ...meta }) => meta)
+    .reverse();
+}
+
+/**
+ * Look up one revision of a portfolio
+ *
+ * @param {Low} db - Database from openDatabase
+ * @param {string} id - Portfolio ID
+ * @param {number} revisionId - Revision number
+ * @returns {Object|undefined} The revision, including its portfolio data
+ */
+function getRevision(db, id, revisionId) {
+  return db.data.revisions.find(revision => revision.portfolioId === id && revision.id === revisionId);
+}
+
+/**
+ * Store a new group under a fresh ID
+ *
+ * @param {Low} db - Database from openDatabase
+ * @param {Object} group - Group object (shared/group.js)
+ * @returns {Promise<Object>} The stored record
+ */
+async function createGroup(db, group) {
+  const now = new Date().toISOString();
+  const record = { id: nanoid(10), createdAt: now, updatedAt: now, group };
+  db.data.groups.push(record);
+  await db.write();
+  return record;
+}
+
+/**
+ * Look up a stored group record
+ *
+ * @param {Low} db - Database from openDatabase
+ * @param {string} id - Group ID
+ * @returns {Object|undefined} The record, if found
+ */
+function getGroup(db, id) {
+  return db.data.groups.find(record => record.id === id);
+}
+
+/**
+ * Replace the group object of an existing record
+ *
+ * @param {Low} db - Database from openDatabase
+ * @param {string} id - Group ID
+ * @param {Object} group - New group object
+ * @returns {Promise<Object|undefined>} The updated record, or undefined if not found
+ */
+async function updateGroup(db, id, group) {
+  const record = getGroup(db, id);
+  if (!record) return undefined;
+  record.group = group;
+  record.updatedAt = new Date().toISOString();
+  await db.write();
+  return record;
+}
+
+/**
+ * Remove a stored group (member portfolios are kept)
+ *
+ * @param {Low} db - Database from openDatabase
+ * @param {string} id - Group ID
+ * @returns {Promise<boolean>} Whether a record was removed
+ */
+async function deleteGroup(db, id) {
+  const index = db.data.groups.findIndex(record => record.id === id);
+  if (index === -1) return false;
+  db.data.groups.splice(index, 1);
+  await db.write();
+  return true;
+}
+
+export {
+  openDatabase,
+  createPortfolio,
+  getPortfolio,
+  updatePortfolio,
+  deletePortfolio,
+  listRevisions,
+  getRevision,
+  createGroup,
+  getGroup,
+  updateGroup,
+  deleteGroup,
+};
@@ -0,0 +1,247 @@
+/**
+ * Website Generator - BibTeX Parser
+ *
+ * Parses .bib files into structured publication entries for the portfolio
+ * and serializes publications back to BibTeX for the per-entry copy button.
+ * Shared by the server (upload) and the React app (rendering).
+ */
+
+// LaTeX accent commands -> Unicode combining marks
+const ACCENTS = {
+  "'": "\u0301", "`": "\u0300", "^": "\u0302", '"': "\u0308", "~": "\u0303",
+  "=": "\u0304", ".": "\u0307", "u": "\u0306", "v": "\u030c", "H": "\u030b", "c": "\u0327", "k": "\u0328",
+};
+
+// LaTeX symbol commands -> Unicode
+const SYMBOLS = {
+  ss: "ß", o: "ø", O: "Ø", l: "ł", L: "Ł", ae: "æ", AE: "Æ", oe: "œ", OE: "Œ", aa: "å", AA: "Å", i: "ı", j: "ȷ",
+};
+
+/**
+ * Convert a BibTeX field value to plain Unicode text (accents, braces, dashes)
+ *
+ * @param {string} value - Raw field value
+ * @returns {string} Display text
+ */
+function latexToText(value) {
+  if (!value) return "";
+  return String(value)
+    .replace(/\\([`'^"~=.uvHck])\s*\{?\\?([A-Za-z])\}?/g, (m, accent, letter) => (letter + ACCENTS[accent]).normalize("NFC"))
+    .replace(/\\(ss|ae|AE|oe|OE|aa|AA|o|O|l|L|i|j)(?![A-Za-z])\s*/g, (m, sym) => SYMBOLS[sym])
+    .replace(/\\&/g, "&")
+    .replace(/\\([%$#_{}])/g, "$1")
+    .replace(/\\(textit|textbf|emph|textsc|texttt|mathrm|url)\s*/g, "")
+    .replace(/---/g, "—")
+    .replace(/--/g, "–")
+    .replace(/~/g, " ")
+    .replace(/[{}]/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Split a BibTeX author list ("Last, First and First Last and others") into names
+ *
+ * @param {string} value - Raw author field
+ * @returns {Array} Array of { given, family } objects
+ */
+function parseAuthors(value) {
+  if (!value) return [];
+  // Split on " and " at brace depth 0
+  const names = [];
+  let depth = 0;
+  let current = "";
+  const tokens = String(value).split(/(\s+and\s+|[{}])/i);
+  for (const token of tokens) {
+    if (token === "{") depth++;
+    if (token === "}") depth--;
+    if (depth === 0 && /^\s+and\s+$/i.test(token)) {
+      names.push(current);
+      current = "";
+    } else {
+      current += token;
+    }
+  }
+  names.push(current);
+
+  return names
+    .map(name => name.trim())
+    .filter(Boolean)
+    .map(name => {
+      if (name === "others") return { given: "", family: "others" };
+      if (name.includes(",")) {
+        const [family, given] = name.split(/,\s*/);
+        return { given: latexToText(given || ""), family: latexToText(family) };
+      }
+      // A braced name ("{World Health Organization}") is a single family name
+      if (/^\{.*\}$/.test(name)) return { given: "", family: latexToText(name) };
+      const parts = latexToText(name).split(" ");
+      return { given: parts.slice(0, -1).join(" "), family: parts[parts.length - 1] };
+    });
+}
+
+/**
+ * Read one field value starting at position i ({...}, "..." or bare word), with # concatenation
+ * Bare words are looked up in the @string macros.
+ *
+ * @param {string} text - BibTeX source
+ * @param {number} i - Start position
+ * @param {Object} strings - @string macros (lowercased names)
+ * @returns {Array} [rawValue, nextIndex]
+ */
+function readValue(text, i, strings) {
+  let result = "";
+  for (;;) {
+    while (/\s/.test(text[i])) i++;
+    if (text[i] === "{" || text[i] === '"') {
+      const close = text[i] === "{" ? "}" : '"';
+      let depth = 0;
+      let j = i + 1;
+      for (; j < text.length; j++) {
+        const ch = text[j];
+        if (ch === "\\") { j++; continue; }
+        if (ch === "{") depth++;
+        else if (ch === "}") {
+          if (depth === 0 && close === "}") break;
+          depth--;
+        } else if (ch === '"' && close === '"' && depth === 0) break;
+      }
+      result += text.slice(i + 1, j);
+      i = j + 1;
+    } else {
+      const match = text.slice(i).match(/^[^\s,#}]+/);
+      const word = match ? match[0] : "";
+      const lower = word.toLowerCase();
+      result += strings[lower] ?? word;
+      i += word.length;
+    }
+    while (/\s/.test(text[i])) i++;
+    if (text[i] !== "#") return [result, i];
+    i++;
+  }
+}
+
+/**
+ * Parse a BibTeX file into raw entries
+ *
+ * @param {string} text - Contents of a .bib file
+ * @returns {Array} Array of { type, key, fields, raw } (field names lowercased)
+ */
+function parseBibtex(text) {
+  const entries = [];
+  const strings = {};
+  const source = String(text || "");
+  let i = 0;
+
+  while ((i = source.indexOf("@", i)) !== -1) {
+    const header = source.slice(i).match(/^@\s*([A-Za-z]+)\s*([{(])/);
+    if (!header) { i++; continue; }
+    const type = header[1].toLowerCase();
+    const start = i;
+    i += header[0].length;
+
+    if (type === "comment" || type === "preamble") {
+      // Skip to the matching closing brace
+      let depth = 1;
+      while (i < source.length && depth > 0) {
+        if (source[i] === "{" || source[i] === "(") depth++;
+        else if (source[i] === "}" || source[i] === ")") depth--;
+        i++;
+      }
+      continue;
+    }
+
+    if (type === "string") {
+      const name = source.slice(i).match(/^\s*([^\s=]+)\s*=/);
+      if (!name) continue;
+      const [value, next] = readValue(source, i + name[0].length, strings);
+      strings[name[1].toLowerCase()] = value;
+      i = next + 1;
+      continue;
+    }
+
+    const keyMatch = source.slice(i).match(/^\s*([^,\s]*)\s*,/);
+    if (!keyMatch) continue;
+    i += keyMatch[0].length;
+
+    const fields = {};
+    for (;;) {
+      while (/[\s,]/.test(source[i])) i++;
+      if (i >= source.length || source[i] === "}" || source[i] === ")") { i++; break; }
+      const field = source.slice(i).match(/^([A-Za-z][\w:.+-]*)\s*=/);
+      if (!field) { i++; break; }
+      const [value, next] = readValue(source, i + field[0].length, strings);
+      fields[field[1].toLowerCase()] = value.replace(/\s+/g, " ").trim();
+      i = next;
+    }
+
+    entries.push({ type, key: keyMatch[1], fields, raw: source.slice(start, i).trim() });
+  }
+
+  return entries;
+}
+
+/**
+ * Convert a parsed BibTeX entry into a portfolio publication
+ *
+ * @param {Object} entry - Entry from parseBibtex
+ * @returns {Object} Publication { title, authors, venue, year, doi, arxiv, url, pdf, type, bibtex }
+ */
+function bibtexToPublication(entry) {
+  const f = entry.fields;
+  const eprintIsArxiv = /arxiv/i.test(f.archiveprefix || f.eprinttype || "") || /^\d{4}\.\d{4,5}(v\d+)?$/.test(f.eprint || "");
+  const arxivInJournal = (f.journal || "").match(/arxiv:\s*(\d{4}\.\d{4,5}(?:v\d+)?)/i);
+  const arxiv = f.arxiv || (eprintIsArxiv ? f.eprint : "") || (arxivInJournal ? arxivInJournal[1] : "");
+  const venue = f.journal || f.booktitle || f.publisher || f.school || f.institution || f.howpublished || "";
+
+  const publication = {
+    title: latexToText(f.title),
+    authors: parseAuthors(f.author || f.editor).map(a => [a.given, a.family].filter(Boolean).join(" ")),
+    venue: latexToText(venue),
+    year: latexToText(f.year || (f.date || "").slice(0, 4)),
+    type: entry.type,
+    bibtex: entry.raw,
+  };
+  if (f.volume) publication.volume = latexToText(f.volume);
+  if (f.number) publication.number = latexToText(f.number);
+  if (f.pages) publication.pages = latexToText(f.pages);
+  if (f.doi) publication.doi = f.doi.replace(/^https?:\/\/(dx\.)?doi\.org\//i, "");
+  if (arxiv) publication.arxiv = arxiv;
+  if (f.url) publication.url = latexToText(f.url);
+  if (f.pdf) publication.pdf = latexToText(f.pdf);
+  return publication;
+}
+
+/**
+ * Serialize a portfolio publication as a BibTeX entry (uses the original entry when available)
+ *
+ * @param {Object} pub - Portfolio publication
+ * @returns {string} BibTeX source
+ */
+function toBibtex(pub) {
+  if (pub.bibtex) return pub.bibtex;
+  const authors = Array.isArray(pub.authors)
+    ? pub.authors
+    : String(pub.authors || "").split(/\s*(?:;|\band\b|,(?=\s*\S+\s+\S))\s*/).filter(Boolean);
+  const firstFamily = (authors[0] || "anon").split(/\s+/).pop().toLowerCase().replace(/[^a-z]/g, "");
+  const firstWord = String(pub.title || "").toLowerCase().match(/[a-z]{4,}/);
+  const key = `${firstFamily || "anon"}${pub.year || ""}${firstWord ? firstWord[0] : ""}`;
+  const type = pub.type || (/conference|proceedings|workshop|symposium/i.test(pub.venue || "") ? "inproceedings" : "article");
+  const venueField = type === "inproceedings" ? "booktitle" : "journal";
+  const fields = [
+    ["title", pub.title],
+    ["author", authors.join(" and ")],
+    [venueField, pub.venue],
+    ["year", pub.year],
+    ["volume", pub.volume],
+    ["number", pub.number],
+    ["pages", pub.pages],
+    ["doi", pub.doi],
+    ["eprint", pub.arxiv],
+    ["archiveprefix", pub.arxiv ? "arXiv" : ""],
+    ["url", pub.url],
+  ].filter(([, value]) => value);
+  return `@${type}{${key},\n${fields.map(([name, value]) => `  ${name} = {${value}}`).join(",\n")}\n}`;
+}
+
+export { parseBibtex, bibtexToPublication, toBibtex, parseAuthors, latexToText };
@@ -0,0 +1,190 @@
+/**
+ * Website Generator - Citation Formatting
+ *
+ * Formats portfolio publications in a citation style (APA, IEEE, ACM).
+ * Output is a list of text segments so both the React app and the static
+ * site exporter can render emphasis (venue) and the highlighted owner name.
+ */
+
+import { safeUrl } from "./schema.js";
+
+const CITATION_STYLES = {
+  apa: "APA",
+  ieee: "IEEE",
+  acm: "ACM",
+};
+
+const DEFAULT_CITATION_STYLE = "apa";
+
+// Helper: lowercase and strip diacritics for name comparison
+function foldName(name) {
+  return String(name || "").normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase().trim();
+}
+
+/**
+ * Split a single author name into given and family parts
+ *
+ * @param {string} name - "Jane Doe", "J. Doe" or "Doe, Jane"
+ * @returns {Object} { given, family }
+ */
+function parseName(name) {
+  const trimmed = String(name || "").trim();
+  if (trimmed.includes(",")) {
+    const [family, given] = trimmed.split(/,\s*/);
+    return { given: given || "", family };
+  }
+  const parts = trimmed.split(/\s+/);
+  return { given: parts.slice(0, -1).join(" "), family: parts[parts.length - 1] || "" };
+}
+
+// Helper: split a free-form author string ("J. Doe, A. Smith and B. Lee", "Doe, J., Smith, A.") into names
+function splitAuthorList(text) {
+  const initialsPattern = /^([A-Z]\.?[\s-]*)+$/;
+  return text
+    .split(/\s*(?:;|,?\s+and\s+|,?\s*&\s*)\s*/)
+    .filter(Boolean)
+    .flatMap(part => {
+      const pieces = part.split(/\s*,\s*/).filter(Boolean);
+      if (pieces.length === 1) return pieces;
+      // "Doe, Jane" -> a single "Family, Given" name
+      if (pieces.length === 2 && !pieces[0].includes(" ")) return [part];
+      // "Doe, J., Smith, A." -> family/initials pairs
+      if (pieces.length % 2 === 0 && pieces.every((p, i) => i % 2 === 0 || initialsPattern.test(p))) {
+        const names = [];
+        for (let i = 0; i < pieces.length; i += 2) names.push(`${pieces[i]}, ${pieces[i + 1]}`);
+        return names;
+      }
+      // "J. Doe, A. Smith" -> one name per comma
+      return pieces;
+    });
+}
+
+/**
+ * Normalize a publication's authors (array or free-form string) into name objects
+ *
+ * @param {Array|string} authors - Authors as stored in the portfolio
+ * @returns {Array} Array of { given, family, others? }
+ */
+function normalizeAuthors(authors) {
+  const names = Array.isArray(authors) ? authors : splitAuthorList(String(authors || "").trim());
+  return names
+    .map(n => String(n).trim())
+    .filter(Boolean)
+    .map(n => (/^(others|et al\.?)$/i.test(n) ? { given: "", family: "", others: true } : parseName(n)));
+}
+
+// Helper: "Jean-Pierre Anne" -> "J.-P. A."
+function initials(given) {
+  return String(given || "")
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(word => word.split("-").map(part => (part.endsWith(".") && part.length <= 3 ? part : `${part[0]}.`)).join("-"))
+    .join(" ");
+}
+
+/**
+ * Check whether an author is the portfolio owner (same family name and compatible first initial)
+ *
+ * @param {Object} author - { given, family }
+ * @param {string|string[]} ownerName - profile.name, or several names (group members)
+ * @returns {boolean}
+ */
+function isOwner(author, ownerName) {
+  if (Array.isArray(ownerName)) return ownerName.some(name => isOwner(author, name));
+  if (!ownerName || author.others) return false;
+  const owner = parseName(ownerName);
+  if (foldName(author.family) !== foldName(owner.family)) return false;
+  const a = foldName(author.given)[0];
+  const o = foldName(owner.given)[0];
+  return !a || !o || a === o;
+}
+
+// Join author segments with style-specific separators; a list ending in "et al." has no "and"/"&" before its last name
+function joinAuthors(parts, { pair, last, max, etAl }) {
+  const list = parts.filter(p => !p.others);
+  const truncated = parts.some(p => p.others) || (max && list.length > max);
+  const shown = max && list.length > max ? list.slice(0, 1) : list;
+  const segments = [];
+  shown.forEach((part, i) => {
+    if (i > 0) segments.push({ text: truncated ? ", " : shown.length === 2 ? pair : i === shown.length - 1 ? last : ", " });
+    segments.push(part.segment);
+  });
+  if (truncated) segments.push({ text: etAl });
+  return segments;
+}
+
+/**
+ * Format a publication as citation segments
+ *
+ * @param {Object} pub - Portfolio publication { title, authors, venue, year, volume, number, pages, doi }
+ * @param {string} style - "apa", "ieee" or "acm"
+ * @param {string|string[]} ownerName - Name(s) to highlight in the author list
+ * @returns {Array} Segments: { text, emphasis?: "italic", highlight?: true }
+ */
+function formatCitation(pub, style = DEFAULT_CITATION_STYLE, ownerName = "") {
+  const authors = normalizeAuthors(pub.authors).map(author => {
+    let text;
+    if (style === "ieee") text = [initials(author.given), author.family].filter(Boolean).join(" ");
+    else if (style === "acm") text = [author.given, author.family].filter(Boolean).join(" ");
+    else text = author.given ? `${author.family}, ${initials(author.given)}` : author.family;
+    return { others: author.others, segment: { text, highlight: isOwner(author, ownerName) || undefined } };
+  });
+  const title = String(pub.title || "").replace(/[.\s]+$/, "");
+  const venue = String(pub.venue || "").replace(/[.\s]+$/, "");
+  const year = pub.year ? String(pub.year) : "";
+  const segments = [];
+
+  if (style === "ieee") {
+    const details = [
+      pub.volume && `vol. ${pub.volume}`,
+      pub.number && `no. ${pub.number}`,
+      pub.pages && `pp. ${pub.pages}`,
+      year,
+    ].filter(Boolean);
+    segments.push(...joinAuthors(authors, { pair: " and ", last: ", and ", max: 6, etAl: " et al." }));
+    if (authors.length > 0) segments.push({ text: ", " });
+    segments.push({ text: `“${title},” ` });
+    if (venue) segments.push({ text: venue, emphasis: "italic" });
+    segments.push({ text: `${venue && details.length ? ", " : ""}${details.join(", ")}.` });
+  } else if (style === "acm") {
+    const authorSegments = joinAuthors(authors, { pair: " and ", last: ", and ", etAl: " et al." });
+    segments.push(...authorSegments);
+    if (authorSegments.length > 0) segments.push({ text: authorSegments[authorSegments.length - 1].text.endsWith(".") ? " " : ". " });
+    if (year) segments.push({ text: `${year}. ` });
+    segments.push({ text: `${title}. ` });
+    if (venue) {
+      const details = [pub.volume, pub.number && `(${pub.number})`].filter(Boolean).join(" ");
+      segments.push({ text: venue, emphasis: "italic" });
+      segments.push({ text: `${details ? `, ${details}` : ""}${pub.pages ? `, ${pub.pages}` : ""}.` });
+    }
+  } else {
+    segments.push(...joinAuthors(authors, { pair: ", & ", last: ", & ", etAl: ", et al." }));
+    segments.push({ text: `${authors.length > 0 ? " " : ""}(${year || "n.d."}). ${title}. ` });
+    if (venue) {
+      const volume = pub.volume ? `, ${pub.volume}${pub.number ? `(${pub.number})` : ""}` : "";
+      segments.push({ text: venue, emphasis: "italic" });
+      segments.push({ text: `${volume}${pub.pages ? `, ${pub.pages}` : ""}.` });
+    }
+  }
+
+  return segments.filter(s => s.text);
+}
+
+/**
+ * Collect external links for a publication
+ *
+ * @param {Object} pub - Portfolio publication
+ * @returns {Array} Array of { label, url }; links with an unsafe scheme are left out
+ */
+function citationLinks(pub) {
+  const links = [];
+  const pdf = safeUrl(pub.pdf);
+  const url = safeUrl(pub.url);
+  if (pub.doi) links.push({ label: "DOI", url: `https://doi.org/${pub.doi}` });
+  if (pub.arxiv) links.push({ label: "arXiv", url: `https://arxiv.org/abs/${pub.arxiv}` });
+  if (pdf) links.push({ label: "PDF", url: pdf });
+  if (url && url !== pdf) links.push({ label: /\.pdf($|\?)/i.test(url) ? "PDF" : "Link", url });
+  return links;
+}
+
+export { CITATION_STYLES, DEFAULT_CITATION_STYLE, formatCitation, citationLinks, normalizeAuthors };
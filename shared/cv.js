@@ -0,0 +1,124 @@
+/**
+ * Website Generator - Printable CV
+ *
+ * Picks and orders the portfolio's sections for a typeset CV, so the CV comes
+ * from the same data as the website: src/CvView.jsx lays it out for printing
+ * ("Download CV (PDF)" saves it through the browser's print dialog) and
+ * shared/latex.js writes it as moderncv LaTeX source. The options live in the
+ * portfolio's cv setting:
+ *
+ *   cv: { length: "full" | "short", order: [section IDs to include, in order] }
+ *
+ * A full CV lists everything. A short CV (about two pages) keeps the most
+ * recent entries of each section and, unless an order is given, leaves out
+ * projects, talks, teaching and service.
+ */
+
+import { getDisplayData } from "./portfolio.js";
+import { normalizeSiteUrl } from "./seo.js";
+
+// Section IDs as in shared/themes.js, with their CV headings
+const CV_SECTIONS = {
+  interests: "Research Interests",
+  positions: "Positions / Appointments",
+  education: "Education",
+  publications: "Publications",
+  projects: "Projects",
+  awards: "Honors & Awards",
+  talks: "Talks",
+  teaching: "Teaching",
+  service: "Service",
+  skills: "Skills",
+};
+
+// Default sections and the most entries kept per section; highlights is per position
+const CV_LENGTHS = {
+  full: {
+    label: "Full academic CV",
+    sections: Object.keys(CV_SECTIONS),
+    limits: {},
+  },
+  short: {
+    label: "Short CV (2 pages)",
+    sections: ["interests", "positions", "education", "publications", "awards", "skills"],
+    limits: { positions: 4, education: 3, publications: 8, projects: 3, awards: 5, talks: 5, teaching: 3, service: 3, highlights: 2 },
+  },
+};
+
+const DEFAULT_CV_LENGTH = "full";
+
+/**
+ * Resolve the CV options of a portfolio: a known length and a clean section order
+ *
+ * @param {Object} cv - The portfolio's cv setting, possibly missing or hand-edited
+ * @returns {Object} { length, order }
+ */
+function getCvOptions(cv) {
+  const length = CV_LENGTHS[cv?.length] ? cv.length : DEFAULT_CV_LENGTH;
+  const order = Array.isArray(cv?.order)
+    ? [...new Set(cv.order)].filter(id => CV_SECTIONS[id])
+    : CV_LENGTHS[length].sections;
+  return { length, order };
+}
+
+// Helper: publications newest first; entries without a year keep their order at the end
+function byYear(publications) {
+  const year = pub => parseInt(pub.year, 10) || 0;
+  return publications
+    .map((pub, i) => ({ pub, i }))
+    .sort((a, b) => year(b.pub) - year(a.pub) || a.i - b.i)
+    .map(({ pub }) => pub);
+}
+
+/**
+ * Prepare a portfolio for the CV
+ *
+ * @param {Object} data - Academic portfolio JSON
+ * @param {Object} [options] - { length, order }, overriding the portfolio's cv setting
+ * @returns {Object} { profile, headline, socialLinks, siteUrl, citationStyle, length, sections }
+ *   sections - [{ id, title, items, omitted }]: items are the section's entries (interests: [text],
+ *   skills: [[category, skills]]), omitted is how many a short CV left out
+ */
+function getCvData(data, options = {}) {
+  const view = getDisplayData(data);
+  const { length, order } = getCvOptions({ ...data.cv, ...options });
+  const { limits } = CV_LENGTHS[length];
+  const position = view.positions[0];
+
+  const entries = {
+    interests: view.researchInterests ? [view.researchInterests] : [],
+    positions: view.positions.map(item => ({
+      ...item,
+      highlights: (Array.isArray(item.highlights) ? item.highlights : []).slice(0, limits.highlights ?? Infinity),
+    })),
+    education: view.education,
+    publications: length === "short" ? byYear(view.publications) : view.publications,
+    projects: view.projects,
+    awards: view.awards,
+    talks: view.talks,
+    teaching: view.teaching,
+    service: view.service,
+    skills: Object.entries(view.skillsByCategory).filter(([, list]) => list.length > 0),
+  };
+
+  const sections = order
+    .map(id => {
+      const all = entries[id];
+      const items = all.slice(0, limits[id] ?? Infinity);
+      const title = id === "publications" && items.length < all.length ? "Selected Publications" : CV_SECTIONS[id];
+      return { id, title, items, omitted: all.length - items.length };
+    })
+    .filter(section => section.items.length > 0);
+
+  return {
+    profile: view.profile,
+    headline: position ? [position.title, position.organization].filter(Boolean).join(", ") : "",
+    socialLinks: view.socialLinks.filter(link => link?.url),
+    siteUrl: normalizeSiteUrl(data.site_url),
+    citationStyle: data.citation_style,
+    length,
+    sections,
+  };
+}
+
+export { CV_SECTIONS, CV_LENGTHS, DEFAULT_CV_LENGTH, getCvOptions, getCvData };
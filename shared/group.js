@@ -0,0 +1,212 @@
+/**
+ * Website Generator - Group Sites
+ *
+ * A group (lab, research group) lists member portfolios by ID and adds its own
+ * news and projects. The group site is rendered from the group plus its
+ * members' portfolios, by src/GroupView.jsx and lib/export.js. site_url is the
+ * address the exported site is published at, used for search engine metadata:
+ *
+ *   {
+ *     name, description, theme, citation_style, site_url,
+ *     members:  [{ portfolioId, role }],
+ *     news:     [{ date, title, text, url }],
+ *     projects: [{ title, description, url }]
+ *   }
+ */
+
+import { safeUrl } from "./schema.js";
+
+// Pages of a group site; path is where the page lives in the exported site
+const GROUP_PAGES = [
+  { id: "home", title: "Home", path: "" },
+  { id: "people", title: "People", path: "people/" },
+  { id: "publications", title: "Publications", path: "publications/" },
+];
+
+const GROUP_LISTS = {
+  members: ["portfolioId", "role"],
+  news: ["date", "title", "text", "url"],
+  projects: ["title", "description", "url"],
+};
+
+// Helper: portfolio ID from an ID or a shared link (".../portfolio/abc123")
+function toPortfolioId(value) {
+  const text = String(value || "").trim();
+  const match = text.match(/\/portfolio\/([^/?#\s]+)/);
+  return match ? decodeURIComponent(match[1]) : text;
+}
+
+/**
+ * Check a group object and normalize it: known fields only, strings trimmed,
+ * members given as links turned into IDs, blank entries and duplicate members dropped
+ *
+ * @param {Object} input - Group as sent by the client
+ * @returns {Object} { group, errors } - errors are [{ path, message }], like shared/schema.js
+ */
+function validateGroup(input) {
+  const errors = [];
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return { group: null, errors: [{ path: "", message: "must be a group object" }] };
+  }
+
+  const text = value => (value == null ? "" : String(value).trim());
+  const group = {
+    name: text(input.name),
+    description: text(input.description),
+    ...(input.theme && { theme: text(input.theme) }),
+    ...(input.citation_style && { citation_style: text(input.citation_style) }),
+    ...(input.site_url && { site_url: text(input.site_url) }),
+  };
+  if (!group.name) errors.push({ path: "name", message: "is required" });
+
+  for (const [key, fields] of Object.entries(GROUP_LISTS)) {
+    if (input[key] != null && !Array.isArray(input[key])) {
+      errors.push({ path: key, message: "must be an array" });
+      group[key] = [];
+      continue;
+    }
+    group[key] = (input[key] || [])
+      .filter(item => item && typeof item === "object")
+      .map(item => Object.fromEntries(fields.map(field => [field, text(item[field])]).filter(([, value]) => value)))
+      .filter(item => Object.keys(item).length > 0);
+  }
+
+  const seen = new Set();
+  group.members = group.members
+    .map(member => ({ ...member, portfolioId: toPortfolioId(member.portfolioId) }))
+    .filter(member => {
+      if (!member.portfolioId || seen.has(member.portfolioId)) return false;
+      seen.add(member.portfolioId);
+      return true;
+    });
+  group.news.forEach((item, i) => {
+    if (!item.title && !item.text) errors.push({ path: `news[${i}]`, message: "needs a title or text" });
+  });
+  group.projects.forEach((item, i) => {
+    if (!item.title) errors.push({ path: `projects[${i}].title`, message: "is required" });
+  });
+  const links = [
+    ["site_url", group.site_url],
+    ...["news", "projects"].flatMap(key => group[key].map((item, i) => [`${key}[${i}].url`, item.url])),
+  ];
+  for (const [path, url] of links) {
+    if (url && !safeUrl(url)) errors.push({ path, message: "must be an http, https or mailto link" });
+  }
+
+  return { group, errors };
+}
+
+// Helper: identities of a publication across members: DOI, arXiv ID and title
+function publicationKeys(pub) {
+  const keys = [];
+  if (pub.doi) keys.push(`doi:${String(pub.doi).toLowerCase().replace(/^https?:\/\/(dx\.)?doi\.org\//, "")}`);
+  if (pub.arxiv) keys.push(`arxiv:${String(pub.arxiv).toLowerCase().replace(/v\d+$/, "")}`);
+  keys.push(`title:${String(pub.title).normalize("NFKD").toLowerCase().replace(/[^\p{L}\p{N}]+/gu, "")}`);
+  return keys;
+}
+
+/**
+ * Merge the members' publication lists, keeping one entry per paper
+ * A paper listed by several members keeps the most complete entry, with fields missing
+ * from it filled in from the others.
+ *
+ * @param {Object[]} members - [{ portfolioId, portfolio }]
+ * @returns {Object[]} Publications, newest first, each with memberIds: the members who list it
+ */
+function mergePublications(members) {
+  const merged = [];
+  const byKey = new Map(); // identity key -> index in merged
+  const filled = value => value != null && value !== "";
+  const completeness = pub => Object.entries(pub).filter(([field, value]) => field !== "memberIds" && filled(value)).length;
+
+  for (const { portfolioId, portfolio } of members) {
+    for (const pub of Array.isArray(portfolio.publications) ? portfolio.publications : []) {
+      if (!pub || !pub.title) continue;
+      const keys = publicationKeys(pub);
+      const index = keys.map(key => byKey.get(key)).find(i => i !== undefined);
+      if (index === undefined) {
+        merged.push({ ...pub, memberIds: [portfolioId] });
+        keys.forEach(key => byKey.set(key, merged.length - 1));
+        continue;
+      }
+      const existing = merged[index];
+      const [primary, secondary] = completeness(pub) > completeness(existing) ? [pub, existing] : [existing, pub];
+      const combined = { ...primary };
+      for (const [field, value] of Object.entries(secondary)) {
+        if (!filled(combined[field])) combined[field] = value;
+      }
+      combined.memberIds = existing.memberIds.includes(portfolioId) ? existing.memberIds : [...existing.memberIds, portfolioId];
+      merged[index] = combined;
+      publicationKeys(combined).forEach(key => byKey.set(key, index));
+    }
+  }
+
+  const year = pub => parseInt(pub.year, 10) || 0;
+  return merged.sort((a, b) => year(b) - year(a) || String(a.title).localeCompare(String(b.title)));
+}
+
+// Helper: URL-safe page name for a member, unique within the group ("Jane Doe" -> "jane-doe")
+function slugify(name, used) {
+  const base = String(name || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "") || "member";
+  let slug = base;
+  for (let n = 2; used.has(slug); n++) slug = `${base}-${n}`;
+  used.add(slug);
+  return slug;
+}
+
+/**
+ * Prepare a group for rendering
+ *
+ * @param {Object} group - Group object (see above)
+ * @param {Object} portfolios - Map from portfolio ID to portfolio JSON; members without one are left out
+ * @returns {Object} { name, description, people, publications, news, projects, memberNames }
+ *   people - [{ id, slug, name, role, title, organization, summary, email, links, portfolio }]
+ */
+function getGroupDisplayData(group, portfolios) {
+  const used = new Set();
+  const members = (group.members || [])
+    .filter(member => portfolios[member.portfolioId])
+    .map(member => ({ ...member, portfolio: portfolios[member.portfolioId] }));
+
+  const people = members.map(({ portfolioId, role, portfolio }) => {
+    const profile = portfolio.profile || {};
+    const position = Array.isArray(portfolio.positions) ? portfolio.positions[0] : null;
+    return {
+      id: portfolioId,
+      slug: slugify(profile.name, used),
+      name: profile.name || "Unnamed member",
+      role: role || "",
+      title: position?.title || "",
+      organization: position?.organization || "",
+      summary: profile.summary || "",
+      email: profile.email || "",
+      links: Array.isArray(profile.social) ? profile.social : [],
+      portfolio,
+    };
+  });
+
+  // Newest news first; undated items keep their order at the end
+  // Links are checked again here, for groups stored before they were checked on save
+  const withSafeUrl = item => ({ ...item, url: safeUrl(item.url) });
+  const news = (group.news || [])
+    .map((item, i) => ({ ...withSafeUrl(item), order: i }))
+    .sort((a, b) => (b.date || "").localeCompare(a.date || "") || a.order - b.order)
+    .map(({ order, ...item }) => item);
+
+  return {
+    name: group.name || "Research Group",
+    description: group.description || "",
+    people,
+    publications: mergePublications(members),
+    news,
+    projects: (group.projects || []).map(withSafeUrl),
+    memberNames: people.map(person => person.name),
+  };
+}
+
+export { GROUP_PAGES, validateGroup, mergePublications, getGroupDisplayData };
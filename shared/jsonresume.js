@@ -0,0 +1,291 @@
+/**
+ * Website Generator - JSON Resume Mapper
+ *
+ * Converts between the academic portfolio format produced by /api/parse
+ * (profile, positions, publications, ...) and the JSON Resume standard
+ * (basics, work, education, skills, ...), see https://jsonresume.org/schema.
+ *
+ * Used by the server (import) and the React app (export), so this module
+ * must stay free of Node- and browser-specific APIs.
+ */
+
+const JSON_RESUME_SCHEMA = "https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json";
+
+const MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+/**
+ * Convert a free-form date ("Sep 2019", "2019", "09/2019") to ISO 8601 (YYYY-MM or YYYY)
+ *
+ * @param {string} text - Date text
+ * @returns {string} ISO date, or "" if no year was found
+ */
+function toIsoDate(text) {
+  if (!text) return "";
+  const year = String(text).match(/\b(19|20)\d{2}\b/);
+  if (!year) return "";
+  const iso = String(text).match(/\b((?:19|20)\d{2})-(\d{2})(?:-(\d{2}))?\b/);
+  if (iso) return iso[0];
+  const monthName = String(text).match(/\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?/i);
+  const monthNumber = String(text).match(/\b(0?[1-9]|1[0-2])\/(?:19|20)\d{2}\b/);
+  let month = 0;
+  if (monthName) month = MONTHS.findIndex(m => m.toLowerCase() === monthName[1].toLowerCase()) + 1;
+  else if (monthNumber) month = Number(monthNumber[1]);
+  return month ? `${year[0]}-${String(month).padStart(2, "0")}` : year[0];
+}
+
+/**
+ * Convert an ISO 8601 date to display text ("2019-09" -> "Sep 2019")
+ *
+ * @param {string} iso - ISO date
+ * @returns {string} Display date
+ */
+function fromIsoDate(iso) {
+  if (!iso) return "";
+  const match = String(iso).match(/^(\d{4})(?:-(\d{2}))?/);
+  if (!match) return String(iso);
+  return match[2] ? `${MONTHS[Number(match[2]) - 1]} ${match[1]}` : match[1];
+}
+
+/**
+ * Split a portfolio date range ("2018 - 2023", "Sep 2019 – Present") into ISO start/end dates
+ *
+ * @param {string} dates - Date range text
+ * @returns {Object} { startDate, endDate } (endDate omitted for ongoing entries)
+ */
+function splitDateRange(dates) {
+  if (!dates) return {};
+  const [start, end] = String(dates).split(/\s+(?:-|–|—|to)\s+|\s*[–—]\s*|(?<=\d{4})-(?=\d{4}\b|[A-Za-z])/i);
+  const result = {};
+  const startDate = toIsoDate(start);
+  if (startDate) result.startDate = startDate;
+  if (end && !/present|current|now/i.test(end)) {
+    const endDate = toIsoDate(end);
+    if (endDate) result.endDate = endDate;
+  }
+  return result;
+}
+
+/**
+ * Join ISO start/end dates into a portfolio date range
+ *
+ * @param {string} startDate - ISO start date
+ * @param {string} endDate - ISO end date (empty for ongoing)
+ * @returns {string} Date range text
+ */
+function formatDateRange(startDate, endDate) {
+  const start = fromIsoDate(startDate);
+  const end = fromIsoDate(endDate);
+  if (start && end) return start === end ? start : `${start} - ${end}`;
+  if (start) return `${start} - Present`;
+  return end;
+}
+
+// Helper: drop keys whose values are empty so exported JSON stays tidy
+function compact(obj) {
+  return Object.fromEntries(
+    Object.entries(obj).filter(([, v]) => v != null && v !== "" && !(Array.isArray(v) && v.length === 0))
+  );
+}
+
+// Helper: the DOI or arXiv page of a publication, used as its JSON Resume url when it has no link of its own
+function identifierUrl(pub) {
+  if (pub.doi) return `https://doi.org/${pub.doi}`;
+  if (pub.arxiv) return `https://arxiv.org/abs/${pub.arxiv}`;
+  return "";
+}
+
+function asArray(value) {
+  return Array.isArray(value) ? value : [];
+}
+
+/**
+ * Detect whether an object looks like a JSON Resume document
+ *
+ * @param {Object} obj - Parsed JSON
+ * @returns {boolean}
+ */
+function isJsonResume(obj) {
+  return Boolean(obj && typeof obj === "object" && !obj.profile && (obj.basics || obj.work || obj.education));
+}
+
+/**
+ * Convert a JSON Resume document into the academic portfolio format
+ *
+ * @param {Object} resume - JSON Resume document
+ * @returns {Object} Academic portfolio JSON
+ */
+function fromJsonResume(resume) {
+  const basics = resume.basics || {};
+  const loc = basics.location || {};
+  const social = asArray(basics.profiles)
+    .filter(p => p && (p.url || p.username))
+    .map(p => ({ platform: p.network || "Profile", url: p.url || "" }));
+  if (basics.url) social.unshift({ platform: "Website", url: basics.url });
+
+  const skills = {};
+  asArray(resume.skills).forEach(skill => {
+    const keywords = asArray(skill.keywords);
+    skills[skill.name || "Other"] = keywords.length > 0 ? keywords : [skill.name].filter(Boolean);
+  });
+  const languages = asArray(resume.languages).map(l => (l.fluency ? `${l.language} (${l.fluency})` : l.language)).filter(Boolean);
+  if (languages.length > 0) skills.Languages = [...(skills.Languages || []), ...languages];
+
+  const portfolio = {
+    profile: {
+      name: basics.name || "",
+      email: basics.email || "",
+      phone: basics.phone || "",
+      location: [loc.city, loc.region || loc.countryCode].filter(Boolean).join(", ") || loc.address || "",
+      summary: basics.summary || "",
+      social,
+    },
+    education: asArray(resume.education).map(edu => compact({
+      degree: edu.area ? [edu.studyType, edu.area].filter(Boolean).join(" in ") : edu.studyType,
+      institution: edu.institution,
+      dates: formatDateRange(edu.startDate, edu.endDate),
+      honors: edu.score,
+      url: edu.url,
+    })),
+    positions: asArray(resume.work).map(work => compact({
+      title: work.position,
+      organization: work.name || work.company,
+      location: work.location,
+      dates: formatDateRange(work.startDate, work.endDate),
+      summary: work.summary,
+      highlights: asArray(work.highlights),
+      url: work.url,
+    })),
+    publications: asArray(resume.publications).map(pub => compact({
+      title: pub.name,
+      authors: pub.authors,
+      venue: pub.publisher,
+      year: (pub.releaseDate || "").slice(0, 4),
+      type: pub.type,
+      doi: pub.doi,
+      arxiv: pub.arxiv,
+      // A url that only points at the DOI or arXiv page was filled in by toJsonResume
+      url: pub.url && pub.url !== identifierUrl(pub) ? pub.url : undefined,
+      summary: pub.summary,
+    })),
+    projects: asArray(resume.projects).map(project => compact({
+      title: project.name,
+      dates: formatDateRange(project.startDate, project.endDate),
+      description: project.description || project.summary,
+      highlights: asArray(project.highlights),
+      url: project.url,
+    })),
+    skills,
+    awards: asArray(resume.awards).map(award => compact({
+      title: award.title,
+      organization: award.awarder,
+      year: (award.date || "").slice(0, 4),
+      summary: award.summary,
+    })),
+  };
+
+  const interests = asArray(resume.interests).map(i => i.name).filter(Boolean);
+  if (interests.length > 0) portfolio.research_interests = interests.join(", ");
+
+  const service = asArray(resume.volunteer).map(v => compact({
+    role: v.position,
+    organization: v.organization,
+    dates: formatDateRange(v.startDate, v.endDate),
+    summary: v.summary,
+  }));
+  if (service.length > 0) portfolio.service = service;
+
+  return portfolio;
+}
+
+/**
+ * Convert an academic portfolio into a JSON Resume document
+ *
+ * @param {Object} portfolio - Academic portfolio JSON
+ * @returns {Object} JSON Resume document
+ */
+function toJsonResume(portfolio) {
+  const profile = portfolio.profile || {};
+  const [city, region] = String(profile.location || "").split(/,\s*/);
+  const socialLinks = asArray(profile.social);
+  const website = socialLinks.find(link => /^(website|homepage|home page)$/i.test(link.platform || ""));
+
+  let skills = portfolio.skills || {};
+  if (Array.isArray(skills)) skills = { Other: skills };
+
+  const interests = Array.isArray(portfolio.research_interests)
+    ? portfolio.research_interests
+    : String(portfolio.research_interests || "").split(/[,;\n]/);
+
+  return {
+    $schema: JSON_RESUME_SCHEMA,
+    basics: compact({
+      name: profile.name,
+      email: profile.email,
+      phone: profile.phone,
+      url: website?.url,
+      summary: profile.summary,
+      location: profile.location ? compact({ city, region }) : undefined,
+      profiles: socialLinks
+        .filter(link => link !== website)
+        .map(link => compact({ network: link.platform, url: link.url })),
+    }),
+    work: asArray(portfolio.positions).map(position => compact({
+      name: position.organization,
+      position: position.title,
+      location: position.location,
+      url: position.url,
+      ...splitDateRange(position.dates),
+      summary: position.summary,
+      highlights: asArray(position.highlights),
+    })),
+    volunteer: asArray(portfolio.service).map(item => compact({
+      organization: item.organization,
+      position: item.role,
+      ...splitDateRange(item.dates),
+      summary: item.summary,
+    })),
+    education: asArray(portfolio.education).map(edu => {
+      const [studyType, ...area] = String(edu.degree || "").split(" in ");
+      return compact({
+        institution: edu.institution,
+        url: edu.url,
+        studyType,
+        area: area.join(" in "),
+        ...splitDateRange(edu.dates),
+        score: edu.honors,
+      });
+    }),
+    awards: asArray(portfolio.awards).map(award => compact({
+      title: award.title,
+      awarder: award.organization,
+      date: toIsoDate(award.year),
+      summary: award.summary,
+    })),
+    publications: asArray(portfolio.publications).map(pub => compact({
+      name: pub.title,
+      publisher: pub.venue,
+      releaseDate: toIsoDate(pub.year),
+      url: pub.url || identifierUrl(pub),
+      // Not part of the JSON Resume schema, kept so these survive a round trip
+      authors: pub.authors,
+      type: pub.type,
+      doi: pub.doi,
+      arxiv: pub.arxiv,
+      summary: pub.summary,
+    })),
+    skills: Object.entries(skills).map(([name, keywords]) => ({
+      name,
+      keywords: Array.isArray(keywords) ? keywords : [keywords],
+    })),
+    interests: interests.map(s => String(s).trim()).filter(Boolean).map(name => ({ name })),
+    projects: asArray(portfolio.projects).map(project => compact({
+      name: project.title,
+      description: project.description,
+      highlights: asArray(project.highlights),
+      url: project.url,
+      ...splitDateRange(project.dates),
+    })),
+  };
+}
+
+export { isJsonResume, fromJsonResume, toJsonResume, splitDateRange, formatDateRange, toIsoDate };
@@ -0,0 +1,142 @@
+/**
+ * Website Generator - LaTeX CV Export
+ *
+ * Writes the printable CV (shared/cv.js) as a moderncv LaTeX document, for
+ * typesetting the CV outside the browser or fine-tuning it by hand. The source
+ * compiles with pdflatex; names or titles outside the Latin script need
+ * xelatex or lualatex.
+ */
+
+import { formatCitation } from "./citations.js";
+import { getCvData } from "./cv.js";
+
+const LATEX_ESCAPES = {
+  "\\": "\\textbackslash{}",
+  "&": "\\&",
+  "%": "\\%",
+  "$": "\\$",
+  "#": "\\#",
+  "_": "\\_",
+  "{": "\\{",
+  "}": "\\}",
+  "~": "\\textasciitilde{}",
+  "^": "\\textasciicircum{}",
+};
+
+/**
+ * Escape text for LaTeX; line breaks and runs of whitespace become single spaces
+ *
+ * @param {*} value - Text to escape (non-strings are stringified)
+ * @returns {string} LaTeX source
+ */
+function escapeLatex(value) {
+  if (value == null) return "";
+  return String(value).replace(/\s+/g, " ").replace(/[\\&%$#_{}~^]/g, ch => LATEX_ESCAPES[ch]);
+}
+
+// Helper: a URL for \href and \url. Absolute URLs are normalized, which percent-encodes
+// most special characters; braces would still end the argument, so they are encoded too,
+// and the remaining %, # and backslashes are escaped.
+function latexUrl(url) {
+  let href = String(url).trim();
+  try {
+    href = new URL(href).href;
+  } catch (e) {
+    // A link without a scheme, kept as written
+  }
+  return href
+    .replace(/[{}]/g, ch => (ch === "{" ? "%7B" : "%7D"))
+    .replace(/[\\%#]/g, ch => `\\${ch}`);
+}
+
+// Helper: "2019 - 2021" -> "2019--2021"; ISO dates like 2019-05 are left alone
+function latexDates(dates) {
+  return escapeLatex(dates).replace(/\s+[-–—]\s+|\s*[–—]\s*/g, "--");
+}
+
+// Helper: non-empty parts joined with ", "
+function joined(...parts) {
+  return parts.filter(Boolean).map(escapeLatex).join(", ");
+}
+
+function citationLatex(pub, style, ownerName) {
+  return formatCitation(pub, style, ownerName).map(segment => {
+    if (segment.highlight) return `\\textbf{${escapeLatex(segment.text)}}`;
+    if (segment.emphasis === "italic") return `\\emph{${escapeLatex(segment.text)}}`;
+    return escapeLatex(segment.text);
+  }).join("");
+}
+
+function itemize(items) {
+  if (items.length === 0) return "";
+  return `\\begin{itemize}${items.map(item => `\\item ${escapeLatex(item)}`).join(" ")}\\end{itemize}`;
+}
+
+// Section writers keyed by the section IDs of shared/cv.js; each returns one line per entry
+const SECTION_WRITERS = {
+  interests: text => `\\cvitem{}{${escapeLatex(text)}}`,
+  positions: item => `\\cventry{${latexDates(item.dates)}}{${escapeLatex(item.title)}}{${escapeLatex(item.organization)}}{${escapeLatex(item.location)}}{}{${[escapeLatex(item.summary), itemize(item.highlights)].filter(Boolean).join(" ")}}`,
+  education: item => `\\cventry{${latexDates(item.dates)}}{${escapeLatex(item.degree)}}{${escapeLatex(item.institution)}}{${escapeLatex(item.location)}}{${item.honors ? `\\textit{${escapeLatex(item.honors)}}` : ""}}{}`,
+  publications: (pub, cv) => `\\cvitem{${escapeLatex(pub.year)}}{${citationLatex(pub, cv.citationStyle, cv.profile.name)}}`,
+  projects: item => `\\cventry{${latexDates(item.dates)}}{${escapeLatex(item.title)}}{}{}{}{${[escapeLatex(item.description), item.url ? `\\url{${latexUrl(item.url)}}` : ""].filter(Boolean).join(" ")}}`,
+  awards: item => `\\cvitem{${escapeLatex(item.year)}}{${joined(item.title, item.organization)}}`,
+  talks: item => `\\cvitem{${latexDates(item.date)}}{${joined(item.title, item.event, item.location)}}`,
+  teaching: item => `\\cvitem{${latexDates(item.dates)}}{${joined(item.course, item.role, item.institution)}}`,
+  service: item => `\\cvitem{${latexDates(item.dates)}}{${joined(item.role, item.organization)}}`,
+  skills: ([category, list]) => `\\cvitem{${escapeLatex(category)}}{${escapeLatex(list.join(", "))}}`,
+};
+
+/**
+ * Write a portfolio as a moderncv LaTeX CV
+ *
+ * @param {Object} data - Academic portfolio JSON
+ * @param {Object} [options] - { length, order }, as for getCvData (default: the portfolio's cv setting)
+ * @returns {string} LaTeX source
+ */
+function toLatexCv(data, options = {}) {
+  const cv = getCvData(data, options);
+  const { profile } = cv;
+  const nameParts = String(profile.name || "").trim().split(/\s+/);
+  const family = nameParts.length > 1 ? nameParts.pop() : "";
+
+  const header = [
+    `\\name{${escapeLatex(nameParts.join(" "))}}{${escapeLatex(family)}}`,
+    cv.headline && `\\title{${escapeLatex(cv.headline)}}`,
+    profile.location && `\\address{${escapeLatex(profile.location)}}{}{}`,
+    profile.phone && `\\phone[mobile]{${escapeLatex(profile.phone)}}`,
+    profile.email && `\\email{${escapeLatex(profile.email)}}`,
+    cv.siteUrl && `\\homepage{${escapeLatex(cv.siteUrl.replace(/^https?:\/\/|\/$/g, ""))}}`,
+    cv.socialLinks.length > 0 && `\\extrainfo{${cv.socialLinks.map(link => `\\href{${latexUrl(link.url)}}{${escapeLatex(link.platform || link.url)}}`).join(" \\textbullet{} ")}}`,
+    profile.summary && `\\quote{${escapeLatex(profile.summary)}}`,
+  ].filter(Boolean);
+
+  const body = cv.sections.map(section => {
+    const more = section.omitted > 0
+      ? [`\\cvitem{}{\\textit{${section.omitted} more${cv.siteUrl ? ` at \\url{${latexUrl(cv.siteUrl)}}` : ""}}}`]
+      : [];
+    return [`\\section{${escapeLatex(section.title)}}`, ...section.items.map(item => SECTION_WRITERS[section.id](item, cv)), ...more].join("\n");
+  });
+
+  return `% CV generated from an academic portfolio by Website Generator
+\\documentclass[11pt,a4paper,sans]{moderncv}
+\\moderncvstyle{classic}
+\\moderncvcolor{blue}
+\\usepackage{iftex}
+\\ifPDFTeX
+  \\usepackage[T1]{fontenc}
+  \\usepackage[utf8]{inputenc}
+\\fi
+\\usepackage[scale=0.8]{geometry}
+
+${header.join("\n")}
+
+\\begin{document}
+\\makecvtitle
+
+${body.join("\n\n")}
+
+\\end{document}
+`;
+}
+
+export { escapeLatex, toLatexCv };
@@ -0,0 +1,360 @@
+/**
+ * Website Generator - Portfolio Merge
+ *
+ * Compares a stored portfolio with a newly parsed version of the same resume,
+ * entry by entry, and applies the changes the user accepts.
+ *
+ * The comparison is three-way. "base" is the portfolio as it was last parsed
+ * (before any hand edits), "current" is the stored portfolio and "incoming" the
+ * new parse. Only what changed between base and incoming is proposed, so
+ * fields, entries and deletions the user made by hand are kept; a change to
+ * something the user also edited is marked as a conflict and not accepted by
+ * default. Without a base, every difference is proposed.
+ *
+ * A change is:
+ *   { id, type: "add" | "remove" | "update", section, label, index, at, entry,
+ *     fields: [{ field, before, after, conflict }], conflict, accepted }
+ *   index - position of the entry in the current list (remove, update)
+ *   at    - position of the entry in the incoming list (add)
+ */
+
+// List sections, with the fields that identify an entry across versions
+const LIST_SECTIONS = [
+  { path: "positions", title: "Positions / Appointments", keys: ["title", "organization"] },
+  { path: "education", title: "Education", keys: ["degree", "institution"] },
+  { path: "publications", title: "Publications", keys: ["title"] },
+  { path: "projects", title: "Projects", keys: ["title"] },
+  { path: "talks", title: "Talks", keys: ["title"] },
+  { path: "teaching", title: "Teaching", keys: ["course", "role"] },
+  { path: "awards", title: "Honors & Awards", keys: ["title"] },
+  { path: "service", title: "Service", keys: ["role", "organization"] },
+  { path: "profile.social", title: "Profile Links", keys: ["url"] },
+];
+
+// Object sections compared field by field ("" is the portfolio itself)
+const OBJECT_SECTIONS = [
+  { path: "profile", title: "Profile", fields: ["name", "email", "phone", "location", "summary"] },
+  { path: "", title: "Research Interests", fields: ["research_interests"] },
+  { path: "skills", title: "Skills" },
+];
+
+// Display settings, compared between revisions but never proposed by a re-upload (a resume has none)
+const SETTINGS_SECTION = { path: "settings", title: "Settings", fields: ["theme", "citation_style", "hide_contact", "site_url", "cv"] };
+
+// Entries whose identifying text is at least this similar are the same entry
+const MATCH_THRESHOLD = 0.6;
+
+// Fields derived from others, not worth reviewing on their own
+const DERIVED_FIELDS = new Set(["bibtex"]);
+
+function normalizeText(value) {
+  return String(value ?? "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+// Helper: compare field values, ignoring case, punctuation and the order of list items
+function sameValue(a, b) {
+  const empty = value => value == null || value === "" || (Array.isArray(value) && value.length === 0);
+  if (empty(a) || empty(b)) return empty(a) && empty(b);
+  if (Array.isArray(a) || Array.isArray(b)) {
+    const list = value => (Array.isArray(value) ? value : [value]).map(normalizeText).sort().join("\n");
+    return list(a) === list(b);
+  }
+  if (typeof a === "object" || typeof b === "object") return JSON.stringify(a) === JSON.stringify(b);
+  return normalizeText(a) === normalizeText(b);
+}
+
+function getSection(data, path) {
+  if (!path) return data;
+  return path.split(".").reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+// Helper: token overlap (Jaccard) of two strings
+function similarity(a, b) {
+  const tokens = text => new Set(normalizeText(text).split(" ").filter(Boolean));
+  const ta = tokens(a);
+  const tb = tokens(b);
+  if (ta.size === 0 || tb.size === 0) return 0;
+  const shared = [...ta].filter(token => tb.has(token)).length;
+  return shared / (ta.size + tb.size - shared);
+}
+
+// Helper: how likely two entries are the same entry (DOI and arXiv IDs are decisive for publications)
+function matchScore(section, a, b) {
+  if (typeof a !== "object" || typeof b !== "object" || !a || !b) return sameValue(a, b) ? 1 : 0;
+  for (const id of ["doi", "arxiv"]) {
+    if (a[id] && b[id]) return normalizeText(a[id]) === normalizeText(b[id]) ? 1 : 0;
+  }
+  const key = entry => section.keys.map(field => entry[field] || "").join(" ");
+  return similarity(key(a), key(b));
+}
+
+// Helper: pair up entries of two lists, best matches first
+function matchEntries(section, left, right) {
+  const pairs = [];
+  left.forEach((a, i) => right.forEach((b, j) => {
+    const score = matchScore(section, a, b);
+    if (score >= MATCH_THRESHOLD) pairs.push({ i, j, score });
+  }));
+  pairs.sort((p, q) => q.score - p.score);
+  const leftToRight = new Map();
+  const usedRight = new Set();
+  for (const { i, j } of pairs) {
+    if (leftToRight.has(i) || usedRight.has(j)) continue;
+    leftToRight.set(i, j);
+    usedRight.add(j);
+  }
+  return leftToRight;
+}
+
+function invert(map) {
+  return new Map([...map].map(([key, value]) => [value, key]));
+}
+
+/**
+ * Short description of an entry for the review list
+ *
+ * @param {*} entry - Entry of a list section
+ * @returns {string} e.g. "Research Engineer, Google"
+ */
+function entryLabel(entry) {
+  if (entry == null || typeof entry !== "object") return String(entry ?? "");
+  const main = entry.title || entry.degree || entry.course || entry.role || entry.url || entry.name || "";
+  const detail = entry.organization || entry.institution || entry.venue || entry.event || entry.platform || "";
+  return [main, detail].filter(Boolean).join(", ");
+}
+
+// Helper: 3-way field comparison; null when the incoming value adds nothing new
+function fieldChange(field, current, incoming, base) {
+  if (sameValue(current, incoming)) return null;
+  // The resume didn't change this field since it was parsed: keep the user's value
+  if (sameValue(incoming, base)) return null;
+  return { field, before: current, after: incoming, conflict: !sameValue(current, base) };
+}
+
+function diffFields(fields, current = {}, incoming = {}, base = current) {
+  return fields
+    .filter(field => !DERIVED_FIELDS.has(field))
+    .map(field => fieldChange(field, current[field], incoming[field], base?.[field]))
+    .filter(Boolean);
+}
+
+function diffList(section, current, incoming, base, hasBase) {
+  const changes = [];
+  const currentToIncoming = matchEntries(section, current, incoming);
+  const baseToIncoming = hasBase ? matchEntries(section, base, incoming) : new Map();
+  const incomingToBase = invert(baseToIncoming);
+  const currentToBase = hasBase ? matchEntries(section, current, base) : new Map();
+  // Entries the user renamed are matched through their parsed version
+  for (const [index, b] of currentToBase) {
+    const j = baseToIncoming.get(b);
+    if (!currentToIncoming.has(index) && j !== undefined && ![...currentToIncoming.values()].includes(j)) {
+      currentToIncoming.set(index, j);
+    }
+  }
+  const incomingToCurrent = invert(currentToIncoming);
+
+  incoming.forEach((entry, j) => {
+    const baseEntry = hasBase ? base[incomingToBase.get(j)] : undefined;
+    if (!incomingToCurrent.has(j)) {
+      // Deleted by hand and unchanged in the new resume: stay deleted
+      if (baseEntry !== undefined && sameValue(JSON.stringify(baseEntry), JSON.stringify(entry))) return;
+      const conflict = baseEntry !== undefined;
+      changes.push({ type: "add", section: section.path, label: entryLabel(entry), at: j, entry, fields: [], conflict, accepted: !conflict });
+      return;
+    }
+    const index = incomingToCurrent.get(j);
+    const currentEntry = current[index];
+    const previous = hasBase ? (currentToBase.has(index) ? base[currentToBase.get(index)] : {}) : currentEntry;
+    const fields = typeof entry === "object" && entry
+      ? diffFields([...new Set([...Object.keys(currentEntry), ...Object.keys(entry)])], currentEntry, entry, previous)
+      : [];
+    if (fields.length > 0) {
+      const conflict = fields.some(field => field.conflict);
+      changes.push({ type: "update", section: section.path, label: entryLabel(currentEntry), index, entry: currentEntry, fields, conflict, accepted: !conflict });
+    }
+  });
+
+  current.forEach((entry, index) => {
+    if (currentToIncoming.has(index)) return;
+    if (hasBase) {
+      // Added by hand: keep it
+      if (!currentToBase.has(index)) return;
+      // Still in the new resume under the base version's identity (e.g. the user renamed it)
+      if (baseToIncoming.has(currentToBase.get(index))) return;
+    }
+    const baseEntry = hasBase ? base[currentToBase.get(index)] : entry;
+    const conflict = !sameValue(JSON.stringify(baseEntry), JSON.stringify(entry));
+    changes.push({ type: "remove", section: section.path, label: entryLabel(entry), index, entry, fields: [], conflict, accepted: !conflict });
+  });
+
+  return changes;
+}
+
+/**
+ * Compare a portfolio with a newly parsed version
+ *
+ * @param {Object} current - Stored portfolio, including hand edits
+ * @param {Object} incoming - Portfolio parsed from the new resume
+ * @param {Object} [base] - Portfolio as originally parsed, before hand edits
+ * @returns {Array} Changes (see above), each with a stable id
+ */
+function diffPortfolios(current, incoming, base) {
+  const hasBase = Boolean(base);
+  const changes = [];
+
+  for (const section of OBJECT_SECTIONS) {
+    const currentObject = getSection(current, section.path) || {};
+    const incomingObject = getSection(incoming, section.path) || {};
+    const baseObject = hasBase ? getSection(base, section.path) || {} : currentObject;
+    const fields = section.fields || [...new Set([...Object.keys(currentObject), ...Object.keys(incomingObject)])];
+    const changed = diffFields(fields, currentObject, incomingObject, baseObject);
+    if (changed.length > 0) {
+      const conflict = changed.some(field => field.conflict);
+      changes.push({ type: "update", section: section.path, label: section.title, entry: currentObject, fields: changed, conflict, accepted: !conflict });
+    }
+  }
+
+  for (const section of LIST_SECTIONS) {
+    const list = data => (Array.isArray(getSection(data, section.path)) ? getSection(data, section.path) : []);
+    changes.push(...diffList(section, list(current), list(incoming), hasBase ? list(base) : [], hasBase));
+  }
+
+  return changes.map(change => ({ ...change, id: `${change.type}:${change.section || "portfolio"}:${change.index ?? change.at ?? 0}` }));
+}
+
+/**
+ * Apply accepted changes to a portfolio
+ *
+ * @param {Object} current - The portfolio the changes were computed against
+ * @param {Array} changes - Changes from diffPortfolios to apply
+ * @returns {Object} New portfolio; `current` is not modified
+ */
+function applyChanges(current, changes) {
+  const result = JSON.parse(JSON.stringify(current));
+
+  // Sections are looked up (and created) through their parent object
+  const parentOf = path => {
+    const keys = path.split(".");
+    const last = keys.pop();
+    let parent = result;
+    for (const key of keys) {
+      if (!parent[key] || typeof parent[key] !== "object") parent[key] = {};
+      parent = parent[key];
+    }
+    return { parent, key: last };
+  };
+  const setFields = (target, fields) => {
+    for (const { field, after } of fields) {
+      if (after === undefined || after === null) delete target[field];
+      else target[field] = after;
+    }
+  };
+
+  const removed = new Map();
+  for (const change of changes.filter(c => c.type === "update")) {
+    if (!change.section) {
+      setFields(result, change.fields);
+    } else if (LIST_SECTIONS.some(section => section.path === change.section)) {
+      const entry = getSection(result, change.section)?.[change.index];
+      if (entry && typeof entry === "object") setFields(entry, change.fields);
+    } else {
+      const { parent, key } = parentOf(change.section);
+      if (!parent[key] || typeof parent[key] !== "object") parent[key] = {};
+      setFields(parent[key], change.fields);
+    }
+  }
+  for (const change of changes.filter(c => c.type === "remove")) {
+    if (!removed.has(change.section)) removed.set(change.section, new Set());
+    removed.get(change.section).add(change.index);
+  }
+  for (const [path, indices] of removed) {
+    const { parent, key } = parentOf(path);
+    if (Array.isArray(parent[key])) parent[key] = parent[key].filter((_, i) => !indices.has(i));
+  }
+  for (const change of changes.filter(c => c.type === "add").sort((a, b) => a.at - b.at)) {
+    const { parent, key } = parentOf(change.section);
+    if (!Array.isArray(parent[key])) parent[key] = [];
+    parent[key].splice(Math.min(change.at, parent[key].length), 0, change.entry);
+  }
+
+  return result;
+}
+
+/**
+ * Differences between two versions of a portfolio, grouped by section
+ *
+ * @param {Object} from - Older version
+ * @param {Object} to - Newer version
+ * @returns {Array} [{ section, title, changes }] for each section that differs
+ */
+function diffSections(from, to) {
+  const changes = diffPortfolios(from, to);
+  const settings = diffFields(SETTINGS_SECTION.fields, from, to);
+  if (settings.length > 0) {
+    changes.push({ id: "update:settings:0", type: "update", section: SETTINGS_SECTION.path, label: SETTINGS_SECTION.title, entry: {}, fields: settings, conflict: false, accepted: true });
+  }
+
+  const sections = [];
+  for (const change of changes) {
+    let group = sections.find(section => section.section === change.section);
+    if (!group) sections.push(group = { section: change.section, title: sectionTitle(change.section), changes: [] });
+    group.changes.push(change);
+  }
+  return sections;
+}
+
+/**
+ * Title of a change's section, for the review list
+ *
+ * @param {string} path - Change section path
+ * @returns {string} Section title
+ */
+function sectionTitle(path) {
+  return [...LIST_SECTIONS, ...OBJECT_SECTIONS, SETTINGS_SECTION].find(section => section.path === path)?.title || path;
+}
+
+/**
+ * Merge entries of a list that are listed more than once
+ * Entries are the same when their DOI or arXiv ID, or else their identifying fields and
+ * dates, are equal (ignoring case and punctuation); the first keeps its place and takes
+ * any fields only the later ones have.
+ *
+ * @param {string} path - List section, e.g. "publications"
+ * @param {Array} entries - Entries in order
+ * @returns {Array} Entries without duplicates
+ */
+function dedupeEntries(path, entries) {
+  const section = LIST_SECTIONS.find(item => item.path === path);
+  if (!section) return entries;
+  const identity = entry => {
+    if (entry == null || typeof entry !== "object") return normalizeText(entry);
+    const id = ["doi", "arxiv"].find(field => entry[field]);
+    if (id) return `${id}:${normalizeText(entry[id])}`;
+    return [...section.keys, "dates", "date", "year"].map(field => normalizeText(entry[field])).join("|");
+  };
+
+  const byIdentity = new Map();
+  const result = [];
+  for (const entry of entries) {
+    const key = identity(entry);
+    const first = byIdentity.get(key);
+    if (first === undefined || !key.replace(/\|/g, "")) {
+      byIdentity.set(key, result.length);
+      result.push(entry);
+    } else if (typeof entry === "object" && entry && typeof result[first] === "object") {
+      const merged = { ...result[first] };
+      for (const [field, value] of Object.entries(entry)) {
+        if (sameValue(merged[field], "")) merged[field] = value;
+      }
+      result[first] = merged;
+    }
+  }
+  return result;
+}
+
+export { diffPortfolios, diffSections, applyChanges, dedupeEntries, entryLabel, sectionTitle };
@@ -0,0 +1,73 @@
+/**
+ * Website Generator - Portfolio Display Helpers
+ *
+ * Normalizes a portfolio JSON object into the shapes the renderers expect
+ * (src/PortfolioView.jsx and lib/export.js), tolerating the loose output of
+ * the AI step (e.g. skills as an array, research interests as a list), and
+ * leaves out contact details the owner chose not to publish.
+ */
+
+import { safeUrl } from "./schema.js";
+
+// Profile fields that can be kept off the published site with the portfolio's hide_contact list
+const HIDEABLE_CONTACT = ["phone", "location"];
+
+/**
+ * The portfolio as published: profile fields listed in hide_contact (phone, home address) are removed
+ *
+ * @param {Object} data - Academic portfolio JSON
+ * @returns {Object} Portfolio without the hidden contact details
+ */
+function publicPortfolio(data) {
+  const hidden = (Array.isArray(data.hide_contact) ? data.hide_contact : []).filter(key => HIDEABLE_CONTACT.includes(key));
+  if (hidden.length === 0 || !data.profile) return data;
+  const profile = { ...data.profile };
+  hidden.forEach(key => delete profile[key]);
+  return { ...data, profile };
+}
+
+/**
+ * Prepare portfolio data for rendering
+ *
+ * @param {Object} data - Academic portfolio JSON
+ * @returns {Object} { profile, education, positions, projects, publications, awards,
+ *   talks, teaching, service, skillsByCategory, researchInterests, socialLinks }
+ */
+function getDisplayData(data) {
+  const profile = publicPortfolio(data).profile || {};
+  const skills = data.skills || {};
+
+  // Group skills by category if present
+  let skillsByCategory = {};
+  if (skills && typeof skills === "object" && !Array.isArray(skills)) {
+    skillsByCategory = Object.fromEntries(
+      Object.entries(skills).map(([category, list]) => [category, Array.isArray(list) ? list : [list]])
+    );
+  } else if (Array.isArray(skills)) {
+    skillsByCategory = { Other: skills };
+  }
+
+  const asList = value => (Array.isArray(value) ? value : []);
+
+  return {
+    profile,
+    education: asList(data.education),
+    positions: asList(data.positions),
+    projects: asList(data.projects).map(project => ({ ...project, url: safeUrl(project?.url) })),
+    publications: asList(data.publications),
+    awards: asList(data.awards),
+    talks: asList(data.talks),
+    teaching: asList(data.teaching),
+    service: asList(data.service),
+    skillsByCategory,
+    researchInterests: Array.isArray(data.research_interests)
+      ? data.research_interests.join(", ")
+      : data.research_interests || "",
+    // Links are checked again here, for portfolios stored before they were checked on save
+    socialLinks: asList(profile.social)
+      .map(link => ({ ...link, url: safeUrl(link?.url) }))
+      .filter(link => link.url),
+  };
+}
+
+export { HIDEABLE_CONTACT, publicPortfolio, getDisplayData };
@@ -0,0 +1,215 @@
+/**
+ * Website Generator - Parse Provenance
+ *
+ * Records where each field of a parsed portfolio came from, so a wrong date or
+ * organization can be traced back to the rule-based parsers, the AI, or a
+ * fallback patch, and checked against the resume text.
+ *
+ * Provenance is { text, fields }:
+ *   text   - lines of the text extracted from the resume
+ *   fields - map from a portfolio path ("positions[0].dates", the same paths
+ *            shared/schema.js reports) to { source, lines, confidence }:
+ *     source     "heuristic" (rule-based parsers, no AI), "ai" (LLM output),
+ *                "fallback" (rule-based value used where the AI left a section empty)
+ *                or "bibtex" (uploaded .bib file)
+ *     lines      [first, last] 0-based line numbers in text, or null if not found there
+ *     confidence 0-1, from the source, how closely the value matches the text, whether
+ *                the AI and the parsers agree, and whether the schema repair touched it
+ *
+ * Entries ("positions[0]") get a record too, spanning the lines of their fields.
+ */
+
+// Fields below this confidence are highlighted for review
+const LOW_CONFIDENCE = 0.6;
+
+const SOURCE_CONFIDENCE = { heuristic: 0.6, ai: 0.7, fallback: 0.5, bibtex: 0.95 };
+
+// Values derived by the parsers rather than copied from the text
+const DERIVED_FIELDS = new Set(["platform", "type", "bibtex", "theme", "citation_style"]);
+
+// Lines searched for a value that wraps onto the next lines
+const MAX_WRAP_LINES = 4;
+
+// Entry fields further than this from the entry's anchor field are not part of its span
+const MAX_ENTRY_SPAN = 15;
+
+// Helper: compare text ignoring case, accents, punctuation and spacing
+function normalizeText(value) {
+  return String(value)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+function pathTo(path, key) {
+  return typeof key === "number" ? `${path}[${key}]` : path ? `${path}.${key}` : key;
+}
+
+// Helper: split "positions[0].highlights[1]" into ["positions", 0, "highlights", 1]
+function parsePath(path) {
+  return [...path.matchAll(/([^.[\]]+)|\[(\d+)\]/g)].map(m => (m[2] !== undefined ? Number(m[2]) : m[1]));
+}
+
+function getPath(data, path) {
+  return parsePath(path).reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+// Helper: visit every text or number leaf, grouped by the entry (object) that holds it
+function collectLeaves(value, path, entry, leaves) {
+  if (value == null || value === "") return;
+  if (typeof value === "string" || typeof value === "number") {
+    leaves.push({ path, entry, value: String(value) });
+  } else if (Array.isArray(value)) {
+    value.forEach((item, i) => collectLeaves(item, pathTo(path, i), item && typeof item === "object" ? pathTo(path, i) : entry, leaves));
+  } else if (typeof value === "object") {
+    // Top-level objects (profile, skills) are entries of their own
+    for (const [key, child] of Object.entries(value)) {
+      if (!DERIVED_FIELDS.has(key)) collectLeaves(child, pathTo(path, key), entry || path || null, leaves);
+    }
+  }
+}
+
+/**
+ * Find where a value occurs in the resume text
+ *
+ * @param {string} value - Field value
+ * @param {string[]} lines - Normalized text lines
+ * @returns {Array} Candidate spans as { lines: [first, last], match: 0-1 }, best first
+ */
+function locate(value, lines) {
+  const target = normalizeText(value);
+  if (!target) return [];
+
+  const exact = [];
+  lines.forEach((line, i) => {
+    if (` ${line} `.includes(` ${target} `)) exact.push({ lines: [i, i], match: 1 });
+  });
+  if (exact.length > 0) return exact;
+
+  // Values wrapped over several lines
+  for (let i = 0; i < lines.length; i++) {
+    let joined = lines[i];
+    for (let j = i + 1; j < Math.min(lines.length, i + MAX_WRAP_LINES); j++) {
+      joined = `${joined} ${lines[j]}`.trim();
+      if (joined.includes(target)) {
+        exact.push({ lines: [i, j], match: 1 });
+        break;
+      }
+    }
+  }
+  if (exact.length > 0) return exact;
+
+  // Rephrased values (e.g. an AI-written summary): the line sharing most of the words
+  const words = [...new Set(target.split(" ").filter(word => word.length > 2))];
+  if (words.length === 0) return [];
+  let best = null;
+  lines.forEach((line, i) => {
+    const lineWords = new Set(line.split(" "));
+    const match = words.filter(word => lineWords.has(word)).length / words.length;
+    if (match >= 0.5 && (!best || match > best.match)) best = { lines: [i, i], match };
+  });
+  return best ? [best] : [];
+}
+
+// Helper: source of a path, from the most specific matching prefix in `sources`
+function sourceOf(path, sources) {
+  let best = null;
+  for (const prefix of Object.keys(sources)) {
+    const matches = path === prefix || path.startsWith(`${prefix}.`) || path.startsWith(`${prefix}[`);
+    if (matches && (best === null || prefix.length > best.length)) best = prefix;
+  }
+  return best === null ? "ai" : sources[best];
+}
+
+/**
+ * Build provenance for a parsed portfolio
+ *
+ * @param {Object} portfolio - Final portfolio
+ * @param {Object} options
+ *   text      - Text extracted from the resume
+ *   sources   - Map from a path prefix ("positions", "profile.social[2]") to its source
+ *   heuristic - Portfolio built by the rule-based parsers, to check the AI against
+ *   repairs   - Schema repair warnings ([{ path, message }]) for fields that were coerced
+ * @returns {Object} { text, fields }
+ */
+function buildProvenance(portfolio, { text = "", sources = {}, heuristic = {}, repairs = [] } = {}) {
+  const textLines = text.split("\n");
+  const normalizedLines = textLines.map(normalizeText);
+
+  // Rule-based values by field ("positions[].dates"), to tell when the AI agrees with the parsers
+  const heuristicValues = new Map();
+  const heuristicLeaves = [];
+  collectLeaves(heuristic, "", null, heuristicLeaves);
+  for (const leaf of heuristicLeaves) {
+    const key = leaf.path.replace(/\[\d+\]/g, "[]");
+    if (!heuristicValues.has(key)) heuristicValues.set(key, new Set());
+    heuristicValues.get(key).add(normalizeText(leaf.value));
+  }
+
+  const leaves = [];
+  collectLeaves(portfolio, "", null, leaves);
+  const byEntry = new Map();
+  for (const leaf of leaves) {
+    const key = leaf.entry || leaf.path;
+    if (!byEntry.has(key)) byEntry.set(key, []);
+    byEntry.get(key).push({ ...leaf, candidates: locate(leaf.value, normalizedLines) });
+  }
+
+  const fields = {};
+  for (const [entryPath, entryLeaves] of byEntry) {
+    // Anchor the entry on its most distinctive field, then pick each field's occurrence closest to it
+    const anchor = entryLeaves
+      .filter(leaf => leaf.candidates.length > 0)
+      .sort((a, b) => a.candidates.length - b.candidates.length || b.value.length - a.value.length)[0];
+    const anchorLine = anchor ? anchor.candidates[0].lines[0] : null;
+
+    const located = [];
+    for (const leaf of entryLeaves) {
+      const source = sourceOf(leaf.path, sources);
+      const found = anchorLine === null
+        ? leaf.candidates[0]
+        : [...leaf.candidates].sort((a, b) => Math.abs(a.lines[0] - anchorLine) - Math.abs(b.lines[0] - anchorLine))[0];
+
+      let confidence = SOURCE_CONFIDENCE[source] ?? 0.5;
+      if (source !== "bibtex") confidence += found ? 0.3 * found.match : -0.2;
+      if (source === "ai" && heuristicValues.get(leaf.path.replace(/\[\d+\]/g, "[]"))?.has(normalizeText(leaf.value))) confidence += 0.1;
+      if (repairs.some(repair => leaf.path === repair.path || leaf.path.startsWith(`${repair.path}.`) || leaf.path.startsWith(`${repair.path}[`))) confidence -= 0.2;
+      confidence = Math.round(Math.min(1, Math.max(0, confidence)) * 100) / 100;
+
+      fields[leaf.path] = { source, lines: found ? found.lines : null, confidence };
+      if (found && (anchorLine === null || Math.abs(found.lines[0] - anchorLine) <= MAX_ENTRY_SPAN)) located.push(found.lines);
+    }
+
+    if (entryPath !== entryLeaves[0].path || entryLeaves.length > 1) {
+      const confidences = entryLeaves.map(leaf => fields[leaf.path].confidence);
+      fields[entryPath] = {
+        source: sourceOf(entryPath, sources),
+        lines: located.length > 0 ? [Math.min(...located.map(l => l[0])), Math.max(...located.map(l => l[1]))] : null,
+        confidence: Math.round((confidences.reduce((sum, c) => sum + c, 0) / confidences.length) * 100) / 100,
+      };
+    }
+  }
+
+  return { text: textLines, fields };
+}
+
+/**
+ * Drop provenance for fields whose value changed, e.g. after an edit
+ *
+ * @param {Object} provenance - Provenance from buildProvenance
+ * @param {Object} before - Portfolio the provenance describes
+ * @param {Object} after - Edited portfolio
+ * @returns {Object} Provenance for the unchanged fields
+ */
+function pruneProvenance(provenance, before, after) {
+  if (!provenance) return provenance;
+  const same = path => JSON.stringify(getPath(before, path)) === JSON.stringify(getPath(after, path));
+  return {
+    ...provenance,
+    fields: Object.fromEntries(Object.entries(provenance.fields || {}).filter(([path]) => same(path))),
+  };
+}
+
+export { LOW_CONFIDENCE, buildProvenance, pruneProvenance, getPath };
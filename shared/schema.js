@@ -0,0 +1,287 @@
+/**
+ * Website Generator - Portfolio Schema
+ *
+ * JSON Schema for the academic portfolio format produced by /api/parse, plus
+ * a validator and a repair pass for the shape mismatches LLMs commonly make
+ * (skills as a string, social links as an object, research interests as a
+ * list, numbers where strings belong, ...).
+ *
+ * The validator supports the subset of JSON Schema used here: type (single or
+ * list), properties, required, items and additionalProperties. Entry schemas
+ * may set "x-fromString" to name the property a bare string should fill
+ * (e.g. an education entry given as "PhD, MIT" becomes { degree: "PhD, MIT" }),
+ * and list schemas may set "x-splitCommas" when a string should be split on
+ * commas and semicolons rather than only on lines. Link fields set "x-url":
+ * links with a scheme other than http, https or mailto (javascript:, data:, ...)
+ * are dropped.
+ */
+
+const text = { type: "string" };
+const textList = { type: "array", items: text };
+const commaList = { ...textList, "x-splitCommas": true };
+const url = { ...text, "x-url": true };
+
+// Link schemes that may be rendered into an href
+const SAFE_URL_PROTOCOLS = ["http:", "https:", "mailto:"];
+
+/**
+ * Check a link before it is stored or rendered into an href
+ * Relative links (no scheme) are kept; links with any scheme but http, https and mailto are refused.
+ *
+ * @param {*} value - Link as entered or parsed
+ * @returns {string} The trimmed link, or "" when it is empty or unsafe
+ */
+function safeUrl(value) {
+  // Browsers ignore tabs and line breaks anywhere in a URL and control characters around it
+  const text = String(value ?? "").replace(/[\t\n\r]/g, "").replace(/^[\u0000-\u0020]+|[\u0000-\u0020]+$/g, "");
+  if (!/^[a-z][a-z0-9+.-]*:/i.test(text)) return text;
+  try {
+    return SAFE_URL_PROTOCOLS.includes(new URL(text).protocol) ? text : "";
+  } catch {
+    return "";
+  }
+}
+
+const entry = (fromString, properties, required = [fromString]) => ({
+  type: "object",
+  "x-fromString": fromString,
+  required,
+  properties,
+});
+
+const PORTFOLIO_SCHEMA = {
+  $schema: "http://json-schema.org/draft-07/schema#",
+  title: "Academic portfolio",
+  type: "object",
+  required: ["profile", "education", "positions", "publications", "projects", "skills", "awards"],
+  properties: {
+    profile: {
+      type: "object",
+      properties: {
+        name: text,
+        email: text,
+        phone: text,
+        location: text,
+        summary: text,
+        social: {
+          type: "array",
+          items: entry("url", { platform: text, url }),
+        },
+      },
+    },
+    research_interests: text,
+    education: {
+      type: "array",
+      items: entry("degree", { degree: text, institution: text, location: text, dates: text, honors: text }, []),
+    },
+    positions: {
+      type: "array",
+      items: entry("title", { title: text, organization: text, location: text, dates: text, summary: text, highlights: textList }),
+    },
+    publications: {
+      type: "array",
+      items: entry("title", {
+        title: text,
+        authors: { type: ["array", "string"], items: text },
+        venue: text,
+        year: text,
+        type: text,
+        doi: text,
+        arxiv: text,
+        url,
+        pdf: url,
+        bibtex: text,
+      }),
+    },
+    projects: {
+      type: "array",
+      items: entry("title", { title: text, description: text, dates: text, url }),
+    },
+    skills: {
+      type: "object",
+      additionalProperties: commaList,
+    },
+    awards: {
+      type: "array",
+      items: entry("title", { title: text, organization: text, year: text }),
+    },
+    teaching: {
+      type: "array",
+      items: entry("course", { course: text, role: text, institution: text, dates: text }, []),
+    },
+    talks: {
+      type: "array",
+      items: entry("title", { title: text, event: text, location: text, date: text }),
+    },
+    service: {
+      type: "array",
+      items: entry("role", { role: text, organization: text, dates: text }),
+    },
+    theme: text,
+    citation_style: text,
+    hide_contact: textList,
+    site_url: url,
+    cv: {
+      type: "object",
+      properties: { length: text, order: textList },
+    },
+  },
+};
+
+// Helper: JSON type name of a value ("array" and "null" are distinguished from "object")
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+// Helper: accepted types of a schema as a list
+function typesOf(schema) {
+  return Array.isArray(schema.type) ? schema.type : [schema.type];
+}
+
+function pathTo(path, key) {
+  return typeof key === "number" ? `${path}[${key}]` : path ? `${path}.${key}` : key;
+}
+
+/**
+ * Validate a value against a schema
+ *
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema (defaults to the portfolio schema)
+ * @param {string} path - Path of the value, used in error messages
+ * @returns {Array} Errors as { path, message }; empty when valid
+ */
+function validatePortfolio(value, schema = PORTFOLIO_SCHEMA, path = "") {
+  const actual = typeOf(value);
+  const types = typesOf(schema);
+  if (!types.includes(actual)) {
+    return [{ path: path || "(root)", message: `expected ${types.join(" or ")}, got ${actual}` }];
+  }
+
+  const errors = [];
+  if (actual === "object") {
+    for (const key of schema.required || []) {
+      if (value[key] == null || value[key] === "") errors.push({ path: pathTo(path, key), message: "is required" });
+    }
+    for (const [key, child] of Object.entries(value)) {
+      const childSchema = schema.properties?.[key] || schema.additionalProperties;
+      if (childSchema && child != null) errors.push(...validatePortfolio(child, childSchema, pathTo(path, key)));
+    }
+  } else if (actual === "array" && schema.items) {
+    value.forEach((item, i) => errors.push(...validatePortfolio(item, schema.items, pathTo(path, i))));
+  }
+  return errors;
+}
+
+// Helper: split a free-form list (one item per line, or "a, b; c")
+function splitList(value, commas) {
+  return value
+    .split(commas ? /\n|;|,(?![^(]*\))/ : /\n/)
+    .map(item => item.replace(/^[\s•*-]+/, "").trim())
+    .filter(Boolean);
+}
+
+// Coerce one value towards its schema, recording a warning for each change
+function repairValue(value, schema, path, warnings) {
+  const types = typesOf(schema);
+  const actual = typeOf(value);
+  const warn = message => warnings.push({ path, message });
+
+  if (types.includes(actual)) {
+    if (actual === "object") return repairObject(value, schema, path, warnings);
+    if (actual === "array") {
+      if (!schema.items) return value;
+      return value
+        .map((item, i) => repairValue(item, schema.items, pathTo(path, i), warnings))
+        .filter(item => item !== undefined);
+    }
+    if (typeof value !== "string") return value;
+    if (schema["x-url"] && value.trim() && !safeUrl(value)) {
+      warn("dropped a link that is not http, https or mailto");
+      return undefined;
+    }
+    return value.trim();
+  }
+
+  const expected = types[0];
+  if (value == null) return undefined;
+
+  if (expected === "string") {
+    if (actual === "number" || actual === "boolean") return String(value);
+    if (actual === "array" && value.every(item => typeof item === "string" || typeof item === "number")) {
+      warn("list joined into text");
+      return value.join(", ");
+    }
+    warn(`dropped ${actual} where text was expected`);
+    return undefined;
+  }
+
+  if (expected === "array") {
+    if (actual === "string") {
+      const items = schema.items && typesOf(schema.items).includes("object") ? [value] : splitList(value, schema["x-splitCommas"]);
+      warn("text split into a list");
+      return repairValue(items, schema, path, warnings);
+    }
+    if (actual === "object") {
+      // { github: "https://..." } -> [{ platform: "github", url: "https://..." }]
+      if (schema.items?.properties?.platform) {
+        warn("object converted to a list of links");
+        return repairValue(Object.entries(value).map(([platform, url]) => ({ platform, url })), schema, path, warnings);
+      }
+      warn("object wrapped in a list");
+      return repairValue([value], schema, path, warnings);
+    }
+    warn(`dropped ${actual} where a list was expected`);
+    return undefined;
+  }
+
+  if (expected === "object") {
+    if (actual === "string" && schema["x-fromString"]) {
+      return repairValue({ [schema["x-fromString"]]: value }, schema, path, warnings);
+    }
+    // Skills given as a flat list or a comma-separated string
+    if (schema.additionalProperties && (actual === "array" || actual === "string")) {
+      warn("grouped under \"Other\"");
+      return repairValue({ Other: value }, schema, path, warnings);
+    }
+    warn(`dropped ${actual} where an object was expected`);
+    return undefined;
+  }
+
+  return value;
+}
+
+function repairObject(value, schema, path, warnings) {
+  const result = {};
+  for (const [key, child] of Object.entries(value)) {
+    const childSchema = schema.properties?.[key] || schema.additionalProperties;
+    const repaired = childSchema ? repairValue(child, childSchema, pathTo(path, key), warnings) : child;
+    if (repaired !== undefined) result[key] = repaired;
+  }
+  return result;
+}
+
+/**
+ * Coerce a portfolio towards the schema and validate the result
+ *
+ * @param {Object} data - Portfolio JSON, e.g. raw LLM output
+ * @returns {Object} { portfolio, warnings: [{ path, message }] for every repair, errors: remaining validation errors }
+ */
+function repairPortfolio(data) {
+  const warnings = [];
+  const portfolio = typeOf(data) === "object" ? repairObject(data, PORTFOLIO_SCHEMA, "", warnings) : {};
+  return { portfolio, warnings, errors: validatePortfolio(portfolio) };
+}
+
+/**
+ * Format validation errors or warnings as "path: message" lines
+ *
+ * @param {Array} issues - Errors or warnings from validatePortfolio / repairPortfolio
+ * @returns {string[]} Human-readable lines
+ */
+function formatIssues(issues) {
+  return issues.map(issue => `${issue.path}: ${issue.message}`);
+}
+
+export { PORTFOLIO_SCHEMA, safeUrl, validatePortfolio, repairPortfolio, formatIssues };
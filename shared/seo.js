@@ -0,0 +1,235 @@
+/**
+ * Website Generator - Search Engine Metadata
+ *
+ * Builds what search engines and link previews read from a page: the title,
+ * a meta description, Open Graph and Twitter card tags, and schema.org
+ * structured data as JSON-LD (a Person with their ScholarlyArticles for a
+ * portfolio, a ResearchOrganization for a group). Used by the static export
+ * (lib/export.js) and by the shared portfolio page in the browser (src/App.jsx).
+ *
+ * Only published details are used: contact fields listed in hide_contact never
+ * appear. Canonical links, og:url and the sitemap need absolute URLs, so they
+ * are only produced when the site's address (site_url) is known.
+ */
+
+import { normalizeAuthors, citationLinks } from "./citations.js";
+import { getDisplayData } from "./portfolio.js";
+import { GROUP_PAGES, getGroupDisplayData } from "./group.js";
+
+// Search engines cut descriptions at about this many characters
+const MAX_DESCRIPTION_LENGTH = 160;
+
+// Longest headline Google shows for an article
+const MAX_HEADLINE_LENGTH = 110;
+
+// Helper: collapse whitespace and cut at a word boundary, ending with an ellipsis
+function truncate(text, max) {
+  const clean = String(text || "").replace(/\s+/g, " ").trim();
+  if (clean.length <= max) return clean;
+  const cut = clean.slice(0, max - 1);
+  const space = cut.lastIndexOf(" ");
+  return `${(space > max / 2 ? cut.slice(0, space) : cut).replace(/[\s,;:.–-]+$/, "")}…`;
+}
+
+// Helper: drop keys whose values are empty so the JSON-LD stays tidy
+function compact(obj) {
+  return Object.fromEntries(
+    Object.entries(obj).filter(([, v]) => v != null && v !== "" && !(Array.isArray(v) && v.length === 0))
+  );
+}
+
+/**
+ * Normalize a site address: absolute http(s) URL ending in "/", or "" when it isn't one
+ *
+ * @param {string} value - Address as entered, e.g. "janedoe.github.io"
+ * @returns {string} e.g. "https://janedoe.github.io/"
+ */
+function normalizeSiteUrl(value) {
+  const text = String(value || "").trim();
+  if (!text) return "";
+  try {
+    const url = new URL(/^[a-z][a-z0-9+.-]*:/i.test(text) ? text : `https://${text}`);
+    if (!["http:", "https:"].includes(url.protocol)) return "";
+    url.search = "";
+    url.hash = "";
+    if (!url.pathname.endsWith("/")) url.pathname += "/";
+    return url.href;
+  } catch {
+    return "";
+  }
+}
+
+// Helper: "Research Engineer, Google Research" for the first listed position
+function headline(position) {
+  return position ? [position.title, position.organization].filter(Boolean).join(", ") : "";
+}
+
+// Helper: a ScholarlyArticle; owner is the Person credited when the entry lists no authors
+function publicationJsonLd(pub, owner = null) {
+  const links = citationLinks(pub);
+  const authors = normalizeAuthors(pub.authors)
+    .filter(name => !name.others)
+    .map(name => ({ "@type": "Person", name: [name.given, name.family].filter(Boolean).join(" ") }));
+  return compact({
+    "@type": "ScholarlyArticle",
+    headline: truncate(pub.title, MAX_HEADLINE_LENGTH),
+    name: pub.title,
+    author: authors.length > 0 ? authors : owner && [owner],
+    datePublished: /^\d{4}/.test(String(pub.year || "")) ? String(pub.year).slice(0, 4) : "",
+    isPartOf: pub.venue ? { "@type": "CreativeWork", name: pub.venue } : null,
+    identifier: pub.doi ? { "@type": "PropertyValue", propertyID: "DOI", value: pub.doi } : null,
+    url: links[0]?.url,
+    sameAs: links.slice(1).map(link => link.url),
+  });
+}
+
+function personJsonLd(view, url) {
+  const { profile } = view;
+  const position = view.positions[0];
+  const interests = view.researchInterests.split(/\s*[,;\n]\s*/).filter(Boolean);
+  const schools = [...new Set(view.education.map(edu => edu.institution).filter(Boolean))];
+  return compact({
+    "@type": "Person",
+    "@id": url ? `${url}#person` : "",
+    name: profile.name,
+    url,
+    description: profile.summary,
+    email: profile.email,
+    jobTitle: position?.title,
+    worksFor: position?.organization ? { "@type": "Organization", name: position.organization } : null,
+    alumniOf: schools.map(name => ({ "@type": "CollegeOrUniversity", name })),
+    knowsAbout: interests,
+    award: view.awards.map(award => award.title).filter(Boolean),
+    sameAs: view.socialLinks.map(link => link.url).filter(Boolean),
+  });
+}
+
+/**
+ * Metadata for a portfolio page
+ *
+ * @param {Object} data - Academic portfolio JSON
+ * @param {Object} options - { url: canonical address of the page (default: the portfolio's site_url) }
+ * @returns {Object} { title, description, url, type, jsonLd }
+ */
+function getPortfolioMetadata(data, { url = data.site_url } = {}) {
+  const view = getDisplayData(data);
+  const pageUrl = normalizeSiteUrl(url);
+  const name = view.profile.name || "Academic Portfolio";
+  const role = headline(view.positions[0]);
+  const fallback = [
+    role ? `${name}, ${role}.` : `Academic portfolio of ${name}.`,
+    view.researchInterests && `Research interests: ${view.researchInterests}.`,
+  ].filter(Boolean).join(" ");
+
+  const person = personJsonLd(view, pageUrl);
+  const owner = view.profile.name ? compact({ "@type": "Person", "@id": person["@id"], name: view.profile.name }) : null;
+  return {
+    title: role ? `${name} – ${role}` : name,
+    description: truncate(view.profile.summary || fallback, MAX_DESCRIPTION_LENGTH),
+    url: pageUrl,
+    type: "profile",
+    jsonLd: {
+      "@context": "https://schema.org",
+      "@graph": [
+        person,
+        ...view.publications.filter(pub => pub?.title).map(pub => publicationJsonLd(pub, owner)),
+      ],
+    },
+  };
+}
+
+/**
+ * Metadata for one page of a group site
+ *
+ * @param {Object} group - Group object (shared/group.js)
+ * @param {Object} portfolios - Map from portfolio ID to the member's portfolio JSON
+ * @param {string} page - "home", "people" or "publications"
+ * @returns {Object} { title, description, url, type, jsonLd }, as getPortfolioMetadata
+ */
+function getGroupMetadata(group, portfolios, page) {
+  const view = getGroupDisplayData(group, portfolios);
+  const base = normalizeSiteUrl(group.site_url);
+  const current = GROUP_PAGES.find(p => p.id === page);
+  const organization = compact({
+    "@type": "ResearchOrganization",
+    "@id": base ? `${base}#organization` : "",
+    name: view.name,
+    url: base,
+    description: view.description,
+    member: view.people.map(person => compact({
+      "@type": "Person",
+      name: person.name,
+      jobTitle: person.role || person.title,
+      url: base ? `${base}people/${person.slug}/` : "",
+    })),
+  });
+  const publications = page === "publications" ? view.publications.map(pub => publicationJsonLd(pub)) : [];
+  const description = view.description
+    || `${view.name}: ${view.people.length} member${view.people.length === 1 ? "" : "s"}, ${view.publications.length} publication${view.publications.length === 1 ? "" : "s"}.`;
+  return {
+    title: current.id === "home" ? view.name : `${current.title} – ${view.name}`,
+    description: truncate(description, MAX_DESCRIPTION_LENGTH),
+    url: base ? `${base}${current.path}` : "",
+    type: "website",
+    jsonLd: { "@context": "https://schema.org", "@graph": [organization, ...publications] },
+  };
+}
+
+/**
+ * Meta tags for a page's metadata, shared by the static export and the browser
+ *
+ * @param {Object} meta - From getPortfolioMetadata or getGroupMetadata
+ * @returns {Array} [{ attribute: "name" or "property", key, content }]
+ */
+function metaTags(meta) {
+  return [
+    ["name", "description", meta.description],
+    ["property", "og:type", meta.type],
+    ["property", "og:title", meta.title],
+    ["property", "og:description", meta.description],
+    ["property", "og:url", meta.url],
+    ["name", "twitter:card", "summary"],
+    ["name", "twitter:title", meta.title],
+    ["name", "twitter:description", meta.description],
+  ]
+    .filter(([, , content]) => content)
+    .map(([attribute, key, content]) => ({ attribute, key, content }));
+}
+
+/**
+ * Serialize JSON-LD for a <script type="application/ld+json"> element
+ * "<" is escaped so text like "</script>" in a title can't end the element early.
+ *
+ * @param {Object} jsonLd - Structured data
+ * @returns {string} JSON text
+ */
+function jsonLdText(jsonLd) {
+  return JSON.stringify(jsonLd).replace(/</g, "\\u003c");
+}
+
+/**
+ * Build a sitemap.xml listing the given pages
+ *
+ * @param {string[]} urls - Absolute page URLs
+ * @returns {string} XML document
+ */
+function buildSitemap(urls) {
+  const escapeXml = text => text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.map(url => `  <url><loc>${escapeXml(url)}</loc></url>`).join("\n")}
+</urlset>
+`;
+}
+
+/**
+ * Build a robots.txt that allows crawling and points to the sitemap when there is one
+ *
+ * @param {string} siteUrl - Normalized site address, or "" when unknown
+ * @returns {string} robots.txt contents
+ */
+function buildRobotsTxt(siteUrl) {
+  return `User-agent: *\nAllow: /\n${siteUrl ? `\nSitemap: ${siteUrl}sitemap.xml\n` : ""}`;
+}
+
+export { normalizeSiteUrl, getPortfolioMetadata, getGroupMetadata, metaTags, jsonLdText, buildSitemap, buildRobotsTxt };
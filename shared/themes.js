@@ -0,0 +1,166 @@
+/**
+ * Website Generator - Portfolio Themes
+ *
+ * A theme is a layout plus a set of Tailwind class names. The React
+ * PortfolioView and the static site exporter (lib/export.js) render the same
+ * markup from these definitions, so the downloaded site matches the preview.
+ *
+ * Layouts:
+ *   grid    - centered header, main column (2/3) and side column (1/3)
+ *   single  - header and one column with every section
+ *   sidebar - sticky left sidebar (header + side sections) and main column
+ *
+ * Section keys: interests, positions, projects, publications, talks, teaching, education, awards,
+ * service, skills, contact
+ */
+
+const THEMES = {
+  classic: {
+    label: "Classic",
+    layout: "grid",
+    sections: {
+      main: ["interests", "positions", "projects", "publications", "talks", "teaching"],
+      side: ["education", "awards", "service", "skills", "contact"],
+    },
+    classes: {
+      page: "min-h-screen bg-white font-serif text-gray-900",
+      container: "max-w-6xl mx-auto px-6 py-16",
+      header: "mb-16 text-center",
+      name: "text-4xl font-bold text-gray-900 mb-4",
+      location: "text-lg text-gray-600 mb-4",
+      summary: "text-gray-700 max-w-3xl mx-auto leading-relaxed mb-6",
+      contactRow: "flex flex-wrap justify-center gap-4 text-sm text-gray-600",
+      link: "text-blue-700 hover:underline",
+      columns: "grid grid-cols-1 lg:grid-cols-3 gap-12",
+      main: "lg:col-span-2 space-y-12",
+      side: "lg:col-span-1 space-y-12",
+      section: "pt-8",
+      sectionTitle: "text-xl font-serif font-semibold text-gray-800 mb-4 border-b border-gray-200 pb-1 tracking-tight",
+      list: "space-y-6",
+      card: "bg-white border border-gray-200 rounded-lg p-6 shadow-sm",
+      compactCard: "bg-white border border-gray-200 rounded-lg p-4 shadow-sm",
+      callout: "bg-gray-50 rounded-lg p-6",
+      entryTitle: "font-semibold text-gray-900",
+      entrySubtitle: "text-blue-700 font-medium",
+      meta: "text-gray-600 text-sm",
+      text: "text-gray-700",
+      chip: "px-3 py-1 bg-gray-100 text-gray-700 text-xs rounded-full",
+      badge: "px-2 py-0.5 border border-blue-200 text-blue-700 rounded hover:bg-blue-50",
+      code: "bg-gray-50 text-gray-700",
+    },
+  },
+  minimal: {
+    label: "Minimal Academic",
+    layout: "single",
+    sections: {
+      main: ["interests", "education", "positions", "publications", "talks", "projects", "teaching", "awards", "service", "skills", "contact"],
+    },
+    classes: {
+      page: "min-h-screen bg-white font-serif text-gray-900",
+      container: "max-w-3xl mx-auto px-6 py-16",
+      header: "mb-12",
+      name: "text-3xl font-bold text-gray-900 mb-2",
+      location: "text-gray-600 mb-3",
+      summary: "text-gray-700 leading-relaxed mb-4",
+      contactRow: "flex flex-wrap gap-3 text-sm text-gray-600",
+      link: "underline hover:text-gray-900",
+      main: "space-y-10",
+      section: "",
+      sectionTitle: "text-sm font-sans font-semibold uppercase tracking-widest text-gray-500 mb-4",
+      list: "space-y-5",
+      card: "",
+      compactCard: "",
+      callout: "",
+      entryTitle: "font-semibold text-gray-900",
+      entrySubtitle: "italic text-gray-700",
+      meta: "text-gray-500 text-sm",
+      text: "text-gray-700",
+      chip: "px-2 py-0.5 border border-gray-300 text-gray-700 text-xs rounded",
+      badge: "underline text-gray-700 hover:text-gray-900",
+      code: "bg-gray-50 text-gray-700",
+    },
+  },
+  sidebar: {
+    label: "Sidebar (al-folio)",
+    layout: "sidebar",
+    sections: {
+      main: ["interests", "positions", "publications", "talks", "projects", "teaching", "education", "awards", "service"],
+      side: ["skills"],
+    },
+    classes: {
+      page: "min-h-screen bg-gray-50 font-sans text-gray-800",
+      container: "max-w-6xl mx-auto px-6 py-12 lg:flex lg:gap-12",
+      aside: "lg:w-72 lg:flex-shrink-0 lg:sticky lg:top-12 lg:self-start mb-12 lg:mb-0",
+      header: "mb-8",
+      name: "text-3xl font-light text-gray-900 mb-2",
+      location: "text-gray-500 mb-3",
+      summary: "text-sm text-gray-600 leading-relaxed mb-4",
+      contactRow: "flex flex-col gap-1 text-sm text-gray-600",
+      link: "text-purple-700 hover:underline",
+      main: "flex-1 min-w-0 space-y-10",
+      side: "space-y-8",
+      section: "",
+      sectionTitle: "text-2xl font-light text-purple-800 mb-4",
+      list: "space-y-4",
+      card: "bg-white rounded-md p-5 shadow-sm border-l-4 border-purple-200",
+      compactCard: "bg-white rounded-md p-4 shadow-sm",
+      callout: "bg-white rounded-md p-5 shadow-sm",
+      entryTitle: "font-semibold text-gray-900",
+      entrySubtitle: "text-purple-700",
+      meta: "text-gray-500 text-sm",
+      text: "text-gray-700",
+      chip: "px-2 py-1 bg-purple-50 text-purple-800 text-xs rounded",
+      badge: "px-2 py-0.5 border border-purple-200 text-purple-700 rounded hover:bg-purple-50",
+      code: "bg-gray-50 text-gray-700",
+    },
+  },
+  dark: {
+    label: "Dark Developer",
+    layout: "grid",
+    sections: {
+      main: ["interests", "positions", "projects", "publications", "talks", "teaching"],
+      side: ["skills", "education", "awards", "service", "contact"],
+    },
+    classes: {
+      page: "min-h-screen bg-gray-950 font-mono text-gray-200",
+      container: "max-w-5xl mx-auto px-6 py-16",
+      header: "mb-12",
+      name: "text-4xl font-bold text-green-400 mb-2",
+      location: "text-gray-400 mb-3",
+      summary: "text-gray-300 leading-relaxed mb-4 max-w-3xl",
+      contactRow: "flex flex-wrap gap-4 text-sm text-gray-400",
+      link: "text-cyan-400 hover:underline",
+      columns: "grid grid-cols-1 lg:grid-cols-3 gap-10",
+      main: "lg:col-span-2 space-y-10",
+      side: "lg:col-span-1 space-y-10",
+      section: "",
+      sectionTitle: "text-lg font-semibold text-green-400 mb-4 border-b border-gray-800 pb-1",
+      list: "space-y-4",
+      card: "bg-gray-900 border border-gray-800 rounded-lg p-5",
+      compactCard: "bg-gray-900 border border-gray-800 rounded-lg p-4",
+      callout: "bg-gray-900 border border-gray-800 rounded-lg p-5",
+      entryTitle: "font-semibold text-gray-100",
+      entrySubtitle: "text-cyan-400",
+      meta: "text-gray-500 text-sm",
+      text: "text-gray-300",
+      chip: "px-2 py-1 bg-gray-800 text-green-300 text-xs rounded",
+      badge: "px-2 py-0.5 border border-gray-700 text-cyan-400 rounded hover:bg-gray-800",
+      code: "bg-gray-900 text-gray-300",
+    },
+  },
+};
+
+const DEFAULT_THEME = "classic";
+
+/**
+ * Look up a theme by ID, falling back to the default theme
+ *
+ * @param {string} id - Theme ID (portfolio.theme)
+ * @returns {Object} Theme definition with its id
+ */
+function getTheme(id) {
+  const key = THEMES[id] ? id : DEFAULT_THEME;
+  return { id: key, ...THEMES[key] };
+}
+
+export { THEMES, DEFAULT_THEME, getTheme };
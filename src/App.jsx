@@ -1,9 +1,32 @@
-import React, { useState } from "react";
-import { BrowserRouter as Router, Routes, Route, useNavigate, useLocation } from "react-router-dom";
+import React, { useState, useEffect } from "react";
+import { BrowserRouter as Router, Routes, Route, useNavigate, useLocation, useParams } from "react-router-dom";
 import { useRef } from "react";
+import PortfolioEditor from "./PortfolioEditor.jsx";
+import { toJsonResume } from "../shared/jsonresume.js";
+import PortfolioView from "./PortfolioView.jsx";
+import ParseProgress from "./ParseProgress.jsx";
+import SourceReview, { countLowConfidence } from "./SourceReview.jsx";
+import MergeReview from "./MergeReview.jsx";
+import HistoryPanel from "./HistoryPanel.jsx";
+import GroupView from "./GroupView.jsx";
+import GroupEditor from "./GroupEditor.jsx";
+import PageMetadata from "./PageMetadata.jsx";
+import CvView, { CvOptions } from "./CvView.jsx";
+import { CitationStylePicker } from "./Publications.jsx";
+import { THEMES, DEFAULT_THEME } from "../shared/themes.js";
+import { getPortfolioMetadata, getGroupMetadata } from "../shared/seo.js";
+import { toLatexCv } from "../shared/latex.js";
+import { DEFAULT_CITATION_STYLE } from "../shared/citations.js";
 
-function downloadJSON(data, filename) {
-  const blob = new Blob([JSON.stringify(data, null, 2)], { type: "application/json" });
+const API_URL = "http://localhost:3001";
+
+// Servers that set API_KEYS need an access key for anything that changes data; it is kept for the browser session
+function authHeaders(headers = {}) {
+  const key = sessionStorage.getItem("accessKey");
+  return key ? { ...headers, "X-API-Key": key } : headers;
+}
+
+function downloadBlob(blob, filename) {
   const url = URL.createObjectURL(blob);
   const a = document.createElement("a");
   a.href = url;
@@ -14,228 +37,646 @@ function downloadJSON(data, filename) {
   URL.revokeObjectURL(url);
 }
 
-function Section({ title, children }) {
-  return (
-    <section className="pt-8">
-      <h2 className="text-xl font-serif font-semibold text-gray-800 mb-4 border-b border-gray-200 pb-1 tracking-tight">{title}</h2>
-      {children}
-    </section>
-  );
+function downloadJSON(data, filename) {
+  downloadBlob(new Blob([JSON.stringify(data, null, 2)], { type: "application/json" }), filename);
+}
+
+async function downloadWebsite(data) {
+  const res = await fetch(`${API_URL}/api/export`, {
+    method: "POST",
+    headers: authHeaders({ "Content-Type": "application/json" }),
+    body: JSON.stringify(data),
+  });
+  if (!res.ok) {
+    const err = await res.json();
+    throw new Error(err.error || "Failed to export website");
+  }
+  downloadBlob(await res.blob(), "portfolio-site.zip");
+}
+
+async function fetchPortfolio(id) {
+  const res = await fetch(`${API_URL}/api/portfolios/${encodeURIComponent(id)}`);
+  if (!res.ok) {
+    const err = await res.json();
+    throw new Error(err.error || "Failed to load portfolio");
+  }
+  return res.json();
+}
+
+async function savePortfolio(id, portfolio) {
+  const res = await fetch(`${API_URL}/api/portfolios/${encodeURIComponent(id)}`, {
+    method: "PUT",
+    headers: authHeaders({ "Content-Type": "application/json" }),
+    body: JSON.stringify(portfolio),
+  });
+  if (!res.ok) {
+    const err = await res.json();
+    throw new Error(err.error || "Failed to save portfolio");
+  }
+  return res.json();
+}
+
+async function fetchRevisions(id) {
+  const res = await fetch(`${API_URL}/api/portfolios/${encodeURIComponent(id)}/revisions`);
+  if (!res.ok) {
+    const err = await res.json();
+    throw new Error(err.error || "Failed to load history");
+  }
+  return (await res.json()).revisions;
+}
+
+async function fetchRevisionDiff(id, from, to) {
+  const res = await fetch(`${API_URL}/api/portfolios/${encodeURIComponent(id)}/diff?from=${from}&to=${to}`);
+  if (!res.ok) {
+    const err = await res.json();
+    throw new Error(err.error || "Failed to compare versions");
+  }
+  return res.json();
+}
+
+async function restoreRevision(id, revisionId) {
+  const res = await fetch(`${API_URL}/api/portfolios/${encodeURIComponent(id)}/revisions/${revisionId}/restore`, { method: "POST", headers: authHeaders() });
+  if (!res.ok) {
+    const err = await res.json();
+    throw new Error(err.error || "Failed to restore version");
+  }
+  return res.json();
+}
+
+// Parse a newer resume against a stored portfolio; returns { changes, incoming, warnings, provenance }
+async function reparsePortfolio(id, formData) {
+  const res = await fetch(`${API_URL}/api/portfolios/${encodeURIComponent(id)}/reparse`, {
+    method: "POST",
+    headers: authHeaders(),
+    body: formData,
+  });
+  if (!res.ok) {
+    const err = await res.json();
+    throw new Error(err.error || "Failed to parse resume");
+  }
+  return res.json();
+}
+
+async function mergePortfolio(id, body) {
+  const res = await fetch(`${API_URL}/api/portfolios/${encodeURIComponent(id)}/merge`, {
+    method: "POST",
+    headers: authHeaders({ "Content-Type": "application/json" }),
+    body: JSON.stringify(body),
+  });
+  if (!res.ok) {
+    const err = await res.json();
+    throw new Error(err.error || "Failed to merge changes");
+  }
+  return res.json();
+}
+
+async function fetchGroup(id) {
+  const res = await fetch(`${API_URL}/api/groups/${encodeURIComponent(id)}`);
+  if (!res.ok) {
+    const err = await res.json();
+    throw new Error(err.error || "Failed to load group");
+  }
+  return res.json();
+}
+
+// Create a group (no id) or replace a stored one; validation errors are attached to the thrown error
+async function saveGroup(id, group) {
+  const res = await fetch(id ? `${API_URL}/api/groups/${encodeURIComponent(id)}` : `${API_URL}/api/groups`, {
+    method: id ? "PUT" : "POST",
+    headers: authHeaders({ "Content-Type": "application/json" }),
+    body: JSON.stringify(group),
+  });
+  if (!res.ok) {
+    const err = await res.json();
+    throw Object.assign(new Error(err.error || "Failed to save group"), { errors: err.errors || [] });
+  }
+  return res.json();
+}
+
+async function downloadGroupWebsite(id) {
+  const res = await fetch(`${API_URL}/api/groups/${encodeURIComponent(id)}/export`);
+  if (!res.ok) {
+    const err = await res.json();
+    throw new Error(err.error || "Failed to export website");
+  }
+  downloadBlob(await res.blob(), "group-site.zip");
+}
+
+async function startParseJob(formData) {
+  const res = await fetch(`${API_URL}/api/parse/jobs`, {
+    method: "POST",
+    headers: authHeaders(),
+    body: formData,
+  });
+  if (!res.ok) {
+    const err = await res.json();
+    throw new Error(err.error || "Failed to parse resume");
+  }
+  return (await res.json()).jobId;
+}
+
+/**
+ * Follow a parse job over Server-Sent Events
+ *
+ * @param {string} jobId - Job ID from startParseJob
+ * @param {Function} onProgress - Called with (event, data) for "stage" and "sections" events
+ * @returns {Object} { result: Promise of { id, portfolio } or null if cancelled, close }
+ */
+function followParseJob(jobId, onProgress) {
+  const source = new EventSource(`${API_URL}/api/parse/jobs/${encodeURIComponent(jobId)}/events`);
+  const result = new Promise((resolve, reject) => {
+    source.addEventListener("stage", e => onProgress("stage", JSON.parse(e.data)));
+    source.addEventListener("sections", e => onProgress("sections", JSON.parse(e.data)));
+    source.addEventListener("done", e => {
+      source.close();
+      resolve(JSON.parse(e.data));
+    });
+    source.addEventListener("failed", e => {
+      source.close();
+      reject(new Error(JSON.parse(e.data).error || "Failed to parse resume"));
+    });
+    source.addEventListener("cancelled", () => {
+      source.close();
+      resolve(null);
+    });
+    source.onerror = () => {
+      // EventSource retries on its own while the connection is recoverable
+      if (source.readyState === EventSource.CLOSED) reject(new Error("Lost connection to the server"));
+    };
+  });
+  return { result, close: () => source.close() };
+}
+
+async function cancelParseJob(jobId) {
+  await fetch(`${API_URL}/api/parse/jobs/${encodeURIComponent(jobId)}`, { method: "DELETE", headers: authHeaders() });
 }
 
 function PortfolioPage() {
+  const { id } = useParams();
   const location = useLocation();
-  const data = location.state?.portfolioData;
+  const [data, setData] = useState(location.state?.portfolioData || null);
+  const [loadingPortfolio, setLoadingPortfolio] = useState(Boolean(id) && !data);
+  const [loadError, setLoadError] = useState("");
+  const [exporting, setExporting] = useState(false);
+  const [exportError, setExportError] = useState("");
+  const [linkCopied, setLinkCopied] = useState(false);
+  const [editing, setEditing] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [saveError, setSaveError] = useState("");
+  const [previewTheme, setPreviewTheme] = useState(null);
+  const [previewCitationStyle, setPreviewCitationStyle] = useState(null);
+  const [previewCv, setPreviewCv] = useState(null); // CV layout being changed, saved with "Save CV Layout"
+  const [warnings, setWarnings] = useState(location.state?.warnings || []);
+  const [provenance, setProvenance] = useState(location.state?.provenance || null);
+  const [panel, setPanel] = useState(null); // "sources", "history" or "cv" in place of the portfolio
+  const [merge, setMerge] = useState(null); // { changes, incoming, provenance } from a re-uploaded resume
+  const [reparsing, setReparsing] = useState(false);
+  const [mergeError, setMergeError] = useState("");
+
+  // Always reload shared portfolios from the server so the page survives refreshes
+  useEffect(() => {
+    if (!id) return;
+    let cancelled = false;
+    setLoadError("");
+    fetchPortfolio(id)
+      .then(record => {
+        if (cancelled) return;
+        setData(record.portfolio);
+        setProvenance(record.provenance || null);
+      })
+      .catch(err => {
+        if (!cancelled) setLoadError(err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoadingPortfolio(false);
+      });
+    return () => { cancelled = true; };
+  }, [id]);
+
+  if (loadingPortfolio) return <div className="p-10 font-serif text-gray-700">Loading portfolio...</div>;
   if (!data) return (
     <div className="p-10">
-      <div>No portfolio data found.</div>
-      <pre className="bg-gray-100 p-2 rounded text-xs overflow-x-auto">{JSON.stringify(location.state, null, 2)}</pre>
+      <div>{loadError || "No portfolio data found."}</div>
+      {!id && <pre className="bg-gray-100 p-2 rounded text-xs overflow-x-auto">{JSON.stringify(location.state, null, 2)}</pre>}
     </div>
   );
 
-  // Academic JSON fields
-  const profile = data.profile || {};
-  const education = data.education || [];
-  const positions = data.positions || [];
-  const projects = data.projects || [];
-  const publications = data.publications || [];
-  const skills = data.skills || {};
-  const awards = data.awards || [];
-  const researchInterests = data.research_interests || [];
-  const contact = profile.email || profile.phone || profile.location;
-
-  // Group skills by category if present
-  let skillsByCategory = {};
-  if (skills && typeof skills === 'object' && !Array.isArray(skills)) {
-    skillsByCategory = skills;
-  } else if (Array.isArray(skills)) {
-    // fallback for array format
-    skillsByCategory = { Other: skills };
-  }
+  const handleSave = async (portfolio) => {
+    setSaving(true);
+    setSaveError("");
+    try {
+      // Portfolios opened without an ID (legacy /portfolio route) are only edited locally
+      const record = id ? await savePortfolio(id, portfolio) : { portfolio, provenance };
+      setData(record.portfolio);
+      setProvenance(record.provenance || null);
+      setEditing(false);
+      setSaving(false);
+      return true;
+    } catch (err) {
+      setSaveError(err.message || "Failed to save portfolio");
+      setSaving(false);
+      return false;
+    }
+  };
 
-  // Social links (if present)
-  const socialLinks = Array.isArray(profile.social) ? profile.social : [];
+  const handleReupload = async (e) => {
+    const resume = e.target.files[0];
+    e.target.value = "";
+    if (!resume) return;
+    setReparsing(true);
+    setMergeError("");
+    try {
+      const formData = new FormData();
+      formData.append("resume", resume);
+      setMerge(await reparsePortfolio(id, formData));
+    } catch (err) {
+      setMergeError(err.message || "Failed to parse resume");
+    }
+    setReparsing(false);
+  };
+
+  const handleMerge = async (accept) => {
+    setSaving(true);
+    setMergeError("");
+    try {
+      const record = await mergePortfolio(id, { incoming: merge.incoming, accept, provenance: merge.provenance });
+      setData(record.portfolio);
+      setProvenance(record.provenance || null);
+      setWarnings(merge.warnings || []);
+      setMerge(null);
+    } catch (err) {
+      setMergeError(err.message || "Failed to merge changes");
+    }
+    setSaving(false);
+  };
+
+  const handleRestore = async (revisionId) => {
+    const record = await restoreRevision(id, revisionId);
+    setData(record.portfolio);
+    setProvenance(record.provenance || null);
+    setPreviewTheme(null);
+  };
+
+  if (merge) return (
+    <div className="min-h-screen bg-white">
+      <MergeReview
+        changes={merge.changes}
+        onApply={handleMerge}
+        onCancel={() => { setMerge(null); setMergeError(""); }}
+        applying={saving}
+        error={mergeError}
+      />
+    </div>
+  );
+
+  if (editing) return (
+    <div className="min-h-screen bg-white font-serif text-gray-900 px-6 pb-16">
+      <PortfolioEditor
+        data={data}
+        onSave={handleSave}
+        onCancel={() => { setEditing(false); setSaveError(""); }}
+        saving={saving}
+        error={saveError}
+      />
+    </div>
+  );
+
+  // Theme picker changes are previewed locally until saved
+  const activeTheme = previewTheme || data.theme || DEFAULT_THEME;
+  const themeChanged = activeTheme !== (data.theme || DEFAULT_THEME);
+  // Likewise the citation style and CV layout: the website download, printing and the LaTeX download use the ones shown
+  const savedCitationStyle = data.citation_style || DEFAULT_CITATION_STYLE;
+  const citationStyleChanged = Boolean(previewCitationStyle) && previewCitationStyle !== savedCitationStyle;
+  const shownData = citationStyleChanged ? { ...data, citation_style: previewCitationStyle } : data;
+  const cvData = previewCv ? { ...shownData, cv: previewCv } : shownData;
+  const hasProvenance = Object.keys(provenance?.fields || {}).length > 0;
+  const lowConfidence = countLowConfidence(data, provenance);
+  const toolbarButton = "px-4 py-1.5 border border-gray-300 text-gray-700 rounded-lg text-sm font-medium hover:bg-gray-50 disabled:opacity-50 transition-colors";
+
+  const handleDownloadWebsite = async () => {
+    setExporting(true);
+    setExportError("");
+    try {
+      // Export with the theme and citation style shown in the preview, even if they haven't been saved yet
+      await downloadWebsite({ ...shownData, theme: activeTheme });
+    } catch (err) {
+      setExportError(err.message || "Failed to export website");
+    }
+    setExporting(false);
+  };
+
+  const handleCopyLink = async () => {
+    await navigator.clipboard.writeText(window.location.href);
+    setLinkCopied(true);
+  };
 
   return (
-    <div className="min-h-screen bg-white font-serif text-gray-900">
-      <div className="max-w-6xl mx-auto px-6 py-16">
-        {/* Header */}
-        <header className="mb-16 text-center">
-          <h1 className="text-4xl font-bold text-gray-900 mb-4">{profile?.name || "Academic Portfolio"}</h1>
-          {profile?.location && <p className="text-lg text-gray-600 mb-4">{profile.location}</p>}
-          {profile?.summary && (
-            <p className="text-gray-700 max-w-3xl mx-auto leading-relaxed mb-6">{profile.summary}</p>
-          )}
-          <div className="flex flex-wrap justify-center gap-4 text-sm text-gray-600">
-            {profile?.email && <span>{profile.email}</span>}
-            {profile?.phone && <span>• {profile.phone}</span>}
-            {Array.isArray(profile?.social) && profile.social.map((link, i) => (
-              <span key={i}>• <a href={link.url} className="text-blue-700 hover:underline">{link.platform}</a></span>
-            ))}
-          </div>
-          <button
-            onClick={() => downloadJSON(data, "academic-portfolio.json")}
-            className="mt-6 px-6 py-2 bg-blue-900 text-white rounded-lg font-medium hover:bg-blue-800 transition-colors"
-          >
-            Download CV (JSON)
-          </button>
-        </header>
-
-        {/* Main Content Grid */}
-        <div className="grid grid-cols-1 lg:grid-cols-3 gap-12">
-          {/* Left Column - 2/3 width */}
-          <div className="lg:col-span-2 space-y-12">
-            {/* Research Interests */}
-            {researchInterests && researchInterests.length > 0 && (
-              <Section title="Research Interests">
-                <div className="bg-gray-50 rounded-lg p-6">
-                  <p className="text-gray-700 leading-relaxed break-words whitespace-pre-line">{researchInterests}</p>
-                </div>
-              </Section>
-            )}
-            {/* Positions / Appointments */}
-            {positions && positions.length > 0 && (
-              <Section title="Positions / Appointments">
-                <div className="space-y-6">
-                  {positions.map((position, i) => (
-                    <div key={i} className="bg-white border border-gray-200 rounded-lg p-6 shadow-sm">
-                      <div className="flex flex-col sm:flex-row sm:justify-between sm:items-start mb-3">
-                        <div>
-                          <h3 className="font-semibold text-gray-900 text-lg">{position.title}</h3>
-                          <p className="text-blue-700 font-medium">{position.organization}</p>
-                          {position.location && <p className="text-gray-600 text-sm">{position.location}</p>}
-                        </div>
-                        <span className="text-gray-500 text-sm mt-1 sm:mt-0">{position.dates}</span>
-                      </div>
-                      {position.summary && (
-                        <p className="text-gray-700 mb-3 break-words whitespace-pre-line">{position.summary}</p>
-                      )}
-                      {position.highlights && position.highlights.length > 0 && (
-                        <ul className="list-disc list-inside text-gray-700 space-y-1">
-                          {position.highlights.map((highlight, j) => (
-                            <li key={j} className="break-words">{highlight}</li>
-                          ))}
-                        </ul>
-                      )}
-                    </div>
-                  ))}
-                </div>
-              </Section>
+    <div className="min-h-screen bg-white">
+      <PageMetadata meta={getPortfolioMetadata(data)} />
+      {/* Printing the page prints the CV (Download CV (PDF) opens the print dialog) */}
+      <div className="hidden print:block">
+        <CvView data={cvData} />
+      </div>
+      <div className="print:hidden">
+        {/* Toolbar */}
+        <div className="sticky top-0 z-10 bg-white/95 border-b border-gray-200 font-sans">
+          <div className="max-w-6xl mx-auto px-6 py-3 flex flex-wrap items-center gap-3">
+            <label className="flex items-center gap-2 text-sm text-gray-600">
+              Theme
+              <select
+                value={activeTheme}
+                onChange={e => setPreviewTheme(e.target.value)}
+                className="px-2 py-1 border border-gray-300 rounded text-sm bg-white"
+              >
+                {Object.entries(THEMES).map(([key, theme]) => (
+                  <option key={key} value={key}>{theme.label}</option>
+                ))}
+              </select>
+            </label>
+            {themeChanged && (
+              <>
+                <button
+                  onClick={async () => { if (await handleSave({ ...data, theme: activeTheme })) setPreviewTheme(null); }}
+                  disabled={saving}
+                  className="px-4 py-1.5 bg-blue-900 text-white rounded-lg text-sm font-medium hover:bg-blue-800 disabled:opacity-50 transition-colors"
+                >
+                  {saving ? "Saving..." : "Save Theme"}
+                </button>
+                <button onClick={() => setPreviewTheme(null)} className={toolbarButton}>Revert</button>
+              </>
             )}
-            {/* Projects */}
-            {projects && projects.length > 0 && (
-              <Section title="Projects">
-                <div className="space-y-6">
-                  {projects.map((project, i) => (
-                    <div key={i} className="bg-white border border-gray-200 rounded-lg p-6 shadow-sm">
-                      <div className="flex flex-col sm:flex-row sm:justify-between sm:items-start mb-3">
-                        <h3 className="font-semibold text-gray-900 text-lg">{project.title}</h3>
-                        {project.dates && <span className="text-gray-500 text-sm mt-1 sm:mt-0">{project.dates}</span>}
-                      </div>
-                      {project.description && (
-                        <p className="text-gray-700 break-words whitespace-pre-line">{project.description}</p>
-                      )}
-                    </div>
-                  ))}
-                </div>
-              </Section>
+            {data.publications?.length > 0 && (
+              <CitationStylePicker value={shownData.citation_style} onChange={setPreviewCitationStyle} />
             )}
-            {/* Publications */}
-            {publications && publications.length > 0 && (
-              <Section title="Publications">
-                <div className="space-y-4">
-                  {publications.map((pub, i) => (
-                    <div key={i} className="bg-white border border-gray-200 rounded-lg p-6 shadow-sm">
-                      <h3 className="font-semibold text-gray-900 mb-2">{pub.title}</h3>
-                      <p className="text-gray-700 mb-2 break-words whitespace-pre-line">{pub.authors}</p>
-                      <p className="text-blue-700 text-sm">{pub.venue}</p>
-                      {pub.year && <p className="text-gray-500 text-sm">{pub.year}</p>}
-                    </div>
-                  ))}
-                </div>
-              </Section>
+            {citationStyleChanged && (
+              <>
+                <button
+                  onClick={async () => { if (await handleSave(shownData)) setPreviewCitationStyle(null); }}
+                  disabled={saving}
+                  className="px-4 py-1.5 bg-blue-900 text-white rounded-lg text-sm font-medium hover:bg-blue-800 disabled:opacity-50 transition-colors"
+                >
+                  {saving ? "Saving..." : "Save Citation Style"}
+                </button>
+                <button onClick={() => setPreviewCitationStyle(null)} className={toolbarButton}>Revert</button>
+              </>
             )}
+            <div className="flex flex-wrap gap-2 ml-auto">
+              {hasProvenance && (
+                <button onClick={() => setPanel(panel === "sources" ? null : "sources")} className={`${toolbarButton} ${lowConfidence > 0 ? "border-amber-400" : ""}`}>
+                  {panel === "sources" ? "Show Portfolio" : `Review Sources${lowConfidence > 0 ? ` (${lowConfidence} low)` : ""}`}
+                </button>
+              )}
+              {id && (
+                <button onClick={() => setPanel(panel === "history" ? null : "history")} className={toolbarButton}>
+                  {panel === "history" ? "Show Portfolio" : "History"}
+                </button>
+              )}
+              <button onClick={() => setEditing(true)} className={toolbarButton}>Edit</button>
+              {id && (
+                <label className={`${toolbarButton} cursor-pointer ${reparsing ? "opacity-50 pointer-events-none" : ""}`}>
+                  {reparsing ? "Reading Resume..." : "Update from Resume"}
+                  <input type="file" accept=".pdf,.docx,.txt,.md,.markdown,application/pdf,application/vnd.openxmlformats-officedocument.wordprocessingml.document,text/plain,text/markdown" onChange={handleReupload} className="hidden" />
+                </label>
+              )}
+              <button onClick={() => downloadJSON(data, "academic-portfolio.json")} className={toolbarButton}>Download CV (JSON)</button>
+              <button onClick={() => window.print()} className={toolbarButton}>Download CV (PDF)</button>
+              <button onClick={() => setPanel(panel === "cv" ? null : "cv")} className={toolbarButton}>
+                {panel === "cv" ? "Show Portfolio" : "CV Layout"}
+              </button>
+              <button onClick={() => downloadJSON(toJsonResume(data), "resume.json")} className={toolbarButton}>Download JSON Resume</button>
+              <button onClick={handleDownloadWebsite} disabled={exporting} className={toolbarButton}>
+                {exporting ? "Exporting..." : "Download Website"}
+              </button>
+              {id && (
+                <button onClick={handleCopyLink} className={toolbarButton}>
+                  {linkCopied ? "Link Copied" : "Copy Link"}
+                </button>
+              )}
+            </div>
           </div>
-
-          {/* Right Column - 1/3 width */}
-          <div className="lg:col-span-1 space-y-12">
-            {/* Education */}
-            {education && education.length > 0 && (
-              <Section title="Education">
-                <div className="space-y-6">
-                  {education.map((edu, i) => (
-                    <div key={i} className="bg-white border border-gray-200 rounded-lg p-6 shadow-sm">
-                      <div className="flex flex-col sm:flex-row sm:justify-between sm:items-start mb-3">
-                        <div>
-                          <h3 className="font-semibold text-gray-900">{edu.degree}</h3>
-                          <p className="text-blue-700 font-medium">{edu.institution}</p>
-                          {edu.location && <p className="text-gray-600 text-sm">{edu.location}</p>}
-                        </div>
-                        <span className="text-gray-500 text-sm mt-1 sm:mt-0">{edu.dates}</span>
-                      </div>
-                      {edu.honors && <p className="text-gray-700 text-sm italic">{edu.honors}</p>}
-                    </div>
-                  ))}
+          {(exportError || saveError || mergeError || warnings.length > 0) && (
+            <div className="max-w-6xl mx-auto px-6 pb-3 space-y-2">
+              {exportError && <div className="p-3 bg-red-100 text-red-700 rounded text-sm">{exportError}</div>}
+              {mergeError && <div className="p-3 bg-red-100 text-red-700 rounded text-sm">{mergeError}</div>}
+              {saveError && <div className="p-3 bg-red-100 text-red-700 rounded text-sm">{saveError}</div>}
+              {warnings.length > 0 && (
+                <div className="p-3 bg-amber-50 border border-amber-200 text-amber-900 rounded text-sm flex items-start gap-3">
+                  <details className="flex-1">
+                    <summary className="cursor-pointer">
+                      {warnings.length} field{warnings.length === 1 ? " was" : "s were"} repaired or need attention. Review them in the editor.
+                    </summary>
+                    <ul className="mt-2 list-disc list-inside space-y-0.5">
+                      {warnings.map((warning, i) => (
+                        <li key={i}><code className="text-xs">{warning.path}</code>: {warning.message}</li>
+                      ))}
+                    </ul>
+                  </details>
+                  <button onClick={() => setWarnings([])} className="text-amber-700 hover:text-amber-900" aria-label="Dismiss warnings">✕</button>
                 </div>
-              </Section>
-            )}
-            {/* Honors & Awards */}
-            {awards && awards.length > 0 && (
-              <Section title="Honors & Awards">
-                <div className="space-y-4">
-                  {awards.map((award, i) => (
-                    <div key={i} className="bg-white border border-gray-200 rounded-lg p-4 shadow-sm">
-                      <h3 className="font-semibold text-gray-900 text-sm">{award.title}</h3>
-                      <p className="text-gray-700 text-sm">{award.organization}</p>
-                      {award.year && <p className="text-gray-500 text-xs">{award.year}</p>}
-                    </div>
-                  ))}
-                </div>
-              </Section>
-            )}
-            {/* Skills */}
-            {skillsByCategory && Object.keys(skillsByCategory).length > 0 && (
-              <Section title="Skills">
-                <div className="space-y-4">
-                  {Object.entries(skillsByCategory).map(([category, skillList]) => (
-                    <div key={category} className="bg-white border border-gray-200 rounded-lg p-4 shadow-sm">
-                      <h3 className="font-semibold text-gray-900 text-sm mb-2">{category}</h3>
-                      <div className="flex flex-wrap gap-2">
-                        {skillList.map((skill, i) => (
-                          <span key={i} className="px-3 py-1 bg-gray-100 text-gray-700 text-xs rounded-full">
-                            {skill}
-                          </span>
-                        ))}
-                      </div>
-                    </div>
-                  ))}
-                </div>
-              </Section>
-            )}
-            {/* Contact */}
-            {contact && (
-              <Section title="Contact">
-                <div className="bg-white border border-gray-200 rounded-lg p-6 shadow-sm">
-                  <div className="space-y-2 text-sm">
-                    {profile.email && <p><span className="font-medium">Email:</span> {profile.email}</p>}
-                    {profile.phone && <p><span className="font-medium">Phone:</span> {profile.phone}</p>}
-                    {profile.location && <p><span className="font-medium">Location:</span> {profile.location}</p>}
-                  </div>
+              )}
+            </div>
+          )}
+        </div>
+
+        {panel === "sources" && hasProvenance ? (
+          <SourceReview data={data} provenance={provenance} />
+        ) : panel === "history" && id ? (
+          <HistoryPanel
+            loadRevisions={() => fetchRevisions(id)}
+            loadDiff={(from, to) => fetchRevisionDiff(id, from, to)}
+            onRestore={handleRestore}
+            version={data}
+          />
+        ) : panel === "cv" ? (
+          <div className="max-w-6xl mx-auto px-6 py-8 font-sans flex flex-col lg:flex-row gap-8">
+            <div className="lg:w-64 shrink-0 space-y-6">
+              <CvOptions value={cvData.cv} onChange={setPreviewCv} disabled={saving} />
+              {previewCv && (
+                <div className="flex gap-2">
+                  <button
+                    onClick={async () => { if (await handleSave(cvData)) setPreviewCv(null); }}
+                    disabled={saving}
+                    className="px-4 py-1.5 bg-blue-900 text-white rounded-lg text-sm font-medium hover:bg-blue-800 disabled:opacity-50 transition-colors"
+                  >
+                    {saving ? "Saving..." : "Save CV Layout"}
+                  </button>
+                  <button onClick={() => setPreviewCv(null)} className={toolbarButton}>Revert</button>
                 </div>
-              </Section>
-            )}
+              )}
+              <div className="flex flex-col gap-2">
+                <button onClick={() => window.print()} className={toolbarButton}>Print / Save as PDF</button>
+                <button onClick={() => downloadBlob(new Blob([toLatexCv(cvData)], { type: "application/x-tex" }), "cv.tex")} className={toolbarButton}>
+                  Download LaTeX (moderncv)
+                </button>
+              </div>
+            </div>
+            <div className="flex-1 min-w-0 bg-white border border-gray-200 shadow-sm p-10">
+              <CvView data={cvData} />
+            </div>
+          </div>
+        ) : (
+          <PortfolioView data={shownData} themeId={activeTheme} />
+        )}
+      </div>
+    </div>
+  );
+}
+
+function GroupPage() {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const [record, setRecord] = useState(null); // { group, portfolios, missing }
+  const [loadError, setLoadError] = useState("");
+  const [page, setPage] = useState("home");
+  const [editing, setEditing] = useState(!id);
+  const [saving, setSaving] = useState(false);
+  const [saveError, setSaveError] = useState(null); // Error, with validation errors in .errors
+  const [exporting, setExporting] = useState(false);
+  const [exportError, setExportError] = useState("");
+  const [linkCopied, setLinkCopied] = useState(false);
+
+  useEffect(() => {
+    if (!id) return;
+    let cancelled = false;
+    setLoadError("");
+    fetchGroup(id)
+      .then(result => { if (!cancelled) setRecord(result); })
+      .catch(err => { if (!cancelled) setLoadError(err.message); });
+    return () => { cancelled = true; };
+  }, [id]);
+
+  const handleSave = async (group) => {
+    setSaving(true);
+    setSaveError(null);
+    try {
+      const saved = await saveGroup(id, group);
+      setRecord(saved);
+      setEditing(false);
+      if (!id) navigate(`/group/${saved.id}`, { replace: true });
+    } catch (err) {
+      setSaveError(err);
+    }
+    setSaving(false);
+  };
+
+  if (editing) return (
+    <div className="min-h-screen bg-white font-serif text-gray-900 px-6 pb-16">
+      <GroupEditor
+        group={record?.group}
+        onSave={handleSave}
+        onCancel={() => (id ? setEditing(false) : navigate("/"))}
+        saving={saving}
+        error={saveError?.message}
+        errors={saveError?.errors}
+      />
+    </div>
+  );
+  if (!record) return <div className="p-10 font-serif text-gray-700">{loadError || "Loading group..."}</div>;
+
+  const toolbarButton = "px-4 py-1.5 border border-gray-300 text-gray-700 rounded-lg text-sm font-medium hover:bg-gray-50 disabled:opacity-50 transition-colors";
+
+  const handleDownloadWebsite = async () => {
+    setExporting(true);
+    setExportError("");
+    try {
+      await downloadGroupWebsite(id);
+    } catch (err) {
+      setExportError(err.message || "Failed to export website");
+    }
+    setExporting(false);
+  };
+
+  const handleCopyLink = async () => {
+    await navigator.clipboard.writeText(window.location.href);
+    setLinkCopied(true);
+  };
+
+  return (
+    <div className="min-h-screen bg-white">
+      <div className="sticky top-0 z-10 bg-white/95 border-b border-gray-200 font-sans">
+        <div className="max-w-6xl mx-auto px-6 py-3 flex flex-wrap items-center gap-3">
+          <div className="flex flex-wrap gap-2 ml-auto">
+            <button onClick={() => setEditing(true)} className={toolbarButton}>Edit</button>
+            <button onClick={handleDownloadWebsite} disabled={exporting} className={toolbarButton}>
+              {exporting ? "Exporting..." : "Download Website"}
+            </button>
+            <button onClick={handleCopyLink} className={toolbarButton}>
+              {linkCopied ? "Link Copied" : "Copy Link"}
+            </button>
           </div>
         </div>
+        {(exportError || record.missing.length > 0) && (
+          <div className="max-w-6xl mx-auto px-6 pb-3 space-y-2">
+            {exportError && <div className="p-3 bg-red-100 text-red-700 rounded text-sm">{exportError}</div>}
+            {record.missing.length > 0 && (
+              <div className="p-3 bg-amber-50 border border-amber-200 text-amber-900 rounded text-sm">
+                {record.missing.length} member portfolio{record.missing.length === 1 ? " was" : "s were"} not found and {record.missing.length === 1 ? "is" : "are"} left out: {record.missing.join(", ")}
+              </div>
+            )}
+          </div>
+        )}
       </div>
+      <PageMetadata meta={getGroupMetadata(record.group, record.portfolios, page)} />
+      <GroupView group={record.group} portfolios={record.portfolios} page={page} onNavigate={setPage} />
     </div>
   );
 }
 
+// Where an uploaded resume goes, for the LLM provider reported by /api/health (null if unknown) and privacy mode
+function privacyNote(provider, redactPii) {
+  const stored = "The portfolio made from it is stored on the server so it can be shared by link.";
+  if (provider === "heuristics") {
+    return `Your resume is uploaded to this site's server and parsed there without any AI service. ${stored}`;
+  }
+  if (provider === "local") {
+    return `Your resume is uploaded to this site's server and organized by an AI model the server runs itself. ${stored}`;
+  }
+  if (provider) {
+    return redactPii
+      ? `Your resume is uploaded to this site's server, and its text is sent to an external AI service (${provider}) with your personal details replaced by placeholders. ${stored}`
+      : `Your resume is uploaded to this site's server, and its text, including your personal details, is sent to an external AI service (${provider}). ${stored}`;
+  }
+  return `Your resume is uploaded to this site's server to be parsed. ${stored}`;
+}
+
 function HomePage() {
   const [file, setFile] = useState(null);
+  const [bibFile, setBibFile] = useState(null);
+  const [sectionAliases, setSectionAliases] = useState("");
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(""); // Add error state
+  const [progress, setProgress] = useState(null);
+  const [cancelling, setCancelling] = useState(false);
+  const [accessKeyRequired, setAccessKeyRequired] = useState(false);
+  const [llmProvider, setLlmProvider] = useState(null);
+  const [redactPii, setRedactPii] = useState(false);
+  const [usesAiCache, setUsesAiCache] = useState(false);
+  const [forceReparse, setForceReparse] = useState(false);
+  const [accessKey, setAccessKey] = useState(() => sessionStorage.getItem("accessKey") || "");
+  const jobRef = useRef(null);
   const navigate = useNavigate();
+  const usesAI = Boolean(llmProvider) && llmProvider !== "heuristics";
+
+  // Stop following a running job when leaving the page
+  useEffect(() => () => jobRef.current?.close(), []);
+
+  // Ask for an access key only if the server requires one, and offer privacy mode only if an LLM is used
+  useEffect(() => {
+    fetch(`${API_URL}/api/health`)
+      .then(res => res.json())
+      .then(health => {
+        setAccessKeyRequired(Boolean(health.accessKeyRequired));
+        setLlmProvider(health.llm?.provider || null);
+        setRedactPii(Boolean(health.redactPii));
+        setUsesAiCache(Boolean(health.aiCache?.enabled));
+      })
+      .catch(() => {});
+  }, []);
+
+  const handleAccessKey = (e) => {
+    setAccessKey(e.target.value);
+    sessionStorage.setItem("accessKey", e.target.value.trim());
+  };
 
   const handleUpload = (e) => {
     const uploadedFile = e.target.files[0];
@@ -249,34 +690,110 @@ function HomePage() {
     setError("");
     const formData = new FormData();
     formData.append("resume", file);
+    if (bibFile) formData.append("bibtex", bibFile);
+    if (sectionAliases.trim()) formData.append("sectionAliases", sectionAliases);
+    if (usesAI) formData.append("redactPii", String(redactPii));
+    if (forceReparse) formData.append("forceReparse", "true");
+    // JSON files (JSON Resume or a downloaded portfolio) are imported directly, skipping PDF parsing and AI
+    const isJson = file.type === "application/json" || file.name.toLowerCase().endsWith(".json");
     try {
-      const res = await fetch("http://localhost:3001/api/parse", {
-        method: "POST",
-        body: formData,
-      });
-      if (!res.ok) {
-        const err = await res.json();
-        throw new Error(err.error || "Failed to parse resume");
+      let created;
+      if (isJson) {
+        const res = await fetch(`${API_URL}/api/import`, {
+          method: "POST",
+          headers: authHeaders({ "Content-Type": "application/json" }),
+          body: await file.text(),
+        });
+        if (!res.ok) {
+          const err = await res.json();
+          throw new Error(err.error || "Failed to parse resume");
+        }
+        created = await res.json();
+      } else {
+        // Parsing runs as a background job so progress can be shown and the upload cancelled
+        const jobId = await startParseJob(formData);
+        setProgress({ stage: "extracting" });
+        const job = followParseJob(jobId, (event, data) => setProgress(current => ({ ...current, ...data })));
+        jobRef.current = { jobId, close: job.close };
+        created = await job.result;
+        jobRef.current = null;
       }
-      const data = await res.json();
       setLoading(false);
-      navigate("/portfolio", { state: { portfolioData: data } });
+      setProgress(null);
+      setCancelling(false);
+      if (!created) {
+        setError("Parsing was cancelled.");
+        return;
+      }
+      navigate(`/portfolio/${created.id}`, { state: { portfolioData: created.portfolio, warnings: created.warnings, provenance: created.provenance } });
     } catch (err) {
+      jobRef.current = null;
       setLoading(false);
+      setProgress(null);
+      setCancelling(false);
       setError(err.message || "An error occurred. Please try again.");
     }
   };
 
+  const handleCancel = async () => {
+    if (!jobRef.current) return;
+    setCancelling(true);
+    await cancelParseJob(jobRef.current.jobId);
+  };
+
   return (
     <div className="min-h-screen bg-white font-serif text-gray-900 flex flex-col items-center justify-center px-4 py-20">
       <div className="max-w-lg w-full bg-gray-50 rounded-lg shadow p-8 flex flex-col items-center">
         <h1 className="text-3xl font-bold mb-2 text-center">Resume → Academic Portfolio</h1>
-        <p className="text-lg text-gray-700 mb-6 text-center">Upload your resume (PDF) and instantly generate a clean, professional academic website.</p>
+        <p className="text-lg text-gray-700 mb-6 text-center">Upload your resume (PDF, Word, Markdown, plain text or a JSON Resume file) and instantly generate a clean, professional academic website.</p>
         <label className="w-full flex flex-col items-center px-4 py-6 bg-white text-blue-900 rounded-lg shadow border-2 border-dashed border-blue-200 cursor-pointer hover:bg-blue-50 transition mb-4">
-          <span className="mb-2 text-base font-semibold">Select your resume PDF</span>
-          <input type="file" accept="application/pdf" onChange={handleUpload} className="hidden" />
+          <span className="mb-2 text-base font-semibold">Select your resume file</span>
+          <input type="file" accept=".pdf,.docx,.txt,.md,.markdown,.json,application/pdf,application/vnd.openxmlformats-officedocument.wordprocessingml.document,text/plain,text/markdown,application/json" onChange={handleUpload} className="hidden" />
           {file && <span className="mt-2 text-sm text-gray-700">{file.name}</span>}
         </label>
+        <label className="w-full flex items-center justify-between px-4 py-3 bg-white text-sm text-gray-700 rounded-lg border border-gray-200 cursor-pointer hover:bg-gray-50 transition mb-4">
+          <span>Publications (.bib, optional)</span>
+          <input type="file" accept=".bib,.bibtex,application/x-bibtex,text/x-bibtex" onChange={e => setBibFile(e.target.files[0] || null)} className="hidden" />
+          <span className="text-gray-500">{bibFile ? bibFile.name : "Choose file"}</span>
+        </label>
+        {accessKeyRequired && (
+          <label className="w-full flex items-center gap-3 px-4 py-3 bg-white text-sm text-gray-700 rounded-lg border border-gray-200 mb-4">
+            <span className="shrink-0">Access key</span>
+            <input type="password" value={accessKey} onChange={handleAccessKey} className="flex-1 px-2 py-1 border border-gray-200 rounded" />
+          </label>
+        )}
+        {usesAI && (
+          <label className="w-full flex items-start gap-3 px-4 py-3 bg-white text-sm text-gray-700 rounded-lg border border-gray-200 mb-4 cursor-pointer">
+            <input type="checkbox" checked={redactPii} onChange={e => setRedactPii(e.target.checked)} className="mt-1" />
+            <span>
+              Privacy mode
+              <span className="block text-xs text-gray-500">Your name, email, phone number, address and links are replaced with placeholders before the text is sent to the AI, and filled back in here.</span>
+            </span>
+          </label>
+        )}
+        {usesAI && usesAiCache && (
+          <label className="w-full flex items-start gap-3 px-4 py-3 bg-white text-sm text-gray-700 rounded-lg border border-gray-200 mb-4 cursor-pointer">
+            <input type="checkbox" checked={forceReparse} onChange={e => setForceReparse(e.target.checked)} className="mt-1" />
+            <span>
+              Ask the AI again
+              <span className="block text-xs text-gray-500">A resume that was organized before is answered from the cache. Tick this for a fresh result.</span>
+            </span>
+          </label>
+        )}
+        <details className="w-full mb-4 text-sm text-gray-700">
+          <summary className="cursor-pointer">Custom section headings (optional)</summary>
+          <p className="mt-2 text-xs text-gray-500">
+            Headings in English, Spanish, German, French and Chinese are recognized automatically. Add others one per line as
+            "Heading: section", where section is one of experience, education, skills, publications, projects, teaching, grants, awards, talks, service, interests or summary.
+          </p>
+          <textarea
+            value={sectionAliases}
+            onChange={e => setSectionAliases(e.target.value)}
+            rows={3}
+            placeholder={"Industrieerfahrung: experience\nLab Life: service"}
+            className="w-full mt-2 p-2 border border-gray-200 rounded font-mono text-xs"
+          />
+        </details>
         {error && <div className="w-full mb-4 p-3 bg-red-100 text-red-700 rounded text-center">{error}</div>}
         <button
           onClick={handleGenerate}
@@ -285,7 +802,11 @@ function HomePage() {
         >
           {loading ? "Generating..." : "Generate Portfolio"}
         </button>
-        <p className="text-xs text-gray-500 mt-6 text-center">Your data is processed locally and never leaves your device except for parsing.</p>
+        {progress && <ParseProgress progress={progress} onCancel={handleCancel} cancelling={cancelling} />}
+        <p className="text-xs text-gray-500 mt-6 text-center">{privacyNote(llmProvider, usesAI && redactPii)}</p>
+        <button onClick={() => navigate("/group/new")} className="text-sm text-blue-900 hover:underline mt-4">
+          Research group? Create a group site from your members' portfolios
+        </button>
       </div>
     </div>
   );
@@ -297,6 +818,9 @@ export default function App() {
       <Routes>
         <Route path="/" element={<HomePage />} />
         <Route path="/portfolio" element={<PortfolioPage />} />
+        <Route path="/portfolio/:id" element={<PortfolioPage />} />
+        <Route path="/group/new" element={<GroupPage />} />
+        <Route path="/group/:id" element={<GroupPage />} />
       </Routes>
     </Router>
   );
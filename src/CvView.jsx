@@ -0,0 +1,154 @@
+import React from "react";
+import { formatCitation } from "../shared/citations.js";
+import { CV_SECTIONS, CV_LENGTHS, getCvOptions, getCvData } from "../shared/cv.js";
+
+// Typeset CV for printing; keep the content in step with the LaTeX export in shared/latex.js
+
+// Helper: non-empty parts joined with ", "
+function joined(...parts) {
+  return parts.filter(Boolean).join(", ");
+}
+
+// Helper: a CV row with the dates (or a label) in the left column, like moderncv
+function Row({ label, children }) {
+  return (
+    <div className="grid grid-cols-[7rem_1fr] gap-x-4 break-inside-avoid">
+      <div className="text-right text-gray-600">{label}</div>
+      <div className="min-w-0 break-words">{children}</div>
+    </div>
+  );
+}
+
+function Citation({ pub, cv }) {
+  return formatCitation(pub, cv.citationStyle, cv.profile.name).map((segment, i) => {
+    if (segment.highlight) return <strong key={i}>{segment.text}</strong>;
+    if (segment.emphasis === "italic") return <em key={i}>{segment.text}</em>;
+    return <span key={i}>{segment.text}</span>;
+  });
+}
+
+// Entry renderers keyed by the section IDs of shared/cv.js
+const ENTRIES = {
+  interests: text => <Row><p className="whitespace-pre-line">{text}</p></Row>,
+  positions: item => (
+    <Row label={item.dates}>
+      <p><strong>{item.title}</strong>{item.organization && <>, {item.organization}</>}{item.location && <span className="italic">, {item.location}</span>}</p>
+      {item.summary && <p className="mt-0.5">{item.summary}</p>}
+      {item.highlights.length > 0 && (
+        <ul className="mt-0.5 list-disc pl-5">
+          {item.highlights.map((highlight, i) => <li key={i}>{highlight}</li>)}
+        </ul>
+      )}
+    </Row>
+  ),
+  education: item => (
+    <Row label={item.dates}>
+      <p><strong>{item.degree}</strong>{item.institution && <>, {item.institution}</>}{item.location && <span className="italic">, {item.location}</span>}</p>
+      {item.honors && <p className="italic">{item.honors}</p>}
+    </Row>
+  ),
+  publications: (pub, cv) => <Row label={pub.year}><p><Citation pub={pub} cv={cv} /></p></Row>,
+  projects: item => (
+    <Row label={item.dates}>
+      <p><strong>{item.title}</strong></p>
+      {item.description && <p>{item.description}</p>}
+      {item.url && <p className="text-gray-600">{item.url}</p>}
+    </Row>
+  ),
+  awards: item => <Row label={item.year}>{joined(item.title, item.organization)}</Row>,
+  talks: item => <Row label={item.date}>{joined(item.title, item.event, item.location)}</Row>,
+  teaching: item => <Row label={item.dates}>{joined(item.course, item.role, item.institution)}</Row>,
+  service: item => <Row label={item.dates}>{joined(item.role, item.organization)}</Row>,
+  skills: ([category, list]) => <Row label={category}>{list.join(", ")}</Row>,
+};
+
+/**
+ * Section order and length controls for the CV, saved as the portfolio's cv setting
+ */
+export function CvOptions({ value, onChange, disabled }) {
+  const { length, order } = getCvOptions(value);
+  const excluded = Object.keys(CV_SECTIONS).filter(id => !order.includes(id));
+  const setOrder = next => onChange({ length, order: next });
+  // A new length starts from its own default sections unless the order was changed by hand
+  const setLength = next => onChange(Array.isArray(value?.order) ? { length: next, order } : { length: next });
+  const move = (index, offset) => {
+    const next = [...order];
+    [next[index], next[index + offset]] = [next[index + offset], next[index]];
+    setOrder(next);
+  };
+  const buttonClass = "px-2 py-0.5 border border-gray-300 rounded text-xs hover:bg-gray-50 disabled:opacity-40";
+
+  return (
+    <div className="space-y-4 text-sm text-gray-700">
+      <label className="flex items-center gap-2">
+        Length
+        <select
+          value={length}
+          onChange={e => setLength(e.target.value)}
+          disabled={disabled}
+          className="px-2 py-1 border border-gray-300 rounded text-sm bg-white"
+        >
+          {Object.entries(CV_LENGTHS).map(([key, option]) => (
+            <option key={key} value={key}>{option.label}</option>
+          ))}
+        </select>
+      </label>
+      <div>
+        <p className="mb-2 text-gray-600">Sections, in order</p>
+        <ul className="space-y-1">
+          {order.map((id, i) => (
+            <li key={id} className="flex items-center gap-2">
+              <input type="checkbox" checked disabled={disabled} onChange={() => setOrder(order.filter(other => other !== id))} />
+              <span className="flex-1">{CV_SECTIONS[id]}</span>
+              <button onClick={() => move(i, -1)} disabled={disabled || i === 0} className={buttonClass}>↑</button>
+              <button onClick={() => move(i, 1)} disabled={disabled || i === order.length - 1} className={buttonClass}>↓</button>
+            </li>
+          ))}
+          {excluded.map(id => (
+            <li key={id} className="flex items-center gap-2 text-gray-400">
+              <input type="checkbox" checked={false} disabled={disabled} onChange={() => setOrder([...order, id])} />
+              <span className="flex-1">{CV_SECTIONS[id]}</span>
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Renders a portfolio as a CV for printing, with the portfolio's cv options (shared/cv.js)
+ */
+export default function CvView({ data }) {
+  const cv = getCvData(data);
+  const { profile } = cv;
+  const contact = [
+    profile.email,
+    profile.phone,
+    profile.location,
+    cv.siteUrl.replace(/^https?:\/\/|\/$/g, ""),
+    ...cv.socialLinks.map(link => link.url.replace(/^https?:\/\/(www\.)?|\/$/g, "")),
+  ].filter(Boolean);
+
+  return (
+    <article className="font-serif text-gray-900 text-[10.5pt] leading-snug">
+      <header className="mb-6">
+        <h1 className="text-3xl font-bold">{profile.name || "Curriculum Vitae"}</h1>
+        {cv.headline && <p className="mt-1 text-lg text-gray-700">{cv.headline}</p>}
+        {contact.length > 0 && <p className="mt-2 text-gray-600">{contact.join(" · ")}</p>}
+        {profile.summary && <p className="mt-3 whitespace-pre-line">{profile.summary}</p>}
+      </header>
+      {cv.sections.map(section => (
+        <section key={section.id} className="mb-5">
+          <h2 className="mb-2 pb-0.5 border-b border-gray-400 text-sm font-semibold uppercase tracking-wider text-gray-800 break-after-avoid">{section.title}</h2>
+          <div className="space-y-1.5">
+            {section.items.map((item, i) => <React.Fragment key={i}>{ENTRIES[section.id](item, cv)}</React.Fragment>)}
+            {section.omitted > 0 && (
+              <Row><p className="italic text-gray-600">{section.omitted} more{cv.siteUrl && ` at ${cv.siteUrl}`}</p></Row>
+            )}
+          </div>
+        </section>
+      ))}
+    </article>
+  );
+}
@@ -0,0 +1,111 @@
+import React, { useState } from "react";
+import { EditorSection, EntryListEditor } from "./PortfolioEditor.jsx";
+import { CitationStylePicker } from "./Publications.jsx";
+import { THEMES, DEFAULT_THEME } from "../shared/themes.js";
+
+const GROUP_FIELDS = {
+  members: [
+    { key: "portfolioId", label: "Portfolio link or ID" },
+    { key: "role", label: "Role in the group" },
+  ],
+  news: [
+    { key: "date", label: "Date (YYYY-MM-DD)" },
+    { key: "title", label: "Title" },
+    { key: "url", label: "Link" },
+    { key: "text", label: "Text", type: "textarea" },
+  ],
+  projects: [
+    { key: "title", label: "Title" },
+    { key: "url", label: "Link" },
+    { key: "description", label: "Description", type: "textarea" },
+  ],
+};
+
+const GROUP_TITLES = {
+  members: "Members",
+  news: "News",
+  projects: "Projects",
+};
+
+const inputClass = "w-full px-3 py-2 border border-gray-300 rounded text-sm focus:outline-none focus:border-blue-700";
+
+/**
+ * Form for a group's name, theme, member portfolios, news and projects
+ *
+ * Validation happens on the server (shared/group.js); its errors are passed back in `errors`.
+ */
+export default function GroupEditor({ group, onSave, onCancel, saving, error, errors = [] }) {
+  const [draft, setDraft] = useState(() => ({ members: [], news: [], projects: [], ...JSON.parse(JSON.stringify(group || {})) }));
+  const update = (key, value) => setDraft(prev => ({ ...prev, [key]: value }));
+
+  return (
+    <div className="max-w-4xl mx-auto">
+      <div className="sticky top-0 z-10 bg-white border-b border-gray-200 py-4 flex flex-wrap gap-4 justify-between items-center">
+        <h1 className="text-2xl font-bold text-gray-900">{group ? "Edit Group" : "New Group"}</h1>
+        <div className="flex gap-2">
+          <button onClick={onCancel} className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg text-sm hover:bg-gray-50">Cancel</button>
+          <button
+            onClick={() => onSave(draft)}
+            disabled={saving}
+            className="px-6 py-2 bg-blue-900 text-white rounded-lg text-sm font-medium hover:bg-blue-800 disabled:opacity-50 transition-colors"
+          >
+            {saving ? "Saving..." : "Save"}
+          </button>
+        </div>
+      </div>
+      {error && (
+        <div className="mt-4 p-3 bg-red-100 text-red-700 rounded text-sm">
+          {error}
+          {errors.length > 0 && (
+            <ul className="mt-1 list-disc list-inside">
+              {errors.map((e, i) => <li key={i}><code className="text-xs">{e.path}</code>: {e.message}</li>)}
+            </ul>
+          )}
+        </div>
+      )}
+
+      <EditorSection title="Group">
+        <div className="space-y-4">
+          <label className="block text-sm">
+            <span className="block text-gray-600 mb-1">Name</span>
+            <input type="text" className={inputClass} value={draft.name || ""} onChange={e => update("name", e.target.value)} />
+          </label>
+          <label className="block text-sm">
+            <span className="block text-gray-600 mb-1">Description</span>
+            <textarea rows={3} className={inputClass} value={draft.description || ""} onChange={e => update("description", e.target.value)} />
+          </label>
+          <label className="block text-sm">
+            <span className="block text-gray-600 mb-1">Website address</span>
+            <input type="text" placeholder="https://lab.example.edu/" className={inputClass} value={draft.site_url || ""} onChange={e => update("site_url", e.target.value)} />
+            <span className="block mt-1 text-xs text-gray-500">Where the downloaded website will be published. Used for search engine links and the sitemap.</span>
+          </label>
+          <div className="flex flex-wrap gap-6">
+            <label className="flex items-center gap-2 text-sm text-gray-600">
+              Theme
+              <select
+                value={draft.theme || DEFAULT_THEME}
+                onChange={e => update("theme", e.target.value)}
+                className="px-2 py-1 border border-gray-300 rounded text-sm bg-white"
+              >
+                {Object.entries(THEMES).map(([key, theme]) => (
+                  <option key={key} value={key}>{theme.label}</option>
+                ))}
+              </select>
+            </label>
+            <CitationStylePicker value={draft.citation_style} onChange={style => update("citation_style", style)} />
+          </div>
+        </div>
+      </EditorSection>
+
+      {Object.keys(GROUP_FIELDS).map(key => (
+        <EntryListEditor
+          key={key}
+          title={GROUP_TITLES[key]}
+          items={draft[key]}
+          fields={GROUP_FIELDS[key]}
+          onChange={items => update(key, items)}
+        />
+      ))}
+    </div>
+  );
+}
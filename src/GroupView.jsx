@@ -0,0 +1,118 @@
+import React from "react";
+import { Link } from "react-router-dom";
+import PublicationList from "./Publications.jsx";
+import { getTheme } from "../shared/themes.js";
+import { GROUP_PAGES, getGroupDisplayData } from "../shared/group.js";
+
+// Keep this markup in sync with the group site renderer in lib/export.js
+
+function Section({ title, t, children }) {
+  return (
+    <section className={t.section}>
+      <h2 className={t.sectionTitle}>{title}</h2>
+      {children}
+    </section>
+  );
+}
+
+function GroupHome({ view, t }) {
+  return (
+    <>
+      {view.news.length > 0 && (
+        <Section title="News" t={t}>
+          <div className={t.list}>
+            {view.news.map((item, i) => (
+              <div key={i} className={t.compactCard}>
+                {item.date && <p className={t.meta}>{item.date}</p>}
+                {item.title && <h3 className={t.entryTitle}>{item.url ? <a href={item.url} className={t.link}>{item.title}</a> : item.title}</h3>}
+                {item.text && <p className={`${t.text} break-words whitespace-pre-line`}>{item.text}</p>}
+              </div>
+            ))}
+          </div>
+        </Section>
+      )}
+      {view.projects.length > 0 && (
+        <Section title="Projects" t={t}>
+          <div className={t.list}>
+            {view.projects.map((project, i) => (
+              <div key={i} className={t.card}>
+                <h3 className={`${t.entryTitle} mb-2`}>{project.title}</h3>
+                {project.description && <p className={`${t.text} break-words whitespace-pre-line`}>{project.description}</p>}
+                {project.url && <a href={project.url} className={`${t.link} text-sm`}>{project.url}</a>}
+              </div>
+            ))}
+          </div>
+        </Section>
+      )}
+    </>
+  );
+}
+
+function GroupPeople({ view, t }) {
+  return view.people.length > 0 && (
+    <Section title="People" t={t}>
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-6">
+        {view.people.map(person => (
+          <div key={person.id} className={t.card}>
+            <h3 className={t.entryTitle}><Link to={`/portfolio/${encodeURIComponent(person.id)}`} className={t.link}>{person.name}</Link></h3>
+            {(person.role || person.title) && <p className={t.entrySubtitle}>{person.role || person.title}</p>}
+            {person.organization && <p className={t.meta}>{person.organization}</p>}
+            {person.summary && <p className={`${t.text} text-sm mt-2 line-clamp-3`}>{person.summary}</p>}
+            {person.email && <p className={`${t.meta} mt-2`}><a href={`mailto:${person.email}`} className={t.link}>{person.email}</a></p>}
+          </div>
+        ))}
+      </div>
+    </Section>
+  );
+}
+
+function GroupPublications({ view, t, group }) {
+  const names = Object.fromEntries(view.people.map(person => [person.id, person.name]));
+  return view.publications.length > 0 && (
+    <Section title="Publications" t={t}>
+      <PublicationList
+        publications={view.publications}
+        style={group.citation_style}
+        ownerName={view.memberNames}
+        classes={t}
+        renderNote={pub => `Listed by ${pub.memberIds.map(id => names[id]).join(", ")}`}
+      />
+    </Section>
+  );
+}
+
+/**
+ * A group site: home page with news and projects, people cards linking to each member's
+ * portfolio, and the members' publications merged into one list
+ *
+ * @param {Object} props
+ *   group      - Group object (shared/group.js)
+ *   portfolios - Map from portfolio ID to the member's portfolio JSON
+ *   page       - "home", "people" or "publications"
+ *   onNavigate - (page) => void, called by the page links
+ */
+export default function GroupView({ group, portfolios, page = "home", onNavigate }) {
+  const t = getTheme(group.theme).classes;
+  const view = getGroupDisplayData(group, portfolios);
+
+  return (
+    <div className={t.page}>
+      <div className="max-w-5xl mx-auto px-6 py-16">
+        <header className={t.header}>
+          <h1 className={t.name}>{view.name}</h1>
+          {view.description && <p className={`${t.summary} whitespace-pre-line`}>{view.description}</p>}
+          <nav className="text-sm space-x-4">
+            {GROUP_PAGES.map(p => (
+              <button key={p.id} onClick={() => onNavigate(p.id)} className={`${t.link} ${p.id === page ? "font-semibold" : ""}`}>{p.title}</button>
+            ))}
+          </nav>
+        </header>
+        <main className="space-y-12">
+          {page === "people" ? <GroupPeople view={view} t={t} />
+            : page === "publications" ? <GroupPublications view={view} t={t} group={group} />
+            : <GroupHome view={view} t={t} />}
+        </main>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,133 @@
+import React, { useState, useEffect } from "react";
+import { ChangeBadge, ChangeDetails } from "./MergeReview.jsx";
+
+const SOURCE_LABELS = {
+  upload: "Uploaded resume",
+  import: "Imported",
+  edit: "Manual edit",
+  merge: "Merged newer resume",
+  restore: "Restored",
+};
+
+function revisionLabel(revision) {
+  const label = SOURCE_LABELS[revision.source] || revision.source;
+  return revision.restoredFrom ? `${label} version ${revision.restoredFrom}` : label;
+}
+
+/**
+ * Saved versions of a portfolio, what changed since each one, and a button to restore it
+ *
+ * @param {Object} props
+ *   loadRevisions - () => Promise of revisions, newest first
+ *   loadDiff      - (from, to) => Promise of { sections } between two revision IDs
+ *   onRestore     - (revisionId) => Promise, restores a version
+ *   version       - Changes whenever the portfolio is saved, to reload the list
+ */
+export default function HistoryPanel({ loadRevisions, loadDiff, onRestore, version }) {
+  const [revisions, setRevisions] = useState(null);
+  const [selected, setSelected] = useState(null);
+  const [diff, setDiff] = useState(null);
+  const [restoring, setRestoring] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let cancelled = false;
+    loadRevisions()
+      .then(list => {
+        if (cancelled) return;
+        setRevisions(list);
+        setSelected(list.length > 1 ? list[1].id : null);
+      })
+      .catch(err => { if (!cancelled) setError(err.message); });
+    return () => { cancelled = true; };
+  }, [version]);
+
+  const latest = revisions?.[0];
+  useEffect(() => {
+    if (!selected || !latest || selected === latest.id) {
+      setDiff(null);
+      return;
+    }
+    let cancelled = false;
+    setDiff(null);
+    loadDiff(selected, latest.id)
+      .then(result => { if (!cancelled) setDiff(result); })
+      .catch(err => { if (!cancelled) setError(err.message); });
+    return () => { cancelled = true; };
+  }, [selected, latest?.id]);
+
+  const handleRestore = async () => {
+    setRestoring(true);
+    setError("");
+    try {
+      await onRestore(selected);
+    } catch (err) {
+      setError(err.message || "Failed to restore version");
+    }
+    setRestoring(false);
+  };
+
+  if (!revisions) {
+    return <div className="max-w-6xl mx-auto px-6 py-8 font-sans text-gray-700">{error || "Loading history..."}</div>;
+  }
+
+  return (
+    <div className="max-w-6xl mx-auto px-6 py-8 font-sans text-gray-900 grid grid-cols-1 md:grid-cols-3 gap-8">
+      <ol className="space-y-1">
+        {revisions.map(revision => (
+          <li key={revision.id}>
+            <button
+              onClick={() => setSelected(revision.id)}
+              className={`w-full text-left px-3 py-2 rounded-lg border ${revision.id === selected ? "border-blue-900 bg-blue-50" : "border-gray-200 hover:bg-gray-50"}`}
+            >
+              <div className="text-sm font-medium">
+                Version {revision.id}: {revisionLabel(revision)}
+                {revision.id === latest.id && <span className="ml-2 text-xs text-gray-500">(current)</span>}
+              </div>
+              <div className="text-xs text-gray-500">{new Date(revision.createdAt).toLocaleString()}</div>
+            </button>
+          </li>
+        ))}
+      </ol>
+
+      <div className="md:col-span-2">
+        {error && <div className="mb-4 p-3 bg-red-100 text-red-700 rounded text-sm">{error}</div>}
+        {!selected || selected === latest.id ? (
+          <p className="text-sm text-gray-600">Select an earlier version to see what has changed since and restore it.</p>
+        ) : !diff ? (
+          <p className="text-sm text-gray-600">Comparing versions...</p>
+        ) : (
+          <>
+            <div className="flex items-center gap-3 mb-6">
+              <h2 className="text-lg font-semibold flex-1">Changes from version {selected} to the current version</h2>
+              <button
+                onClick={handleRestore}
+                disabled={restoring}
+                className="px-4 py-1.5 bg-blue-900 text-white rounded-lg text-sm font-medium hover:bg-blue-800 disabled:opacity-50 transition-colors"
+              >
+                {restoring ? "Restoring..." : `Restore Version ${selected}`}
+              </button>
+            </div>
+            {diff.sections.length === 0 && <p className="text-sm text-gray-600">The two versions have the same content.</p>}
+            {diff.sections.map(section => (
+              <section key={section.section} className="mb-8">
+                <h3 className="font-semibold mb-2">{section.title}</h3>
+                <div className="space-y-2">
+                  {section.changes.map(change => (
+                    <div key={change.id} className="border border-gray-200 rounded-lg p-3">
+                      <div className="flex items-center gap-3">
+                        <ChangeBadge type={change.type} />
+                        <span className={`font-medium ${change.type === "remove" ? "line-through text-gray-500" : ""}`}>{change.label}</span>
+                      </div>
+                      <ChangeDetails change={change} />
+                    </div>
+                  ))}
+                </div>
+              </section>
+            ))}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
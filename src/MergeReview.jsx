@@ -0,0 +1,133 @@
+import React, { useState } from "react";
+import { entryLabel, sectionTitle } from "../shared/merge.js";
+
+const CHANGE_BADGES = {
+  add: ["New", "bg-green-100 text-green-800"],
+  remove: ["Removed", "bg-red-100 text-red-800"],
+  update: ["Changed", "bg-blue-100 text-blue-800"],
+};
+
+// Helper: display a field value (skills are lists)
+function formatValue(value) {
+  if (value == null || value === "") return "—";
+  if (Array.isArray(value)) return value.map(item => (typeof item === "object" ? entryLabel(item) : item)).join(", ");
+  if (typeof value === "object") return entryLabel(value) || JSON.stringify(value);
+  return String(value);
+}
+
+export function ChangeBadge({ type }) {
+  const [badge, badgeClass] = CHANGE_BADGES[type];
+  return <span className={`px-1.5 py-0.5 rounded text-xs ${badgeClass}`}>{badge}</span>;
+}
+
+/**
+ * The fields of an added or removed entry, or the before and after values of a changed one
+ */
+export function ChangeDetails({ change }) {
+  if (change.type === "update") {
+    return (
+      <dl className="mt-2 space-y-1 text-sm">
+        {change.fields.map(({ field, before, after, conflict }) => (
+          <div key={field} className="flex items-start gap-2">
+            <dt className="w-28 shrink-0 text-gray-500">{field}</dt>
+            <dd className="flex-1 break-words">
+              <span className="line-through text-gray-500">{formatValue(before)}</span>
+              <span className="mx-2 text-gray-400">→</span>
+              <span className="text-gray-900">{formatValue(after)}</span>
+              {conflict && <span className="ml-2 text-xs text-amber-800">(you edited this field)</span>}
+            </dd>
+          </div>
+        ))}
+      </dl>
+    );
+  }
+  const fields = Object.entries(change.entry || {}).filter(([key, value]) => key !== "bibtex" && value != null && value !== "");
+  return (
+    <dl className={`mt-2 space-y-1 text-sm ${change.type === "remove" ? "text-gray-500" : ""}`}>
+      {fields.map(([key, value]) => (
+        <div key={key} className="flex items-start gap-2">
+          <dt className="w-28 shrink-0 text-gray-500">{key}</dt>
+          <dd className="flex-1 break-words">{formatValue(value)}</dd>
+        </div>
+      ))}
+    </dl>
+  );
+}
+
+/**
+ * Review the differences between a stored portfolio and a newer upload of the resume
+ *
+ * Each change can be accepted or rejected. Changes to fields or entries edited by hand
+ * are marked and start out rejected, so manual edits are kept unless chosen otherwise.
+ */
+export default function MergeReview({ changes, onApply, onCancel, applying, error }) {
+  const [accepted, setAccepted] = useState(() => new Set(changes.filter(change => change.accepted).map(change => change.id)));
+
+  const toggle = id => {
+    const next = new Set(accepted);
+    if (next.has(id)) next.delete(id);
+    else next.add(id);
+    setAccepted(next);
+  };
+
+  // Changes grouped by section, in the order they were found
+  const sections = [];
+  for (const change of changes) {
+    let group = sections.find(section => section.path === change.section);
+    if (!group) sections.push(group = { path: change.section, changes: [] });
+    group.changes.push(change);
+  }
+
+  const button = "px-4 py-1.5 border border-gray-300 text-gray-700 rounded-lg text-sm font-medium hover:bg-gray-50 disabled:opacity-50 transition-colors";
+
+  return (
+    <div className="max-w-4xl mx-auto px-6 py-8 font-sans text-gray-900">
+      <h1 className="text-2xl font-semibold mb-2">Review changes from the new resume</h1>
+      <p className="text-sm text-gray-600 mb-6">
+        {changes.length === 0
+          ? "The new resume has nothing that isn't already in this portfolio."
+          : "Choose which changes to apply. Your manual edits are kept unless you accept a change marked as edited by you."}
+      </p>
+
+      {sections.map(section => (
+        <section key={section.path} className="mb-8">
+          <h2 className="text-lg font-semibold mb-3">{sectionTitle(section.path)}</h2>
+          <div className="space-y-3">
+            {section.changes.map(change => (
+              <label
+                key={change.id}
+                className={`block border rounded-lg p-4 cursor-pointer ${change.conflict ? "border-amber-400 bg-amber-50" : "border-gray-200"}`}
+              >
+                <div className="flex items-center gap-3">
+                  <input type="checkbox" checked={accepted.has(change.id)} onChange={() => toggle(change.id)} />
+                  <ChangeBadge type={change.type} />
+                  <span className={`font-medium ${change.type === "remove" ? "line-through text-gray-500" : ""}`}>{change.label}</span>
+                  {change.conflict && <span className="ml-auto text-xs text-amber-800">Edited by you</span>}
+                </div>
+                <ChangeDetails change={change} />
+              </label>
+            ))}
+          </div>
+        </section>
+      ))}
+
+      {error && <div className="mb-4 p-3 bg-red-100 text-red-700 rounded text-sm">{error}</div>}
+      <div className="flex flex-wrap gap-2">
+        {changes.length > 0 && (
+          <>
+            <button
+              onClick={() => onApply([...accepted])}
+              disabled={applying}
+              className="px-4 py-1.5 bg-blue-900 text-white rounded-lg text-sm font-medium hover:bg-blue-800 disabled:opacity-50 transition-colors"
+            >
+              {applying ? "Applying..." : `Apply ${accepted.size} change${accepted.size === 1 ? "" : "s"}`}
+            </button>
+            <button onClick={() => setAccepted(new Set(changes.map(change => change.id)))} className={button}>Accept All</button>
+            <button onClick={() => setAccepted(new Set())} className={button}>Reject All</button>
+          </>
+        )}
+        <button onClick={onCancel} disabled={applying} className={button}>{changes.length > 0 ? "Cancel" : "Close"}</button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,54 @@
+import { useEffect } from "react";
+import { metaTags, jsonLdText } from "../shared/seo.js";
+
+// Search engine metadata for the page being shown: sets the document title and
+// adds the meta tags, canonical link and JSON-LD from shared/seo.js to <head>,
+// restoring the app's own title when the page is left. The static export
+// writes the same elements (lib/export.js).
+export default function PageMetadata({ meta }) {
+  const serialized = JSON.stringify(meta);
+
+  useEffect(() => {
+    const current = JSON.parse(serialized);
+    const previousTitle = document.title;
+    const added = [];
+    const replaced = [];
+
+    // Helper: add an element to <head>, setting aside one the app already has for the same purpose
+    const addToHead = (element, selector) => {
+      const existing = selector && document.head.querySelector(selector);
+      if (existing) {
+        replaced.push(existing);
+        existing.remove();
+      }
+      document.head.appendChild(element);
+      added.push(element);
+    };
+
+    document.title = current.title;
+    for (const tag of metaTags(current)) {
+      const element = document.createElement("meta");
+      element.setAttribute(tag.attribute, tag.key);
+      element.setAttribute("content", tag.content);
+      addToHead(element, `meta[${tag.attribute}="${tag.key}"]`);
+    }
+    if (current.url) {
+      const link = document.createElement("link");
+      link.rel = "canonical";
+      link.href = current.url;
+      addToHead(link, 'link[rel="canonical"]');
+    }
+    const script = document.createElement("script");
+    script.type = "application/ld+json";
+    script.textContent = jsonLdText(current.jsonLd);
+    addToHead(script);
+
+    return () => {
+      added.forEach(element => element.remove());
+      replaced.forEach(element => document.head.appendChild(element));
+      document.title = previousTitle;
+    };
+  }, [serialized]);
+
+  return null;
+}
@@ -0,0 +1,69 @@
+import React from "react";
+
+// Pipeline stages reported by the server (see parseResume in server.js)
+const STAGES = [
+  { key: "extracting", label: "Extracting text" },
+  { key: "sections", label: "Finding sections" },
+  { key: "organizing", label: "AI organizing" },
+  { key: "validating", label: "Validating" },
+];
+
+function StageIcon({ state }) {
+  if (state === "done") return <span className="text-green-700">✓</span>;
+  if (state === "active") return <span className="inline-block w-3 h-3 border-2 border-blue-900 border-t-transparent rounded-full animate-spin" />;
+  return <span className="text-gray-300">○</span>;
+}
+
+function PartialPreview({ partial }) {
+  const profile = partial.profile || {};
+  const skills = Object.keys(partial.skills || {});
+  return (
+    <div className="w-full mt-4 p-3 bg-white border border-gray-200 rounded text-sm text-gray-700 space-y-1">
+      {profile.name && <p><span className="font-medium">Name:</span> {profile.name}</p>}
+      {profile.email && <p><span className="font-medium">Email:</span> {profile.email}</p>}
+      {partial.positions?.length > 0 && <p><span className="font-medium">Positions:</span> {partial.positions.map(p => p.title || p.organization).filter(Boolean).join(", ")}</p>}
+      {partial.education?.length > 0 && <p><span className="font-medium">Education:</span> {partial.education.map(e => e.degree || e.institution).filter(Boolean).join(", ")}</p>}
+      {partial.publications?.length > 0 && <p><span className="font-medium">Publications:</span> {partial.publications.length}</p>}
+      {skills.length > 0 && <p><span className="font-medium">Skills:</span> {skills.join(", ")}</p>}
+    </div>
+  );
+}
+
+/**
+ * Live progress of a parse job: stage checklist, detected sections and a cancel button
+ *
+ * `progress` is { stage, message, found, partial } as accumulated from the job's events
+ */
+export default function ParseProgress({ progress, onCancel, cancelling }) {
+  const currentIndex = STAGES.findIndex(stage => stage.key === progress.stage);
+  return (
+    <div className="w-full mt-4">
+      <ul className="space-y-2 text-sm">
+        {STAGES.map((stage, i) => {
+          const state = i < currentIndex ? "done" : i === currentIndex ? "active" : "pending";
+          return (
+            <li key={stage.key} className={`flex items-center gap-2 ${state === "pending" ? "text-gray-400" : "text-gray-800"}`}>
+              <StageIcon state={state} />
+              <span>{state === "active" && progress.message ? progress.message : stage.label}</span>
+            </li>
+          );
+        })}
+      </ul>
+      {progress.found?.length > 0 && (
+        <div className="flex flex-wrap gap-2 mt-4">
+          {progress.found.map(name => (
+            <span key={name} className="px-2 py-0.5 bg-blue-50 text-blue-900 text-xs rounded capitalize">{name}</span>
+          ))}
+        </div>
+      )}
+      {progress.partial && <PartialPreview partial={progress.partial} />}
+      <button
+        onClick={onCancel}
+        disabled={cancelling}
+        className="w-full mt-4 px-4 py-2 border border-gray-300 text-gray-700 rounded font-medium hover:bg-gray-100 disabled:opacity-50 transition"
+      >
+        {cancelling ? "Cancelling..." : "Cancel"}
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,405 @@
+import React, { useState } from "react";
+import { parseBibtex, bibtexToPublication } from "../shared/bibtex.js";
+import { HIDEABLE_CONTACT } from "../shared/portfolio.js";
+
+// Field specs for each list section. Types: text, textarea, lines (array of strings, one per line)
+const SECTION_FIELDS = {
+  education: [
+    { key: "degree", label: "Degree" },
+    { key: "institution", label: "Institution" },
+    { key: "location", label: "Location" },
+    { key: "dates", label: "Dates" },
+    { key: "honors", label: "Honors" },
+  ],
+  positions: [
+    { key: "title", label: "Title" },
+    { key: "organization", label: "Organization" },
+    { key: "location", label: "Location" },
+    { key: "dates", label: "Dates" },
+    { key: "summary", label: "Summary", type: "textarea" },
+    { key: "highlights", label: "Highlights (one per line)", type: "lines" },
+  ],
+  projects: [
+    { key: "title", label: "Title" },
+    { key: "dates", label: "Dates" },
+    { key: "description", label: "Description", type: "textarea" },
+    { key: "url", label: "URL" },
+  ],
+  publications: [
+    { key: "title", label: "Title" },
+    { key: "authors", label: "Authors" },
+    { key: "venue", label: "Venue" },
+    { key: "year", label: "Year" },
+    { key: "doi", label: "DOI" },
+    { key: "arxiv", label: "arXiv ID" },
+    { key: "url", label: "URL / PDF" },
+  ],
+  awards: [
+    { key: "title", label: "Title" },
+    { key: "organization", label: "Organization" },
+    { key: "year", label: "Year" },
+  ],
+  talks: [
+    { key: "title", label: "Title" },
+    { key: "event", label: "Event" },
+    { key: "location", label: "Location" },
+    { key: "date", label: "Date" },
+  ],
+  teaching: [
+    { key: "course", label: "Course" },
+    { key: "role", label: "Role" },
+    { key: "institution", label: "Institution" },
+    { key: "dates", label: "Dates" },
+  ],
+  service: [
+    { key: "role", label: "Role" },
+    { key: "organization", label: "Organization" },
+    { key: "dates", label: "Dates" },
+  ],
+};
+
+const SECTION_TITLES = {
+  education: "Education",
+  positions: "Positions / Appointments",
+  projects: "Projects",
+  publications: "Publications",
+  awards: "Honors & Awards",
+  talks: "Talks",
+  teaching: "Teaching",
+  service: "Service",
+};
+
+const inputClass = "w-full px-3 py-2 border border-gray-300 rounded text-sm focus:outline-none focus:border-blue-700";
+const smallButtonClass = "px-2 py-1 text-xs border border-gray-300 rounded hover:bg-gray-100 disabled:opacity-40";
+
+// Helper: move an array element by offset, returning a new array
+function moveItem(items, index, offset) {
+  const target = index + offset;
+  if (target < 0 || target >= items.length) return items;
+  const next = [...items];
+  [next[index], next[target]] = [next[target], next[index]];
+  return next;
+}
+
+// Helper: skills as an ordered list of [category, skills[]] pairs for editing; an object would
+// move categories with numeric names (e.g. "2024") to the front
+function toSkillEntries(skills) {
+  if (Array.isArray(skills)) return [["Other", skills]];
+  return Object.entries(skills || {}).map(([category, list]) => [category, Array.isArray(list) ? list : [list]]);
+}
+
+// Helper: the edited skill list back to the stored object; categories with the same name are merged
+function fromSkillEntries(entries) {
+  const skills = {};
+  for (const [category, list] of entries) {
+    const name = category.trim();
+    const items = list.map(s => String(s).trim()).filter(Boolean);
+    skills[name] = [...new Set([...(skills[name] || []), ...items])];
+  }
+  return skills;
+}
+
+// Helper: drop blank lines from "lines" fields before saving
+function tidyEntries(items, fields) {
+  return items.map(item => {
+    const tidy = { ...item };
+    fields.forEach(field => {
+      if (field.type === "lines" && Array.isArray(tidy[field.key])) {
+        tidy[field.key] = tidy[field.key].map(s => s.trim()).filter(Boolean);
+      }
+    });
+    return tidy;
+  });
+}
+
+function FieldInput({ field, value, onChange }) {
+  if (field.type === "textarea") {
+    return <textarea rows={3} className={inputClass} value={value || ""} onChange={e => onChange(e.target.value)} />;
+  }
+  if (field.type === "lines") {
+    const text = Array.isArray(value) ? value.join("\n") : value || "";
+    return <textarea rows={4} className={inputClass} value={text} onChange={e => onChange(e.target.value.split("\n"))} />;
+  }
+  const text = Array.isArray(value) ? value.join(", ") : value ?? "";
+  return <input type="text" className={inputClass} value={text} onChange={e => onChange(e.target.value)} />;
+}
+
+export function EditorSection({ title, onAdd, actions, children }) {
+  return (
+    <section className="pt-8">
+      <div className="flex justify-between items-center mb-4 border-b border-gray-200 pb-1">
+        <h2 className="text-xl font-serif font-semibold text-gray-800 tracking-tight">{title}</h2>
+        <div className="flex gap-2">
+          {actions}
+          {onAdd && <button onClick={onAdd} className={smallButtonClass}>+ Add</button>}
+        </div>
+      </div>
+      {children}
+    </section>
+  );
+}
+
+function EntryControls({ index, count, onMove, onDelete }) {
+  return (
+    <div className="flex gap-2 justify-end mb-3">
+      <button onClick={() => onMove(index, -1)} disabled={index === 0} className={smallButtonClass} title="Move up">↑</button>
+      <button onClick={() => onMove(index, 1)} disabled={index === count - 1} className={smallButtonClass} title="Move down">↓</button>
+      <button onClick={onDelete} className={`${smallButtonClass} text-red-700`}>Delete</button>
+    </div>
+  );
+}
+
+// Import publications from a .bib file; entries with the same title as an existing one replace it
+function BibtexImportButton({ items, onChange }) {
+  const handleFile = async (e) => {
+    const bibFile = e.target.files[0];
+    e.target.value = "";
+    if (!bibFile) return;
+    const imported = parseBibtex(await bibFile.text()).map(bibtexToPublication);
+    const key = pub => String(pub.title || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+    const importedKeys = new Set(imported.map(key));
+    onChange([...items.filter(pub => !importedKeys.has(key(pub))), ...imported]);
+  };
+  return (
+    <label className={`${smallButtonClass} cursor-pointer`}>
+      Import .bib
+      <input type="file" accept=".bib,.bibtex,application/x-bibtex,text/x-bibtex" onChange={handleFile} className="hidden" />
+    </label>
+  );
+}
+
+export function EntryListEditor({ title, items, fields, onChange, actions }) {
+  const updateItem = (index, key, value) => {
+    // An edited publication no longer matches its original BibTeX source, so drop it (it is regenerated on copy)
+    const edit = ({ bibtex, ...item }) => ({ ...item, [key]: value });
+    onChange(items.map((item, i) => (i === index ? edit(item) : item)));
+  };
+  const addItem = () => onChange([...items, Object.fromEntries(fields.map(f => [f.key, f.type === "lines" ? [] : ""]))]);
+
+  return (
+    <EditorSection title={title} onAdd={addItem} actions={actions}>
+      {items.length === 0 && <p className="text-sm text-gray-500">No entries.</p>}
+      <div className="space-y-6">
+        {items.map((item, i) => (
+          <div key={i} className="bg-white border border-gray-200 rounded-lg p-6 shadow-sm">
+            <EntryControls
+              index={i}
+              count={items.length}
+              onMove={(index, offset) => onChange(moveItem(items, index, offset))}
+              onDelete={() => onChange(items.filter((_, j) => j !== i))}
+            />
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              {fields.map(field => (
+                <label key={field.key} className={`block text-sm ${field.type ? "sm:col-span-2" : ""}`}>
+                  <span className="block text-gray-600 mb-1">{field.label}</span>
+                  <FieldInput field={field} value={item[field.key]} onChange={value => updateItem(i, field.key, value)} />
+                </label>
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+    </EditorSection>
+  );
+}
+
+function ProfileEditor({ profile, onChange, hidden, onHiddenChange }) {
+  const social = Array.isArray(profile.social) ? profile.social : [];
+  const update = (key, value) => onChange({ ...profile, [key]: value });
+  const toggleHidden = key => onHiddenChange(hidden.includes(key) ? hidden.filter(k => k !== key) : [...hidden, key]);
+  const updateSocial = (index, key, value) => {
+    update("social", social.map((link, i) => (i === index ? { ...link, [key]: value } : link)));
+  };
+
+  return (
+    <EditorSection title="Profile">
+      <div className="bg-white border border-gray-200 rounded-lg p-6 shadow-sm space-y-4">
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          {["name", "email", "phone", "location"].map(key => (
+            <label key={key} className="block text-sm">
+              <span className="block text-gray-600 mb-1 capitalize">{key}</span>
+              <input type="text" className={inputClass} value={profile[key] || ""} onChange={e => update(key, e.target.value)} />
+              {HIDEABLE_CONTACT.includes(key) && (
+                <span className="flex items-center gap-2 mt-1 text-xs text-gray-500">
+                  <input type="checkbox" checked={hidden.includes(key)} onChange={() => toggleHidden(key)} />
+                  Keep off the published website
+                </span>
+              )}
+            </label>
+          ))}
+        </div>
+        <label className="block text-sm">
+          <span className="block text-gray-600 mb-1">Summary</span>
+          <textarea rows={4} className={inputClass} value={profile.summary || ""} onChange={e => update("summary", e.target.value)} />
+        </label>
+        <div className="text-sm">
+          <div className="flex justify-between items-center mb-2">
+            <span className="text-gray-600">Links</span>
+            <button onClick={() => update("social", [...social, { platform: "", url: "" }])} className={smallButtonClass}>+ Add Link</button>
+          </div>
+          <div className="space-y-2">
+            {social.map((link, i) => (
+              <div key={i} className="flex gap-2 items-center">
+                <input type="text" placeholder="Platform" className={`${inputClass} sm:w-1/3`} value={link.platform || ""} onChange={e => updateSocial(i, "platform", e.target.value)} />
+                <input type="text" placeholder="https://..." className={inputClass} value={link.url || ""} onChange={e => updateSocial(i, "url", e.target.value)} />
+                <button onClick={() => update("social", moveItem(social, i, -1))} disabled={i === 0} className={smallButtonClass}>↑</button>
+                <button onClick={() => update("social", social.filter((_, j) => j !== i))} className={`${smallButtonClass} text-red-700`}>Delete</button>
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+    </EditorSection>
+  );
+}
+
+function SkillsEditor({ entries, onChange: commit }) {
+  const isRepeated = (category, index) => entries.some(([other], j) => j < index && other.trim() === category.trim());
+  const updateEntry = (index, category, list) => {
+    commit(entries.map((entry, i) => (i === index ? [category, list] : entry)));
+  };
+
+  return (
+    <EditorSection title="Skills" onAdd={() => commit([...entries, [`Category ${entries.length + 1}`, []]])}>
+      <div className="space-y-4">
+        {entries.map(([category, list], i) => (
+          <div key={i} className="bg-white border border-gray-200 rounded-lg p-4 shadow-sm">
+            <EntryControls
+              index={i}
+              count={entries.length}
+              onMove={(index, offset) => commit(moveItem(entries, index, offset))}
+              onDelete={() => commit(entries.filter((_, j) => j !== i))}
+            />
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+              <label className="block text-sm">
+                <span className="block text-gray-600 mb-1">Category</span>
+                <input type="text" className={inputClass} value={category} onChange={e => updateEntry(i, e.target.value, list)} />
+                {isRepeated(category, i) && (
+                  <span className="block mt-1 text-xs text-amber-700">Also used above; the two are merged when saved</span>
+                )}
+              </label>
+              <label className="block text-sm sm:col-span-2">
+                <span className="block text-gray-600 mb-1">Skills (comma-separated)</span>
+                <input
+                  type="text"
+                  className={inputClass}
+                  value={list.join(", ")}
+                  onChange={e => updateEntry(i, category, e.target.value.split(",").map(s => s.trimStart()))}
+                />
+              </label>
+            </div>
+          </div>
+        ))}
+      </div>
+    </EditorSection>
+  );
+}
+
+function JsonEditor({ value, onChange }) {
+  const [text, setText] = useState(() => JSON.stringify(value, null, 2));
+  const [error, setError] = useState("");
+
+  const apply = () => {
+    try {
+      onChange(JSON.parse(text));
+      setError("");
+    } catch (e) {
+      setError("Invalid JSON: " + e.message);
+    }
+  };
+
+  return (
+    <EditorSection title="Raw JSON">
+      <textarea rows={16} className={`${inputClass} font-mono text-xs`} value={text} onChange={e => setText(e.target.value)} />
+      {error && <div className="mt-2 p-3 bg-red-100 text-red-700 rounded text-sm">{error}</div>}
+      <div className="mt-2 flex gap-2">
+        <button onClick={apply} className={smallButtonClass}>Apply JSON</button>
+        <button onClick={() => setText(JSON.stringify(value, null, 2))} className={smallButtonClass}>Reset from Form</button>
+      </div>
+    </EditorSection>
+  );
+}
+
+/**
+ * Form-based editor for an academic portfolio JSON object.
+ * Works on a local draft; nothing is persisted until onSave is called.
+ */
+export default function PortfolioEditor({ data, onSave, onCancel, saving, error }) {
+  const [draft, setDraft] = useState(() => JSON.parse(JSON.stringify(data)));
+  const [skills, setSkills] = useState(() => toSkillEntries(data.skills));
+  const [showJson, setShowJson] = useState(false);
+  const update = (key, value) => setDraft(prev => ({ ...prev, [key]: value }));
+  const withSkills = portfolio => (portfolio.skills === undefined && skills.length === 0 ? portfolio : { ...portfolio, skills: fromSkillEntries(skills) });
+  const applyJson = portfolio => {
+    setDraft(portfolio);
+    setSkills(toSkillEntries(portfolio.skills));
+  };
+
+  const handleSave = () => {
+    const next = withSkills(draft);
+    Object.entries(SECTION_FIELDS).forEach(([key, fields]) => {
+      if (Array.isArray(next[key])) next[key] = tidyEntries(next[key], fields);
+    });
+    onSave(next);
+  };
+
+  const researchInterests = Array.isArray(draft.research_interests) ? draft.research_interests.join(", ") : draft.research_interests || "";
+
+  return (
+    <div className="max-w-4xl mx-auto">
+      <div className="sticky top-0 z-10 bg-white border-b border-gray-200 py-4 flex flex-wrap gap-4 justify-between items-center">
+        <h1 className="text-2xl font-bold text-gray-900">Edit Portfolio</h1>
+        <div className="flex gap-2">
+          <button onClick={() => setShowJson(!showJson)} className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg text-sm hover:bg-gray-50">
+            {showJson ? "Hide JSON" : "Edit JSON"}
+          </button>
+          <button onClick={onCancel} className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg text-sm hover:bg-gray-50">Cancel</button>
+          <button
+            onClick={handleSave}
+            disabled={saving}
+            className="px-6 py-2 bg-blue-900 text-white rounded-lg text-sm font-medium hover:bg-blue-800 disabled:opacity-50 transition-colors"
+          >
+            {saving ? "Saving..." : "Save"}
+          </button>
+        </div>
+      </div>
+      {error && <div className="mt-4 p-3 bg-red-100 text-red-700 rounded text-sm">{error}</div>}
+
+      {showJson && <JsonEditor key={JSON.stringify(withSkills(draft))} value={withSkills(draft)} onChange={applyJson} />}
+
+      <ProfileEditor
+        profile={draft.profile || {}}
+        onChange={profile => update("profile", profile)}
+        hidden={Array.isArray(draft.hide_contact) ? draft.hide_contact : []}
+        onHiddenChange={list => update("hide_contact", list)}
+      />
+
+      <EditorSection title="Research Interests">
+        <textarea rows={3} className={inputClass} value={researchInterests} onChange={e => update("research_interests", e.target.value)} />
+      </EditorSection>
+
+      {Object.keys(SECTION_FIELDS).map(key => (
+        <EntryListEditor
+          key={key}
+          title={SECTION_TITLES[key]}
+          items={Array.isArray(draft[key]) ? draft[key] : []}
+          fields={SECTION_FIELDS[key]}
+          onChange={items => update(key, items)}
+          actions={key === "publications" && (
+            <BibtexImportButton items={Array.isArray(draft.publications) ? draft.publications : []} onChange={items => update("publications", items)} />
+          )}
+        />
+      ))}
+
+      <SkillsEditor entries={skills} onChange={setSkills} />
+
+      <EditorSection title="Published Website">
+        <label className="block text-sm">
+          <span className="block text-gray-600 mb-1">Address</span>
+          <input type="text" placeholder="https://janedoe.github.io/" className={inputClass} value={draft.site_url || ""} onChange={e => update("site_url", e.target.value)} />
+          <span className="block mt-1 text-xs text-gray-500">Where the downloaded website will be published. Used for search engine links and the sitemap.</span>
+        </label>
+      </EditorSection>
+    </div>
+  );
+}
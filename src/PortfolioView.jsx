@@ -0,0 +1,230 @@
+import React from "react";
+import PublicationList from "./Publications.jsx";
+import { getTheme } from "../shared/themes.js";
+import { getDisplayData } from "../shared/portfolio.js";
+
+// Keep this markup in sync with the static site renderer in lib/export.js
+
+function Section({ title, t, children }) {
+  return (
+    <section className={t.section}>
+      <h2 className={t.sectionTitle}>{title}</h2>
+      {children}
+    </section>
+  );
+}
+
+function Header({ view, t, centered }) {
+  const { profile, socialLinks } = view;
+  return (
+    <header className={t.header}>
+      <h1 className={t.name}>{profile.name || "Academic Portfolio"}</h1>
+      {profile.location && <p className={t.location}>{profile.location}</p>}
+      {profile.summary && <p className={t.summary}>{profile.summary}</p>}
+      <div className={t.contactRow}>
+        {profile.email && <span>{profile.email}</span>}
+        {profile.phone && <span>{centered ? "• " : ""}{profile.phone}</span>}
+        {socialLinks.map((link, i) => (
+          <span key={i}>{centered ? "• " : ""}<a href={link.url} className={t.link}>{link.platform}</a></span>
+        ))}
+      </div>
+    </header>
+  );
+}
+
+function Entry({ title, subtitle, location, dates, t, children }) {
+  return (
+    <div className={t.card}>
+      <div className="flex flex-col sm:flex-row sm:justify-between sm:items-start mb-2 gap-1">
+        <div>
+          <h3 className={t.entryTitle}>{title}</h3>
+          {subtitle && <p className={t.entrySubtitle}>{subtitle}</p>}
+          {location && <p className={t.meta}>{location}</p>}
+        </div>
+        {dates && <span className={`${t.meta} sm:text-right`}>{dates}</span>}
+      </div>
+      {children}
+    </div>
+  );
+}
+
+const SECTIONS = {
+  interests: ({ view, t }) => view.researchInterests && (
+    <Section title="Research Interests" t={t}>
+      <div className={t.callout}>
+        <p className={`${t.text} leading-relaxed break-words whitespace-pre-line`}>{view.researchInterests}</p>
+      </div>
+    </Section>
+  ),
+  positions: ({ view, t }) => view.positions.length > 0 && (
+    <Section title="Positions / Appointments" t={t}>
+      <div className={t.list}>
+        {view.positions.map((position, i) => (
+          <Entry key={i} title={position.title} subtitle={position.organization} location={position.location} dates={position.dates} t={t}>
+            {position.summary && <p className={`${t.text} mb-3 break-words whitespace-pre-line`}>{position.summary}</p>}
+            {Array.isArray(position.highlights) && position.highlights.length > 0 && (
+              <ul className={`list-disc list-inside ${t.text} space-y-1`}>
+                {position.highlights.map((highlight, j) => (
+                  <li key={j} className="break-words">{highlight}</li>
+                ))}
+              </ul>
+            )}
+          </Entry>
+        ))}
+      </div>
+    </Section>
+  ),
+  projects: ({ view, t }) => view.projects.length > 0 && (
+    <Section title="Projects" t={t}>
+      <div className={t.list}>
+        {view.projects.map((project, i) => (
+          <Entry key={i} title={project.title} dates={project.dates} t={t}>
+            {project.description && <p className={`${t.text} break-words whitespace-pre-line`}>{project.description}</p>}
+            {project.url && <a href={project.url} className={`${t.link} text-sm break-all`}>{project.url}</a>}
+          </Entry>
+        ))}
+      </div>
+    </Section>
+  ),
+  publications: ({ view, t, data }) => view.publications.length > 0 && (
+    <Section title="Publications" t={t}>
+      <PublicationList publications={view.publications} style={data.citation_style} ownerName={view.profile.name} classes={t} />
+    </Section>
+  ),
+  talks: ({ view, t }) => view.talks.length > 0 && (
+    <Section title="Talks" t={t}>
+      <div className={t.list}>
+        {view.talks.map((talk, i) => (
+          <Entry key={i} title={talk.title} subtitle={talk.event} location={talk.location} dates={talk.date} t={t} />
+        ))}
+      </div>
+    </Section>
+  ),
+  teaching: ({ view, t }) => view.teaching.length > 0 && (
+    <Section title="Teaching" t={t}>
+      <div className={t.list}>
+        {view.teaching.map((item, i) => (
+          <Entry key={i} title={item.course || item.role} subtitle={item.course ? item.role : ""} location={item.institution} dates={item.dates} t={t} />
+        ))}
+      </div>
+    </Section>
+  ),
+  education: ({ view, t }) => view.education.length > 0 && (
+    <Section title="Education" t={t}>
+      <div className={t.list}>
+        {view.education.map((edu, i) => (
+          <Entry key={i} title={edu.degree} subtitle={edu.institution} location={edu.location} dates={edu.dates} t={t}>
+            {edu.honors && <p className={`${t.text} text-sm italic`}>{edu.honors}</p>}
+          </Entry>
+        ))}
+      </div>
+    </Section>
+  ),
+  awards: ({ view, t }) => view.awards.length > 0 && (
+    <Section title="Honors & Awards" t={t}>
+      <div className={t.list}>
+        {view.awards.map((award, i) => (
+          <div key={i} className={t.compactCard}>
+            <h3 className={`${t.entryTitle} text-sm`}>{award.title}</h3>
+            {award.organization && <p className={`${t.text} text-sm`}>{award.organization}</p>}
+            {award.year && <p className={t.meta}>{award.year}</p>}
+          </div>
+        ))}
+      </div>
+    </Section>
+  ),
+  service: ({ view, t }) => view.service.length > 0 && (
+    <Section title="Service" t={t}>
+      <div className={t.list}>
+        {view.service.map((item, i) => (
+          <div key={i} className={t.compactCard}>
+            <h3 className={`${t.entryTitle} text-sm`}>{item.role}</h3>
+            {item.organization && <p className={`${t.text} text-sm`}>{item.organization}</p>}
+            {item.dates && <p className={t.meta}>{item.dates}</p>}
+          </div>
+        ))}
+      </div>
+    </Section>
+  ),
+  skills: ({ view, t }) => Object.keys(view.skillsByCategory).length > 0 && (
+    <Section title="Skills" t={t}>
+      <div className={t.list}>
+        {Object.entries(view.skillsByCategory).map(([category, skillList]) => (
+          <div key={category} className={t.compactCard}>
+            <h3 className={`${t.entryTitle} text-sm mb-2`}>{category}</h3>
+            <div className="flex flex-wrap gap-2">
+              {skillList.map((skill, i) => (
+                <span key={i} className={t.chip}>{skill}</span>
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+    </Section>
+  ),
+  contact: ({ view, t }) => (view.profile.email || view.profile.phone || view.profile.location) && (
+    <Section title="Contact" t={t}>
+      <div className={t.card}>
+        <div className={`space-y-2 text-sm ${t.text}`}>
+          {view.profile.email && <p><span className="font-medium">Email:</span> <a href={`mailto:${view.profile.email}`} className={t.link}>{view.profile.email}</a></p>}
+          {view.profile.phone && <p><span className="font-medium">Phone:</span> {view.profile.phone}</p>}
+          {view.profile.location && <p><span className="font-medium">Location:</span> {view.profile.location}</p>}
+        </div>
+      </div>
+    </Section>
+  ),
+};
+
+function Sections({ keys, ...props }) {
+  return (keys || []).map(key => {
+    const Component = SECTIONS[key];
+    return Component ? <React.Fragment key={key}>{Component(props) || null}</React.Fragment> : null;
+  });
+}
+
+/**
+ * Renders a portfolio with the given theme (see shared/themes.js)
+ */
+export default function PortfolioView({ data, themeId }) {
+  const theme = getTheme(themeId || data.theme);
+  const t = theme.classes;
+  const view = getDisplayData(data);
+  const props = { view, t, data };
+
+  if (theme.layout === "sidebar") {
+    return (
+      <div className={t.page}>
+        <div className={t.container}>
+          <aside className={t.aside}>
+            <Header view={view} t={t} />
+            <div className={t.side}><Sections keys={theme.sections.side} {...props} /></div>
+          </aside>
+          <main className={t.main}><Sections keys={theme.sections.main} {...props} /></main>
+        </div>
+      </div>
+    );
+  }
+
+  if (theme.layout === "single") {
+    return (
+      <div className={t.page}>
+        <div className={t.container}>
+          <Header view={view} t={t} />
+          <main className={t.main}><Sections keys={theme.sections.main} {...props} /></main>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className={t.page}>
+      <div className={t.container}>
+        <Header view={view} t={t} centered={theme.id === "classic"} />
+        <div className={t.columns}>
+          <div className={t.main}><Sections keys={theme.sections.main} {...props} /></div>
+          <div className={t.side}><Sections keys={theme.sections.side} {...props} /></div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,73 @@
+import React, { useState } from "react";
+import { CITATION_STYLES, DEFAULT_CITATION_STYLE, formatCitation, citationLinks } from "../shared/citations.js";
+import { toBibtex } from "../shared/bibtex.js";
+import { getTheme } from "../shared/themes.js";
+
+function Citation({ pub, style, ownerName, className }) {
+  return (
+    <p className={`${className} leading-relaxed break-words`}>
+      {formatCitation(pub, style, ownerName).map((segment, i) => {
+        if (segment.highlight) return <span key={i} className="font-semibold underline decoration-gray-400">{segment.text}</span>;
+        if (segment.emphasis === "italic") return <em key={i}>{segment.text}</em>;
+        return <span key={i}>{segment.text}</span>;
+      })}
+    </p>
+  );
+}
+
+function CopyBibtexButton({ pub, className }) {
+  const [copied, setCopied] = useState(false);
+  const handleCopy = async () => {
+    await navigator.clipboard.writeText(toBibtex(pub));
+    setCopied(true);
+    setTimeout(() => setCopied(false), 1500);
+  };
+  return (
+    <button onClick={handleCopy} className={className}>
+      {copied ? "Copied" : "BibTeX"}
+    </button>
+  );
+}
+
+export function CitationStylePicker({ value, onChange }) {
+  return (
+    <label className="flex items-center gap-2 text-sm text-gray-600">
+      Citation style
+      <select
+        value={value || DEFAULT_CITATION_STYLE}
+        onChange={e => onChange(e.target.value)}
+        className="px-2 py-1 border border-gray-300 rounded text-sm bg-white"
+      >
+        {Object.entries(CITATION_STYLES).map(([key, label]) => (
+          <option key={key} value={key}>{label}</option>
+        ))}
+      </select>
+    </label>
+  );
+}
+
+/**
+ * Publication list rendered as formatted citations with DOI/arXiv/PDF links and a BibTeX copy button
+ *
+ * `classes` are the active theme's class names (shared/themes.js); `renderNote` optionally adds a line under each citation
+ */
+export default function PublicationList({ publications, style, ownerName, classes = getTheme().classes, renderNote }) {
+  return (
+    <div className={classes.list}>
+      {publications.map((pub, i) => (
+        <div key={i} className={classes.card}>
+          <Citation pub={pub} style={style || DEFAULT_CITATION_STYLE} ownerName={ownerName} className={classes.text} />
+          {renderNote && <p className={`${classes.meta} mt-2`}>{renderNote(pub)}</p>}
+          <div className="flex flex-wrap gap-2 mt-3 text-xs">
+            {citationLinks(pub).map(link => (
+              <a key={link.label + link.url} href={link.url} target="_blank" rel="noreferrer" className={classes.badge}>
+                {link.label}
+              </a>
+            ))}
+            <CopyBibtexButton pub={pub} className={classes.badge} />
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
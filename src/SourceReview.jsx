@@ -0,0 +1,134 @@
+import React, { useState } from "react";
+import { LOW_CONFIDENCE, getPath } from "../shared/provenance.js";
+
+const SOURCE_LABELS = { heuristic: "Parser", ai: "AI", fallback: "Fallback", bibtex: "BibTeX" };
+
+// Sections in review order, with their display titles
+const REVIEW_SECTIONS = [
+  ["profile", "Profile"],
+  ["research_interests", "Research Interests"],
+  ["positions", "Positions / Appointments"],
+  ["education", "Education"],
+  ["publications", "Publications"],
+  ["projects", "Projects"],
+  ["talks", "Talks"],
+  ["teaching", "Teaching"],
+  ["awards", "Honors & Awards"],
+  ["service", "Service"],
+  ["skills", "Skills"],
+];
+
+// Helper: provenance paths of the text fields inside an entry, in document order
+function fieldPaths(fields, data, entryPath) {
+  return Object.keys(fields).filter(path => {
+    const inside = path === entryPath || path.startsWith(`${entryPath}.`) || path.startsWith(`${entryPath}[`);
+    return inside && typeof getPath(data, path) !== "object";
+  });
+}
+
+/**
+ * Count the text fields below the confidence threshold
+ */
+export function countLowConfidence(data, provenance) {
+  return Object.entries(provenance?.fields || {})
+    .filter(([path, record]) => record.confidence < LOW_CONFIDENCE && typeof getPath(data, path) !== "object")
+    .length;
+}
+
+function SourceBadge({ record }) {
+  const low = record.confidence < LOW_CONFIDENCE;
+  return (
+    <span className={`shrink-0 px-1.5 py-0.5 rounded text-xs ${low ? "bg-amber-200 text-amber-900" : "bg-gray-100 text-gray-600"}`}>
+      {SOURCE_LABELS[record.source] || record.source} · {Math.round(record.confidence * 100)}%
+    </span>
+  );
+}
+
+// The resume lines an entry was parsed from, with the hovered field's lines marked
+function SourceLines({ text, span, active }) {
+  if (!span) return <p className="text-xs text-gray-500 italic">Not found in the resume text.</p>;
+  const first = Math.max(0, span[0] - 1);
+  const last = Math.min(text.length - 1, span[1] + 1);
+  return (
+    <pre className="text-xs leading-relaxed bg-gray-50 border border-gray-200 rounded p-2 overflow-x-auto whitespace-pre-wrap">
+      {text.slice(first, last + 1).map((line, i) => {
+        const n = first + i;
+        const inActive = active && n >= active[0] && n <= active[1];
+        const inEntry = n >= span[0] && n <= span[1];
+        return (
+          <div key={n} className={inActive ? "bg-yellow-200" : inEntry ? "bg-yellow-50" : "text-gray-400"}>
+            <span className="inline-block w-8 text-right pr-2 text-gray-400 select-none">{n + 1}</span>{line}
+          </div>
+        );
+      })}
+    </pre>
+  );
+}
+
+function ReviewEntry({ data, provenance, entryPath }) {
+  const [activePath, setActivePath] = useState(null);
+  const { fields, text } = provenance;
+  const paths = fieldPaths(fields, data, entryPath);
+  if (paths.length === 0) return null;
+  const entry = fields[entryPath];
+  const span = entry?.lines || fields[paths[0]].lines;
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 border border-gray-200 rounded-lg p-4">
+      <dl className="space-y-1 text-sm">
+        {paths.map(path => {
+          const record = fields[path];
+          const label = path === entryPath ? "" : path.slice(entryPath.length).replace(/^\./, "");
+          return (
+            <div
+              key={path}
+              onMouseEnter={() => setActivePath(path)}
+              onMouseLeave={() => setActivePath(null)}
+              className={`flex items-start gap-2 px-2 py-1 rounded ${record.confidence < LOW_CONFIDENCE ? "bg-amber-50 border-l-4 border-amber-400" : ""}`}
+            >
+              {label && <dt className="w-28 shrink-0 text-gray-500">{label}</dt>}
+              <dd className="flex-1 break-words text-gray-900">{String(getPath(data, path) ?? "")}</dd>
+              <SourceBadge record={record} />
+            </div>
+          );
+        })}
+      </dl>
+      <SourceLines text={text} span={span} active={activePath ? fields[activePath].lines : null} />
+    </div>
+  );
+}
+
+/**
+ * Every parsed field with its source and confidence, next to the resume text it came from
+ *
+ * Low-confidence fields are highlighted; hovering a field marks its lines in the text.
+ * Fields edited since parsing have no provenance and are not listed.
+ */
+export default function SourceReview({ data, provenance }) {
+  const lowCount = countLowConfidence(data, provenance);
+
+  return (
+    <div className="max-w-6xl mx-auto px-6 py-8 font-sans text-gray-900">
+      <p className="text-sm text-gray-600 mb-6">
+        Each field shows where it came from (Parser: rule-based parsing, AI: the language model, Fallback: parser output used
+        where the AI returned nothing, BibTeX: the uploaded .bib file) and how confident that source is.
+        {lowCount > 0 && <span className="text-amber-800"> {lowCount} field{lowCount === 1 ? " is" : "s are"} highlighted for review.</span>}
+      </p>
+      {REVIEW_SECTIONS.map(([key, title]) => {
+        const value = data[key];
+        if (value == null || value === "") return null;
+        const entryPaths = Array.isArray(value) ? value.map((_, i) => `${key}[${i}]`) : [key];
+        const entries = entryPaths.filter(path => fieldPaths(provenance.fields, data, path).length > 0);
+        if (entries.length === 0) return null;
+        return (
+          <section key={key} className="mb-10">
+            <h2 className="text-lg font-semibold mb-3">{title}</h2>
+            <div className="space-y-4">
+              {entries.map(path => <ReviewEntry key={path} data={data} provenance={provenance} entryPath={path} />)}
+            </div>
+          </section>
+        );
+      })}
+    </div>
+  );
+}
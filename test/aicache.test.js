@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createAiCache } from "../lib/aicache.js";
+
+// Helper: just enough of a lowdb instance for the cache
+function memoryDb() {
+  return { data: {}, writes: 0, async write() { this.writes++; } };
+}
+
+test("identical inputs get the same key, different ones a different key", () => {
+  const cache = createAiCache(memoryDb());
+  const key = cache.keyOf({ version: 1, model: "gpt-4", input: ["text", { a: 1 }] });
+  assert.equal(key, cache.keyOf({ version: 1, model: "gpt-4", input: ["text", { a: 1 }] }));
+  assert.notEqual(key, cache.keyOf({ version: 2, model: "gpt-4", input: ["text", { a: 1 }] }));
+  assert.notEqual(key, cache.keyOf({ version: 1, model: "llama3", input: ["text", { a: 1 }] }));
+  assert.match(key, /^[0-9a-f]{64}$/);
+});
+
+test("stores answers in the database and counts hits and misses", async () => {
+  const db = memoryDb();
+  const cache = createAiCache(db);
+  assert.equal(cache.get("k"), undefined);
+  await cache.set("k", { skills: { Languages: ["Go"] } }, { kind: "organize", provider: "openai", model: "gpt-4" });
+
+  const hit = cache.get("k");
+  assert.deepEqual(hit, { skills: { Languages: ["Go"] } });
+  hit.skills.Languages.push("Rust");
+  assert.deepEqual(cache.get("k"), { skills: { Languages: ["Go"] } });
+
+  assert.equal(db.writes, 1);
+  assert.equal(db.data.aiCache[0].model, "gpt-4");
+  assert.deepEqual(cache.stats(), { enabled: true, ttlHours: 720, entries: 1, hits: 2, misses: 1 });
+});
+
+test("force skips the stored answer", async () => {
+  const cache = createAiCache(memoryDb());
+  await cache.set("k", { a: 1 });
+  assert.equal(cache.get("k", { force: true }), undefined);
+  assert.equal(cache.stats().misses, 1);
+});
+
+test("expired answers are not reused and are dropped on the next write", async () => {
+  const db = memoryDb();
+  const cache = createAiCache(db, { ttlHours: 1 });
+  await cache.set("old", { a: 1 });
+  db.data.aiCache[0].expiresAt = new Date(Date.now() - 1000).toISOString();
+  assert.equal(cache.get("old"), undefined);
+
+  await cache.set("new", { b: 2 });
+  assert.deepEqual(db.data.aiCache.map(entry => entry.key), ["new"]);
+});
+
+test("a TTL of 0 turns the cache off", async () => {
+  const db = memoryDb();
+  const cache = createAiCache(db, { ttlHours: 0 });
+  await cache.set("k", { a: 1 });
+  assert.equal(cache.get("k"), undefined);
+  assert.equal(db.writes, 0);
+  assert.equal(cache.stats().enabled, false);
+});
@@ -0,0 +1,300 @@
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { FIXTURES_DIR, startServer, resumeForm } from "./helpers/server.js";
+import { createReplayProvider, loadRecording } from "./helpers/fake-openai.js";
+import { renderPortfolioHtml } from "../lib/export.js";
+
+// The API on a temporary database; nothing here needs the network or an API key
+
+const expected = name => JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, "expected", `${name}.json`), "utf-8"));
+
+describe("POST /api/parse without an LLM", () => {
+  let server;
+  before(async () => {
+    server = await startServer();
+  });
+  after(() => server.close());
+
+  test("reports heuristics-only mode in /api/health", async () => {
+    const health = await (await fetch(`${server.url}/api/health`)).json();
+    assert.equal(health.status, "ok");
+    assert.deepEqual(health.llm, { provider: "heuristics" });
+  });
+
+  test("parses a resume and stores it under a shareable ID", async () => {
+    const res = await fetch(`${server.url}/api/parse`, { method: "POST", body: resumeForm("jane-doe.pdf") });
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.deepEqual(body.portfolio, expected("jane-doe.pdf").portfolio);
+    assert.ok(body.provenance.fields["profile.name"]);
+
+    const stored = await (await fetch(`${server.url}/api/portfolios/${body.id}`)).json();
+    assert.deepEqual(stored.portfolio, body.portfolio);
+  });
+
+  test("adds the publications of an uploaded .bib file", async () => {
+    const res = await fetch(`${server.url}/api/parse`, { method: "POST", body: resumeForm("jane-doe.txt", { bibtex: "jane-doe.bib" }) });
+    assert.equal(res.status, 200);
+    const { portfolio } = await res.json();
+    const publication = portfolio.publications.find(pub => pub.title === "Dense Retrieval Without Labels");
+    assert.equal(publication.doi, "10.1000/acl2023");
+  });
+
+  test("drops unsafe links from an uploaded .bib file", async () => {
+    const form = resumeForm("jane-doe.txt");
+    const bib = "@article{x, title = {Unsafe Links}, author = {Doe, Jane}, year = {2024},\n  url = {javascript:alert(1)}, pdf = {data:text/html,<script>alert(1)</script>}}\n";
+    form.append("bibtex", new Blob([bib]), "unsafe.bib");
+    const res = await fetch(`${server.url}/api/parse`, { method: "POST", body: form });
+    assert.equal(res.status, 200);
+    const { portfolio, warnings } = await res.json();
+    const publication = portfolio.publications.find(pub => pub.title === "Unsafe Links");
+    assert.equal(publication.url, undefined);
+    assert.equal(publication.pdf, undefined);
+    assert.ok(warnings.some(warning => warning.path === "publications[0].url"));
+  });
+
+  test("rejects a request without a resume", async () => {
+    const form = new FormData();
+    form.append("redactPii", "false");
+    const res = await fetch(`${server.url}/api/parse`, { method: "POST", body: form });
+    assert.equal(res.status, 400);
+    assert.deepEqual(await res.json(), { error: "No resume file uploaded" });
+  });
+
+  test("rejects a file that only claims to be a PDF", async () => {
+    const form = new FormData();
+    form.append("resume", new Blob(["just some text, not a PDF"]), "resume.pdf");
+    const res = await fetch(`${server.url}/api/parse`, { method: "POST", body: form });
+    assert.equal(res.status, 415);
+    assert.ok((await res.json()).error);
+  });
+
+  test("runs a parse job and streams its progress", async () => {
+    const res = await fetch(`${server.url}/api/parse/jobs`, { method: "POST", body: resumeForm("anna-schmidt.txt") });
+    assert.equal(res.status, 202);
+    const { jobId } = await res.json();
+
+    const events = await (await fetch(`${server.url}/api/parse/jobs/${jobId}/events`)).text();
+    assert.match(events, /event: stage/);
+    const done = events.split("\n\n").find(chunk => chunk.startsWith("event: done"));
+    const { id, portfolio } = JSON.parse(done.split("\ndata: ")[1]);
+    assert.deepEqual(portfolio, expected("anna-schmidt.txt").portfolio);
+    assert.equal((await fetch(`${server.url}/api/portfolios/${id}`)).status, 200);
+  });
+
+  test("imports a portfolio JSON without parsing", async () => {
+    const res = await fetch(`${server.url}/api/import`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(expected("maria-garcia.txt").portfolio),
+    });
+    assert.equal(res.status, 200);
+    const { portfolio } = await res.json();
+    assert.equal(portfolio.profile.name, "Maria Garcia");
+    assert.equal(portfolio.publications.length, expected("maria-garcia.txt").portfolio.publications.length);
+  });
+
+  test("rejects an import that is not a usable portfolio", async () => {
+    const res = await fetch(`${server.url}/api/import`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ profile: "x" }),
+    });
+    assert.equal(res.status, 400);
+    const body = await res.json();
+    assert.match(body.error, /^Invalid portfolio: profile is required/);
+    assert.ok(body.errors.some(issue => issue.path === "education"));
+  });
+
+  test("reports a failed database write as a JSON error", async () => {
+    const failing = await startServer();
+    failing.db.write = async () => {
+      throw new Error("disk full");
+    };
+    try {
+      const res = await fetch(`${failing.url}/api/import`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(expected("maria-garcia.txt").portfolio),
+      });
+      assert.equal(res.status, 500);
+      assert.deepEqual(await res.json(), { error: "Internal server error" });
+    } finally {
+      await failing.close();
+    }
+  });
+});
+
+describe("POST /api/parse with a recorded LLM", () => {
+  test("organizes the resume with the replayed completion", async () => {
+    const llm = createReplayProvider("jane-doe-organize");
+    const server = await startServer({ llm });
+    try {
+      const res = await fetch(`${server.url}/api/parse`, { method: "POST", body: resumeForm("jane-doe.txt") });
+      assert.equal(res.status, 200);
+      const { portfolio } = await res.json();
+      assert.match(portfolio.profile.summary, /^Research engineer/);
+      assert.equal(llm.client.requests.length, 6);
+      assert.equal((await (await fetch(`${server.url}/api/health`)).json()).llm.provider, "openai");
+    } finally {
+      await server.close();
+    }
+  });
+
+  test("hides personal details from the LLM when redactPii is set", async () => {
+    const llm = createReplayProvider("jane-doe-organize");
+    const server = await startServer({ llm });
+    try {
+      const res = await fetch(`${server.url}/api/parse`, { method: "POST", body: resumeForm("jane-doe.txt", { redactPii: "true" }) });
+      assert.equal(res.status, 200);
+      assert.ok(llm.client.requests.every(request => !request.messages[0].content.includes("jane.doe@example.edu")));
+      assert.equal((await res.json()).portfolio.profile.email, "jane.doe@example.edu");
+    } finally {
+      await server.close();
+    }
+  });
+
+  test("answers a repeated upload from the AI cache", async () => {
+    const llm = createReplayProvider([...loadRecording("jane-doe-organize"), ...loadRecording("jane-doe-organize")]);
+    const server = await startServer({ llm });
+    try {
+      const parse = fields => fetch(`${server.url}/api/parse`, { method: "POST", body: resumeForm("jane-doe.txt", fields) }).then(res => res.json());
+      const first = await parse();
+      const second = await parse();
+      assert.equal(first.cached, false);
+      assert.equal(second.cached, true);
+      assert.deepEqual(second.portfolio, first.portfolio);
+      assert.equal(llm.client.requests.length, 6);
+
+      const forced = await parse({ forceReparse: "true" });
+      assert.equal(forced.cached, false);
+      assert.equal(llm.client.requests.length, 12);
+
+      // One entry per section request
+      const { aiCache } = await (await fetch(`${server.url}/api/health`)).json();
+      assert.deepEqual(aiCache, { enabled: true, ttlHours: 720, entries: 6, hits: 6, misses: 12 });
+    } finally {
+      await server.close();
+    }
+  });
+
+  test("reports a failed LLM call as a parse error", async () => {
+    const server = await startServer({ llm: createReplayProvider([]) });
+    try {
+      const res = await fetch(`${server.url}/api/parse`, { method: "POST", body: resumeForm("jane-doe.txt") });
+      assert.equal(res.status, 500);
+      assert.match((await res.json()).error, /Failed to organize resume with AI/);
+    } finally {
+      await server.close();
+    }
+  });
+});
+
+describe("Portfolio revisions", () => {
+  let server;
+  before(async () => {
+    server = await startServer();
+  });
+  after(() => server.close());
+
+  const send = (method, path, body) => fetch(`${server.url}${path}`, {
+    method,
+    headers: { "Content-Type": "application/json" },
+    body: body && JSON.stringify(body),
+  });
+
+  test("lists, compares and restores saved versions", async () => {
+    const { id, portfolio } = await (await send("POST", "/api/import", expected("maria-garcia.txt").portfolio)).json();
+    await send("PUT", `/api/portfolios/${id}`, { ...portfolio, profile: { ...portfolio.profile, name: "Maria Lopez" } });
+
+    const { revisions } = await (await fetch(`${server.url}/api/portfolios/${id}/revisions`)).json();
+    assert.equal(revisions.length, 2);
+    const [latest, first] = revisions;
+    const diff = await (await fetch(`${server.url}/api/portfolios/${id}/diff?from=${first.id}`)).json();
+    assert.equal(diff.to, latest.id);
+    assert.deepEqual(diff.sections.map(section => section.section), ["profile"]);
+
+    const restored = await (await send("POST", `/api/portfolios/${id}/revisions/${first.id}/restore`)).json();
+    assert.equal(restored.portfolio.profile.name, "Maria Garcia");
+    const after = await (await fetch(`${server.url}/api/portfolios/${id}/revisions`)).json();
+    assert.equal(after.revisions.length, 3);
+  });
+
+  test("rejects revision numbers that aren't numbers", async () => {
+    const { id } = await (await send("POST", "/api/import", expected("maria-garcia.txt").portfolio)).json();
+    const res = await fetch(`${server.url}/api/portfolios/${id}/diff?from=abc`);
+    assert.equal(res.status, 400);
+    assert.equal((await fetch(`${server.url}/api/portfolios/${id}/diff?from=1&to=1.5`)).status, 400);
+  });
+});
+
+describe("API protection", () => {
+  test("drops javascript: links from a saved portfolio", async () => {
+    const server = await startServer();
+    try {
+      const imported = await (await fetch(`${server.url}/api/import`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(expected("maria-garcia.txt").portfolio),
+      })).json();
+      const portfolio = {
+        ...imported.portfolio,
+        profile: {
+          ...imported.portfolio.profile,
+          social: [
+            { platform: "Home", url: "  JavaScript:alert(document.cookie)" },
+            { platform: "GitHub", url: "https://github.com/mgarcia" },
+          ],
+        },
+        projects: [{ title: "Demo", url: "java\tscript:alert(1)" }, { title: "Ranker", url: "https://github.com/mgarcia/ranker" }],
+      };
+      const res = await fetch(`${server.url}/api/portfolios/${imported.id}`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(portfolio),
+      });
+      assert.equal(res.status, 200);
+      const stored = (await (await fetch(`${server.url}/api/portfolios/${imported.id}`)).json()).portfolio;
+      assert.deepEqual(stored.profile.social, [{ platform: "Home" }, { platform: "GitHub", url: "https://github.com/mgarcia" }]);
+      assert.deepEqual(stored.projects, [{ title: "Demo" }, { title: "Ranker", url: "https://github.com/mgarcia/ranker" }]);
+
+      // Portfolios stored before the check are guarded when rendered
+      const html = renderPortfolioHtml(portfolio);
+      assert.ok(!/javascript/i.test(html));
+      assert.match(html, /href="https:\/\/github.com\/mgarcia"/);
+      assert.match(html, /href="https:\/\/github.com\/mgarcia\/ranker"/);
+    } finally {
+      await server.close();
+    }
+  });
+
+  test("requires an access key for parsing when API_KEYS is set", async () => {
+    const server = await startServer({ env: { API_KEYS: "secret" } });
+    try {
+      const denied = await fetch(`${server.url}/api/parse`, { method: "POST", body: resumeForm("jane-doe.txt") });
+      assert.equal(denied.status, 401);
+      const allowed = await fetch(`${server.url}/api/parse`, {
+        method: "POST",
+        headers: { "X-API-Key": "secret" },
+        body: resumeForm("jane-doe.txt"),
+      });
+      assert.equal(allowed.status, 200);
+    } finally {
+      await server.close();
+    }
+  });
+
+  test("limits the number of parses per client", async () => {
+    const server = await startServer({ env: { RATE_LIMIT_PARSE_MAX: "1" } });
+    try {
+      assert.equal((await fetch(`${server.url}/api/parse`, { method: "POST", body: resumeForm("jane-doe.md") })).status, 200);
+      const limited = await fetch(`${server.url}/api/parse`, { method: "POST", body: resumeForm("jane-doe.md") });
+      assert.equal(limited.status, 429);
+      assert.ok(limited.headers.get("retry-after"));
+    } finally {
+      await server.close();
+    }
+  });
+});
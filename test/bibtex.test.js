@@ -0,0 +1,31 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseBibtex, bibtexToPublication, latexToText } from "../shared/bibtex.js";
+
+const BIB = String.raw`@string{icml = "International Conference on Machine Learning"}
+
+@inproceedings{mueller21,
+  title = {Learning to Rank with {BERT}},
+  author = {M{\"u}ller, J{\"o}rg and Garc{\'\i}a, Mar{\'\i}a and others},
+  booktitle = icml # " 2021",
+  year = 2021,
+  pages = {1--10},
+  doi = {https://doi.org/10.1000/ltr}
+}
+`;
+
+test("parses accents, @string abbreviations and others", () => {
+  const [entry] = parseBibtex(BIB);
+  const pub = bibtexToPublication(entry);
+  assert.equal(pub.title, "Learning to Rank with BERT");
+  assert.deepEqual(pub.authors, ["Jörg Müller", "María García", "others"]);
+  assert.equal(pub.venue, "International Conference on Machine Learning 2021");
+  assert.equal(pub.year, "2021");
+  assert.equal(pub.pages, "1–10");
+  assert.equal(pub.doi, "10.1000/ltr");
+  assert.equal(pub.type, "inproceedings");
+});
+
+test("latexToText turns accent and symbol commands into Unicode", () => {
+  assert.equal(latexToText(String.raw`Erd\H{o}s, \c{C}elik, \ss{}e, {\o}re`), "Erdős, Çelik, ße, øre");
+});
@@ -0,0 +1,34 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { formatCitation, normalizeAuthors, citationLinks } from "../shared/citations.js";
+
+const text = segments => segments.map(segment => segment.text).join("");
+
+const pub = { title: "Learning to Rank", venue: "ICML", year: "2021", volume: "12", pages: "1-10" };
+
+test("formats APA, IEEE and ACM citations", () => {
+  const authors = ["Jane Doe", "Alan Smith", "Bo Lee"];
+  assert.equal(text(formatCitation({ ...pub, authors }, "apa")), "Doe, J., Smith, A., & Lee, B. (2021). Learning to Rank. ICML, 12, 1-10.");
+  assert.equal(text(formatCitation({ ...pub, authors }, "ieee")), "J. Doe, A. Smith, and B. Lee, “Learning to Rank,” ICML, vol. 12, pp. 1-10, 2021.");
+  assert.equal(text(formatCitation({ ...pub, authors }, "acm")), "Jane Doe, Alan Smith, and Bo Lee. 2021. Learning to Rank. ICML, 12, 1-10.");
+});
+
+test("author lists ending in others get et al. without an & or and", () => {
+  assert.equal(text(formatCitation({ ...pub, authors: ["Jane Doe", "Alan Smith", "others"] }, "apa")), "Doe, J., Smith, A., et al. (2021). Learning to Rank. ICML, 12, 1-10.");
+  assert.equal(text(formatCitation({ ...pub, authors: "J. Doe and others" }, "apa")), "Doe, J., et al. (2021). Learning to Rank. ICML, 12, 1-10.");
+  assert.match(text(formatCitation({ ...pub, authors: ["Jane Doe", "Alan Smith", "others"] }, "ieee")), /^J\. Doe, A\. Smith et al\., /);
+});
+
+test("highlights the portfolio owner among the authors", () => {
+  const segments = formatCitation({ ...pub, authors: "Doe, J., Smith, A." }, "apa", "Jane Doe");
+  assert.deepEqual(segments.filter(segment => segment.highlight).map(segment => segment.text), ["Doe, J."]);
+  assert.deepEqual(normalizeAuthors("Doe, J., Smith, A."), [{ given: "J.", family: "Doe" }, { given: "A.", family: "Smith" }]);
+});
+
+test("citationLinks lists DOI, arXiv and PDF links and leaves out unsafe ones", () => {
+  assert.deepEqual(citationLinks({ doi: "10.1/x", arxiv: "2101.00001", pdf: "https://example.org/p.pdf", url: "javascript:alert(1)" }), [
+    { label: "DOI", url: "https://doi.org/10.1/x" },
+    { label: "arXiv", url: "https://arxiv.org/abs/2101.00001" },
+    { label: "PDF", url: "https://example.org/p.pdf" },
+  ]);
+});
@@ -0,0 +1,47 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { FIXTURES_DIR } from "./helpers/server.js";
+import { run } from "../lib/cli.js";
+
+// Helper: run the CLI with captured output
+async function cli(args, env = {}) {
+  let stdout = "";
+  let stderr = "";
+  const code = await run(args, {
+    env,
+    stdout: { write: text => { stdout += text; } },
+    stderr: { write: text => { stderr += text; } },
+  });
+  return { code, stdout, stderr };
+}
+
+test("builds a LaTeX CV for each resume", async () => {
+  const out = fs.mkdtempSync(path.join(os.tmpdir(), "website-generator-cli-"));
+  try {
+    const { code, stdout } = await cli(["build", path.join(FIXTURES_DIR, "resumes", "jane-doe.txt"), "--out", out, "--format", "latex", "--cv", "short", "--no-ai"]);
+    assert.equal(code, 0);
+    assert.match(stdout, /Built 1 of 1\./);
+    const tex = fs.readFileSync(path.join(out, "jane-doe", "cv.tex"), "utf-8");
+    assert.match(tex, /\\documentclass\[11pt,a4paper,sans\]\{moderncv\}/);
+    assert.match(tex, /\\name\{Jane\}\{Doe\}/);
+    assert.ok(fs.existsSync(path.join(out, "jane-doe", "portfolio.json")));
+  } finally {
+    fs.rmSync(out, { recursive: true, force: true });
+  }
+});
+
+test("reports a bad LLM configuration without a stack trace", async () => {
+  const { code, stdout, stderr } = await cli(["build", "resume.pdf"], { LLM_PROVIDER: "nope" });
+  assert.equal(code, 2);
+  assert.equal(stdout, "");
+  assert.match(stderr, /^Unknown LLM_PROVIDER "nope"/);
+});
+
+test("rejects unknown options with the usage text", async () => {
+  const { code, stderr } = await cli(["build", "resume.pdf", "--format", "docx"]);
+  assert.equal(code, 2);
+  assert.match(stderr, /Usage: resume-to-website build/);
+});
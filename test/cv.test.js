@@ -0,0 +1,72 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { FIXTURES_DIR } from "./helpers/server.js";
+import { getCvOptions, getCvData } from "../shared/cv.js";
+import { escapeLatex, toLatexCv } from "../shared/latex.js";
+
+const portfolio = name => JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, "expected", `${name}.json`), "utf-8")).portfolio;
+
+test("getCvOptions falls back to a full CV and drops unknown sections", () => {
+  assert.equal(getCvOptions(undefined).length, "full");
+  assert.ok(getCvOptions(undefined).order.includes("talks"));
+  assert.ok(!getCvOptions({ length: "short" }).order.includes("talks"));
+  assert.deepEqual(getCvOptions({ length: "tiny", order: ["skills", "bogus", "skills", "education"] }), { length: "full", order: ["skills", "education"] });
+});
+
+test("a full CV keeps every entry in the chosen order", () => {
+  const data = portfolio("robert-chen-faculty.txt");
+  const cv = getCvData(data, { order: ["publications", "education"] });
+  assert.deepEqual(cv.sections.map(section => section.id), ["publications", "education"]);
+  assert.equal(cv.sections[0].title, "Publications");
+  assert.equal(cv.sections[0].items.length, data.publications.length);
+  assert.equal(cv.sections[0].omitted, 0);
+});
+
+test("a short CV keeps the newest publications and counts the rest", () => {
+  const data = { ...portfolio("robert-chen-faculty.txt"), cv: { length: "short" } };
+  const cv = getCvData(data);
+  const publications = cv.sections.find(section => section.id === "publications");
+  assert.equal(publications.title, "Selected Publications");
+  assert.equal(publications.items.length, 8);
+  assert.equal(publications.omitted, data.publications.length - 8);
+  const newest = Math.max(...data.publications.map(pub => parseInt(pub.year, 10) || 0));
+  assert.ok(publications.items.every(pub => parseInt(pub.year, 10) === newest));
+  assert.ok(!cv.sections.some(section => section.id === "talks"));
+});
+
+test("hidden contact details stay off the CV", () => {
+  const cv = getCvData({ ...portfolio("jane-doe.txt"), hide_contact: ["phone"] });
+  assert.equal(cv.profile.phone, undefined);
+  assert.equal(cv.profile.email, "jane.doe@example.edu");
+});
+
+test("escapeLatex escapes the special characters", () => {
+  assert.equal(escapeLatex("R&D: 100% of $5 #1 a_b {x} ~ ^ \\"), "R\\&D: 100\\% of \\$5 \\#1 a\\_b \\{x\\} \\textasciitilde{} \\textasciicircum{} \\textbackslash{}");
+  assert.equal(escapeLatex("two\n  lines"), "two lines");
+});
+
+test("toLatexCv writes a moderncv document from the portfolio", () => {
+  const tex = toLatexCv({ ...portfolio("jane-doe.txt"), site_url: "https://janedoe.github.io/" });
+  assert.match(tex, /\\documentclass\[11pt,a4paper,sans\]\{moderncv\}/);
+  assert.match(tex, /\\name\{Jane\}\{Doe\}/);
+  assert.match(tex, /\\homepage\{janedoe\.github\.io\}/);
+  assert.match(tex, /\\cventry\{2023--Present\}\{Research Engineer\}\{Google Research\}\{Mountain View, CA\}\{\}\{\\begin\{itemize\}\\item Built large-scale retrieval systems/);
+  assert.match(tex, /\\cvitem\{2021\}\{\\textbf\{Doe, J\.\} \(2021\)\. Learning to Rank\. \\emph\{ICML\}\./);
+  assert.match(tex, /\\section\{Honors \\& Awards\}/);
+  assert.ok(tex.trimEnd().endsWith("\\end{document}"));
+
+  const short = toLatexCv(portfolio("robert-chen-faculty.txt"), { length: "short" });
+  assert.match(short, /\\section\{Selected Publications\}/);
+  assert.match(short, /\\cvitem\{\}\{\\textit\{\d+ more\}\}/);
+});
+
+test("toLatexCv encodes braces and escapes percent signs in links", () => {
+  const data = portfolio("jane-doe.txt");
+  const tex = toLatexCv({
+    ...data,
+    profile: { ...data.profile, social: [{ platform: "Site", url: "https://example.com/a}b{c?q={50%25}#top" }] },
+  });
+  assert.match(tex, /\\href\{https:\/\/example\.com\/a\\%7Db\\%7Bc\?q=\\%7B50\\%25\\%7D\\#top\}\{Site\}/);
+});
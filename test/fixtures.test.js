@@ -0,0 +1,121 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { parseResume, ResumeParseError } from "../lib/parse.js";
+import { loadSectionDictionary } from "../lib/sections.js";
+import { FIXTURES_DIR } from "./helpers/server.js";
+import { createReplayProvider } from "./helpers/fake-openai.js";
+
+// Resume corpus: every file in fixtures/resumes is parsed without an LLM and compared with
+// fixtures/expected/<file>.json. After an intended parser change, regenerate the expected
+// files with `UPDATE_FIXTURES=1 npm test` and review the diff.
+
+const RESUMES_DIR = path.join(FIXTURES_DIR, "resumes");
+const EXPECTED_DIR = path.join(FIXTURES_DIR, "expected");
+const dictionary = loadSectionDictionary({});
+const silentLogger = { log() {}, error() {} };
+
+// Helper: parse a fixture resume the way /api/parse does
+function parseFixture(name, options = {}) {
+  return parseResume({ filepath: path.join(RESUMES_DIR, name), originalFilename: name }, null, {
+    dictionary,
+    logger: silentLogger,
+    ...options,
+  });
+}
+
+const corpus = fs.readdirSync(RESUMES_DIR).filter(name => !name.endsWith(".bib")).sort();
+
+for (const name of corpus) {
+  test(`corpus: ${name}`, async () => {
+    const { portfolio, warnings } = await parseFixture(name);
+    const actual = { portfolio, warnings };
+    const expectedFile = path.join(EXPECTED_DIR, `${name}.json`);
+    if (process.env.UPDATE_FIXTURES === "1") {
+      fs.writeFileSync(expectedFile, JSON.stringify(actual, null, 2) + "\n");
+    }
+    assert.deepEqual(actual, JSON.parse(fs.readFileSync(expectedFile, "utf-8")));
+  });
+}
+
+test("the same resume gives the same portfolio as text, PDF and DOCX", async () => {
+  const [txt, pdf, docx] = await Promise.all(["jane-doe.txt", "jane-doe.pdf", "jane-doe.docx"].map(name => parseFixture(name)));
+  assert.deepEqual(pdf.portfolio, txt.portfolio);
+  assert.deepEqual(docx.portfolio, txt.portfolio);
+});
+
+test("recorded LLM answer: each section is organized by its own request", async () => {
+  const llm = createReplayProvider("jane-doe-organize");
+  const { portfolio, warnings, provenance } = await parseFixture("jane-doe.txt", { llm });
+
+  const prompts = llm.client.requests.map(request => request.messages[0].content);
+  assert.deepEqual(prompts.map(prompt => prompt.match(/Portfolio section: (\w+)/)[1]),
+    ["profile", "positions", "education", "publications", "skills", "awards"]);
+  assert.match(prompts[1], /Research Engineer/);
+  assert.doesNotMatch(prompts[1], /Efficient Retrieval at Scale/);
+  assert.match(portfolio.profile.summary, /^Research engineer working on large-scale information retrieval/);
+  assert.deepEqual(portfolio.skills, {
+    "Programming Languages": ["Python", "C++", "JavaScript"],
+    "Frameworks and Tools": ["PyTorch", "Docker"],
+  });
+  assert.deepEqual(warnings, []);
+  assert.equal(provenance.fields["skills.Programming Languages[0]"].source, "ai");
+});
+
+test("recorded LLM answer: only the sections with schema errors are sent back for repair", async () => {
+  const llm = createReplayProvider("jane-doe-repair");
+  const { portfolio, warnings } = await parseFixture("jane-doe.txt", { llm });
+
+  assert.equal(llm.client.requests.length, 7);
+  const repairPrompt = llm.client.requests[6].messages[0].content;
+  assert.match(repairPrompt, /positions\[0\]\.title/);
+  assert.doesNotMatch(repairPrompt, /Efficient Retrieval at Scale/);
+  assert.equal(portfolio.positions[0].title, "Research Engineer");
+  assert.equal(portfolio.publications.length, 2);
+  assert.deepEqual(warnings, []);
+});
+
+test("recorded LLM answer: privacy mode keeps personal details out of every prompt", async () => {
+  const llm = createReplayProvider("jane-doe-organize");
+  const { portfolio } = await parseFixture("jane-doe.txt", { llm, redact: true });
+
+  for (const { messages } of llm.client.requests) {
+    for (const value of ["Jane Doe", "jane.doe@example.edu", "(555) 123-4567", "Boston, MA"]) {
+      assert.ok(!messages[0].content.includes(value), `prompt contains ${value}`);
+    }
+  }
+  assert.match(llm.client.requests[0].messages[0].content, /\[NAME_1\]/);
+  assert.equal(portfolio.profile.email, "jane.doe@example.edu");
+});
+
+test("a long CV is organized in parts and nothing is dropped", async () => {
+  // Answers every request with the numbered or bulleted lines of its resume text
+  const llm = createReplayProvider(prompt => {
+    const key = prompt.match(/Portfolio section: (\w+)/)[1];
+    const text = prompt.slice(prompt.indexOf("Resume text:"), prompt.indexOf("Parsed fields:"));
+    const lines = text.split("\n").filter(line => /^(?:\[\d+\]|-) /.test(line)).map(line => line.replace(/^(?:\[\d+\]|-) /, ""));
+    const entries = key === "publications" ? lines.map(title => ({ title })) : key === "talks" ? lines.map(title => ({ title })) : undefined;
+    return "```json\n" + JSON.stringify(entries ? { [key]: entries } : {}) + "\n```";
+  });
+  const { portfolio } = await parseFixture("robert-chen-faculty.txt", { llm });
+
+  const prompts = llm.client.requests.map(request => request.messages[0].content);
+  assert.ok(prompts.filter(prompt => prompt.includes("Portfolio section: publications (part")).length > 1);
+  for (const prompt of prompts) {
+    assert.ok(prompt.slice(prompt.indexOf("Resume text:"), prompt.indexOf("Parsed fields:")).length < 3500 * 1.5);
+  }
+  assert.equal(portfolio.publications.length, 120);
+  assert.match(portfolio.publications[0].title, /study 1\./);
+  assert.match(portfolio.publications[119].title, /study 120\./);
+  assert.equal(portfolio.talks.length, 40);
+});
+
+test("an LLM answer that isn't JSON fails the parse", async () => {
+  const llm = createReplayProvider(["Sorry, I can't help with that."]);
+  await assert.rejects(parseFixture("jane-doe.txt", { llm }), error => {
+    assert.ok(error instanceof ResumeParseError);
+    assert.equal(error.status, 500);
+    return true;
+  });
+});
@@ -0,0 +1,47 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validateGroup, mergePublications } from "../shared/group.js";
+
+test("validateGroup normalizes members and reports what is missing", () => {
+  const { group, errors } = validateGroup({
+    name: "  IR Lab ",
+    members: [
+      { portfolioId: "http://localhost:5173/portfolio/abc123", role: "PI" },
+      { portfolioId: "abc123" },
+      { portfolioId: "  " },
+    ],
+    news: [{ date: "2024-01" }],
+    projects: [{ title: "Ranker", url: "javascript:alert(1)" }],
+  });
+  assert.equal(group.name, "IR Lab");
+  assert.deepEqual(group.members, [{ portfolioId: "abc123", role: "PI" }]);
+  assert.deepEqual(errors, [
+    { path: "news[0]", message: "needs a title or text" },
+    { path: "projects[0].url", message: "must be an http, https or mailto link" },
+  ]);
+  assert.deepEqual(validateGroup([]).errors, [{ path: "", message: "must be a group object" }]);
+});
+
+test("mergePublications keeps one entry per paper, matched by DOI, arXiv ID or title", () => {
+  const members = [
+    { portfolioId: "a", portfolio: { publications: [
+      { title: "Dense Retrieval", doi: "10.1000/ACL2023", year: "2023" },
+      { title: "Sparse Retrieval", arxiv: "2401.00001v2", year: "2024" },
+      { title: "Learning to Rank", year: "2021" },
+    ] } },
+    { portfolioId: "b", portfolio: { publications: [
+      { title: "Dense retrieval without labels", doi: "https://doi.org/10.1000/acl2023", venue: "ACL", year: "2023" },
+      { title: "Sparse retrieval (preprint)", arxiv: "2401.00001", year: "2024" },
+      { title: "Learning to rank!", venue: "ICML", year: "2021", pages: "1-10" },
+    ] } },
+  ];
+  const merged = mergePublications(members);
+  assert.deepEqual(merged.map(pub => [pub.title, pub.memberIds]), [
+    ["Sparse Retrieval", ["a", "b"]],
+    ["Dense retrieval without labels", ["a", "b"]],
+    ["Learning to rank!", ["a", "b"]],
+  ]);
+  // The most complete entry wins and takes the fields only the other one has
+  assert.equal(merged[1].venue, "ACL");
+  assert.equal(merged[2].pages, "1-10");
+});
@@ -0,0 +1,86 @@
+/**
+ * Fake OpenAI client for offline tests
+ *
+ * Replays recorded chat completions from test/fixtures/completions and keeps
+ * every request it receives, so tests can check what would have been sent to
+ * the model. A recorded completion may name a "match" string; it then answers
+ * the first request whose prompt contains it, which keeps replays stable when
+ * the pipeline sends several requests at once. Completions without one are
+ * used in order. Plugs into the real provider through the `client` option of
+ * createOpenAICompatibleProvider, so the prompt building and completion parsing
+ * in lib/parse.js run unchanged.
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { createOpenAICompatibleProvider } from "../../lib/llm.js";
+
+const COMPLETIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "fixtures", "completions");
+
+/**
+ * Load a recording from test/fixtures/completions
+ *
+ * @param {string} name - File name without .json
+ * @returns {Array} Completions as { match?, content }
+ */
+function loadRecording(name) {
+  return JSON.parse(fs.readFileSync(path.join(COMPLETIONS_DIR, `${name}.json`), "utf-8")).completions;
+}
+
+/**
+ * Create a fake OpenAI SDK client
+ *
+ * @param {Array|Function} completions - Completions to return, each used once: texts or { match?, content };
+ *   or a function (prompt) => completion text that answers every request
+ * @returns {Object} Client with chat.completions.create(params, options) and
+ *   requests - [{ model, messages, temperature, max_tokens }] received so far
+ */
+function createFakeOpenAI(completions) {
+  const queue = typeof completions === "function"
+    ? null
+    : completions.map(completion => (typeof completion === "string" ? { content: completion } : completion));
+  const requests = [];
+  const answer = prompt => {
+    if (!queue) return completions(prompt);
+    const index = queue.findIndex(completion => completion.match && prompt.includes(completion.match));
+    const next = index === -1 ? queue.findIndex(completion => !completion.match) : index;
+    return next === -1 ? undefined : queue.splice(next, 1)[0].content;
+  };
+  return {
+    requests,
+    chat: {
+      completions: {
+        async create(params, { signal } = {}) {
+          requests.push(params);
+          if (signal?.aborted) {
+            throw new Error("Request was aborted");
+          }
+          const content = answer(params.messages[0].content);
+          if (content === undefined) {
+            throw new Error(`Fake OpenAI client: no recorded completion left for request ${requests.length}`);
+          }
+          return {
+            id: `chatcmpl-fake-${requests.length}`,
+            object: "chat.completion",
+            model: params.model,
+            choices: [{ index: 0, finish_reason: "stop", message: { role: "assistant", content } }],
+          };
+        },
+      },
+    },
+  };
+}
+
+/**
+ * Create an LLM provider that answers from a recording
+ *
+ * @param {string|Array|Function} recording - Recording name, or completions as for createFakeOpenAI
+ * @returns {Object} Provider (lib/llm.js) with an extra `client` property holding the fake client
+ */
+function createReplayProvider(recording) {
+  const client = createFakeOpenAI(typeof recording === "string" ? loadRecording(recording) : recording);
+  return { ...createOpenAICompatibleProvider("openai", { model: "gpt-4", client }), client };
+}
+
+export { loadRecording, createFakeOpenAI, createReplayProvider };
@@ -0,0 +1,66 @@
+/**
+ * Run the API app for a test
+ *
+ * Starts createApp (lib/app.js) on a free port with a database in a temporary
+ * directory, so tests never touch resumes.json or the network.
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { createApp } from "../../lib/app.js";
+import { openDatabase } from "../../lib/store.js";
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "fixtures");
+
+// Parser and request logs would drown the test output
+const silentLogger = { log() {}, warn() {}, error() {} };
+
+/**
+ * Start the app
+ *
+ * @param {Object} options
+ *   llm - LLM provider, e.g. from createReplayProvider (default: null, heuristics only)
+ *   env - Extra settings, as environment variables (see lib/security.js)
+ * @returns {Promise<Object>} { url, db, close() }
+ */
+async function startServer({ llm = null, env = {} } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "website-generator-test-"));
+  const db = await openDatabase(path.join(dir, "resumes.json"));
+  const app = createApp({ db, llm, env, logger: silentLogger });
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    db,
+    close: async () => {
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+      fs.rmSync(dir, { recursive: true, force: true });
+    },
+  };
+}
+
+/**
+ * Form data with a fixture resume under "resume" (and optionally a .bib under "bibtex")
+ *
+ * @param {string} resume - File name in test/fixtures/resumes
+ * @param {Object} [fields] - Other form fields, e.g. { redactPii: "true" }
+ * @returns {FormData}
+ */
+function resumeForm(resume, fields = {}) {
+  const form = new FormData();
+  form.append("resume", new Blob([fs.readFileSync(path.join(FIXTURES_DIR, "resumes", resume))]), resume);
+  for (const [key, value] of Object.entries(fields)) {
+    if (key === "bibtex") {
+      form.append("bibtex", new Blob([fs.readFileSync(path.join(FIXTURES_DIR, "resumes", value))]), value);
+    } else {
+      form.append(key, value);
+    }
+  }
+  return form;
+}
+
+export { FIXTURES_DIR, startServer, resumeForm };
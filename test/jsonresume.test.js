@@ -0,0 +1,57 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fromJsonResume, toJsonResume } from "../shared/jsonresume.js";
+import { repairPortfolio } from "../shared/schema.js";
+
+// Every section JSON Resume has a place for; talks and teaching have none
+const portfolio = {
+  profile: {
+    name: "Jane Doe",
+    email: "jane.doe@example.edu",
+    phone: "+1 555 0100",
+    location: "Boston, MA",
+    summary: "Researcher in information retrieval.",
+    social: [
+      { platform: "Website", url: "https://janedoe.github.io/" },
+      { platform: "GitHub", url: "https://github.com/janedoe" },
+    ],
+  },
+  research_interests: "Information retrieval, Learning to rank",
+  education: [{ degree: "PhD in Computer Science", institution: "MIT", dates: "2016 - 2021", honors: "Thesis award" }],
+  positions: [{
+    title: "Research Engineer",
+    organization: "Google Research",
+    location: "Mountain View, CA",
+    dates: "Sep 2021 - Present",
+    summary: "Retrieval systems.",
+    highlights: ["Built large-scale retrieval systems"],
+  }],
+  publications: [
+    { title: "Learning to Rank", authors: "Doe, J. and Smith, A.", venue: "ICML", year: "2021", url: "https://example.org/ltr" },
+    { title: "Dense Retrieval", authors: ["Jane Doe"], venue: "ACL", year: "2023", type: "inproceedings", doi: "10.1000/acl2023" },
+    { title: "Sparse Retrieval", year: "2024", arxiv: "2401.00001" },
+  ],
+  projects: [{ title: "Ranker", dates: "2020 - 2022", description: "A ranking library.", url: "https://github.com/janedoe/ranker" }],
+  skills: { Programming: ["Python", "Rust"], Languages: ["English (native)"] },
+  awards: [{ title: "Best Paper", organization: "SIGIR", year: "2022" }],
+  service: [{ role: "Reviewer", organization: "ACL", dates: "2020 - 2023" }],
+};
+
+test("a portfolio survives a round trip through JSON Resume", () => {
+  const imported = fromJsonResume(toJsonResume(portfolio));
+  assert.deepEqual(imported, portfolio);
+  assert.deepEqual(repairPortfolio(imported).errors, []);
+});
+
+test("volunteer positions become service roles", () => {
+  const imported = fromJsonResume({ volunteer: [{ position: "Reviewer", organization: "ACL", startDate: "2020" }] });
+  assert.deepEqual(imported.service, [{ role: "Reviewer", organization: "ACL", dates: "2020 - Present" }]);
+  assert.deepEqual(toJsonResume(imported).volunteer, [{ organization: "ACL", position: "Reviewer", startDate: "2020" }]);
+});
+
+test("publications without a link of their own export their DOI or arXiv page", () => {
+  const [, doi, arxiv] = toJsonResume(portfolio).publications;
+  assert.equal(doi.url, "https://doi.org/10.1000/acl2023");
+  assert.equal(doi.doi, "10.1000/acl2023");
+  assert.equal(arxiv.url, "https://arxiv.org/abs/2401.00001");
+});
@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { dedupeEntries, diffPortfolios, applyChanges } from "../shared/merge.js";
+
+test("dedupeEntries merges entries listed twice and keeps the rest in order", () => {
+  const entries = [
+    { title: "Learning to Rank", venue: "ICML", year: "2021" },
+    { title: "Efficient Retrieval at Scale", year: "2022" },
+    { title: "Learning to rank.", year: "2021", doi: "" , url: "https://example.org/ltr" },
+    { title: "Learning to Rank", year: "2019" },
+  ];
+  assert.deepEqual(dedupeEntries("publications", entries), [
+    { title: "Learning to Rank", venue: "ICML", year: "2021", doi: "", url: "https://example.org/ltr" },
+    { title: "Efficient Retrieval at Scale", year: "2022" },
+    { title: "Learning to Rank", year: "2019" },
+  ]);
+});
+
+test("dedupeEntries matches publications by DOI", () => {
+  const entries = [
+    { title: "Sparse attention", doi: "10.1/ABC" },
+    { title: "Sparse attention for long documents", doi: "10.1/abc", venue: "ACL" },
+  ];
+  assert.deepEqual(dedupeEntries("publications", entries), [{ title: "Sparse attention", doi: "10.1/ABC", venue: "ACL" }]);
+});
+
+test("dedupeEntries keeps entries without identifying fields", () => {
+  assert.deepEqual(dedupeEntries("positions", [{ summary: "a" }, { summary: "b" }]), [{ summary: "a" }, { summary: "b" }]);
+});
+
+test("a field edited by hand and changed in the new resume is a conflict left for the user", () => {
+  const base = {
+    profile: { name: "Jane Doe", summary: "Parsed summary" },
+    positions: [{ title: "Engineer", organization: "Acme", dates: "2019 - 2021" }],
+  };
+  const current = { ...base, profile: { ...base.profile, summary: "My own summary" } };
+  const incoming = {
+    profile: { name: "Jane Doe", summary: "New summary" },
+    positions: [
+      { title: "Engineer", organization: "Acme", dates: "2019 - 2022" },
+      { title: "Scientist", organization: "Lab", dates: "2022 - Present" },
+    ],
+  };
+
+  const changes = diffPortfolios(current, incoming, base);
+  assert.deepEqual(changes.map(change => [change.id, change.conflict, change.accepted]), [
+    ["update:profile:0", true, false],
+    ["update:positions:0", false, true],
+    ["add:positions:1", false, true],
+  ]);
+  assert.deepEqual(changes[0].fields, [{ field: "summary", before: "My own summary", after: "New summary", conflict: true }]);
+
+  // Applying the accepted changes keeps the hand edit
+  assert.deepEqual(applyChanges(current, changes.filter(change => change.accepted)), {
+    profile: { name: "Jane Doe", summary: "My own summary" },
+    positions: incoming.positions,
+  });
+  // Accepting the conflict takes the new resume's value
+  assert.equal(applyChanges(current, changes).profile.summary, "New summary");
+});
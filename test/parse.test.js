@@ -0,0 +1,104 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  extractSectionsByLines,
+  extractSectionsFromMarkdown,
+  extractContactInfo,
+  parseWorkExperience,
+  parseEducation,
+  parseSkills,
+  parsePublications,
+  chunkSectionText,
+} from "../lib/parse.js";
+import { loadSectionDictionary } from "../lib/sections.js";
+
+const dictionary = loadSectionDictionary({});
+
+const RESUME = `Jane Doe
+jane@example.edu | +1 (555) 123-4567 | Boston, MA
+
+EXPERIENCE
+Engineer
+(Acme)
+2020 - Present
+- Built things
+
+Education
+Bachelor of Science in Physics
+MIT
+2014 - 2018
+
+Skills
+Python, Go`;
+
+test("extractSectionsByLines splits a resume at its section headings", () => {
+  const sections = extractSectionsByLines(RESUME, dictionary);
+  assert.equal(sections.experience, "Engineer\n(Acme)\n2020 - Present\n- Built things");
+  assert.equal(sections.education, "Bachelor of Science in Physics\nMIT\n2014 - 2018");
+  assert.equal(sections.skills, "Python, Go");
+  assert.equal(sections.publications, "");
+});
+
+test("extractSectionsFromMarkdown uses the headings of any installed language", () => {
+  const sections = extractSectionsFromMarkdown("# Anna Schmidt\n## Ausbildung\nMaster Informatik\n## Kenntnisse\nGo", dictionary);
+  assert.equal(sections.education, "Master Informatik");
+  assert.equal(sections.skills, "Go");
+});
+
+test("extractContactInfo reads name, email, phone and location from the top lines", () => {
+  assert.deepEqual(extractContactInfo(RESUME), {
+    name: "Jane Doe",
+    email: "jane@example.edu",
+    phone: "+1 (555) 123-4567",
+    location: "Boston, MA",
+  });
+});
+
+test("parseWorkExperience reads title, organization, dates and bullet highlights", () => {
+  assert.deepEqual(parseWorkExperience("Engineer\n(Acme)\n2020 - Present\n- Built things", dictionary), [
+    { title: "Engineer", organization: "Acme", dates: "2020 - Present", highlights: ["Built things"] },
+  ]);
+});
+
+test("parseEducation reads degree, institution and dates", () => {
+  const [entry] = parseEducation("Bachelor of Science in Physics\nMassachusetts Institute of Technology\n2014 - 2018", dictionary);
+  assert.equal(entry.degree, "Bachelor of Science in Physics");
+  assert.equal(entry.institution, "Massachusetts Institute of Technology");
+  assert.equal(entry.dates, "2014 - 2018");
+});
+
+test("parseSkills groups skills under category lines", () => {
+  assert.deepEqual(parseSkills("Languages:\nPython, C++\nFrameworks:\n- PyTorch"), {
+    Languages: ["Python", "C++"],
+    Frameworks: ["PyTorch"],
+  });
+  assert.deepEqual(parseSkills(""), {});
+});
+
+test("parsePublications reads authors, title, venue, year and DOI", () => {
+  assert.deepEqual(parsePublications("J. Doe. Learning to Rank. ICML 2021. doi:10.1000/xyz123"), [
+    { doi: "10.1000/xyz123", year: "2021", title: "Learning to Rank", authors: "J. Doe", venue: "ICML" },
+  ]);
+});
+
+test("chunkSectionText splits long sections between entries without losing a line", () => {
+  const entries = Array.from({ length: 60 }, (_, i) => `[${i + 1}] J. Doe. A paper title that goes on for a while, part ${i + 1}.\nJournal of Examples, 2020.`);
+  const text = entries.join("\n");
+  const chunks = chunkSectionText(text, 1000);
+
+  assert.ok(chunks.length > 1);
+  assert.equal(chunks.join("\n"), text);
+  for (const chunk of chunks) {
+    assert.ok(chunk.length <= 1000);
+    assert.match(chunk, /^\[\d+\] /);
+  }
+
+  // Bullets that are highlights stay with their position
+  const positions = Array.from({ length: 30 }, (_, i) => `Research Scientist ${i + 1}\n(Example Lab)\n2001 - 2002\n- Built a thing\n- Wrote a paper`).join("\n");
+  for (const chunk of chunkSectionText(positions, 500)) {
+    assert.match(chunk, /^Research Scientist \d+\n/);
+    assert.match(chunk, /- Wrote a paper$/);
+  }
+  assert.deepEqual(chunkSectionText("Short section", 1000), ["Short section"]);
+  assert.deepEqual(chunkSectionText("  ", 1000), []);
+});
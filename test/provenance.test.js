@@ -0,0 +1,38 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildProvenance, pruneProvenance, LOW_CONFIDENCE } from "../shared/provenance.js";
+
+const text = "Jane Doe\njane@example.edu\n\nExperience\nResearch Engineer, Google Research\n2021 - Present\n\nSkills\nPython";
+const portfolio = {
+  profile: { name: "Jane Doe" },
+  positions: [
+    { title: "Research Engineer", organization: "Google Research", dates: "2021 - Present" },
+    { title: "Astronaut" },
+  ],
+};
+
+test("buildProvenance finds each field's lines and rates values missing from the text lower", () => {
+  const { text: lines, fields } = buildProvenance(portfolio, { text, sources: { profile: "heuristic" } });
+  assert.equal(lines.length, 9);
+  assert.deepEqual(fields["profile.name"], { source: "heuristic", lines: [0, 0], confidence: 0.9 });
+  assert.deepEqual(fields["positions[0].dates"].lines, [5, 5]);
+  assert.deepEqual(fields["positions[0]"].lines, [4, 5]);
+  assert.equal(fields["positions[0]"].source, "ai");
+  assert.equal(fields["positions[1].title"].lines, null);
+  assert.ok(fields["positions[1].title"].confidence < LOW_CONFIDENCE);
+  assert.ok(fields["positions[0].title"].confidence >= LOW_CONFIDENCE);
+});
+
+test("schema repairs lower the confidence of the repaired field", () => {
+  const plain = buildProvenance(portfolio, { text }).fields["positions[0].dates"].confidence;
+  const repaired = buildProvenance(portfolio, { text, repairs: [{ path: "positions[0].dates", message: "converted" }] }).fields["positions[0].dates"].confidence;
+  assert.equal(Math.round((plain - repaired) * 100) / 100, 0.2);
+});
+
+test("pruneProvenance drops the fields an edit changed", () => {
+  const provenance = buildProvenance(portfolio, { text });
+  const edited = { ...portfolio, profile: { name: "Jane Q. Doe" } };
+  const { fields } = pruneProvenance(provenance, portfolio, edited);
+  assert.ok(!("profile.name" in fields) && !("profile" in fields));
+  assert.deepEqual(fields["positions[0].title"], provenance.fields["positions[0].title"]);
+});
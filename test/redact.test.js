@@ -0,0 +1,23 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createRedactor } from "../lib/redact.js";
+
+test("replaces known and detected identifiers with tokens", () => {
+  const redactor = createRedactor({ name: "Jane Doe", email: "jane@example.edu" });
+  const text = "Jane Doe <jane@example.edu>, +1 (555) 123-4567, https://github.com/janedoe. Doe, Jane and J. Doe wrote pages 12-345 in 2021.";
+  assert.equal(
+    redactor.redact(text),
+    "[NAME_1] <[EMAIL_1]>, [PHONE_1], [URL_1]. [NAME_2] and [NAME_3] wrote pages 12-345 in 2021.",
+  );
+  assert.equal(redactor.count, 6);
+});
+
+test("restores the original values in the model's answer", () => {
+  const redactor = createRedactor({ name: "Jane Doe" });
+  const hidden = redactor.redactJson({ profile: { name: "Jane Doe", social: ["https://github.com/janedoe"] } });
+  assert.deepEqual(hidden, { profile: { name: "[NAME_1]", social: ["[URL_1]"] } });
+  assert.deepEqual(redactor.restore({ ...hidden, note: "[NAME_9]" }), {
+    profile: { name: "Jane Doe", social: ["https://github.com/janedoe"] },
+    note: "[NAME_9]",
+  });
+});
@@ -0,0 +1,104 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeSiteUrl, getPortfolioMetadata, getGroupMetadata, metaTags, jsonLdText } from "../shared/seo.js";
+import { buildStaticSite, renderPortfolioHtml } from "../lib/export.js";
+
+const PORTFOLIO = {
+  profile: {
+    name: "Jane Doe",
+    email: "jane@example.edu",
+    phone: "555-0100",
+    summary: "Research engineer working on retrieval. ".repeat(8),
+    social: [{ platform: "GitHub", url: "https://github.com/janedoe" }],
+  },
+  research_interests: "Information retrieval, ranking",
+  positions: [{ title: "Research Engineer", organization: "Example Lab" }],
+  education: [{ degree: "PhD", institution: "MIT" }],
+  publications: [
+    { title: "Learning to Rank", authors: "J. Doe and A. Smith", venue: "ICML", year: "2021", doi: "10.1000/xyz123", pdf: "https://example.edu/ltr.pdf" },
+    { title: "Notes </script> on Search", year: "forthcoming" },
+  ],
+  hide_contact: ["phone"],
+  site_url: "janedoe.github.io",
+};
+
+test("normalizeSiteUrl accepts bare hosts and rejects other schemes", () => {
+  assert.equal(normalizeSiteUrl("janedoe.github.io"), "https://janedoe.github.io/");
+  assert.equal(normalizeSiteUrl("http://example.edu/~jane?x=1#top"), "http://example.edu/~jane/");
+  assert.equal(normalizeSiteUrl("javascript:alert(1)"), "");
+  assert.equal(normalizeSiteUrl(""), "");
+});
+
+test("portfolio metadata describes the person and their publications", () => {
+  const meta = getPortfolioMetadata(PORTFOLIO);
+  assert.equal(meta.title, "Jane Doe – Research Engineer, Example Lab");
+  assert.ok(meta.description.length <= 160);
+  assert.match(meta.description, /^Research engineer working on retrieval\..*…$/);
+  assert.equal(meta.url, "https://janedoe.github.io/");
+
+  const [person, article, unattributed] = meta.jsonLd["@graph"];
+  assert.equal(person["@type"], "Person");
+  assert.equal(person.jobTitle, "Research Engineer");
+  assert.deepEqual(person.alumniOf, [{ "@type": "CollegeOrUniversity", name: "MIT" }]);
+  assert.deepEqual(person.knowsAbout, ["Information retrieval", "ranking"]);
+  assert.deepEqual(person.sameAs, ["https://github.com/janedoe"]);
+  assert.equal(person.telephone, undefined);
+  assert.ok(!JSON.stringify(meta).includes("555-0100"));
+
+  assert.deepEqual(article, {
+    "@type": "ScholarlyArticle",
+    headline: "Learning to Rank",
+    name: "Learning to Rank",
+    author: [{ "@type": "Person", name: "J. Doe" }, { "@type": "Person", name: "A. Smith" }],
+    datePublished: "2021",
+    isPartOf: { "@type": "CreativeWork", name: "ICML" },
+    identifier: { "@type": "PropertyValue", propertyID: "DOI", value: "10.1000/xyz123" },
+    url: "https://doi.org/10.1000/xyz123",
+    sameAs: ["https://example.edu/ltr.pdf"],
+  });
+  // Without an author list the owner is credited
+  assert.deepEqual(unattributed.author, [{ "@type": "Person", "@id": "https://janedoe.github.io/#person", name: "Jane Doe" }]);
+  assert.equal(unattributed.datePublished, undefined);
+});
+
+test("a portfolio without a summary or address still gets a description, but no canonical URL", () => {
+  const meta = getPortfolioMetadata({ profile: { name: "Jane Doe" }, research_interests: "Ranking" });
+  assert.equal(meta.description, "Academic portfolio of Jane Doe. Research interests: Ranking.");
+  assert.equal(meta.url, "");
+  assert.ok(!metaTags(meta).some(tag => tag.key === "og:url"));
+  assert.deepEqual(metaTags(meta).find(tag => tag.key === "twitter:card"), { attribute: "name", key: "twitter:card", content: "summary" });
+});
+
+test("group metadata lists the members of a research organization", () => {
+  const group = { name: "Retrieval Lab", site_url: "https://lab.example.edu", members: [{ portfolioId: "a", role: "PI" }] };
+  const meta = getGroupMetadata(group, { a: PORTFOLIO }, "publications");
+  assert.equal(meta.title, "Publications – Retrieval Lab");
+  assert.equal(meta.url, "https://lab.example.edu/publications/");
+  const [organization, ...articles] = meta.jsonLd["@graph"];
+  assert.equal(organization["@type"], "ResearchOrganization");
+  assert.deepEqual(organization.member, [{ "@type": "Person", name: "Jane Doe", jobTitle: "PI", url: "https://lab.example.edu/people/jane-doe/" }]);
+  assert.equal(articles.length, 2);
+});
+
+test("the exported page carries the metadata in its head", () => {
+  const html = renderPortfolioHtml(PORTFOLIO);
+  const head = html.split("</head>")[0];
+  assert.match(head, /<title>Jane Doe – Research Engineer, Example Lab<\/title>/);
+  assert.match(head, /<meta property="og:title" content="Jane Doe – Research Engineer, Example Lab" \/>/);
+  assert.match(head, /<link rel="canonical" href="https:\/\/janedoe.github.io\/" \/>/);
+  assert.equal(head.match(/<\/script>/g).length, 1);
+  assert.ok(jsonLdText({ title: "</script>" }).includes("\\u003c/script>"));
+
+  const ldJson = head.match(/<script type="application\/ld\+json">(.*)<\/script>/)[1];
+  assert.equal(JSON.parse(ldJson)["@graph"][2].name, "Notes </script> on Search");
+});
+
+test("exported sites get a robots.txt, and a sitemap once the address is known", async () => {
+  const files = await buildStaticSite(PORTFOLIO);
+  assert.equal(files["robots.txt"], "User-agent: *\nAllow: /\n\nSitemap: https://janedoe.github.io/sitemap.xml\n");
+  assert.match(files["sitemap.xml"], /<loc>https:\/\/janedoe.github.io\/<\/loc>/);
+
+  const unpublished = await buildStaticSite({ ...PORTFOLIO, site_url: "" });
+  assert.equal(unpublished["robots.txt"], "User-agent: *\nAllow: /\n");
+  assert.equal(unpublished["sitemap.xml"], undefined);
+});